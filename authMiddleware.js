@@ -11,7 +11,7 @@ class AuthService {
         this.resetTokens = new Map(); // email -> { token, expiresAt }
         this.dbPool = null;
         this.memory = null; // Will be set if DB fails
-        this.initDb();
+        this.ready = this.initDb(); // Resolves once dbPool or memory is set
     }
 
     async initDb() {
@@ -0,0 +1,147 @@
+// chatSocket.js - WebSocket chat channel mounted at /ws
+//
+// Browsers cannot set headers on a WebSocket, so the owner id that X-Client-Id
+// carries over HTTP comes as /ws?clientId=...; stored threads can only be
+// continued by their owner.
+//
+// Client -> server
+//   { type: 'start', id, provider, model, message, images, conversationId | history, webSearch,
+//     parentId, regenerateId, systemPrompt, temperature, topP, maxTokens, stop, seed, summarizeHistory }
+//   { type: 'cancel', id }
+// Server -> client
+//   { type: 'delta', id, text }
+//   { type: 'done', id, response, conversationId, messageIds, provider, model, attempts, fallbackFrom, citations, cancelled, cost, ... }
+//   { type: 'error', id, error, attempts }
+//   { type: 'health', providers }   pushed on connect and whenever availability changes
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+const HEALTH_INTERVAL_MS = 30000;
+
+function attachChatSocket(server, { providers, runChat, buildChatSummary }) {
+    const wss = new WebSocketServer({ server, path: '/ws' });
+    let lastHealth = null;
+
+    const send = (socket, payload) => {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(payload));
+        }
+    };
+
+    const broadcast = (payload) => {
+        wss.clients.forEach(socket => send(socket, payload));
+    };
+
+    async function startGeneration(socket, generations, ownerId, msg) {
+        const { id, provider, model, message, regenerateId } = msg;
+
+        if (!id || !provider || !model || (!message && regenerateId === undefined)) {
+            return send(socket, { type: 'error', id, error: 'Missing required parameters' });
+        }
+        if (generations.has(id)) {
+            return send(socket, { type: 'error', id, error: `Generation ${id} is already running` });
+        }
+
+        const adapter = providers.get(provider);
+        if (!adapter || !adapter.isAvailable()) {
+            return send(socket, { type: 'error', id, error: `Provider ${provider} is not available` });
+        }
+        if (!adapter.hasModel(model)) {
+            return send(socket, { type: 'error', id, error: `Model ${model} not available for ${provider}` });
+        }
+        if (!adapter.modelSupports(model, 'chat')) {
+            return send(socket, { type: 'error', id, error: `Model ${model} does not support chat` });
+        }
+
+        const controller = new AbortController();
+        generations.set(id, controller);
+        const startTime = Date.now();
+
+        try {
+            const { responseText, ...outcome } = await runChat(adapter, msg, {
+                ownerId,
+                signal: controller.signal,
+                onDelta: text => send(socket, { type: 'delta', id, text }),
+            });
+
+            send(socket, {
+                type: 'done',
+                id,
+                response: responseText,
+                ...buildChatSummary({ ...outcome, startTime })
+            });
+        } catch (error) {
+            console.error(`WebSocket chat error for ${provider}/${model}:`, error);
+            send(socket, { type: 'error', id, error: error.message || 'An error occurred', attempts: error.attempts });
+        } finally {
+            generations.delete(id);
+        }
+    }
+
+    function cancelGeneration(socket, generations, { id }) {
+        const controller = generations.get(id);
+        if (!controller) {
+            return send(socket, { type: 'error', id, error: `No running generation ${id}` });
+        }
+        controller.abort();
+    }
+
+    wss.on('connection', (socket, request) => {
+        // AbortControllers of in-flight generations, keyed by client-supplied id
+        const generations = new Map();
+        const ownerId = new URL(request.url, 'http://localhost').searchParams.get('clientId') || null;
+
+        socket.on('message', (raw) => {
+            let msg;
+            try {
+                msg = JSON.parse(raw.toString());
+            } catch (e) {
+                return send(socket, { type: 'error', error: 'Invalid JSON message' });
+            }
+
+            if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+                return send(socket, { type: 'error', error: 'Messages must be JSON objects' });
+            }
+
+            // One bad frame answers with an error instead of ending the process
+            const fail = (error) => {
+                console.error('WebSocket message error:', error);
+                send(socket, { type: 'error', id: msg.id, error: error.message || 'An error occurred' });
+            };
+            try {
+                if (msg.type === 'start') {
+                    startGeneration(socket, generations, ownerId, msg).catch(fail);
+                } else if (msg.type === 'cancel') {
+                    cancelGeneration(socket, generations, msg);
+                } else {
+                    send(socket, { type: 'error', id: msg.id, error: `Unknown message type: ${msg.type}` });
+                }
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        socket.on('close', () => {
+            generations.forEach(controller => controller.abort());
+        });
+
+        providers.health().then(health => send(socket, { type: 'health', providers: health }));
+    });
+
+    const healthTimer = setInterval(async () => {
+        if (wss.clients.size === 0) return;
+        const health = await providers.health();
+        const serialized = JSON.stringify(health);
+        if (serialized !== lastHealth) {
+            lastHealth = serialized;
+            broadcast({ type: 'health', providers: health });
+        }
+    }, HEALTH_INTERVAL_MS);
+    healthTimer.unref();
+
+    wss.on('close', () => clearInterval(healthTimer));
+
+    return wss;
+}
+
+module.exports = { attachChatSocket };
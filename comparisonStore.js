@@ -0,0 +1,191 @@
+// comparisonStore.js - Side-by-side model comparisons and the votes cast on them
+// (MySQL, or in-memory when the DB is unavailable)
+//
+// Each comparison keeps the prompt and one result per column (answer or error,
+// latency, tokens, cost). A vote names the winning column; stats() aggregates
+// wins and averages per model for later analysis.
+
+const crypto = require('crypto');
+const { DbStore } = require('./dbStore');
+
+// Per-model aggregate row -> API object
+function toStats(row) {
+    const votes = Number(row.votes || 0);
+    const wins = Number(row.wins || 0);
+    return {
+        provider: row.provider,
+        model: row.model,
+        comparisons: Number(row.comparisons),
+        votes,
+        wins,
+        winRate: votes ? wins / votes : null,
+        avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(Number(row.avg_latency_ms)),
+        avgCost: row.avg_cost === null ? null : Number(row.avg_cost),
+    };
+}
+
+class ComparisonStore extends DbStore {
+    constructor(authService) {
+        super(authService, 'comparisons table unavailable, keeping comparisons in memory');
+    }
+
+    useMemory() {
+        this.memory = { comparisons: [], results: [] };
+    }
+
+    async migrate() {
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS comparisons (
+                    comparison_id CHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(64) NULL,
+                    prompt MEDIUMTEXT NOT NULL,
+                    winner_index INT NULL,
+                    voted_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_created (created_at)
+                ) ENGINE=InnoDB;
+            `);
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS comparison_results (
+                    comparison_id CHAR(36) NOT NULL,
+                    result_index INT NOT NULL,
+                    provider VARCHAR(100) NOT NULL,
+                    model VARCHAR(200) NOT NULL,
+                    response MEDIUMTEXT NULL,
+                    error TEXT NULL,
+                    latency_ms INT NULL,
+                    prompt_tokens INT NULL,
+                    completion_tokens INT NULL,
+                    cost DECIMAL(14, 8) NULL,
+                    PRIMARY KEY (comparison_id, result_index),
+                    INDEX idx_model (provider, model),
+                    FOREIGN KEY (comparison_id) REFERENCES comparisons(comparison_id) ON DELETE CASCADE
+                ) ENGINE=InnoDB;
+            `);
+        } finally {
+            connection.release();
+        }
+    }
+
+    // results: one per column, in column order:
+    // [{ provider, model, response, error, latencyMs, promptTokens, completionTokens, cost }]
+    async create(ownerId, prompt, results) {
+        const id = crypto.randomUUID();
+        const rows = results.map((result, index) => ({
+            comparison_id: id,
+            result_index: index,
+            provider: result.provider,
+            model: result.model,
+            response: result.response ?? null,
+            error: result.error ?? null,
+            latency_ms: result.latencyMs ?? null,
+            prompt_tokens: result.promptTokens ?? null,
+            completion_tokens: result.completionTokens ?? null,
+            cost: result.cost ?? null,
+        }));
+
+        if (this.memory) {
+            this.memory.comparisons.push({ comparison_id: id, owner_id: ownerId, prompt, winner_index: null, created_at: new Date() });
+            this.memory.results.push(...rows);
+            return { id };
+        }
+
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.beginTransaction();
+            await connection.execute(
+                'INSERT INTO comparisons (comparison_id, owner_id, prompt) VALUES (?, ?, ?)',
+                [id, ownerId, prompt]
+            );
+            for (const row of rows) {
+                await connection.execute(
+                    `INSERT INTO comparison_results
+                        (comparison_id, result_index, provider, model, response, error, latency_ms, prompt_tokens, completion_tokens, cost)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [id, row.result_index, row.provider, row.model, row.response, row.error, row.latency_ms,
+                        row.prompt_tokens, row.completion_tokens, row.cost]
+                );
+            }
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
+        }
+        return { id };
+    }
+
+    // Records the winning column; a later vote replaces an earlier one.
+    // Resolves to false when the comparison does not exist for this owner.
+    async vote(id, ownerId, index) {
+        if (this.memory) {
+            const comparison = this.memory.comparisons.find(c => c.comparison_id === id && c.owner_id === ownerId);
+            if (!comparison) return false;
+            comparison.winner_index = index;
+            return true;
+        }
+
+        const [result] = await this.dbPool.execute(
+            'UPDATE comparisons SET winner_index = ?, voted_at = CURRENT_TIMESTAMP WHERE comparison_id = ? AND owner_id <=> ?',
+            [index, id, ownerId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Number of columns in a comparison, or null when it does not exist
+    async columnCount(id) {
+        if (this.memory) {
+            const results = this.memory.results.filter(r => r.comparison_id === id);
+            return results.length || null;
+        }
+
+        const [rows] = await this.dbPool.execute(
+            'SELECT COUNT(*) AS columns_count FROM comparison_results WHERE comparison_id = ?',
+            [id]
+        );
+        return Number(rows[0].columns_count) || null;
+    }
+
+    // Per model: comparisons answered, votes cast on them, wins and win rate,
+    // average latency and cost. Failed columns are left out. Most wins first.
+    async stats() {
+        if (this.memory) {
+            const groups = new Map();
+            this.memory.results.filter(r => r.error === null).forEach(result => {
+                const comparison = this.memory.comparisons.find(c => c.comparison_id === result.comparison_id);
+                const key = `${result.provider}/${result.model}`;
+                if (!groups.has(key)) groups.set(key, { provider: result.provider, model: result.model, rows: [] });
+                groups.get(key).rows.push({ ...result, winner_index: comparison.winner_index });
+            });
+            const average = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+            return [...groups.values()]
+                .map(({ provider, model, rows }) => toStats({
+                    provider,
+                    model,
+                    comparisons: rows.length,
+                    votes: rows.filter(r => r.winner_index !== null).length,
+                    wins: rows.filter(r => r.winner_index === r.result_index).length,
+                    avg_latency_ms: average(rows.map(r => r.latency_ms).filter(v => v !== null)),
+                    avg_cost: average(rows.map(r => r.cost).filter(v => v !== null)),
+                }))
+                .sort((a, b) => b.wins - a.wins);
+        }
+
+        const [rows] = await this.dbPool.execute(
+            `SELECT r.provider, r.model, COUNT(*) AS comparisons,
+                    SUM(c.winner_index IS NOT NULL) AS votes,
+                    SUM(c.winner_index = r.result_index) AS wins,
+                    AVG(r.latency_ms) AS avg_latency_ms, AVG(r.cost) AS avg_cost
+             FROM comparison_results r JOIN comparisons c ON c.comparison_id = r.comparison_id
+             WHERE r.error IS NULL
+             GROUP BY r.provider, r.model
+             ORDER BY wins DESC`
+        );
+        return rows.map(toStats);
+    }
+}
+
+module.exports = { ComparisonStore };
@@ -0,0 +1,133 @@
+// contextWindow.js - Fits chat history into a model's context window
+//
+// The system prompt and the new user message always go in; earlier turns follow
+// newest first for as long as their token count (tokenCounter.js) fits the
+// prompt budget. With summarization on, the turns that did not fit are condensed
+// into a summary that rides along in the system prompt. A stored thread keeps
+// that summary and passes it back next time, so only the turns that have since
+// fallen out are added to it. What was left out is reported as `context` on the
+// chat answer.
+
+const { countMessageTokens } = require('./tokenCounter');
+
+// Window assumed when the catalog has no context_window for a model
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Our tokenizer only approximates non-OpenAI vocabularies
+const SAFETY_MARGIN = 0.05;
+
+// Output budget for the summary, reserved in the prompt it is added to
+const SUMMARY_MAX_TOKENS = 500;
+
+// Prompt tokens left once the answer's output budget is set aside
+function promptBudget(contextWindow, maxTokens) {
+    const window = contextWindow || DEFAULT_CONTEXT_WINDOW;
+    return Math.max(0, Math.floor(window * (1 - SAFETY_MARGIN)) - maxTokens);
+}
+
+// Index of the oldest message kept when `messages` are filled newest first into
+// `room` tokens. The kept part opens with a user turn, which Anthropic requires.
+function keepRecent(messages, room, model) {
+    let start = messages.length;
+    let used = 0;
+    while (start > 0) {
+        const cost = countMessageTokens([messages[start - 1]], model);
+        if (used + cost > room) break;
+        used += cost;
+        start--;
+    }
+    while (start < messages.length && messages[start].role !== 'user') start++;
+    return start;
+}
+
+// Request for a summary of `messages`, fitted into `budget` like any other prompt;
+// the oldest messages are left out when they do not fit. With `previous` (the
+// summary of the turns before them) the answer extends that summary.
+function summaryRequest(messages, budget, model, previous = null) {
+    const transcript = messages
+        .map(message => {
+            const speaker = message.role === 'assistant' ? 'Assistant' : 'User';
+            const images = message.images?.length ? ` [${message.images.length} image(s)]` : '';
+            return `${speaker}: ${message.content}${images}`;
+        });
+    const task = previous
+        ? 'Extend the summary of a conversation below with the turns that follow it, in a short paragraph.'
+        : 'Summarize the conversation below in a short paragraph.';
+    const instructions = [
+        `${task} Keep the facts, names, decisions and open`,
+        'questions the assistant needs to continue it; leave out pleasantries.',
+        ...(previous ? ['', `Summary so far: ${previous}`] : []),
+    ].join('\n');
+    const room = budget - countMessageTokens([{ content: instructions }], model);
+    const start = keepRecent(transcript.map(content => ({ role: 'user', content })), room, model);
+    return {
+        summarized: transcript.length - start,
+        messages: [{ role: 'user', content: `${instructions}\n\n${transcript.slice(start).join('\n\n')}` }],
+    };
+}
+
+// messages: [system?, ...history, newUserMessage], as from buildChatRequest().
+// summarize(messages, maxTokens) resolves to the summary text; pass null to only drop turns.
+// previousSummary: { text, covered }, the summary kept from an earlier turn of
+// the first `covered` history messages. Resolves to { messages, context, summary }
+// where context is { budget, promptTokens, keptMessages, droppedMessages,
+// summarizedMessages } and summary is the { text, covered } used, or null.
+// Throws an error with status 413 when the system prompt and new message alone exceed the budget.
+async function fitContext(messages, { model, budget, summarize = null, previousSummary = null }) {
+    const system = messages[0]?.role === 'system' ? messages[0] : null;
+    const current = messages[messages.length - 1];
+    const history = messages.slice(system ? 1 : 0, -1);
+
+    const fixedTokens = countMessageTokens([system, current].filter(Boolean), model);
+    if (fixedTokens > budget) {
+        const error = new Error(`The message is too long for ${model}: about ${fixedTokens} prompt tokens, ${budget} available`);
+        error.status = 413;
+        throw error;
+    }
+
+    let start = keepRecent(history, budget - fixedTokens, model);
+    let summary = null;
+
+    if (start > 0 && summarize) {
+        // Make room for the summary before choosing what stays verbatim
+        start = keepRecent(history, budget - fixedTokens - SUMMARY_MAX_TOKENS, model);
+        const previous = previousSummary && previousSummary.covered <= history.length ? previousSummary : null;
+        if (previous && start <= previous.covered) {
+            // Everything left out is in the kept summary already
+            summary = previous;
+            start = previous.covered;
+        } else {
+            // The summary's own output has to fit next to its prompt
+            const from = previous ? previous.covered : 0;
+            const request = summaryRequest(history.slice(from, start), budget - SUMMARY_MAX_TOKENS, model, previous?.text);
+            try {
+                const text = request.summarized ? (await summarize(request.messages, SUMMARY_MAX_TOKENS)).trim() : '';
+                summary = text ? { text, covered: start } : previous;
+            } catch (error) {
+                console.warn(`Could not summarize earlier turns for ${model}, dropping them instead:`, error.message);
+                summary = previous;
+            }
+        }
+    }
+
+    let systemMessage = system;
+    if (summary) {
+        const note = `Summary of the earlier conversation:\n${summary.text}`;
+        systemMessage = { role: 'system', content: system ? `${system.content}\n\n${note}` : note };
+    }
+
+    const fitted = [...(systemMessage ? [systemMessage] : []), ...history.slice(start), current];
+    return {
+        messages: fitted,
+        context: {
+            budget,
+            promptTokens: countMessageTokens(fitted, model),
+            keptMessages: history.length - start,
+            droppedMessages: start,
+            summarizedMessages: summary ? summary.covered : 0,
+        },
+        summary,
+    };
+}
+
+module.exports = { promptBudget, fitContext };
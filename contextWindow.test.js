@@ -0,0 +1,118 @@
+// contextWindow.test.js - Trimming and summarizing chat history to fit the prompt budget
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { promptBudget, fitContext } = require('./contextWindow');
+const { countMessageTokens } = require('./tokenCounter');
+
+const model = 'gpt-4';
+const filler = 'lorem ipsum dolor sit amet '.repeat(60);
+
+// [system, ...history of `turns` user/assistant messages, new user message]
+function chat(turns) {
+    const history = Array.from({ length: turns }, (_, i) => ({
+        role: i % 2 ? 'assistant' : 'user',
+        content: `Turn ${i}: ${filler}`,
+    }));
+    return [{ role: 'system', content: 'You are helpful.' }, ...history, { role: 'user', content: 'And now?' }];
+}
+
+const cost = messages => countMessageTokens(messages, model);
+const fixedCost = messages => cost([messages[0], messages[messages.length - 1]]);
+
+test('promptBudget sets aside the output budget and a safety margin', () => {
+    assert.equal(promptBudget(10000, 1000), 8500);
+    assert.equal(promptBudget(null, 1000), Math.floor(8192 * 0.95) - 1000);
+    assert.equal(promptBudget(1000, 5000), 0);
+});
+
+test('fitContext keeps the whole history when it fits', async () => {
+    const messages = chat(4);
+    const { messages: fitted, context, summary } = await fitContext(messages, { model, budget: 100000 });
+
+    assert.deepEqual(fitted, messages);
+    assert.equal(context.keptMessages, 4);
+    assert.equal(context.droppedMessages, 0);
+    assert.equal(context.promptTokens, cost(messages));
+    assert.equal(summary, null);
+});
+
+test('fitContext drops the oldest turns and opens the kept part with a user turn', async () => {
+    const messages = chat(8);
+    // Room for the last three history messages, the first of which is an assistant turn
+    const budget = fixedCost(messages) + cost(messages.slice(6, 9));
+    const { messages: fitted, context } = await fitContext(messages, { model, budget });
+
+    assert.deepEqual(fitted, [messages[0], messages[7], messages[8], messages[9]]);
+    assert.equal(context.keptMessages, 2);
+    assert.equal(context.droppedMessages, 6);
+    assert.equal(context.summarizedMessages, 0);
+    assert.ok(context.promptTokens <= budget);
+});
+
+test('fitContext rejects a message that cannot fit on its own', async () => {
+    const messages = chat(2);
+    await assert.rejects(fitContext(messages, { model, budget: fixedCost(messages) - 1 }), { status: 413, message: /too long for gpt-4/ });
+});
+
+test('fitContext summarizes the dropped turns into the system prompt', async () => {
+    const messages = chat(8);
+    const budget = fixedCost(messages) + 500 + cost(messages.slice(7, 9));
+    const requests = [];
+    const summarize = async (request, maxTokens) => {
+        requests.push({ request, maxTokens });
+        return '  They talked about lorem ipsum.  ';
+    };
+    const { messages: fitted, context, summary } = await fitContext(messages, { model, budget, summarize });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].maxTokens, 500);
+    assert.match(requests[0].request[0].content, /^Summarize the conversation below/);
+    assert.deepEqual(summary, { text: 'They talked about lorem ipsum.', covered: 6 });
+    assert.equal(fitted[0].content, 'You are helpful.\n\nSummary of the earlier conversation:\nThey talked about lorem ipsum.');
+    assert.deepEqual(fitted.slice(1), messages.slice(7));
+    assert.equal(context.summarizedMessages, 6);
+});
+
+test('fitContext drops the turns when summarizing fails', async () => {
+    const messages = chat(8);
+    const budget = fixedCost(messages) + 500 + cost(messages.slice(7, 9));
+    const summarize = async () => { throw new Error('HTTP 503'); };
+    const { messages: fitted, context, summary } = await fitContext(messages, { model, budget, summarize });
+
+    assert.equal(summary, null);
+    assert.deepEqual(fitted, [messages[0], ...messages.slice(7)]);
+    assert.equal(context.summarizedMessages, 0);
+});
+
+test('fitContext reuses a previous summary that covers every dropped turn', async () => {
+    const messages = chat(8);
+    const budget = fixedCost(messages) + 500 + cost(messages.slice(5, 9));
+    const summarize = async () => assert.fail('summarize should not be called');
+    const previousSummary = { text: 'Earlier: lorem.', covered: 6 };
+    const { messages: fitted, summary } = await fitContext(messages, { model, budget, summarize, previousSummary });
+
+    // Turns the summary covers are not repeated verbatim, even though there is room for them
+    assert.equal(summary, previousSummary);
+    assert.deepEqual(fitted.slice(1), messages.slice(7));
+    assert.match(fitted[0].content, /Earlier: lorem\.$/);
+});
+
+test('fitContext extends a previous summary with the turns that fell out since', async () => {
+    const messages = chat(8);
+    const budget = fixedCost(messages) + 500 + cost(messages.slice(7, 9));
+    let request = null;
+    const summarize = async messagesToSummarize => {
+        request = messagesToSummarize[0].content;
+        return 'Earlier: lorem, then ipsum.';
+    };
+    const { summary } = await fitContext(messages, {
+        model, budget, summarize, previousSummary: { text: 'Earlier: lorem.', covered: 2 },
+    });
+
+    assert.deepEqual(summary, { text: 'Earlier: lorem, then ipsum.', covered: 6 });
+    assert.match(request, /^Extend the summary/);
+    assert.match(request, /Summary so far: Earlier: lorem\./);
+    assert.doesNotMatch(request, /Turn 1:/);
+    assert.match(request, /Turn 5:/);
+});
@@ -0,0 +1,363 @@
+// conversationStore.js - Chat threads and their messages (MySQL, or in-memory when the DB is unavailable)
+//
+// Auth routes are not mounted in this build, so a thread belongs to whatever
+// owner id the browser sends (X-Client-Id); it only scopes listing and edits.
+// The conversation id itself is what /api/chat needs to continue a thread.
+// Threads start untitled and take their title from the first user message.
+//
+// Messages form a tree: each one points at the message it follows (parent_id,
+// null for the first), so editing a message or regenerating a reply adds a
+// sibling instead of overwriting. The conversation's leaf_message_id marks the
+// branch currently shown; messages() returns that branch root first. A thread
+// also keeps the latest summary of its earlier turns (see contextWindow.js) and
+// the last message that summary covers.
+
+const crypto = require('crypto');
+const { DbStore, addColumn } = require('./dbStore');
+
+const MAX_TITLE_LENGTH = 80;
+
+// First line of a message, shortened to a sidebar title
+function titleFrom(text) {
+    const line = String(text || '').trim().split('\n')[0].replace(/\s+/g, ' ');
+    return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1)}…` : line;
+}
+
+// DB rows -> API objects
+function toConversation(row) {
+    return {
+        id: row.conversation_id,
+        title: row.title,
+        leafId: row.leaf_message_id ?? null,
+        messageCount: Number(row.message_count || 0),
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString(),
+    };
+}
+
+function toMessage(row) {
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+        id: row.message_id,
+        parentId: row.parent_id ?? null,
+        role: row.role,
+        content: row.content,
+        images: parse(row.images) || undefined,
+        provider: row.provider || undefined,
+        model: row.model || undefined,
+        metadata: parse(row.metadata) || undefined,
+        createdAt: new Date(row.created_at).toISOString(),
+    };
+}
+
+// The branch ending at leafId, root first. Each message lists the versions at
+// its position (itself and its siblings, oldest first) as siblingIds.
+function branch(rows, leafId) {
+    const byId = new Map(rows.map(row => [row.message_id, row]));
+    const path = [];
+    for (let row = byId.get(leafId); row; row = byId.get(row.parent_id)) path.unshift(row);
+    return path.map(row => ({
+        ...toMessage(row),
+        siblingIds: rows.filter(other => (other.parent_id ?? null) === (row.parent_id ?? null)).map(other => other.message_id),
+    }));
+}
+
+// Deepest message under messageId, taking the newest reply at every step
+function latestLeaf(rows, messageId) {
+    let id = messageId;
+    for (;;) {
+        const children = rows.filter(row => row.parent_id === id);
+        if (!children.length) return id;
+        id = children[children.length - 1].message_id;
+    }
+}
+
+class ConversationStore extends DbStore {
+    constructor(authService) {
+        super(authService, 'conversations table unavailable, keeping threads in memory');
+    }
+
+    useMemory() {
+        this.memory = { conversations: [], messages: [], nextMessageId: 1 };
+    }
+
+    async migrate() {
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS conversations (
+                    conversation_id CHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(64) NULL,
+                    title VARCHAR(255) NULL,
+                    leaf_message_id INT NULL,
+                    summary MEDIUMTEXT NULL,
+                    summary_through INT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_owner_updated (owner_id, updated_at)
+                ) ENGINE=InnoDB;
+            `);
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS conversation_messages (
+                    message_id INT AUTO_INCREMENT PRIMARY KEY,
+                    conversation_id CHAR(36) NOT NULL,
+                    parent_id INT NULL,
+                    role VARCHAR(20) NOT NULL,
+                    content MEDIUMTEXT NOT NULL,
+                    images JSON NULL,
+                    provider VARCHAR(100) NULL,
+                    model VARCHAR(200) NULL,
+                    metadata JSON NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_conversation (conversation_id, message_id),
+                    FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+                ) ENGINE=InnoDB;
+            `);
+
+            // Threads stored before branching are linear: each message follows the
+            // previous one, and the last one is the leaf
+            if (await addColumn(connection, 'conversation_messages', 'parent_id INT NULL AFTER conversation_id')) {
+                await connection.query(`
+                    UPDATE conversation_messages m
+                    JOIN (SELECT a.message_id, MAX(b.message_id) AS parent_id
+                          FROM conversation_messages a
+                          JOIN conversation_messages b ON b.conversation_id = a.conversation_id AND b.message_id < a.message_id
+                          GROUP BY a.message_id) p ON p.message_id = m.message_id
+                    SET m.parent_id = p.parent_id
+                `);
+            }
+            if (await addColumn(connection, 'conversations', 'leaf_message_id INT NULL AFTER title')) {
+                await connection.query(`
+                    UPDATE conversations c SET leaf_message_id =
+                        (SELECT MAX(m.message_id) FROM conversation_messages m WHERE m.conversation_id = c.conversation_id)
+                `);
+            }
+            await addColumn(connection, 'conversations', 'summary MEDIUMTEXT NULL AFTER leaf_message_id');
+            await addColumn(connection, 'conversations', 'summary_through INT NULL AFTER summary');
+        } finally {
+            connection.release();
+        }
+    }
+
+    async create(ownerId, title = null) {
+        const row = {
+            conversation_id: crypto.randomUUID(),
+            owner_id: ownerId,
+            title: title ? titleFrom(title) : null,
+            leaf_message_id: null,
+            created_at: new Date(),
+            updated_at: new Date(),
+        };
+
+        if (this.memory) {
+            this.memory.conversations.push(row);
+        } else {
+            await this.dbPool.execute(
+                'INSERT INTO conversations (conversation_id, owner_id, title) VALUES (?, ?, ?)',
+                [row.conversation_id, row.owner_id, row.title]
+            );
+        }
+        return this.get(row.conversation_id);
+    }
+
+    // Most recently active first
+    async list(ownerId) {
+        if (this.memory) {
+            return this.memory.conversations
+                .filter(row => row.owner_id === ownerId)
+                .map(row => this.memoryConversation(row))
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        }
+
+        const [rows] = await this.dbPool.execute(
+            `SELECT c.*, COUNT(m.message_id) AS message_count
+             FROM conversations c LEFT JOIN conversation_messages m ON m.conversation_id = c.conversation_id
+             WHERE c.owner_id <=> ?
+             GROUP BY c.conversation_id
+             ORDER BY c.updated_at DESC`,
+            [ownerId]
+        );
+        return rows.map(toConversation);
+    }
+
+    // ownerId undefined: any owner (chat requests carry only the id)
+    async get(id, ownerId) {
+        if (this.memory) {
+            const row = this.memory.conversations.find(c => c.conversation_id === id
+                && (ownerId === undefined || c.owner_id === ownerId));
+            return row ? this.memoryConversation(row) : null;
+        }
+
+        const [rows] = await this.dbPool.execute(
+            `SELECT c.*, (SELECT COUNT(*) FROM conversation_messages m WHERE m.conversation_id = c.conversation_id) AS message_count
+             FROM conversations c WHERE c.conversation_id = ? ${ownerId === undefined ? '' : 'AND c.owner_id <=> ?'} LIMIT 1`,
+            ownerId === undefined ? [id] : [id, ownerId]
+        );
+        return rows[0] ? toConversation(rows[0]) : null;
+    }
+
+    // Returns the updated conversation, or null when it does not exist
+    async rename(id, ownerId, title) {
+        if (!await this.get(id, ownerId)) return null;
+
+        if (this.memory) {
+            this.memory.conversations.find(c => c.conversation_id === id).title = titleFrom(title);
+        } else {
+            await this.dbPool.execute('UPDATE conversations SET title = ? WHERE conversation_id = ?', [titleFrom(title), id]);
+        }
+        return this.get(id, ownerId);
+    }
+
+    // Resolves to false when the conversation does not exist
+    async delete(id, ownerId) {
+        if (!await this.get(id, ownerId)) return false;
+
+        if (this.memory) {
+            this.memory.conversations = this.memory.conversations.filter(c => c.conversation_id !== id);
+            this.memory.messages = this.memory.messages.filter(m => m.conversation_id !== id);
+        } else {
+            await this.dbPool.execute('DELETE FROM conversations WHERE conversation_id = ?', [id]);
+        }
+        return true;
+    }
+
+    // Every message in the thread, all branches, oldest first
+    async rows(id) {
+        if (this.memory) {
+            return this.memory.messages.filter(m => m.conversation_id === id);
+        }
+
+        const [rows] = await this.dbPool.execute(
+            'SELECT * FROM conversation_messages WHERE conversation_id = ? ORDER BY message_id',
+            [id]
+        );
+        return rows;
+    }
+
+    // The branch ending at leafId (a conversation's leafId for the branch shown),
+    // root first; empty for a null leaf
+    async messages(id, leafId) {
+        return leafId === null ? [] : branch(await this.rows(id), leafId);
+    }
+
+    // One message of the thread, or null
+    async message(id, messageId) {
+        const row = (await this.rows(id)).find(m => m.message_id === messageId);
+        return row ? toMessage(row) : null;
+    }
+
+    // messages: [{ role, content, images?, provider?, model?, metadata? }], added
+    // as a chain under parentId (null: a new first message) and made the current
+    // branch. Resolves to the stored messages; the first user message titles an
+    // untitled thread.
+    async append(id, messages, parentId) {
+        const rows = messages.map(message => ({
+            conversation_id: id,
+            role: message.role,
+            content: message.content,
+            images: message.images?.length ? message.images : null,
+            provider: message.provider || null,
+            model: message.model || null,
+            metadata: message.metadata || null,
+            created_at: new Date(),
+        }));
+        const firstUser = messages.find(message => message.role === 'user');
+        const title = firstUser ? titleFrom(firstUser.content) : null;
+
+        if (this.memory) {
+            const conversation = this.memory.conversations.find(c => c.conversation_id === id);
+            rows.forEach((row, index) => {
+                row.message_id = this.memory.nextMessageId++;
+                row.parent_id = index ? rows[index - 1].message_id : parentId;
+                this.memory.messages.push(row);
+            });
+            conversation.updated_at = new Date();
+            if (rows.length) conversation.leaf_message_id = rows[rows.length - 1].message_id;
+            if (!conversation.title) conversation.title = title;
+            return rows.map(toMessage);
+        }
+
+        // The messages and the leaf that points at them are stored together or not at all
+        const stored = [];
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.beginTransaction();
+            let parent = parentId;
+            for (const row of rows) {
+                const [result] = await connection.execute(
+                    `INSERT INTO conversation_messages (conversation_id, parent_id, role, content, images, provider, model, metadata)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [id, parent, row.role, row.content, row.images && JSON.stringify(row.images), row.provider, row.model,
+                        row.metadata && JSON.stringify(row.metadata)]
+                );
+                stored.push(toMessage({ ...row, message_id: result.insertId, parent_id: parent }));
+                parent = result.insertId;
+            }
+            await connection.execute(
+                `UPDATE conversations SET updated_at = CURRENT_TIMESTAMP, leaf_message_id = ?, title = COALESCE(title, ?)
+                 WHERE conversation_id = ?`,
+                [parent, title, id]
+            );
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
+        }
+        return stored;
+    }
+
+    // Shows the branch through messageId, continuing along the newest replies.
+    // Resolves to the new leaf id, or null when the message is not in the thread.
+    async selectBranch(id, messageId) {
+        const rows = await this.rows(id);
+        if (!rows.some(row => row.message_id === messageId)) return null;
+        const leafId = latestLeaf(rows, messageId);
+
+        if (this.memory) {
+            this.memory.conversations.find(c => c.conversation_id === id).leaf_message_id = leafId;
+        } else {
+            await this.dbPool.execute('UPDATE conversations SET leaf_message_id = ? WHERE conversation_id = ?', [leafId, id]);
+        }
+        return leafId;
+    }
+
+    // The kept summary of earlier turns, { text, throughId }, or null
+    async summary(id) {
+        let row;
+        if (this.memory) {
+            row = this.memory.conversations.find(c => c.conversation_id === id);
+        } else {
+            [[row]] = await this.dbPool.execute('SELECT summary, summary_through FROM conversations WHERE conversation_id = ?', [id]);
+        }
+        return row?.summary ? { text: row.summary, throughId: row.summary_through } : null;
+    }
+
+    // The kept summary as seen from `branch` (from messages()): { text, covered },
+    // covered being how many of the branch's first messages it summarizes, or
+    // null when there is none or it summarizes another branch
+    async branchSummary(id, branch) {
+        const kept = await this.summary(id);
+        const covered = kept ? branch.findIndex(message => message.id === kept.throughId) + 1 : 0;
+        return covered ? { text: kept.text, covered } : null;
+    }
+
+    // Replaces the kept summary; it covers the branch up to throughId
+    async saveSummary(id, text, throughId) {
+        if (this.memory) {
+            Object.assign(this.memory.conversations.find(c => c.conversation_id === id), { summary: text, summary_through: throughId });
+        } else {
+            await this.dbPool.execute('UPDATE conversations SET summary = ?, summary_through = ? WHERE conversation_id = ?', [text, throughId, id]);
+        }
+    }
+
+    memoryConversation(row) {
+        return toConversation({
+            ...row,
+            message_count: this.memory.messages.filter(m => m.conversation_id === row.conversation_id).length,
+        });
+    }
+}
+
+module.exports = { ConversationStore };
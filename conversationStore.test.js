@@ -0,0 +1,109 @@
+// conversationStore.test.js - Message trees, branch switching and the kept summary (in-memory mode)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConversationStore } = require('./conversationStore');
+
+async function memoryStore() {
+    const store = new ConversationStore({ ready: Promise.resolve(), memory: true });
+    await store.init();
+    return store;
+}
+
+const user = content => ({ role: 'user', content });
+const assistant = content => ({ role: 'assistant', content });
+const contents = messages => messages.map(message => message.content);
+
+test('append chains messages under the parent and makes them the branch shown', async () => {
+    const store = await memoryStore();
+    const { id } = await store.create('owner-a');
+    const [question, answer] = await store.append(id, [user('What is a monad?\nAsking for a friend'), assistant('A monoid...')], null);
+
+    assert.equal(question.parentId, null);
+    assert.equal(answer.parentId, question.id);
+    const conversation = await store.get(id, 'owner-a');
+    assert.equal(conversation.leafId, answer.id);
+    assert.equal(conversation.title, 'What is a monad?');
+    assert.equal(conversation.messageCount, 2);
+    assert.deepEqual(contents(await store.messages(id, conversation.leafId)), ['What is a monad?\nAsking for a friend', 'A monoid...']);
+
+    assert.equal(await store.get(id, 'owner-b'), null);
+    assert.deepEqual(await store.messages(id, null), []);
+});
+
+test('regenerating a reply adds a sibling; selectBranch switches between versions', async () => {
+    const store = await memoryStore();
+    const { id } = await store.create(null);
+    const [question, first] = await store.append(id, [user('Hi'), assistant('Hello!')], null);
+    const [followUp] = await store.append(id, [user('How are you?'), assistant('Fine.')], first.id);
+
+    // runChat stores a regenerated reply under the question it answers
+    const [second] = await store.append(id, [assistant('Hey there!')], question.id);
+    let branch = await store.messages(id, (await store.get(id)).leafId);
+    assert.deepEqual(contents(branch), ['Hi', 'Hey there!']);
+    assert.deepEqual(branch[1].siblingIds, [first.id, second.id]);
+    assert.deepEqual(branch[0].siblingIds, [question.id]);
+
+    // Back to the first version, which continues along its newest replies
+    const leafId = await store.selectBranch(id, first.id);
+    branch = await store.messages(id, leafId);
+    assert.deepEqual(contents(branch), ['Hi', 'Hello!', 'How are you?', 'Fine.']);
+    assert.equal(branch[2].id, followUp.id);
+    assert.equal((await store.get(id)).leafId, leafId);
+
+    assert.equal(await store.selectBranch(id, 999), null);
+});
+
+test('editing a message or starting over adds a sibling at that position', async () => {
+    const store = await memoryStore();
+    const { id } = await store.create(null);
+    const [first, reply] = await store.append(id, [user('Translate cat'), assistant('gato')], null);
+    const [edited] = await store.append(id, [user('Translate cat to French')], reply.id);
+    const [retold] = await store.append(id, [user('Translate dog')], null);
+
+    assert.deepEqual((await store.messages(id, edited.id)).map(message => message.siblingIds), [[first.id, retold.id], [reply.id], [edited.id]]);
+    const branch = await store.messages(id, (await store.get(id)).leafId);
+    assert.deepEqual(contents(branch), ['Translate dog']);
+    assert.deepEqual(branch[0].siblingIds, [first.id, retold.id]);
+    // The title comes from the first user message only
+    assert.equal((await store.get(id)).title, 'Translate cat');
+});
+
+test('the kept summary counts the branch messages it covers, and only on its branch', async () => {
+    const store = await memoryStore();
+    const { id } = await store.create(null);
+    const stored = await store.append(id, [user('one'), assistant('two'), user('three'), assistant('four')], null);
+
+    assert.equal(await store.summary(id), null);
+    assert.equal(await store.branchSummary(id, await store.messages(id, stored[3].id)), null);
+
+    await store.saveSummary(id, 'They counted to two.', stored[1].id);
+    assert.deepEqual(await store.summary(id), { text: 'They counted to two.', throughId: stored[1].id });
+    assert.deepEqual(await store.branchSummary(id, await store.messages(id, stored[3].id)), { text: 'They counted to two.', covered: 2 });
+
+    // Later turns on the same branch keep the count aligned with the messages it covers
+    const [five] = await store.append(id, [user('five')], stored[3].id);
+    assert.deepEqual(await store.branchSummary(id, await store.messages(id, five.id)), { text: 'They counted to two.', covered: 2 });
+
+    // A branch that forks before the summarized messages does not include them
+    const [other] = await store.append(id, [assistant('TWO')], stored[0].id);
+    assert.equal(await store.branchSummary(id, await store.messages(id, other.id)), null);
+    const [restart] = await store.append(id, [user('again')], null);
+    assert.equal(await store.branchSummary(id, await store.messages(id, restart.id)), null);
+});
+
+test('rename, list and delete are scoped to the owner', async () => {
+    const store = await memoryStore();
+    const { id } = await store.create('owner-a', 'Plans');
+    await store.create('owner-b');
+
+    assert.equal(await store.rename(id, 'owner-b', 'Mine now'), null);
+    assert.equal((await store.rename(id, 'owner-a', 'Holiday plans')).title, 'Holiday plans');
+    assert.deepEqual((await store.list('owner-a')).map(conversation => conversation.id), [id]);
+
+    await store.append(id, [user('Where to?')], null);
+    assert.equal(await store.delete(id, 'owner-b'), false);
+    assert.equal(await store.delete(id, 'owner-a'), true);
+    assert.equal(await store.get(id), null);
+    assert.deepEqual(await store.rows(id), []);
+});
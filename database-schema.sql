@@ -61,27 +61,24 @@ CREATE TABLE transformation_details (
 -- 1.3 LLM Master
 CREATE TABLE llm_master (
     llm_id INT AUTO_INCREMENT PRIMARY KEY,
-    llm_name VARCHAR(100) NOT NULL UNIQUE,
+    llm_name VARCHAR(100) NOT NULL,
     version VARCHAR(50) NOT NULL,
     provider VARCHAR(100) NOT NULL,
+    model_id VARCHAR(200) NULL, -- id sent to the provider API (e.g. Hugging Face repo id)
+    display_name VARCHAR(150) NULL,
+    is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+    capabilities JSON NULL, -- e.g. ["chat", "translation"]; NULL = everything the provider supports
+    context_window INT NULL,
+    max_output_tokens INT NULL,
     created_by VARCHAR(100) DEFAULT 'admin',
     record_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     time_stamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_llm_version (llm_name, version),
     INDEX idx_provider (provider),
     INDEX idx_llm_name (llm_name)
 );
 
--- Insert default LLM models
-INSERT INTO llm_master (llm_name, version, provider, created_by) VALUES
-('Falcon', '7B', 'HuggingFace', 'admin'),
-('Falcon', '40B', 'HuggingFace', 'admin'),
-('Mistral', '7B', 'HuggingFace', 'admin'),
-('GPT-4', 'turbo', 'OpenAI', 'admin'),
-('GPT-3.5', 'turbo', 'OpenAI', 'admin'),
-('Claude-3', 'Sonnet', 'Anthropic', 'admin'),
-('Claude-3', 'Haiku', 'Anthropic', 'admin'),
-('Deepseek', 'Chat', 'Deepseek', 'admin'),
-('Deepseek', 'Coder', 'Deepseek', 'admin');
+-- The built-in models (models.json) are added by modelCatalog.js on startup
 
 -- 1.4 User Details (Enhanced - adding to existing users table)
 CREATE TABLE user_details_extended (
@@ -181,3 +178,100 @@ CREATE TABLE user_favorites (
     UNIQUE KEY unique_user_favorite (user_id, content_type, content_id),
     INDEX idx_user_favorites (user_id, content_type)
 );
+
+-- Chat threads (created by conversationStore.js when missing)
+CREATE TABLE conversations (
+    conversation_id CHAR(36) PRIMARY KEY,
+    owner_id VARCHAR(64) NULL, -- browser id from X-Client-Id
+    title VARCHAR(255) NULL,
+    leaf_message_id INT NULL, -- last message of the branch shown
+    summary MEDIUMTEXT NULL, -- earlier turns condensed for the context window
+    summary_through INT NULL, -- last message the summary covers
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_owner_updated (owner_id, updated_at)
+);
+
+CREATE TABLE conversation_messages (
+    message_id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id CHAR(36) NOT NULL,
+    parent_id INT NULL, -- message this one follows; edits and regenerated replies are siblings
+    role VARCHAR(20) NOT NULL,
+    content MEDIUMTEXT NOT NULL,
+    images JSON NULL, -- attachment URLs
+    provider VARCHAR(100) NULL,
+    model VARCHAR(200) NULL,
+    metadata JSON NULL, -- usage, citations, cancelled, fallbackFrom, context
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE,
+    INDEX idx_conversation (conversation_id, message_id)
+);
+
+-- Translation glossaries (created by glossaryStore.js when missing)
+CREATE TABLE glossaries (
+    glossary_id CHAR(36) PRIMARY KEY,
+    owner_id VARCHAR(64) NULL, -- browser id from X-Client-Id
+    name VARCHAR(255) NOT NULL,
+    source_lang VARCHAR(10) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_owner (owner_id, name)
+);
+
+CREATE TABLE glossary_terms (
+    term_id INT AUTO_INCREMENT PRIMARY KEY,
+    glossary_id CHAR(36) NOT NULL,
+    source_term VARCHAR(500) NOT NULL,
+    translations JSON NOT NULL, -- { languageCode: required translation }
+    case_sensitive BOOLEAN DEFAULT FALSE,
+    do_not_translate BOOLEAN DEFAULT FALSE, -- kept verbatim in every language
+    note TEXT NULL,
+    FOREIGN KEY (glossary_id) REFERENCES glossaries(glossary_id) ON DELETE CASCADE,
+    INDEX idx_glossary (glossary_id, term_id)
+);
+
+-- Earlier translations reused by /api/translate (created by translationMemoryStore.js when missing)
+CREATE TABLE translation_memory (
+    entry_id INT AUTO_INCREMENT PRIMARY KEY,
+    owner_id VARCHAR(64) NOT NULL DEFAULT '', -- browser id from X-Client-Id, empty without one
+    source_hash CHAR(64) NOT NULL, -- SHA-256 of the source with whitespace collapsed
+    source_lang VARCHAR(10) NOT NULL, -- 'auto' when the model detected it
+    target_lang VARCHAR(10) NOT NULL,
+    provider VARCHAR(100) NOT NULL DEFAULT '', -- empty for imported entries
+    model VARCHAR(200) NULL,
+    source_text MEDIUMTEXT NOT NULL,
+    target_text MEDIUMTEXT NOT NULL,
+    source_words INT NOT NULL, -- narrows fuzzy match candidates by length
+    use_count INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_owner_source (owner_id, source_hash, source_lang, target_lang, provider),
+    INDEX idx_owner_pair (owner_id, target_lang, source_lang, source_words)
+);
+
+-- Side-by-side model comparisons and votes (created by comparisonStore.js when missing)
+CREATE TABLE comparisons (
+    comparison_id CHAR(36) PRIMARY KEY,
+    owner_id VARCHAR(64) NULL, -- browser id from X-Client-Id
+    prompt MEDIUMTEXT NOT NULL,
+    winner_index INT NULL, -- column voted best
+    voted_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_created (created_at)
+);
+
+CREATE TABLE comparison_results (
+    comparison_id CHAR(36) NOT NULL,
+    result_index INT NOT NULL, -- column position
+    provider VARCHAR(100) NOT NULL,
+    model VARCHAR(200) NOT NULL,
+    response MEDIUMTEXT NULL,
+    error TEXT NULL,
+    latency_ms INT NULL,
+    prompt_tokens INT NULL,
+    completion_tokens INT NULL,
+    cost DECIMAL(14, 8) NULL,
+    PRIMARY KEY (comparison_id, result_index),
+    INDEX idx_model (provider, model),
+    FOREIGN KEY (comparison_id) REFERENCES comparisons(comparison_id) ON DELETE CASCADE
+);
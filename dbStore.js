@@ -0,0 +1,47 @@
+// dbStore.js - Shared setup of the MySQL-backed stores, with their in-memory fallback
+//
+// A store waits for AuthService's connection pool and creates or migrates its
+// tables (migrate()). When there is no database, or its tables cannot be set up,
+// it keeps its data in memory for the life of the process instead (useMemory()).
+// Subclasses implement both and check this.memory in every method.
+
+// Resolves to true when the column was added, false when it already existed
+async function addColumn(connection, table, column) {
+    try {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+        return true;
+    } catch (err) {
+        if (err.code !== 'ER_DUP_FIELDNAME') throw err;
+        return false;
+    }
+}
+
+class DbStore {
+    // fallbackWarning is logged when migrate() fails, e.g. 'comparisons table
+    // unavailable, keeping comparisons in memory'
+    constructor(authService, fallbackWarning) {
+        this.authService = authService;
+        this.fallbackWarning = fallbackWarning;
+        this.dbPool = null;
+        this.memory = null; // Set when the DB is unavailable
+    }
+
+    async init() {
+        await this.authService.ready;
+
+        if (this.authService.memory) {
+            this.useMemory();
+            return;
+        }
+
+        this.dbPool = this.authService.dbPool;
+        try {
+            await this.migrate();
+        } catch (err) {
+            console.warn(`⚠️ ${this.fallbackWarning}:`, err.message);
+            this.useMemory();
+        }
+    }
+}
+
+module.exports = { DbStore, addColumn };
@@ -0,0 +1,53 @@
+// dbStore.test.js - Store setup against the database, and the fall back to memory
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DbStore, addColumn } = require('./dbStore');
+
+class TestStore extends DbStore {
+    constructor(authService, migrate) {
+        super(authService, 'test table unavailable, keeping tests in memory');
+        this.migrate = migrate;
+    }
+
+    useMemory() {
+        this.memory = { rows: [] };
+    }
+}
+
+test('init keeps data in memory when there is no database', async () => {
+    const store = new TestStore({ ready: Promise.resolve(), memory: {} }, async () => assert.fail('no migration without a database'));
+    await store.init();
+    assert.deepEqual(store.memory, { rows: [] });
+    assert.equal(store.dbPool, null);
+});
+
+test('init migrates with the auth pool, and falls back to memory when that fails', async (t) => {
+    const dbPool = {};
+    const ready = new TestStore({ ready: Promise.resolve(), memory: null, dbPool }, async () => {});
+    await ready.init();
+    assert.equal(ready.dbPool, dbPool);
+    assert.equal(ready.memory, null);
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    const failing = new TestStore({ ready: Promise.resolve(), memory: null, dbPool }, async () => { throw new Error('access denied'); });
+    await failing.init();
+    assert.deepEqual(failing.memory, { rows: [] });
+    assert.deepEqual(warn.mock.calls[0].arguments, ['⚠️ test table unavailable, keeping tests in memory:', 'access denied']);
+});
+
+test('addColumn reports whether the column was added', async () => {
+    const queries = [];
+    const connection = {
+        query: async sql => {
+            queries.push(sql);
+            if (sql.includes('existing')) throw Object.assign(new Error('Duplicate column'), { code: 'ER_DUP_FIELDNAME' });
+            if (sql.includes('broken')) throw Object.assign(new Error('No such table'), { code: 'ER_NO_SUCH_TABLE' });
+        },
+    };
+
+    assert.equal(await addColumn(connection, 'things', 'fresh INT NULL'), true);
+    assert.equal(queries[0], 'ALTER TABLE things ADD COLUMN fresh INT NULL');
+    assert.equal(await addColumn(connection, 'things', 'existing INT NULL'), false);
+    await assert.rejects(addColumn(connection, 'things', 'broken INT NULL'), { code: 'ER_NO_SUCH_TABLE' });
+});
@@ -0,0 +1,286 @@
+// designSpec.js - Design specs for /api/create-design and their local HTML/SVG export
+//
+// A design is built in two steps. The content outline
+//   { title, subtitle, sections: [{ heading, points: [...] }] }
+// comes from a chat model or is derived from the prompt itself; layoutDesign()
+// then places it on pages of the requested type. Element coordinates are in
+// pixels of the page size:
+//   { kind: 'rect', x, y, width, height, fill }
+//   { kind: 'text', role, text, x, y, width, fontSize, color, align }
+// The same spec is rendered to SVG (one file per page) and an HTML document, and
+// the first page is what gets uploaded to Canva.
+
+const DESIGN_TYPES = {
+    presentation: { width: 1920, height: 1080, maxSections: 8, maxPoints: 5 },
+    poster: { width: 1800, height: 2400, maxSections: 3, maxPoints: 4 },
+    'social-post': { width: 1080, height: 1080, maxSections: 1, maxPoints: 3 },
+};
+
+const THEME = {
+    background: '#ffffff',
+    foreground: '#1f2937',
+    muted: '#6b7280',
+    accent: '#4f46e5',
+    accentText: '#ffffff',
+    font: 'Helvetica, Arial, sans-serif',
+};
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_POINT_LENGTH = 200;
+
+// ----- Outline -----
+
+const cleanText = (value, maxLength) => String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+
+// Validates an outline from a model or request; returns null when unusable
+function normalizeOutline(raw, type) {
+    const limits = DESIGN_TYPES[type];
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.sections)) return null;
+
+    const sections = raw.sections
+        .map(section => ({
+            heading: cleanText(section?.heading, MAX_TITLE_LENGTH),
+            points: (Array.isArray(section?.points) ? section.points : [])
+                .map(point => cleanText(point, MAX_POINT_LENGTH))
+                .filter(Boolean)
+                .slice(0, limits.maxPoints),
+        }))
+        .filter(section => section.heading || section.points.length)
+        .slice(0, limits.maxSections);
+
+    const title = cleanText(raw.title, MAX_TITLE_LENGTH);
+    if (!title && sections.length === 0) return null;
+
+    return {
+        title: title || sections[0].heading,
+        subtitle: cleanText(raw.subtitle, MAX_POINT_LENGTH) || null,
+        sections,
+    };
+}
+
+// Outline without a model: "Heading: a, b, c" lines become sections, any other
+// line or sentence is a point. `elements` (strings or { text }) replace the
+// points found in the prompt.
+function outlineFromPrompt({ type, title, prompt = '', elements = [] }) {
+    const sections = [];
+    const loose = [];
+
+    const lines = prompt.split('\n').map(line => line.trim()).filter(Boolean);
+    lines.forEach(line => {
+        const match = line.match(/^([^:]{1,60}):\s*(.+)$/);
+        if (match && lines.length > 1) {
+            sections.push({ heading: match[1], points: match[2].split(/[,;]\s*/) });
+        } else {
+            loose.push(...line.split(/(?<=[.!?])\s+/));
+        }
+    });
+
+    let points = elements.length
+        ? elements.map(element => (typeof element === 'string' ? element : element?.text))
+        : loose;
+    points = points.map(point => cleanText(point, MAX_POINT_LENGTH).replace(/[.]$/, '')).filter(Boolean);
+
+    // Without an explicit title the first sentence becomes the title
+    const heading = cleanText(title, MAX_TITLE_LENGTH) || points.shift() || sections[0]?.heading || 'Untitled design';
+
+    const { maxPoints } = DESIGN_TYPES[type];
+    for (let index = 0; index < points.length; index += maxPoints) {
+        sections.splice(index / maxPoints, 0, {
+            heading: index === 0 ? 'Overview' : 'Overview (continued)',
+            points: points.slice(index, index + maxPoints),
+        });
+    }
+
+    return normalizeOutline({ title: heading, sections }, type);
+}
+
+// Chat prompt asking a model for the outline as JSON
+function outlinePrompt({ type, title, prompt }) {
+    const { maxSections, maxPoints } = DESIGN_TYPES[type];
+    return [
+        `Write the content for a ${type.replace('-', ' ')}${title ? ` titled "${title}"` : ''} based on this request:`,
+        '',
+        prompt,
+        '',
+        'Respond with JSON only, no commentary, in this shape:',
+        '{"title": "...", "subtitle": "...", "sections": [{"heading": "...", "points": ["..."]}]}',
+        `Use at most ${maxSections} section(s) with at most ${maxPoints} short points each (under 15 words per point).`,
+    ].join('\n');
+}
+
+// Parses the first JSON object in a model answer into an outline, or null
+function parseOutline(text, type) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return normalizeOutline(JSON.parse(text.slice(start, end + 1)), type);
+    } catch (e) {
+        return null;
+    }
+}
+
+// ----- Layout -----
+
+const text = (role, value, x, y, width, fontSize, color = THEME.foreground, align = 'start') => ({
+    kind: 'text', role, text: value, x, y, width, fontSize, color, align,
+});
+const rect = (x, y, width, height, fill) => ({ kind: 'rect', x, y, width, height, fill });
+
+function bulletList(points, x, y, width, fontSize) {
+    return points.map((point, index) => text('body', `• ${point}`, x, y + index * fontSize * 2.2, width, fontSize));
+}
+
+function presentationPages(outline, { width, height }) {
+    const pages = [{
+        elements: [
+            rect(0, 0, width, height, THEME.accent),
+            text('title', outline.title, 160, height * 0.42, width - 320, 96, THEME.accentText),
+            ...(outline.subtitle ? [text('subtitle', outline.subtitle, 160, height * 0.42 + 140, width - 320, 44, THEME.accentText)] : []),
+        ],
+    }];
+
+    outline.sections.forEach(section => {
+        pages.push({
+            elements: [
+                rect(0, 0, width, 24, THEME.accent),
+                text('heading', section.heading, 120, 180, width - 240, 64),
+                ...bulletList(section.points, 120, 340, width - 240, 40),
+            ],
+        });
+    });
+    return pages;
+}
+
+function posterPages(outline, { width, height }) {
+    const elements = [
+        rect(0, 0, width, height * 0.3, THEME.accent),
+        text('title', outline.title, 120, 300, width - 240, 128, THEME.accentText),
+    ];
+    if (outline.subtitle) {
+        elements.push(text('subtitle', outline.subtitle, 120, height * 0.3 + 160, width - 240, 56, THEME.muted));
+    }
+
+    let y = height * 0.3 + (outline.subtitle ? 360 : 200);
+    outline.sections.forEach(section => {
+        elements.push(text('heading', section.heading, 120, y, width - 240, 72, THEME.accent));
+        elements.push(...bulletList(section.points, 120, y + 130, width - 240, 48));
+        y += 130 + section.points.length * 48 * 2.2 + 80;
+    });
+    return [{ elements }];
+}
+
+function socialPostPages(outline, { width, height }) {
+    const points = outline.sections[0]?.points || [];
+    return [{
+        elements: [
+            rect(0, 0, width, height, THEME.accent),
+            rect(60, 60, width - 120, height - 120, THEME.background),
+            text('title', outline.title, width / 2, 320, width - 240, 72, THEME.foreground, 'middle'),
+            ...(outline.subtitle ? [text('subtitle', outline.subtitle, width / 2, 480, width - 240, 36, THEME.muted, 'middle')] : []),
+            ...points.map((point, index) => text('body', point, width / 2, 620 + index * 90, width - 240, 36, THEME.foreground, 'middle')),
+        ],
+    }];
+}
+
+const LAYOUTS = {
+    presentation: presentationPages,
+    poster: posterPages,
+    'social-post': socialPostPages,
+};
+
+function layoutDesign(type, outline) {
+    const { width, height } = DESIGN_TYPES[type];
+    return {
+        type,
+        title: outline.title,
+        width,
+        height,
+        theme: THEME,
+        outline,
+        pages: LAYOUTS[type](outline, { width, height }),
+    };
+}
+
+// ----- Rendering -----
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// SVG has no text wrapping; lines are broken on an average glyph width
+function wrapText(value, width, fontSize) {
+    const maxChars = Math.max(8, Math.floor(width / (fontSize * 0.55)));
+    const lines = [];
+    let line = '';
+    value.split(' ').forEach(word => {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+function renderElement(element, theme) {
+    if (element.kind === 'rect') {
+        return `<rect x="${element.x}" y="${element.y}" width="${element.width}" height="${element.height}" fill="${escapeXml(element.fill)}"/>`;
+    }
+
+    const weight = ['title', 'heading'].includes(element.role) ? 'bold' : 'normal';
+    const lines = wrapText(element.text, element.width, element.fontSize)
+        .map((line, index) => `<tspan x="${element.x}" dy="${index === 0 ? 0 : element.fontSize * 1.25}">${escapeXml(line)}</tspan>`)
+        .join('');
+    return `<text x="${element.x}" y="${element.y}" font-family="${escapeXml(theme.font)}" font-size="${element.fontSize}" `
+        + `font-weight="${weight}" fill="${escapeXml(element.color)}" text-anchor="${element.align}">${lines}</text>`;
+}
+
+function renderPageSvg(spec, pageIndex) {
+    const page = spec.pages[pageIndex];
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${spec.width}" height="${spec.height}" viewBox="0 0 ${spec.width} ${spec.height}">`,
+        `<rect width="100%" height="100%" fill="${escapeXml(spec.theme.background)}"/>`,
+        ...page.elements.map(element => renderElement(element, spec.theme)),
+        '</svg>',
+    ].join('\n');
+}
+
+// Standalone document with every page inline, scaled to the window width
+function renderHtml(spec) {
+    const pages = spec.pages
+        .map((page, index) => `<section class="page">${renderPageSvg(spec, index)}</section>`)
+        .join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(spec.title)}</title>
+<style>
+body { margin: 0; padding: 24px; background: #e5e7eb; font-family: ${spec.theme.font}; }
+.page { max-width: 960px; margin: 0 auto 24px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); }
+.page svg { display: block; width: 100%; height: auto; }
+</style>
+</head>
+<body>
+${pages}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    DESIGN_TYPES,
+    outlineFromPrompt,
+    outlinePrompt,
+    parseOutline,
+    layoutDesign,
+    renderPageSvg,
+    renderHtml,
+};
@@ -0,0 +1,521 @@
+// documentFormats.js - Translatable text of structured files, and writing it back
+//
+// Each format reader lists the file's translatable strings ("units") in document
+// order and rebuilds the file from their translations; everything else (keys,
+// msgids, timecodes, code blocks, tags) is copied through untouched. Inside a
+// unit, placeholders ({name}, %s, ...), tags and other markup are swapped for
+// numbered markers like ⟦1⟧ before translation and put back afterwards. A
+// translation that loses a marker keeps the source text and is reported.
+
+const path = require('path');
+
+// ⟦n⟧ markers stand in for protected text while it is translated
+const marker = n => `⟦${n}⟧`;
+const MARKER_PATTERN = /⟦(\d+)⟧/g;
+
+// Interpolation placeholders: {{name}}, {name}, {0}, %(name)s, %1$s, %.2f, %@
+const PLACEHOLDER = String.raw`\{\{\s*[\w.$-]+\s*\}\}|\{[\w.$-]+\}|%\([\w.-]+\)[sdifr]|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?[sdifuxXeEgGcp@]`;
+// Inline code kept whole, then comments, tags and entities
+const TAG = String.raw`<code\b[^>]*>[\s\S]*?<\/code>|<!--[\s\S]*?-->|<\/?[A-Za-z][^>]*>`;
+const ENTITY = String.raw`&(?:[A-Za-z][A-Za-z0-9]*|#\d+|#x[0-9A-Fa-f]+);`;
+// Markdown: inline code, link targets and bare URLs
+const MARKDOWN = String.raw`\x60+[^\x60]+\x60+|\]\([^)]*\)|\]\[[^\]]*\]|https?:\/\/[^\s)>\]]+`;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntity(entity) {
+    const name = entity.slice(1, -1);
+    if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : null;
+    }
+    return NAMED_ENTITIES[name] ?? null;
+}
+
+const escapeMarkup = (text, attribute = false) => {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return attribute ? escaped.replace(/"/g, '&quot;') : escaped;
+};
+
+// Modes by what a unit may contain:
+//   text:     placeholders only
+//   tags:     placeholders and tags, no character escaping (JSON, .po, SRT)
+//   markup:   tags and entities; plain text is escaped again on the way out (HTML, XLIFF, WebVTT)
+//   markdown: tags, inline code, link targets and URLs
+//   attribute: markup inside a quoted attribute value
+function maskPattern(mode) {
+    const parts = [PLACEHOLDER];
+    if (mode !== 'text') parts.unshift(TAG);
+    if (mode === 'markdown') parts.unshift(MARKDOWN);
+    if (mode === 'markup' || mode === 'attribute') parts.push(ENTITY);
+    return new RegExp(parts.join('|'), 'g');
+}
+
+const escapes = mode => mode === 'markup' || mode === 'attribute';
+
+// Unit text with protected parts replaced by markers: { text, tokens }
+function protect(raw, mode) {
+    const tokens = [];
+    const text = raw.replace(maskPattern(mode), match => {
+        if (escapes(mode) && match[0] === '&') {
+            const decoded = decodeEntity(match);
+            if (decoded !== null) return decoded;
+        }
+        tokens.push(match);
+        return marker(tokens.length);
+    });
+    return { text, tokens };
+}
+
+// Puts the protected parts back; throws when the translation lost or invented a marker
+function restore(translated, tokens, mode) {
+    const text = escapes(mode) ? escapeMarkup(translated, mode === 'attribute') : translated;
+    const seen = new Set();
+    const restored = text.replace(MARKER_PATTERN, (match, n) => {
+        const token = tokens[Number(n) - 1];
+        if (token === undefined) throw new Error(`The translation added an unknown placeholder ${match}`);
+        seen.add(Number(n));
+        return token;
+    });
+    const lost = tokens.find((token, index) => !seen.has(index + 1));
+    if (lost !== undefined) throw new Error(`The translation lost ${lost}`);
+    return restored;
+}
+
+const lineEnding = content => (content.includes('\r\n') ? '\r\n' : '\n');
+
+// ----- JSON i18n bundles: every string value, keys untouched -----
+
+const json = {
+    read(content) {
+        const data = JSON.parse(content);
+        const units = [];
+        const walk = (value, keys) => {
+            if (typeof value === 'string') {
+                units.push({ id: keys.join('.'), raw: value, mode: 'tags' });
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => walk(child, [...keys, key]));
+            }
+        };
+        walk(data, []);
+
+        const indent = /\n([ \t]+)\S/.exec(content)?.[1] ?? (content.includes('\n') ? 2 : 0);
+        return {
+            units,
+            build(values) {
+                let next = 0;
+                const replace = value => {
+                    if (typeof value === 'string') return values[next++];
+                    if (Array.isArray(value)) return value.map(replace);
+                    if (value && typeof value === 'object') {
+                        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, replace(child)]));
+                    }
+                    return value;
+                };
+                const text = JSON.stringify(replace(data), null, indent);
+                return /\n\s*$/.test(content) ? `${text}${lineEnding(content)}` : text;
+            },
+        };
+    },
+};
+
+// ----- gettext .po: msgid (and msgid_plural) into msgstr; comments and msgids kept as written -----
+
+const PO_FIELD = /^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+"(.*)"\s*$/;
+const PO_CONTINUATION = /^"(.*)"\s*$/;
+
+const decodePo = value => value.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+const encodePo = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+
+// msgstr lines: one line, or the multi-line form gettext uses for text with inner line breaks
+function poString(keyword, value) {
+    const pieces = value.split(/(?<=\n)/);
+    if (pieces.length === 1) return [`${keyword} "${encodePo(value)}"`];
+    return [`${keyword} ""`, ...pieces.map(piece => `"${encodePo(piece)}"`)];
+}
+
+const po = {
+    read(content) {
+        const eol = lineEnding(content);
+        const items = []; // raw lines and entries, in file order
+        let entry = null;
+        let field = null;
+
+        content.split(/\r?\n/).forEach(line => {
+            const fieldMatch = PO_FIELD.exec(line);
+            const continuation = field && PO_CONTINUATION.exec(line);
+            if (continuation) {
+                field.value += decodePo(continuation[1]);
+                field.lines.push(line);
+                return;
+            }
+            if (!fieldMatch) {
+                field = null;
+                items.push(line);
+                return;
+            }
+
+            const [, keyword, value] = fieldMatch;
+            const startsEntry = !entry || keyword === 'msgctxt' || (keyword === 'msgid' && 'msgid' in entry.fields);
+            if (startsEntry) {
+                entry = { fields: {}, order: [] };
+                items.push(entry);
+            }
+            field = { value: decodePo(value), lines: [line] };
+            entry.fields[keyword] = field;
+            entry.order.push(keyword);
+        });
+
+        const units = [];
+        const entries = items.filter(item => typeof item !== 'string');
+        entries.forEach(current => {
+            const msgid = current.fields.msgid?.value;
+            if (!msgid) return; // The header entry, or a stray msgstr
+            const context = current.fields.msgctxt ? `${current.fields.msgctxt.value}|` : '';
+            current.unit = units.push({ id: `${context}${msgid}`, raw: msgid, mode: 'tags' }) - 1;
+            if (current.fields.msgid_plural) {
+                current.pluralUnit = units.push({ id: `${context}${current.fields.msgid_plural.value}`, raw: current.fields.msgid_plural.value, mode: 'tags' }) - 1;
+            }
+        });
+
+        return {
+            units,
+            build(values, targetLang) {
+                const lines = items.flatMap(item => {
+                    if (typeof item === 'string') return [item];
+                    return item.order.flatMap(keyword => {
+                        const { value, lines: original } = item.fields[keyword];
+                        if (!keyword.startsWith('msgstr')) return original;
+                        if (item.unit === undefined) {
+                            // Header: only its Language line changes
+                            return poString(keyword, value.replace(/^Language:.*$/m, `Language: ${targetLang}`));
+                        }
+                        const plural = keyword !== 'msgstr' && keyword !== 'msgstr[0]' && item.pluralUnit !== undefined;
+                        return poString(keyword, values[plural ? item.pluralUnit : item.unit]);
+                    });
+                });
+                return lines.join(eol);
+            },
+        };
+    },
+};
+
+// ----- XLIFF 1.2 and 2.0: each <source> gets a <target> next to it -----
+
+// Opening tag with one attribute set or added
+function withAttribute(tag, name, value) {
+    const attribute = new RegExp(`(\\s${name}\\s*=\\s*)(["'])[^"']*\\2`);
+    if (attribute.test(tag)) return tag.replace(attribute, `$1"${value}"`);
+    return tag.replace(/\s*(\/?>)$/, ` ${name}="${value}"$1`);
+}
+
+const bcp47 = code => code.replace(/-([a-z]{2})$/, (match, region) => `-${region.toUpperCase()}`);
+
+const xliff = {
+    read(content) {
+        const UNIT = /<(trans-unit|segment)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+        const SOURCE = /(^|\n)([ \t]*)<source\b[^>]*>([\s\S]*?)<\/source>/;
+        const units = [];
+        for (const match of content.matchAll(UNIT)) {
+            const source = SOURCE.exec(match[3]);
+            if (source) units.push({ id: /\bid\s*=\s*["']([^"']*)/.exec(match[2])?.[1] ?? String(units.length + 1), raw: source[3], mode: 'markup' });
+        }
+
+        return {
+            units,
+            build(values, targetLang) {
+                let next = 0;
+                let text = content.replace(UNIT, (whole, name, attributes, body) => {
+                    const source = SOURCE.exec(body);
+                    if (!source) return whole;
+                    const value = values[next++];
+                    const target = /<target\b([^>]*?)\s*(?:\/>|>[\s\S]*?<\/target>)/;
+                    const updated = target.test(body)
+                        ? body.replace(target, (match, targetAttributes) => `<target${targetAttributes}>${value}</target>`)
+                        : body.replace(source[0], `${source[0]}${source[1] || '\n'}${source[2]}<target>${value}</target>`);
+                    return `<${name}${attributes}>${updated}</${name}>`;
+                });
+
+                // Version 1.2 names the language on <file>, 2.0 on <xliff>
+                const language = bcp47(targetLang);
+                text = /<trans-unit\b/.test(content)
+                    ? text.replace(/<file\b[^>]*>/g, tag => withAttribute(tag, 'target-language', language))
+                    : text.replace(/<xliff\b[^>]*>/, tag => withAttribute(tag, 'trgLang', language));
+                return text;
+            },
+        };
+    },
+};
+
+// ----- SRT and WebVTT subtitles: cue text only; numbers, timecodes and settings kept -----
+
+function subtitles(mode) {
+    return {
+        read(content) {
+            const eol = lineEnding(content);
+            const blocks = content.split(/\r?\n(?:[ \t]*\r?\n)+/);
+            const units = [];
+            const cues = blocks.map(block => {
+                const lines = block.split(/\r?\n/);
+                const timing = lines.findIndex(line => line.includes('-->'));
+                // WEBVTT header, NOTE, STYLE and REGION blocks have no timing line
+                if (timing === -1 || timing === lines.length - 1) return { lines };
+                const unit = units.push({ id: lines[timing].trim(), raw: lines.slice(timing + 1).join('\n'), mode }) - 1;
+                return { lines: lines.slice(0, timing + 1), unit };
+            });
+
+            return {
+                units,
+                build(values) {
+                    return cues
+                        .map(cue => [...cue.lines, ...(cue.unit === undefined ? [] : values[cue.unit].split('\n'))].join(eol))
+                        .join(`${eol}${eol}`);
+                },
+            };
+        },
+    };
+}
+
+// ----- Markdown: headings, paragraphs, list items, quotes and table cells -----
+// Code (fenced or indented), front matter, rules, link definitions and HTML comments are kept.
+
+const MD_PREFIX = /^(\s*(?:>\s?)*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)?)(.*)$/;
+const MD_KEEP = [
+    /^\s*([-*_])(\s*\1){2,}\s*$/, // Thematic break (also setext underline)
+    /^\s*=+\s*$/, // Setext underline
+    /^\s*\[[^\]]+\]:\s*\S/, // Link reference definition
+    /^\s*<!--.*-->\s*$/, // One-line HTML comment
+    /^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*\|?\s*$/, // Table delimiter row
+];
+
+const markdown = {
+    read(content) {
+        const eol = lineEnding(content);
+        const lines = content.split(/\r?\n/);
+        const units = [];
+        const parts = []; // Strings are copied; { prefix, unit } lines are translated
+
+        let index = 0;
+        const addUnit = (raw, line = index) => units.push({ id: `line ${line + 1}`, raw, mode: 'markdown' }) - 1;
+        if (lines[0] === '---') {
+            const end = lines.indexOf('---', 1);
+            if (end > 0) {
+                parts.push(...lines.slice(0, end + 1));
+                index = end + 1;
+            }
+        }
+
+        let fence = null;
+        let previousBlank = true;
+        let inList = false;
+        const isPlain = line => line.trim() && !MD_KEEP.some(pattern => pattern.test(line))
+            && !/^\s*(```|~~~)/.test(line) && !line.trim().startsWith('|') && MD_PREFIX.exec(line)[1].trim() === '';
+
+        while (index < lines.length) {
+            const line = lines[index];
+            const blank = !line.trim();
+
+            if (fence) {
+                if (line.trim().startsWith(fence)) fence = null;
+                parts.push(line);
+            } else if (/^\s*(```+|~~~+)/.test(line)) {
+                fence = /^\s*(```+|~~~+)/.exec(line)[1];
+                parts.push(line);
+            } else if (blank || MD_KEEP.some(pattern => pattern.test(line))
+                || (previousBlank && !inList && /^( {4}|\t)/.test(line))) {
+                parts.push(line);
+            } else if (line.trim().startsWith('|')) {
+                // Table row: each cell on its own, pipes and padding kept
+                const cells = line.split(/(?<!\\)\|/);
+                parts.push({
+                    cells: cells.map((cell, position) => {
+                        const [, lead, text, trail] = /^(\s*)(.*?)(\s*)$/.exec(cell);
+                        const edge = position === 0 || position === cells.length - 1;
+                        return text && !edge ? { lead, unit: addUnit(text), trail } : cell;
+                    }),
+                });
+            } else {
+                const [, prefix, text] = MD_PREFIX.exec(line);
+                if (prefix.trim()) {
+                    parts.push({ prefix, unit: addUnit(text) });
+                } else {
+                    // Paragraph: its lines go out together so sentences stay whole
+                    const start = index;
+                    const paragraph = [line];
+                    while (index + 1 < lines.length && isPlain(lines[index + 1])) paragraph.push(lines[++index]);
+                    const indent = /^\s*/.exec(line)[0];
+                    parts.push({ prefix: indent, unit: addUnit(paragraph.map(text => text.trim()).join('\n'), start) });
+                }
+            }
+            // Indented lines after a list item continue it rather than start a code block
+            if (!blank && !fence) inList = /^\s*([-*+]|\d+[.)])\s/.test(line) || (inList && /^\s/.test(line));
+            previousBlank = blank;
+            index++;
+        }
+
+        return {
+            units,
+            build(values) {
+                return parts.map(part => {
+                    if (typeof part === 'string') return part;
+                    if (part.cells) {
+                        return part.cells.map(cell => (typeof cell === 'string' ? cell : `${cell.lead}${values[cell.unit]}${cell.trail}`)).join('|');
+                    }
+                    return `${part.prefix}${values[part.unit]}`;
+                }).join(eol);
+            },
+        };
+    },
+};
+
+// ----- HTML: text runs between block-level tags, plus alt/title/placeholder/aria-label -----
+
+const HTML_TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<\/?([A-Za-z][\w:-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*>/g;
+const INLINE_TAGS = new Set(['a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i', 'img', 'ins', 'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr']);
+const SKIPPED_TAGS = new Set(['script', 'style', 'pre', 'svg', 'math', 'template', 'textarea']);
+const HTML_ATTRIBUTES = /(\s(?:alt|title|placeholder|aria-label)\s*=\s*)"([^"]*)"/gi;
+
+const html = {
+    read(content) {
+        const units = [];
+        const parts = []; // Strings are copied; numbers are unit indexes
+        const attributeUnits = new Map(); // "tag\0attribute value" -> unit index
+
+        let run = '';
+        const flush = () => {
+            if (/[\p{L}\p{N}]/u.test(run.replace(new RegExp(TAG, 'g'), ''))) {
+                parts.push(units.push({ id: `text ${units.length + 1}`, raw: run, mode: 'markup' }) - 1);
+            } else if (run) {
+                parts.push(run);
+            }
+            run = '';
+        };
+        const collectAttributes = tag => {
+            for (const [, , value] of tag.matchAll(HTML_ATTRIBUTES)) {
+                const key = `${tag}\0${value}`;
+                if (value.trim() && !attributeUnits.has(key)) {
+                    attributeUnits.set(key, units.push({ id: `attribute ${units.length + 1}`, raw: value, mode: 'attribute' }) - 1);
+                }
+            }
+        };
+
+        let skipping = null;
+        let position = 0;
+        for (const match of content.matchAll(HTML_TOKEN)) {
+            if (match.index < position) continue; // Inside inline code already taken whole
+            const text = content.slice(position, match.index);
+            position = match.index + match[0].length;
+            const tag = match[0];
+            const name = match[1]?.toLowerCase();
+
+            if (skipping) {
+                parts.push(text, tag);
+                if (name === skipping && tag.startsWith('</')) skipping = null;
+                continue;
+            }
+            run += text;
+            if (name) collectAttributes(tag);
+
+            if (name && INLINE_TAGS.has(name)) {
+                run += tag;
+                // Inline code goes into the run whole, so its text is not translated
+                if (name === 'code' && !tag.startsWith('</')) {
+                    const end = content.indexOf('</code>', position);
+                    if (end !== -1) {
+                        run += content.slice(position, end + '</code>'.length);
+                        position = end + '</code>'.length;
+                    }
+                }
+                continue;
+            }
+            flush();
+            parts.push(tag);
+            if (name && SKIPPED_TAGS.has(name) && !tag.startsWith('</') && !tag.endsWith('/>')) skipping = name;
+        }
+        run += content.slice(position);
+        flush();
+
+        return {
+            units,
+            build(values, targetLang) {
+                return parts
+                    .map(part => (typeof part === 'number' ? values[part] : part))
+                    .join('')
+                    .replace(HTML_TOKEN, tag => {
+                        let updated = tag.replace(HTML_ATTRIBUTES, (attribute, prefix, value) => {
+                            const unit = attributeUnits.get(`${tag}\0${value}`);
+                            return unit === undefined ? attribute : `${prefix}"${values[unit]}"`;
+                        });
+                        if (/^<html\b/i.test(updated) && /\slang\s*=/i.test(updated)) updated = withAttribute(updated, 'lang', targetLang);
+                        return updated;
+                    });
+            },
+        };
+    },
+};
+
+// id -> { reader, extensions, mimeType }
+const DOCUMENT_FORMATS = {
+    json: { reader: json, extensions: ['.json'], mimeType: 'application/json' },
+    po: { reader: po, extensions: ['.po', '.pot'], mimeType: 'text/x-gettext-translation' },
+    xliff: { reader: xliff, extensions: ['.xlf', '.xliff'], mimeType: 'application/xliff+xml' },
+    srt: { reader: subtitles('tags'), extensions: ['.srt'], mimeType: 'application/x-subrip' },
+    vtt: { reader: subtitles('markup'), extensions: ['.vtt'], mimeType: 'text/vtt' },
+    markdown: { reader: markdown, extensions: ['.md', '.markdown'], mimeType: 'text/markdown' },
+    html: { reader: html, extensions: ['.html', '.htm'], mimeType: 'text/html' },
+};
+
+// Format id from an explicit format or a file name's extension, or null
+function documentFormat(formatOrFileName = '') {
+    if (DOCUMENT_FORMATS[formatOrFileName]) return formatOrFileName;
+    const extension = path.extname(formatOrFileName).toLowerCase();
+    return Object.keys(DOCUMENT_FORMATS).find(id => DOCUMENT_FORMATS[id].extensions.includes(extension)) || null;
+}
+
+// "messages.json" -> "messages.fr.json"; a .pot template becomes a .po file
+function translatedFileName(fileName, format, targetLang) {
+    const extension = path.extname(fileName);
+    const base = path.basename(fileName, extension) || 'document';
+    const outExtension = extension.toLowerCase() === '.pot' ? '.po' : extension || DOCUMENT_FORMATS[format].extensions[0];
+    return `${base}.${targetLang}${outExtension}`;
+}
+
+// Reads a document: { segments: [{ id, text }], write(results, targetLang) }.
+// Segments carry marked-up text ready for translation; units without words
+// (only placeholders, numbers or markup) are left out. write() takes one
+// { translatedText } or { error } per segment, as from translateSegments(), and
+// resolves to { content, issues: [{ id, error }] }. Throws on a malformed file.
+function readDocument(format, content) {
+    const { units, build } = DOCUMENT_FORMATS[format].reader.read(content.replace(/^\uFEFF/, ''));
+
+    const prepared = units.map(unit => {
+        const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(unit.raw);
+        const { text, tokens } = protect(core, unit.mode);
+        const translatable = /[\p{L}]/u.test(text.replace(MARKER_PATTERN, ''));
+        return { ...unit, lead, trail, text, tokens, translatable };
+    });
+    const translatable = prepared.filter(unit => unit.translatable);
+
+    return {
+        segments: translatable.map(unit => ({ id: unit.id, text: unit.text })),
+        write(results, targetLang) {
+            const issues = [];
+            translatable.forEach((unit, index) => {
+                const result = results[index];
+                if (result.error) {
+                    issues.push({ id: unit.id, error: result.error });
+                    return;
+                }
+                try {
+                    unit.translation = `${unit.lead}${restore(result.translatedText, unit.tokens, unit.mode)}${unit.trail}`;
+                } catch (error) {
+                    issues.push({ id: unit.id, error: error.message });
+                }
+            });
+            const content = build(prepared.map(unit => unit.translation ?? unit.raw), targetLang);
+            return { content, issues };
+        },
+    };
+}
+
+module.exports = { DOCUMENT_FORMATS, documentFormat, translatedFileName, readDocument };
@@ -0,0 +1,206 @@
+// documentFormats.test.js - Reading each document format and writing its translation back
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { documentFormat, translatedFileName, readDocument } = require('./documentFormats');
+
+// Reads `content`, translates every segment with fn and writes it back in targetLang
+function roundTrip(format, content, fn = text => text, targetLang = 'fr') {
+    const document = readDocument(format, content);
+    const output = document.write(document.segments.map(segment => ({ translatedText: fn(segment.text) })), targetLang);
+    return { segments: document.segments, ...output };
+}
+
+const upper = text => text.toUpperCase();
+
+test('documentFormat and translatedFileName resolve formats and output names', () => {
+    assert.equal(documentFormat('po'), 'po');
+    assert.equal(documentFormat('locales/en.JSON'), 'json');
+    assert.equal(documentFormat('strings.pot'), 'po');
+    assert.equal(documentFormat('notes.txt'), null);
+
+    assert.equal(translatedFileName('messages.json', 'json', 'fr'), 'messages.fr.json');
+    assert.equal(translatedFileName('template.pot', 'po', 'de'), 'template.de.po');
+    assert.equal(translatedFileName('', 'markdown', 'es'), 'document.es.md');
+});
+
+test('JSON bundles translate string values and keep keys, other values and layout', () => {
+    const content = '{\n    "title": "Welcome, {name}!",\n    "menu": { "items": ["Open", "Close"], "count": 2 },\n    "id": "%s"\n}\n';
+    const { segments, content: output, issues } = roundTrip('json', content, upper);
+
+    // "%s" has no words, so it is not sent for translation
+    assert.deepEqual(segments.map(segment => segment.id), ['title', 'menu.items.0', 'menu.items.1']);
+    assert.equal(segments[0].text, 'Welcome, ⟦1⟧!');
+    assert.deepEqual(issues, []);
+    assert.equal(output, '{\n    "title": "WELCOME, {name}!",\n    "menu": {\n        "items": [\n            "OPEN",\n            "CLOSE"\n        ],\n        "count": 2\n    },\n    "id": "%s"\n}\n');
+    assert.equal(roundTrip('json', '{"a":"Same"}').content, '{"a":"Same"}');
+});
+
+test('.po files fill msgstr from msgid and set the header language', () => {
+    const content = [
+        'msgid ""',
+        'msgstr ""',
+        '"Language: en\\n"',
+        '',
+        '# A comment',
+        'msgctxt "menu"',
+        'msgid "Open %s"',
+        'msgstr ""',
+        '',
+        'msgid "One file"',
+        'msgid_plural "%d files"',
+        'msgstr[0] ""',
+        'msgstr[1] ""',
+        '',
+        'msgid "Line one\\n"',
+        '"Line \\"two\\""',
+        'msgstr ""',
+    ].join('\n');
+    const { segments, content: output, issues } = roundTrip('po', content, upper, 'de');
+
+    assert.deepEqual(segments.map(segment => segment.id), ['menu|Open %s', 'One file', '%d files', 'Line one\nLine "two"']);
+    assert.deepEqual(issues, []);
+    assert.equal(output, [
+        'msgid ""',
+        'msgstr "Language: de\\n"',
+        '',
+        '# A comment',
+        'msgctxt "menu"',
+        'msgid "Open %s"',
+        'msgstr "OPEN %s"',
+        '',
+        'msgid "One file"',
+        'msgid_plural "%d files"',
+        'msgstr[0] "ONE FILE"',
+        'msgstr[1] "%d FILES"',
+        '',
+        'msgid "Line one\\n"',
+        '"Line \\"two\\""',
+        'msgstr ""',
+        '"LINE ONE\\n"',
+        '"LINE \\"TWO\\""',
+    ].join('\n'));
+});
+
+test('XLIFF 1.2 gets a target per unit and the target language on <file>', () => {
+    const content = [
+        '<xliff version="1.2"><file source-language="en" datatype="plaintext">',
+        '  <trans-unit id="greet">',
+        '    <source>Hello <b>world</b> &amp; friends</source>',
+        '  </trans-unit>',
+        '  <trans-unit id="bye">',
+        '    <source>Bye</source>',
+        '    <target state="new"/>',
+        '  </trans-unit>',
+        '</file></xliff>',
+    ].join('\n');
+    const { segments, content: output } = roundTrip('xliff', content, upper, 'pt-br');
+
+    assert.deepEqual(segments, [{ id: 'greet', text: 'Hello ⟦1⟧world⟦2⟧ & friends' }, { id: 'bye', text: 'Bye' }]);
+    assert.equal(output, [
+        '<xliff version="1.2"><file source-language="en" datatype="plaintext" target-language="pt-BR">',
+        '  <trans-unit id="greet">',
+        '    <source>Hello <b>world</b> &amp; friends</source>',
+        '    <target>HELLO <b>WORLD</b> &amp; FRIENDS</target>',
+        '  </trans-unit>',
+        '  <trans-unit id="bye">',
+        '    <source>Bye</source>',
+        '    <target state="new">BYE</target>',
+        '  </trans-unit>',
+        '</file></xliff>',
+    ].join('\n'));
+});
+
+test('XLIFF 2.0 sets trgLang on <xliff>', () => {
+    const content = '<xliff version="2.0" srcLang="en"><file id="f"><unit id="u"><segment>\n<source>Hi</source>\n</segment></unit></file></xliff>';
+    const { content: output } = roundTrip('xliff', content, upper, 'es');
+    assert.equal(output, '<xliff version="2.0" srcLang="en" trgLang="es"><file id="f"><unit id="u"><segment>\n<source>Hi</source>\n<target>HI</target>\n</segment></unit></file></xliff>');
+});
+
+test('subtitles keep cue numbers, timecodes and line endings', () => {
+    const srt = '1\r\n00:00:01,000 --> 00:00:02,000\r\nHello there\r\nfriend\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n<i>Bye</i>\r\n';
+    const { segments, content } = roundTrip('srt', srt, upper);
+    assert.deepEqual(segments.map(segment => segment.id), ['00:00:01,000 --> 00:00:02,000', '00:00:03,000 --> 00:00:04,000']);
+    assert.equal(content, '1\r\n00:00:01,000 --> 00:00:02,000\r\nHELLO THERE\r\nFRIEND\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n<i>BYE</i>\r\n');
+
+    const vtt = 'WEBVTT\n\nNOTE kept as is\n\n00:01.000 --> 00:02.000 align:start\nFish &amp; chips\n';
+    assert.equal(roundTrip('vtt', vtt, upper).content, 'WEBVTT\n\nNOTE kept as is\n\n00:01.000 --> 00:02.000 align:start\nFISH &amp; CHIPS\n');
+});
+
+test('Markdown translates prose and keeps code, link targets and table structure', () => {
+    const content = [
+        '---',
+        'title: Guide',
+        '---',
+        '# Getting started',
+        '',
+        'Run `npm install` and read',
+        'the [docs](https://example.com/docs).',
+        '',
+        '```js',
+        'const answer = 42;',
+        '```',
+        '',
+        '- [x] Done item',
+        '',
+        '| Name | Value |',
+        '| --- | --- |',
+        '| Color | Blue |',
+    ].join('\n');
+    const { segments, content: output } = roundTrip('markdown', content, upper);
+
+    assert.deepEqual(segments.map(segment => segment.text), [
+        'Getting started', 'Run ⟦1⟧ and read\nthe [docs⟦2⟧.', 'Done item', 'Name', 'Value', 'Color', 'Blue',
+    ]);
+    assert.equal(output, [
+        '---',
+        'title: Guide',
+        '---',
+        '# GETTING STARTED',
+        '',
+        'RUN `npm install` AND READ',
+        'THE [DOCS](https://example.com/docs).',
+        '',
+        '```js',
+        'const answer = 42;',
+        '```',
+        '',
+        '- [x] DONE ITEM',
+        '',
+        '| NAME | VALUE |',
+        '| --- | --- |',
+        '| COLOR | BLUE |',
+    ].join('\n'));
+});
+
+test('HTML translates text runs and attributes, skips scripts and sets lang', () => {
+    const content = '<html lang="en"><head><script>var label = "Hi";</script></head>'
+        + '<body><p>Read <a href="/faq" title="Questions">the FAQ</a> &amp; more</p>'
+        + '<img src="x.png" alt="A cat"><p><code>npm test</code></p></body></html>';
+    const { content: output, issues } = roundTrip('html', content, upper, 'fr');
+
+    assert.deepEqual(issues, []);
+    assert.equal(output, '<html lang="fr"><head><script>var label = "Hi";</script></head>'
+        + '<body><p>READ <a href="/faq" title="QUESTIONS">THE FAQ</a> &amp; MORE</p>'
+        + '<img src="x.png" alt="A CAT"><p><code>npm test</code></p></body></html>');
+});
+
+test('a translation that loses a marker, or failed, keeps the source and is reported', () => {
+    const document = readDocument('json', '{"a": "Hello {name}", "b": "Bye", "c": "Thanks"}');
+    const { content, issues } = document.write([
+        { translatedText: 'Bonjour' },
+        { error: 'HTTP 503' },
+        { translatedText: 'Merci ⟦3⟧' },
+    ], 'fr');
+
+    assert.equal(content, '{"a":"Hello {name}","b":"Bye","c":"Thanks"}');
+    assert.deepEqual(issues, [
+        { id: 'a', error: 'The translation lost {name}' },
+        { id: 'b', error: 'HTTP 503' },
+        { id: 'c', error: 'The translation added an unknown placeholder ⟦3⟧' },
+    ]);
+});
+
+test('readDocument throws on a malformed file', () => {
+    assert.throws(() => readDocument('json', '{"a": '), SyntaxError);
+});
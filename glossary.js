@@ -0,0 +1,183 @@
+// glossary.js - Glossary terms in translation prompts, the check on their output, and CSV/TBX import
+//
+// A term is { source, translations: { langCode: text }, caseSensitive, doNotTranslate, note }.
+// Only the terms found in the text being translated go into its prompt. After
+// translation, checkGlossary() lists the terms the output ignored: a
+// do-not-translate term that is no longer there verbatim, or a term whose
+// required translation is missing.
+
+// Whole-word (or whole-phrase) match of a term in text
+function termPattern(term, caseSensitive) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu');
+}
+
+const occurs = (text, term, caseSensitive) => termPattern(term, caseSensitive).test(text);
+
+// Terms that apply when `texts` are translated into targetLang
+function termsFor(terms, texts, targetLang) {
+    return terms.filter(term => (term.doNotTranslate || term.translations[targetLang])
+        && texts.some(text => occurs(text, term.source, term.caseSensitive)));
+}
+
+// System prompt lines for the glossary terms found in `texts`, or null when none apply
+function glossaryInstructions(terms, texts, targetLang) {
+    const applicable = termsFor(terms, texts, targetLang);
+    if (!applicable.length) return null;
+
+    const lines = applicable.map(term => {
+        const rule = term.doNotTranslate
+            ? `"${term.source}" must stay "${term.source}" (do not translate it)`
+            : `translate "${term.source}" as "${term.translations[targetLang]}"`;
+        return `- ${rule}${term.note ? `; ${term.note}` : ''}`;
+    });
+    return ['Follow this glossary exactly:', ...lines].join('\n');
+}
+
+// Glossary terms of `source` the translation did not honor:
+// [{ termId, source, expected, issue: 'translated' | 'missing' }]
+function checkGlossary(source, translation, terms, targetLang) {
+    return termsFor(terms, [source], targetLang)
+        .filter(term => !occurs(translation, term.doNotTranslate ? term.source : term.translations[targetLang], term.caseSensitive))
+        .map(term => ({
+            termId: term.id,
+            source: term.source,
+            expected: term.doNotTranslate ? term.source : term.translations[targetLang],
+            issue: term.doNotTranslate ? 'translated' : 'missing',
+        }));
+}
+
+// Language tag (en-US, zh-Hant, fr) -> one of `codes`, or null
+function languageCode(tag, codes) {
+    const lower = String(tag || '').trim().toLowerCase().replace(/_/g, '-');
+    if (codes.includes(lower)) return lower;
+    if (/^zh-(tw|hk|mo|hant)/.test(lower) && codes.includes('zh-tw')) return 'zh-tw';
+    if (/^(nb|nn)$/.test(lower) && codes.includes('no')) return 'no';
+    const base = lower.split('-')[0];
+    return codes.includes(base) ? base : null;
+}
+
+const truthy = value => /^(1|true|yes|y|x)$/i.test(String(value || '').trim());
+
+// RFC 4180 rows; the delimiter (comma, semicolon or tab) is taken from the header line
+function parseCsvRows(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) rows.push([...row, field]);
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// CSV with a header row: source, one column per language code, and optionally
+// case_sensitive, do_not_translate and note. Resolves to { terms, skipped }.
+function parseGlossaryCsv(text, codes) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!header) throw new Error('The CSV file is empty');
+
+    const columns = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const sourceColumn = columns.findIndex(name => name === 'source' || name === 'term' || name === 'source_term');
+    if (sourceColumn === -1) throw new Error('The CSV header needs a "source" column');
+    const languageColumns = columns
+        .map((name, index) => ({ index, code: ['source', 'term', 'source_term'].includes(name) ? null : languageCode(name, codes) }))
+        .filter(column => column.code);
+
+    const terms = [];
+    const skipped = [];
+    rows.forEach((cells, index) => {
+        const source = (cells[sourceColumn] || '').trim();
+        if (!source) {
+            skipped.push({ row: index + 2, error: 'Missing source term' });
+            return;
+        }
+        const value = name => cells[columns.indexOf(name)];
+        terms.push({
+            source,
+            translations: Object.fromEntries(languageColumns
+                .map(({ index: column, code }) => [code, (cells[column] || '').trim()])
+                .filter(([, translation]) => translation)),
+            caseSensitive: truthy(value('case_sensitive')),
+            doNotTranslate: truthy(value('do_not_translate')) || truthy(value('dnt')),
+            note: (value('note') || '').trim() || null,
+        });
+    });
+    return { terms, skipped };
+}
+
+const decodeXml = text => text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+    .trim();
+
+// TBX (v2 termEntry or v3 conceptEntry). The source term comes from the
+// sourceLang language set (or the first one); the other language sets are its
+// translations. A descrip/termNote/note of type doNotTranslate (or "do not
+// translate" as a note) sets the flag. Resolves to { terms, skipped }.
+function parseGlossaryTbx(text, codes, sourceLang = null) {
+    const entries = [...text.matchAll(/<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g)];
+    if (!entries.length) throw new Error('No termEntry or conceptEntry elements found');
+
+    const terms = [];
+    const skipped = [];
+    entries.forEach(([, , body], index) => {
+        const langSets = [...body.matchAll(/<langSec\b[^>]*\blang="([^"]+)"[^>]*>([\s\S]*?)<\/langSec>|<langSet\b[^>]*\blang="([^"]+)"[^>]*>([\s\S]*?)<\/langSet>/g)]
+            .map(match => ({ code: languageCode(match[1] || match[3], codes), body: match[2] || match[4] }))
+            .map(set => ({ ...set, term: decodeXml(/<term\b[^>]*>([\s\S]*?)<\/term>/.exec(set.body)?.[1] || '') }))
+            .filter(set => set.code && set.term);
+
+        const source = langSets.find(set => set.code === sourceLang) || langSets[0];
+        if (!source) {
+            skipped.push({ entry: index + 1, error: 'No term in a supported language' });
+            return;
+        }
+
+        const notes = [...body.matchAll(/<(descrip|termNote|note)\b([^>]*)>([\s\S]*?)<\/\1>/g)];
+        const doNotTranslate = notes.some(([, , attributes, value]) => /type="do-?not-?translate"/i.test(attributes)
+            ? truthy(decodeXml(value)) || !decodeXml(value)
+            : /do not translate/i.test(decodeXml(value)));
+        const definition = notes.find(([, , attributes]) => /type="definition"/i.test(attributes));
+
+        terms.push({
+            source: source.term,
+            translations: Object.fromEntries(langSets.filter(set => set !== source).map(set => [set.code, set.term])),
+            caseSensitive: false,
+            doNotTranslate,
+            note: definition ? decodeXml(definition[3]) : null,
+        });
+    });
+    return { terms, skipped };
+}
+
+module.exports = { glossaryInstructions, checkGlossary, languageCode, parseGlossaryCsv, parseGlossaryTbx };
@@ -0,0 +1,104 @@
+// glossary.test.js - Glossary prompts, the check on translations, and CSV/TBX import
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { glossaryInstructions, checkGlossary, languageCode, parseGlossaryCsv, parseGlossaryTbx } = require('./glossary');
+
+const CODES = ['en', 'es', 'fr', 'de', 'zh', 'zh-tw', 'no'];
+
+const terms = [
+    { id: 1, source: 'pull request', translations: { es: 'solicitud de cambios' }, caseSensitive: false, doNotTranslate: false, note: null },
+    { id: 2, source: 'Acme', translations: {}, caseSensitive: true, doNotTranslate: true, note: 'brand name' },
+    { id: 3, source: 'cat', translations: { es: 'gato', fr: 'chat' }, caseSensitive: false, doNotTranslate: false, note: null },
+];
+
+test('glossaryInstructions lists only the terms found in the texts', () => {
+    assert.equal(
+        glossaryInstructions(terms, ['Open a Pull  Request at Acme.'], 'es'),
+        [
+            'Follow this glossary exactly:',
+            '- translate "pull request" as "solicitud de cambios"',
+            '- "Acme" must stay "Acme" (do not translate it); brand name',
+        ].join('\n')
+    );
+    // Whole words only, and only terms with a translation into the target language
+    assert.equal(glossaryInstructions(terms, ['A category of concatenated pull requests'], 'es'), null);
+    assert.equal(glossaryInstructions(terms, ['Open a pull request'], 'fr'), null);
+});
+
+test('checkGlossary reports terms the translation did not honor', () => {
+    const source = 'The acme cat and Acme sent a pull request.';
+    assert.deepEqual(checkGlossary(source, 'El gato y Acme enviaron una solicitud de cambios.', terms, 'es'), []);
+    assert.deepEqual(checkGlossary(source, 'El Gato y ACME enviaron un PR.', terms, 'es'), [
+        { termId: 1, source: 'pull request', expected: 'solicitud de cambios', issue: 'missing' },
+        { termId: 2, source: 'Acme', expected: 'Acme', issue: 'translated' },
+    ]);
+    // A case-sensitive term only applies to its exact spelling
+    assert.deepEqual(checkGlossary('The acme of design', 'La cima del diseño', terms, 'es'), []);
+});
+
+test('languageCode maps language tags onto supported codes', () => {
+    assert.equal(languageCode('es', CODES), 'es');
+    assert.equal(languageCode('EN_us', CODES), 'en');
+    assert.equal(languageCode('zh-Hant', CODES), 'zh-tw');
+    assert.equal(languageCode('zh-HK', CODES), 'zh-tw');
+    assert.equal(languageCode('zh-CN', CODES), 'zh');
+    assert.equal(languageCode('nb', CODES), 'no');
+    assert.equal(languageCode('ja', CODES), null);
+    assert.equal(languageCode(null, CODES), null);
+});
+
+test('parseGlossaryCsv reads terms, flags and notes and skips rows without a source', () => {
+    const csv = '\uFEFFSource;es;fr-FR;do-not-translate;Note\r\n'
+        + 'cat;gato;chat;;\r\n'
+        + '"Acme; Inc.";;;yes;"the ""company"""\r\n'
+        + ';perro;chien;;\r\n'
+        + '"line\nbreak";salto;;;\r\n';
+    const { terms: parsed, skipped } = parseGlossaryCsv(csv, CODES);
+
+    assert.deepEqual(parsed, [
+        { source: 'cat', translations: { es: 'gato', fr: 'chat' }, caseSensitive: false, doNotTranslate: false, note: null },
+        { source: 'Acme; Inc.', translations: {}, caseSensitive: false, doNotTranslate: true, note: 'the "company"' },
+        { source: 'line\nbreak', translations: { es: 'salto' }, caseSensitive: false, doNotTranslate: false, note: null },
+    ]);
+    assert.deepEqual(skipped, [{ row: 4, error: 'Missing source term' }]);
+});
+
+test('parseGlossaryCsv needs a header with a source column', () => {
+    assert.throws(() => parseGlossaryCsv('', CODES), /empty/);
+    assert.throws(() => parseGlossaryCsv('es,fr\ngato,chat\n', CODES), /"source" column/);
+    const { terms: parsed } = parseGlossaryCsv('term,de,case_sensitive\nAPI,API,x\n', CODES);
+    assert.deepEqual(parsed, [{ source: 'API', translations: { de: 'API' }, caseSensitive: true, doNotTranslate: false, note: null }]);
+});
+
+test('parseGlossaryTbx reads TBX v2 and v3 entries', () => {
+    const tbx = `<?xml version="1.0"?>
+<martif type="TBX"><text><body>
+  <termEntry id="t1">
+    <descrip type="definition">A small pet</descrip>
+    <langSet xml:lang="en-US"><tig><term>cat</term></tig></langSet>
+    <langSet xml:lang="es"><tig><term>gato</term></tig></langSet>
+    <langSet xml:lang="zh-Hant"><tig><term>貓</term></tig></langSet>
+  </termEntry>
+  <termEntry id="t2">
+    <langSet xml:lang="en"><tig><term>Acme &amp; Co</term><termNote type="doNotTranslate">yes</termNote></tig></langSet>
+  </termEntry>
+  <termEntry id="t3">
+    <langSet xml:lang="ja"><tig><term>猫</term></tig></langSet>
+  </termEntry>
+</body></text></martif>`;
+    const { terms: parsed, skipped } = parseGlossaryTbx(tbx, CODES);
+
+    assert.deepEqual(parsed, [
+        { source: 'cat', translations: { es: 'gato', 'zh-tw': '貓' }, caseSensitive: false, doNotTranslate: false, note: 'A small pet' },
+        { source: 'Acme & Co', translations: {}, caseSensitive: false, doNotTranslate: true, note: null },
+    ]);
+    assert.deepEqual(skipped, [{ entry: 3, error: 'No term in a supported language' }]);
+
+    const v3 = '<tbx><conceptEntry id="c1"><langSec xml:lang="fr"><termSec><term>chat</term></termSec></langSec>'
+        + '<langSec xml:lang="en"><termSec><term>cat</term></termSec></langSec><note>Do not translate in UI labels</note></conceptEntry></tbx>';
+    assert.deepEqual(parseGlossaryTbx(v3, CODES, 'en').terms, [
+        { source: 'cat', translations: { fr: 'chat' }, caseSensitive: false, doNotTranslate: true, note: null },
+    ]);
+    assert.throws(() => parseGlossaryTbx('<martif></martif>', CODES), /No termEntry/);
+});
@@ -0,0 +1,280 @@
+// glossaryStore.js - Translation glossaries and their terms (MySQL, or in-memory when the DB is unavailable)
+//
+// Like conversations, a glossary belongs to the owner id the browser sends
+// (X-Client-Id). Each term has a source text, its required translation per
+// target language, and flags for case-sensitive matching and do-not-translate
+// (brand and product names that must come through verbatim). Source terms are
+// unique within a glossary: adding one that exists updates it.
+
+const crypto = require('crypto');
+const { DbStore } = require('./dbStore');
+
+// DB rows -> API objects
+function toGlossary(row) {
+    return {
+        id: row.glossary_id,
+        name: row.name,
+        sourceLang: row.source_lang ?? null,
+        termCount: Number(row.term_count || 0),
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString(),
+    };
+}
+
+function toTerm(row) {
+    return {
+        id: row.term_id,
+        source: row.source_term,
+        translations: (typeof row.translations === 'string' ? JSON.parse(row.translations) : row.translations) || {},
+        caseSensitive: !!row.case_sensitive,
+        doNotTranslate: !!row.do_not_translate,
+        note: row.note ?? null,
+    };
+}
+
+class GlossaryStore extends DbStore {
+    constructor(authService) {
+        super(authService, 'glossaries table unavailable, keeping glossaries in memory');
+    }
+
+    useMemory() {
+        this.memory = { glossaries: [], terms: [], nextTermId: 1 };
+    }
+
+    async migrate() {
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS glossaries (
+                    glossary_id CHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(64) NULL,
+                    name VARCHAR(255) NOT NULL,
+                    source_lang VARCHAR(10) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_owner (owner_id, name)
+                ) ENGINE=InnoDB;
+            `);
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS glossary_terms (
+                    term_id INT AUTO_INCREMENT PRIMARY KEY,
+                    glossary_id CHAR(36) NOT NULL,
+                    source_term VARCHAR(500) NOT NULL,
+                    translations JSON NOT NULL,
+                    case_sensitive BOOLEAN DEFAULT FALSE,
+                    do_not_translate BOOLEAN DEFAULT FALSE,
+                    note TEXT NULL,
+                    INDEX idx_glossary (glossary_id, term_id),
+                    FOREIGN KEY (glossary_id) REFERENCES glossaries(glossary_id) ON DELETE CASCADE
+                ) ENGINE=InnoDB;
+            `);
+        } finally {
+            connection.release();
+        }
+    }
+
+    async create(ownerId, { name, sourceLang = null }) {
+        const row = {
+            glossary_id: crypto.randomUUID(),
+            owner_id: ownerId,
+            name,
+            source_lang: sourceLang,
+            created_at: new Date(),
+            updated_at: new Date(),
+        };
+
+        if (this.memory) {
+            this.memory.glossaries.push(row);
+        } else {
+            await this.dbPool.execute(
+                'INSERT INTO glossaries (glossary_id, owner_id, name, source_lang) VALUES (?, ?, ?, ?)',
+                [row.glossary_id, row.owner_id, row.name, row.source_lang]
+            );
+        }
+        return this.get(row.glossary_id, ownerId);
+    }
+
+    // By name, without their terms
+    async list(ownerId) {
+        if (this.memory) {
+            return this.memory.glossaries
+                .filter(row => row.owner_id === ownerId)
+                .map(row => this.memoryGlossary(row))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        const [rows] = await this.dbPool.execute(
+            `SELECT g.*, COUNT(t.term_id) AS term_count
+             FROM glossaries g LEFT JOIN glossary_terms t ON t.glossary_id = g.glossary_id
+             WHERE g.owner_id <=> ?
+             GROUP BY g.glossary_id
+             ORDER BY g.name`,
+            [ownerId]
+        );
+        return rows.map(toGlossary);
+    }
+
+    // The glossary with its terms, or null
+    async get(id, ownerId) {
+        if (this.memory) {
+            const row = this.memory.glossaries.find(g => g.glossary_id === id && g.owner_id === ownerId);
+            return row ? { ...this.memoryGlossary(row), terms: await this.terms(id) } : null;
+        }
+
+        const [rows] = await this.dbPool.execute(
+            'SELECT * FROM glossaries WHERE glossary_id = ? AND owner_id <=> ? LIMIT 1',
+            [id, ownerId]
+        );
+        if (!rows[0]) return null;
+        const terms = await this.terms(id);
+        return { ...toGlossary({ ...rows[0], term_count: terms.length }), terms };
+    }
+
+    // Terms in the order they were added
+    async terms(id) {
+        if (this.memory) {
+            return this.memory.terms.filter(t => t.glossary_id === id).map(toTerm);
+        }
+
+        const [rows] = await this.dbPool.execute('SELECT * FROM glossary_terms WHERE glossary_id = ? ORDER BY term_id', [id]);
+        return rows.map(toTerm);
+    }
+
+    // fields: { name?, sourceLang? }. Returns the updated glossary, or null when it does not exist
+    async update(id, ownerId, fields) {
+        if (!await this.get(id, ownerId)) return null;
+
+        const changes = {};
+        if (fields.name !== undefined) changes.name = fields.name;
+        if (fields.sourceLang !== undefined) changes.source_lang = fields.sourceLang;
+
+        if (this.memory) {
+            Object.assign(this.memory.glossaries.find(g => g.glossary_id === id), changes, { updated_at: new Date() });
+        } else {
+            const columns = Object.keys(changes);
+            await this.dbPool.execute(
+                `UPDATE glossaries SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP WHERE glossary_id = ?`,
+                [...Object.values(changes), id]
+            );
+        }
+        return this.get(id, ownerId);
+    }
+
+    // Resolves to false when the glossary does not exist
+    async delete(id, ownerId) {
+        if (!await this.get(id, ownerId)) return false;
+
+        if (this.memory) {
+            this.memory.glossaries = this.memory.glossaries.filter(g => g.glossary_id !== id);
+            this.memory.terms = this.memory.terms.filter(t => t.glossary_id !== id);
+        } else {
+            await this.dbPool.execute('DELETE FROM glossaries WHERE glossary_id = ?', [id]);
+        }
+        return true;
+    }
+
+    // terms: [{ source, translations, caseSensitive, doNotTranslate, note }] for a
+    // glossary that exists. A term whose source is already there is updated: its
+    // translations are merged and its flags and note replaced.
+    // Resolves to { added, updated } counts.
+    async addTerms(id, terms) {
+        const existing = new Map((await this.terms(id)).map(term => [term.source, term]));
+        let added = 0;
+        let updated = 0;
+
+        for (const term of terms) {
+            const current = existing.get(term.source);
+            if (current) {
+                const merged = await this.updateTerm(id, current.id, {
+                    ...term,
+                    translations: { ...current.translations, ...term.translations },
+                });
+                existing.set(term.source, merged);
+                updated++;
+                continue;
+            }
+
+            const row = {
+                glossary_id: id,
+                source_term: term.source,
+                translations: term.translations,
+                case_sensitive: !!term.caseSensitive,
+                do_not_translate: !!term.doNotTranslate,
+                note: term.note || null,
+            };
+            if (this.memory) {
+                row.term_id = this.memory.nextTermId++;
+                this.memory.terms.push(row);
+            } else {
+                const [result] = await this.dbPool.execute(
+                    `INSERT INTO glossary_terms (glossary_id, source_term, translations, case_sensitive, do_not_translate, note)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [id, row.source_term, JSON.stringify(row.translations), row.case_sensitive, row.do_not_translate, row.note]
+                );
+                row.term_id = result.insertId;
+            }
+            existing.set(term.source, toTerm(row));
+            added++;
+        }
+
+        await this.touch(id);
+        return { added, updated };
+    }
+
+    // fields: any of { source, translations, caseSensitive, doNotTranslate, note }.
+    // Returns the updated term, or null when it is not in the glossary.
+    async updateTerm(id, termId, fields) {
+        const term = (await this.terms(id)).find(t => t.id === termId);
+        if (!term) return null;
+
+        const next = { ...term, ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)) };
+        if (this.memory) {
+            Object.assign(this.memory.terms.find(t => t.term_id === termId), {
+                source_term: next.source,
+                translations: next.translations,
+                case_sensitive: !!next.caseSensitive,
+                do_not_translate: !!next.doNotTranslate,
+                note: next.note || null,
+            });
+        } else {
+            await this.dbPool.execute(
+                `UPDATE glossary_terms SET source_term = ?, translations = ?, case_sensitive = ?, do_not_translate = ?, note = ?
+                 WHERE term_id = ? AND glossary_id = ?`,
+                [next.source, JSON.stringify(next.translations), !!next.caseSensitive, !!next.doNotTranslate, next.note || null, termId, id]
+            );
+        }
+        await this.touch(id);
+        return { ...next, note: next.note || null };
+    }
+
+    // Resolves to false when the term is not in the glossary
+    async deleteTerm(id, termId) {
+        if (this.memory) {
+            const before = this.memory.terms.length;
+            this.memory.terms = this.memory.terms.filter(t => !(t.glossary_id === id && t.term_id === termId));
+            if (this.memory.terms.length === before) return false;
+        } else {
+            const [result] = await this.dbPool.execute('DELETE FROM glossary_terms WHERE term_id = ? AND glossary_id = ?', [termId, id]);
+            if (!result.affectedRows) return false;
+        }
+        await this.touch(id);
+        return true;
+    }
+
+    async touch(id) {
+        if (this.memory) {
+            this.memory.glossaries.find(g => g.glossary_id === id).updated_at = new Date();
+        } else {
+            await this.dbPool.execute('UPDATE glossaries SET updated_at = CURRENT_TIMESTAMP WHERE glossary_id = ?', [id]);
+        }
+    }
+
+    memoryGlossary(row) {
+        return toGlossary({
+            ...row,
+            term_count: this.memory.terms.filter(t => t.glossary_id === row.glossary_id).length,
+        });
+    }
+}
+
+module.exports = { GlossaryStore };
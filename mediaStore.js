@@ -0,0 +1,62 @@
+// mediaStore.js - Local storage for generated files (images, designs, audio)
+//
+// Files are written under one directory with random names and served by
+// server.js under /generated, so responses can hand out plain URLs.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+    'text/html': 'html',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/ogg': 'ogg',
+    'audio/aac': 'aac',
+    'audio/flac': 'flac',
+};
+
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([mimeType, extension]) => [extension, mimeType]));
+
+class MediaStore {
+    constructor(dir, urlPrefix = '/generated') {
+        this.dir = dir;
+        this.urlPrefix = urlPrefix;
+    }
+
+    // Resolves to { fileName, url }
+    async save(data, mimeType) {
+        const extension = EXTENSIONS[mimeType];
+        if (!extension) {
+            throw new Error(`Unsupported media type: ${mimeType}`);
+        }
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const fileName = `${crypto.randomUUID()}.${extension}`;
+        await fs.promises.writeFile(path.join(this.dir, fileName), data);
+        return { fileName, url: `${this.urlPrefix}/${fileName}` };
+    }
+
+    // Reads back a file by the URL save() returned: { data, mimeType }, or null
+    // when the URL is not one of ours or the file is gone
+    async read(url) {
+        const prefix = `${this.urlPrefix}/`;
+        const fileName = typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : '';
+        const mimeType = MIME_TYPES[path.extname(fileName).slice(1)];
+        if (!/^[\w-]+\.\w+$/.test(fileName) || !mimeType) return null;
+
+        try {
+            return { data: await fs.promises.readFile(path.join(this.dir, fileName)), mimeType };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = { MediaStore };
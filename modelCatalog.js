@@ -0,0 +1,265 @@
+// modelCatalog.js - Model catalog stored in llm_master (MySQL, or in-memory when the DB is unavailable)
+//
+// llm_name/version describe the model for people; model_id is the id the
+// provider's API expects (e.g. a Hugging Face repo id). Rows without a
+// model_id are listed in the table but cannot be routed to. capabilities is a
+// JSON list (chat, translation, language-detection, vision, image, ...); NULL means
+// everything the provider adapter supports. The built-in models in models.json
+// are added on startup when missing.
+
+const { DbStore, addColumn } = require('./dbStore');
+
+// Built-in models from models.json, as llm_master rows
+const DEFAULT_MODELS = require('./models.json').map(model => ({
+    llm_name: model.llmName,
+    version: model.version,
+    provider: model.provider,
+    model_id: model.modelId,
+    display_name: model.displayName,
+    capabilities: model.capabilities,
+    context_window: model.contextWindow ?? null,
+    max_output_tokens: model.maxOutputTokens ?? null,
+}));
+
+const KNOWN_CAPABILITIES = [
+    'chat', 'translation', 'language-detection', 'vision', 'image', 'image-editing',
+    'design', 'template-generation', 'web-search', 'text-to-speech', 'speech-to-text',
+];
+
+// DB row -> catalog entry
+function toEntry(row) {
+    const capabilities = typeof row.capabilities === 'string' ? JSON.parse(row.capabilities) : row.capabilities;
+    return {
+        id: row.llm_id,
+        provider: row.provider,
+        modelId: row.model_id,
+        displayName: row.display_name || `${row.llm_name} ${row.version}`,
+        llmName: row.llm_name,
+        version: row.version,
+        enabled: !!row.is_enabled,
+        capabilities: capabilities || null,
+        contextWindow: row.context_window ?? null,
+        maxOutputTokens: row.max_output_tokens ?? null,
+    };
+}
+
+// Validates admin input. Returns { fields } with DB column names, or { error }.
+// partial: only the fields present are checked (edits).
+function parseModelFields(input, { partial = false } = {}) {
+    const fields = {};
+    const has = key => input[key] !== undefined;
+    const positiveInt = value => value === null || (Number.isInteger(value) && value > 0);
+
+    if (!partial || has('provider')) {
+        if (typeof input.provider !== 'string' || !input.provider.trim()) return { error: 'provider is required' };
+        fields.provider = input.provider.trim();
+    }
+    if (!partial || has('modelId')) {
+        if (typeof input.modelId !== 'string' || !input.modelId.trim()) return { error: 'modelId is required' };
+        fields.model_id = input.modelId.trim();
+    }
+    if (has('displayName')) {
+        if (typeof input.displayName !== 'string' || !input.displayName.trim()) return { error: 'displayName must be a non-empty string' };
+        fields.display_name = input.displayName.trim();
+    }
+    if (has('llmName')) fields.llm_name = String(input.llmName).trim();
+    if (has('version')) fields.version = String(input.version).trim();
+    if (has('enabled')) {
+        if (typeof input.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+        fields.is_enabled = input.enabled ? 1 : 0;
+    }
+    if (has('capabilities')) {
+        const caps = input.capabilities;
+        if (caps !== null && (!Array.isArray(caps) || caps.some(cap => !KNOWN_CAPABILITIES.includes(cap)))) {
+            return { error: `capabilities must be null or a list of: ${KNOWN_CAPABILITIES.join(', ')}` };
+        }
+        fields.capabilities = caps;
+    }
+    if (has('contextWindow')) {
+        if (!positiveInt(input.contextWindow)) return { error: 'contextWindow must be a positive integer or null' };
+        fields.context_window = input.contextWindow;
+    }
+    if (has('maxOutputTokens')) {
+        if (!positiveInt(input.maxOutputTokens)) return { error: 'maxOutputTokens must be a positive integer or null' };
+        fields.max_output_tokens = input.maxOutputTokens;
+    }
+
+    if (!partial) {
+        fields.llm_name = fields.llm_name || fields.display_name || fields.model_id;
+        fields.version = fields.version || 'default';
+        if (fields.is_enabled === undefined) fields.is_enabled = 1;
+    }
+    return { fields };
+}
+
+class ModelCatalog extends DbStore {
+    constructor(authService) {
+        super(authService, 'llm_master unavailable, using built-in model list');
+    }
+
+    useMemory() {
+        this.memory = {
+            models: DEFAULT_MODELS.map((row, index) => ({
+                llm_id: index + 1,
+                is_enabled: 1,
+                created_by: 'admin',
+                ...row
+            })),
+            nextId: DEFAULT_MODELS.length + 1,
+        };
+    }
+
+    async migrate() {
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS llm_master (
+                    llm_id INT AUTO_INCREMENT PRIMARY KEY,
+                    llm_name VARCHAR(100) NOT NULL,
+                    version VARCHAR(50) NOT NULL,
+                    provider VARCHAR(100) NOT NULL,
+                    model_id VARCHAR(200) NULL,
+                    display_name VARCHAR(150) NULL,
+                    is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+                    capabilities JSON NULL,
+                    context_window INT NULL,
+                    max_output_tokens INT NULL,
+                    created_by VARCHAR(100) DEFAULT 'admin',
+                    record_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    time_stamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_llm_version (llm_name, version),
+                    INDEX idx_provider (provider),
+                    INDEX idx_llm_name (llm_name)
+                ) ENGINE=InnoDB;
+            `);
+
+            // Tables created from older copies of database-schema.sql lack the
+            // catalog columns and have a unique llm_name, which rejected the seeded versions
+            const columns = [
+                'model_id VARCHAR(200) NULL AFTER provider',
+                'display_name VARCHAR(150) NULL AFTER model_id',
+                'is_enabled TINYINT(1) NOT NULL DEFAULT 1 AFTER display_name',
+                'capabilities JSON NULL AFTER is_enabled',
+                'context_window INT NULL AFTER capabilities',
+                'max_output_tokens INT NULL AFTER context_window',
+            ];
+            for (const column of columns) {
+                await addColumn(connection, 'llm_master', column);
+            }
+            await ignoreError(connection.query('ALTER TABLE llm_master DROP INDEX llm_name'), 'ER_CANT_DROP_FIELD_OR_KEY');
+            await ignoreError(connection.query('ALTER TABLE llm_master ADD UNIQUE KEY unique_llm_version (llm_name, version)'), 'ER_DUP_KEYNAME');
+
+            // Add built-in models that are missing; fill blanks on rows that exist.
+            // Values an admin has set are never overwritten.
+            for (const row of DEFAULT_MODELS) {
+                await connection.execute(
+                    'UPDATE llm_master SET model_id = ? WHERE llm_name = ? AND version = ? AND model_id IS NULL',
+                    [row.model_id, row.llm_name, row.version]
+                );
+                const [result] = await connection.execute(
+                    `UPDATE llm_master SET
+                        display_name = COALESCE(display_name, ?),
+                        capabilities = COALESCE(capabilities, CAST(? AS JSON)),
+                        context_window = COALESCE(context_window, ?),
+                        max_output_tokens = COALESCE(max_output_tokens, ?)
+                     WHERE LOWER(provider) = LOWER(?) AND model_id = ?`,
+                    [row.display_name, JSON.stringify(row.capabilities), row.context_window, row.max_output_tokens, row.provider, row.model_id]
+                );
+                if (result.affectedRows === 0) {
+                    await connection.execute(
+                        `INSERT IGNORE INTO llm_master
+                            (llm_name, version, provider, model_id, display_name, capabilities, context_window, max_output_tokens, created_by)
+                         VALUES (?, ?, ?, ?, ?, CAST(? AS JSON), ?, ?, 'admin')`,
+                        [row.llm_name, row.version, row.provider, row.model_id, row.display_name,
+                            JSON.stringify(row.capabilities), row.context_window, row.max_output_tokens]
+                    );
+                }
+            }
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Every row, including disabled ones
+    async list() {
+        if (this.memory) {
+            return this.memory.models.map(toEntry);
+        }
+
+        const [rows] = await this.dbPool.execute('SELECT * FROM llm_master ORDER BY llm_id');
+        return rows.map(toEntry);
+    }
+
+    // Routable models for a provider, matched case-insensitively against the adapter id
+    async listModels(provider, { enabledOnly = false } = {}) {
+        const entries = await this.list();
+        return entries.filter(entry =>
+            entry.provider.toLowerCase() === provider.toLowerCase() &&
+            entry.modelId &&
+            (entry.enabled || !enabledOnly)
+        );
+    }
+
+    async get(id) {
+        if (this.memory) {
+            const row = this.memory.models.find(m => m.llm_id === id);
+            return row ? toEntry(row) : null;
+        }
+
+        const [rows] = await this.dbPool.execute('SELECT * FROM llm_master WHERE llm_id = ? LIMIT 1', [id]);
+        return rows[0] ? toEntry(rows[0]) : null;
+    }
+
+    // fields: DB columns from parseModelFields(). Throws with code
+    // 'ER_DUP_ENTRY' when llm_name/version is already taken.
+    async addModel(fields, createdBy = 'admin') {
+        if (this.memory) {
+            if (this.memory.models.some(m => m.llm_name === fields.llm_name && m.version === fields.version)) {
+                throw Object.assign(new Error(`${fields.llm_name} ${fields.version} already exists`), { code: 'ER_DUP_ENTRY' });
+            }
+            const row = { llm_id: this.memory.nextId++, created_by: createdBy, ...fields };
+            this.memory.models.push(row);
+            return toEntry(row);
+        }
+
+        const columns = Object.keys(fields);
+        const [result] = await this.dbPool.execute(
+            `INSERT INTO llm_master (${columns.join(', ')}, created_by) VALUES (${columns.map(() => '?').join(', ')}, ?)`,
+            [...columns.map(column => toDbValue(column, fields[column])), createdBy]
+        );
+        return this.get(result.insertId);
+    }
+
+    // Returns the updated entry, or null when the id does not exist
+    async updateModel(id, fields) {
+        if (this.memory) {
+            const row = this.memory.models.find(m => m.llm_id === id);
+            if (!row) return null;
+            Object.assign(row, fields);
+            return toEntry(row);
+        }
+
+        const columns = Object.keys(fields);
+        if (columns.length > 0) {
+            await this.dbPool.execute(
+                `UPDATE llm_master SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE llm_id = ?`,
+                [...columns.map(column => toDbValue(column, fields[column])), id]
+            );
+        }
+        return this.get(id);
+    }
+}
+
+function toDbValue(column, value) {
+    return column === 'capabilities' && value !== null ? JSON.stringify(value) : value;
+}
+
+async function ignoreError(promise, code) {
+    try {
+        await promise;
+    } catch (err) {
+        if (err.code !== code) throw err;
+    }
+}
+
+module.exports = { ModelCatalog, parseModelFields };
@@ -0,0 +1,164 @@
+// pricingCatalog.js - Versioned per-model pricing loaded from pricing.json
+//
+// Each model holds a list of rate entries with an `effectiveFrom` date; the entry
+// in force at the time of the request is used. Rates are per `unit` tokens in
+// `currency`. A '*' model entry prices every model of that provider that has no
+// entry of its own (used for self-hosted models). Models without an entry are
+// reported as unpriced (cost null) rather than borrowing another model's rate.
+//
+// Image models live in the separate `images` section, priced per generated
+// image by size: { effectiveFrom, perImage: { '1024x1024': 0.04, ... } }.
+// Speech models live in `speech`: text-to-speech is priced per million input
+// characters (perMillionCharacters), speech-to-text per minute of audio (perMinute).
+
+const fs = require('fs');
+const path = require('path');
+
+const UNIT_SIZES = {
+    per_token: 1,
+    per_thousand_tokens: 1000,
+    per_million_tokens: 1000000,
+};
+
+class PricingCatalog {
+    constructor(catalog) {
+        if (!UNIT_SIZES[catalog.unit]) {
+            throw new Error(`Unknown pricing unit: ${catalog.unit}`);
+        }
+        this.version = catalog.version;
+        this.currency = catalog.currency;
+        this.unit = catalog.unit;
+        this.providers = loadSection(catalog.providers, (entry, label) => {
+            if (typeof entry.input !== 'number' || typeof entry.output !== 'number') {
+                throw new Error(`Pricing for ${label} needs numeric input and output rates`);
+            }
+        });
+        this.images = loadSection(catalog.images, (entry, label) => {
+            const rates = Object.values(entry.perImage || {});
+            if (rates.length === 0 || rates.some(rate => typeof rate !== 'number')) {
+                throw new Error(`Pricing for ${label} needs numeric perImage rates`);
+            }
+        });
+        this.speech = loadSection(catalog.speech, (entry, label) => {
+            const rates = [entry.perMillionCharacters, entry.perMinute].filter(rate => rate !== undefined);
+            if (rates.length === 0 || rates.some(rate => typeof rate !== 'number')) {
+                throw new Error(`Pricing for ${label} needs a numeric perMillionCharacters or perMinute rate`);
+            }
+        });
+    }
+
+    static load(filePath = path.join(__dirname, 'pricing.json')) {
+        const catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new PricingCatalog(catalog);
+    }
+
+    // Rate entry in force at `at`, or null when the model is not priced
+    getRate(provider, model, at = new Date()) {
+        const entry = findEntry(this.providers, provider, model, at);
+        if (!entry) return null;
+
+        return {
+            ...entry,
+            cachedInput: entry.cachedInput ?? entry.input,
+            currency: this.currency,
+            unit: this.unit,
+            version: this.version,
+        };
+    }
+
+    // usage: { promptTokens, completionTokens, cachedTokens }. cachedTokens is the
+    // part of promptTokens served from the provider's prompt cache.
+    calculateCost(provider, model, usage, at = new Date()) {
+        const rate = this.getRate(provider, model, at);
+        if (!rate) return null;
+
+        const unitSize = UNIT_SIZES[this.unit];
+        const cachedTokens = usage.cachedTokens || 0;
+        const input = ((usage.promptTokens - cachedTokens) * rate.input + cachedTokens * rate.cachedInput) / unitSize;
+        const output = (usage.completionTokens * rate.output) / unitSize;
+
+        return {
+            total: input + output,
+            input,
+            output,
+            currency: this.currency,
+            pricingVersion: this.version,
+            effectiveFrom: rate.effectiveFrom,
+        };
+    }
+
+    // options: { size, count }. Null when the model or size is not priced.
+    calculateImageCost(provider, model, { size, count }, at = new Date()) {
+        const entry = findEntry(this.images, provider, model, at);
+        const perImage = entry?.perImage[size] ?? entry?.perImage['*'];
+        if (perImage === undefined) return null;
+
+        return {
+            total: perImage * count,
+            perImage,
+            currency: this.currency,
+            pricingVersion: this.version,
+            effectiveFrom: entry.effectiveFrom,
+        };
+    }
+
+    // Pass { characters } for synthesis or { seconds } for transcription. Null when
+    // the model has no rate for that direction.
+    calculateSpeechCost(provider, model, { characters, seconds }, at = new Date()) {
+        const entry = findEntry(this.speech, provider, model, at);
+        const [rate, quantity, unit] = characters != null
+            ? [entry?.perMillionCharacters, characters / 1000000, 'per_million_characters']
+            : [entry?.perMinute, seconds == null ? NaN : seconds / 60, 'per_minute'];
+        if (rate === undefined || !Number.isFinite(quantity)) return null;
+
+        return {
+            total: rate * quantity,
+            rate,
+            unit,
+            currency: this.currency,
+            pricingVersion: this.version,
+            effectiveFrom: entry.effectiveFrom,
+        };
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            currency: this.currency,
+            unit: this.unit,
+            providers: this.providers,
+            images: this.images,
+            speech: this.speech,
+        };
+    }
+}
+
+// { provider: { model: [entries] } } with validated entries, newest first so
+// lookup can stop at the first entry already in force
+function loadSection(section = {}, validate) {
+    const loaded = {};
+    Object.entries(section).forEach(([provider, models]) => {
+        loaded[provider] = {};
+        Object.entries(models).forEach(([model, entries]) => {
+            entries.forEach(entry => {
+                if (!entry.effectiveFrom || Number.isNaN(Date.parse(entry.effectiveFrom))) {
+                    throw new Error(`Pricing for ${provider}/${model} has an invalid effectiveFrom date`);
+                }
+                validate(entry, `${provider}/${model}`);
+            });
+            loaded[provider][model] = [...entries].sort(
+                (a, b) => Date.parse(b.effectiveFrom) - Date.parse(a.effectiveFrom)
+            );
+        });
+    });
+    return loaded;
+}
+
+function findEntry(section, provider, model, at) {
+    const models = section[provider] || {};
+    const entries = models[model] || models['*'];
+    if (!entries) return null;
+    return entries.find(entry => Date.parse(entry.effectiveFrom) <= at.getTime()) || null;
+}
+
+module.exports = { PricingCatalog };
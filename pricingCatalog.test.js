@@ -0,0 +1,111 @@
+// pricingCatalog.test.js - Rates in force by date, cached input, fallbacks and image/speech pricing
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PricingCatalog } = require('./pricingCatalog');
+
+const catalog = () => new PricingCatalog({
+    version: '2026-01-01',
+    currency: 'USD',
+    unit: 'per_million_tokens',
+    providers: {
+        openai: {
+            'gpt-x': [
+                { effectiveFrom: '2024-01-01', input: 2, output: 8 },
+                { effectiveFrom: '2025-01-01', input: 1, output: 4, cachedInput: 0.25 },
+            ],
+        },
+        ollama: { '*': [{ effectiveFrom: '2020-01-01', input: 0, output: 0 }] },
+    },
+    images: {
+        openai: { 'image-x': [{ effectiveFrom: '2024-01-01', perImage: { '1024x1024': 0.04, '1792x1024': 0.08 } }] },
+        stability: { '*': [{ effectiveFrom: '2024-01-01', perImage: { '*': 0.03 } }] },
+    },
+    speech: {
+        openai: {
+            'tts-x': [{ effectiveFrom: '2024-01-01', perMillionCharacters: 15 }],
+            'stt-x': [{ effectiveFrom: '2024-01-01', perMinute: 0.006 }],
+        },
+    },
+});
+
+const usage = { promptTokens: 1000000, completionTokens: 500000 };
+
+test('getRate picks the entry in force at the given time', () => {
+    const pricing = catalog();
+    assert.equal(pricing.getRate('openai', 'gpt-x', new Date('2024-06-01')).input, 2);
+    assert.equal(pricing.getRate('openai', 'gpt-x', new Date('2025-01-01T00:00:00Z')).input, 1);
+    assert.equal(pricing.getRate('openai', 'gpt-x', new Date('2023-12-31')), null);
+
+    const rate = pricing.getRate('openai', 'gpt-x', new Date('2025-06-01'));
+    assert.deepEqual(rate, {
+        effectiveFrom: '2025-01-01', input: 1, output: 4, cachedInput: 0.25,
+        currency: 'USD', unit: 'per_million_tokens', version: '2026-01-01',
+    });
+    // Without a cached rate, cached tokens cost as much as other input
+    assert.equal(pricing.getRate('openai', 'gpt-x', new Date('2024-06-01')).cachedInput, 2);
+});
+
+test('calculateCost prices input, output and cached input separately', () => {
+    const pricing = catalog();
+    assert.deepEqual(pricing.calculateCost('openai', 'gpt-x', usage, new Date('2024-06-01')), {
+        total: 6, input: 2, output: 4, currency: 'USD', pricingVersion: '2026-01-01', effectiveFrom: '2024-01-01',
+    });
+
+    const cached = pricing.calculateCost('openai', 'gpt-x', { ...usage, cachedTokens: 800000 }, new Date('2025-06-01'));
+    assert.equal(cached.input, 0.2 * 1 + 0.8 * 0.25);
+    assert.equal(cached.output, 2);
+    assert.equal(cached.effectiveFrom, '2025-01-01');
+});
+
+test("a '*' entry prices the provider's other models; unpriced models cost null", () => {
+    const pricing = catalog();
+    assert.equal(pricing.calculateCost('ollama', 'llama3', usage).total, 0);
+    assert.equal(pricing.calculateCost('openai', 'gpt-unknown', usage), null);
+    assert.equal(pricing.calculateCost('mistral', 'mistral-large', usage), null);
+});
+
+test('calculateImageCost prices per image by size', () => {
+    const pricing = catalog();
+    assert.deepEqual(pricing.calculateImageCost('openai', 'image-x', { size: '1792x1024', count: 2 }), {
+        total: 0.16, perImage: 0.08, currency: 'USD', pricingVersion: '2026-01-01', effectiveFrom: '2024-01-01',
+    });
+    assert.equal(pricing.calculateImageCost('openai', 'image-x', { size: '512x512', count: 1 }), null);
+    assert.equal(pricing.calculateImageCost('stability', 'sdxl', { size: '512x512', count: 3 }).total, 0.09);
+    assert.equal(pricing.calculateImageCost('openai', 'image-x', { size: '1024x1024', count: 1 }, new Date('2023-01-01')), null);
+});
+
+test('calculateSpeechCost prices synthesis per character and transcription per minute', () => {
+    const pricing = catalog();
+    const synthesis = pricing.calculateSpeechCost('openai', 'tts-x', { characters: 200000 });
+    assert.equal(synthesis.total, 3);
+    assert.equal(synthesis.unit, 'per_million_characters');
+
+    const transcription = pricing.calculateSpeechCost('openai', 'stt-x', { seconds: 120 });
+    assert.equal(transcription.total, 0.012);
+    assert.equal(transcription.unit, 'per_minute');
+
+    // A model priced for one direction only, or no quantity at all
+    assert.equal(pricing.calculateSpeechCost('openai', 'tts-x', { seconds: 90 }), null);
+    assert.equal(pricing.calculateSpeechCost('openai', 'stt-x', {}), null);
+});
+
+test('the constructor rejects malformed catalogs', () => {
+    const base = { version: 'v', currency: 'USD', unit: 'per_million_tokens' };
+    assert.throws(() => new PricingCatalog({ ...base, unit: 'per_byte' }), /Unknown pricing unit/);
+    assert.throws(() => new PricingCatalog({ ...base, providers: { a: { m: [{ effectiveFrom: 'soon', input: 1, output: 1 }] } } }),
+        /a\/m has an invalid effectiveFrom/);
+    assert.throws(() => new PricingCatalog({ ...base, providers: { a: { m: [{ effectiveFrom: '2024-01-01', input: '1', output: 1 }] } } }),
+        /numeric input and output/);
+    assert.throws(() => new PricingCatalog({ ...base, images: { a: { m: [{ effectiveFrom: '2024-01-01', perImage: {} }] } } }),
+        /numeric perImage/);
+    assert.throws(() => new PricingCatalog({ ...base, speech: { a: { m: [{ effectiveFrom: '2024-01-01' }] } } }),
+        /perMillionCharacters or perMinute/);
+});
+
+test('pricing.json loads', () => {
+    const pricing = PricingCatalog.load();
+    assert.equal(pricing.currency, 'USD');
+    assert.equal(pricing.getRate('openai', 'gpt-3.5-turbo', new Date('2024-01-01')).input, 1);
+    assert.equal(pricing.getRate('openai', 'gpt-3.5-turbo', new Date('2024-03-01')).input, 0.5);
+});
@@ -0,0 +1,99 @@
+// adobe.js - Adobe Firefly adapter (image generation only)
+//
+// Firefly Services authenticate with an OAuth server-to-server credential:
+// the client id/secret are exchanged at Adobe IMS for an access token, which
+// is cached until shortly before it expires.
+
+const { ProviderAdapter } = require('./base');
+const { fetch, throwIfFailed } = require('./openaiCompatible');
+
+const IMS_TOKEN_URL = 'https://ims-na1.adobelogin.com/ims/token/v3';
+const FIREFLY_GENERATE_URL = 'https://firefly-api.adobe.io/v3/images/generate';
+const FIREFLY_SCOPES = 'openid,AdobeID,session,additional_info,read_organizations,firefly_api,ff_apis';
+
+const IMAGE_OPTIONS = {
+    sizes: ['2048x2048', '2304x1792', '1792x2304', '2688x1536'],
+    styles: ['photo', 'art'], // Firefly content classes
+    maxCount: 4,
+};
+
+class AdobeProvider extends ProviderAdapter {
+    constructor(env = process.env) {
+        super({
+            id: 'adobe',
+            name: 'Adobe Firefly',
+            capabilities: ['image', 'image-editing'],
+        });
+        const clientId = env.ADOBE_CLIENT_ID || env.ADOBE_API_KEY;
+        this.client = clientId && env.ADOBE_CLIENT_SECRET ? {
+            clientId,
+            clientSecret: env.ADOBE_CLIENT_SECRET,
+        } : null;
+        this.accessToken = null; // { token, expiresAt }
+    }
+
+    imageOptions() {
+        return IMAGE_OPTIONS;
+    }
+
+    async getAccessToken(signal) {
+        if (this.accessToken && this.accessToken.expiresAt > Date.now()) {
+            return this.accessToken.token;
+        }
+
+        const response = await fetch(IMS_TOKEN_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.client.clientId,
+                client_secret: this.client.clientSecret,
+                scope: FIREFLY_SCOPES,
+            }).toString(),
+            signal,
+        });
+        await throwIfFailed(response, 'Adobe IMS');
+
+        const data = await response.json();
+        // Renew a minute early so a token never expires mid-request
+        this.accessToken = { token: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+        return this.accessToken.token;
+    }
+
+    async generateImage({ prompt, size, count, style, negativePrompt, signal }) {
+        if (!this.client) throw new Error('Adobe Firefly not configured');
+
+        const [width, height] = size.split('x').map(Number);
+        const response = await fetch(FIREFLY_GENERATE_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.client.clientId,
+                Authorization: `Bearer ${await this.getAccessToken(signal)}`,
+            },
+            body: JSON.stringify({
+                prompt,
+                numVariations: count,
+                size: { width, height },
+                ...(negativePrompt ? { negativePrompt } : {}),
+                ...(style ? { contentClass: style } : {}),
+            }),
+            signal,
+        });
+        await throwIfFailed(response, 'Adobe Firefly');
+
+        // Outputs are short-lived presigned URLs, so download them right away
+        const data = await response.json();
+        const images = await Promise.all((data.outputs || []).map(async output => {
+            const image = await fetch(output.image.url, { signal });
+            await throwIfFailed(image, 'Adobe Firefly download');
+            return {
+                data: Buffer.from(await image.arrayBuffer()),
+                mimeType: (image.headers.get('content-type') || 'image/jpeg').split(';')[0],
+            };
+        }));
+        return { images };
+    }
+}
+
+module.exports = AdobeProvider;
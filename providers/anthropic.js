@@ -0,0 +1,88 @@
+// anthropic.js - Anthropic adapter (official SDK)
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { ProviderAdapter } = require('./base');
+
+// input_tokens excludes prompt-cache reads, which are billed separately
+function fromAnthropicUsage(usage) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    return { promptTokens: usage.input_tokens + cachedTokens, cachedTokens };
+}
+
+// The Messages API rejects system turns inside messages (they go to the
+// `system` parameter instead); image parts (see base.js) become base64 image blocks
+function toAnthropicMessages(messages) {
+    return messages
+        .filter(m => m.role !== 'system')
+        .map(message => {
+            if (typeof message.content === 'string') return message;
+            return {
+                ...message,
+                content: message.content.map(part => part.type === 'image'
+                    ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+                    : part),
+            };
+        });
+}
+
+class AnthropicProvider extends ProviderAdapter {
+    constructor(env = process.env) {
+        super({
+            id: 'anthropic',
+            name: 'Anthropic',
+            capabilities: ['chat', 'translation', 'language-detection', 'vision'],
+        });
+        this.client = env.ANTHROPIC_API_KEY ? new Anthropic({ apiKey: env.ANTHROPIC_API_KEY, maxRetries: 0 }) : null;
+    }
+
+    // Temperature tops out at 1 and there is no seed
+    generationLimits(model) {
+        return { ...super.generationLimits(model), temperature: [0, 1], seed: false };
+    }
+
+    // Fallbacks may arrive with an OpenAI-range temperature, so it is capped here too
+    buildParams({ model, messages, temperature, topP, maxTokens, stop }) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const params = { model, max_tokens: maxTokens, messages: toAnthropicMessages(messages) };
+        if (system) params.system = system;
+        if (temperature !== undefined) params.temperature = Math.min(temperature, 1);
+        if (topP !== undefined) params.top_p = topP;
+        if (stop?.length) params.stop_sequences = stop;
+        return params;
+    }
+
+    async complete(request) {
+        if (!this.client) throw new Error('Anthropic not configured');
+
+        const completion = await this.client.messages.create(this.buildParams(request), { signal: request.signal });
+        return {
+            text: completion.content[0]?.text || '',
+            usage: {
+                ...fromAnthropicUsage(completion.usage),
+                completionTokens: completion.usage.output_tokens,
+            },
+        };
+    }
+
+    async stream(request, onDelta) {
+        if (!this.client) throw new Error('Anthropic not configured');
+
+        const stream = await this.client.messages.create({ ...this.buildParams(request), stream: true }, { signal: request.signal });
+
+        let text = '';
+        const usage = { promptTokens: undefined, completionTokens: undefined, cachedTokens: 0 };
+        for await (const event of stream) {
+            if (event.type === 'message_start') {
+                Object.assign(usage, fromAnthropicUsage(event.message.usage));
+            } else if (event.type === 'message_delta') {
+                usage.completionTokens = event.usage.output_tokens;
+            } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                text += event.delta.text;
+                if (onDelta) onDelta(event.delta.text);
+            }
+        }
+        return { text, usage };
+    }
+}
+
+module.exports = AnthropicProvider;
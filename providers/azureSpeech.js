@@ -0,0 +1,129 @@
+// azureSpeech.js - Azure Speech adapter (text-to-speech and speech-to-text, no chat models)
+//
+// Synthesis uses the TTS REST endpoint with SSML; the default voices are
+// multilingual, so one voice reads every supported language. Transcription
+// uses the fast transcription API, which accepts browser recordings (WebM/Ogg
+// Opus) as well as WAV and MP3.
+
+const { ProviderAdapter } = require('./base');
+const { fetch, throwIfFailed } = require('./openaiCompatible');
+
+const TRANSCRIBE_API_VERSION = '2024-11-15';
+
+const TTS_OPTIONS = {
+    voices: [
+        'en-US-AvaMultilingualNeural',
+        'en-US-AndrewMultilingualNeural',
+        'en-US-EmmaMultilingualNeural',
+        'en-US-BrianMultilingualNeural',
+    ],
+    formats: ['mp3', 'wav', 'ogg'],
+};
+
+// format -> [X-Microsoft-OutputFormat, Content-Type]
+const OUTPUT_FORMATS = {
+    mp3: ['audio-24khz-48kbitrate-mono-mp3', 'audio/mpeg'],
+    wav: ['riff-24khz-16bit-mono-pcm', 'audio/wav'],
+    ogg: ['ogg-24khz-16bit-mono-opus', 'audio/ogg'],
+};
+
+// App language codes (SUPPORTED_LANGUAGES in server.js) -> Azure locales
+const LOCALES = {
+    en: 'en-US', es: 'es-ES', fr: 'fr-FR', de: 'de-DE', it: 'it-IT', pt: 'pt-BR',
+    ru: 'ru-RU', ja: 'ja-JP', ko: 'ko-KR', zh: 'zh-CN', 'zh-tw': 'zh-TW', ar: 'ar-SA',
+    hi: 'hi-IN', nl: 'nl-NL', sv: 'sv-SE', da: 'da-DK', no: 'nb-NO', fi: 'fi-FI',
+    pl: 'pl-PL', tr: 'tr-TR', th: 'th-TH', vi: 'vi-VN', id: 'id-ID', ms: 'ms-MY',
+    tl: 'fil-PH', he: 'he-IL', fa: 'fa-IR', ur: 'ur-PK', bn: 'bn-IN', gu: 'gu-IN',
+    ta: 'ta-IN', te: 'te-IN', kn: 'kn-IN', ml: 'ml-IN', mr: 'mr-IN', pa: 'pa-IN',
+};
+
+// Accepts an app language code or a full locale ('pt-PT'); null when unknown
+function toLocale(language) {
+    if (!language) return null;
+    if (LOCALES[language.toLowerCase()]) return LOCALES[language.toLowerCase()];
+    return /^[a-z]{2,3}-[A-Za-z]{2,4}$/.test(language) ? language : null;
+}
+
+function escapeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+class AzureSpeechProvider extends ProviderAdapter {
+    constructor(env = process.env) {
+        super({
+            id: 'azureSpeech',
+            name: 'Azure Speech',
+            capabilities: ['text-to-speech', 'speech-to-text'],
+        });
+        this.client = env.AZURE_SPEECH_KEY && env.AZURE_SPEECH_REGION ? {
+            key: env.AZURE_SPEECH_KEY,
+            region: env.AZURE_SPEECH_REGION,
+        } : null;
+    }
+
+    speechOptions(model) {
+        return this.modelSupports(model, 'text-to-speech') ? TTS_OPTIONS : null;
+    }
+
+    async synthesizeSpeech({ text, voice, language, format, speed, signal }) {
+        if (!this.client) throw new Error('Azure Speech not configured');
+
+        const locale = toLocale(language);
+        let content = escapeXml(text);
+        // Multilingual voices guess the language; <lang> pins it when known
+        if (locale) content = `<lang xml:lang="${locale}">${content}</lang>`;
+        if (speed) content = `<prosody rate="${speed}">${content}</prosody>`;
+        const ssml = `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${locale || 'en-US'}">`
+            + `<voice name="${escapeXml(voice)}">${content}</voice></speak>`;
+
+        const [outputFormat, mimeType] = OUTPUT_FORMATS[format];
+        const response = await fetch(`https://${this.client.region}.tts.speech.microsoft.com/cognitiveservices/v1`, {
+            method: 'POST',
+            headers: {
+                'Ocp-Apim-Subscription-Key': this.client.key,
+                'Content-Type': 'application/ssml+xml',
+                'X-Microsoft-OutputFormat': outputFormat,
+                'User-Agent': 'multi-llm-chat',
+            },
+            body: ssml,
+            signal,
+        });
+        await throwIfFailed(response, 'Azure Speech');
+
+        return { audio: Buffer.from(await response.arrayBuffer()), mimeType };
+    }
+
+    async transcribeSpeech({ audio, mimeType, language, signal }) {
+        if (!this.client) throw new Error('Azure Speech not configured');
+
+        // Without a locale the service identifies the spoken language itself
+        const locale = toLocale(language);
+        const form = new FormData();
+        form.append('audio', new Blob([audio], { type: mimeType }), 'audio');
+        form.append('definition', JSON.stringify(locale ? { locales: [locale] } : {}));
+
+        const url = `https://${this.client.region}.api.cognitive.microsoft.com/speechtotext/transcriptions:transcribe`
+            + `?api-version=${TRANSCRIBE_API_VERSION}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Ocp-Apim-Subscription-Key': this.client.key },
+            body: form,
+            signal,
+        });
+        await throwIfFailed(response, 'Azure Speech');
+
+        const data = await response.json();
+        return {
+            text: (data.combinedPhrases || []).map(phrase => phrase.text).join(' ').trim(),
+            language: data.phrases?.[0]?.locale || locale,
+            durationSeconds: data.durationMilliseconds != null ? data.durationMilliseconds / 1000 : null,
+        };
+    }
+}
+
+module.exports = AzureSpeechProvider;
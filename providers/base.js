@@ -0,0 +1,161 @@
+// base.js - Shared adapter contract for LLM providers
+//
+// Every provider module exports a subclass of ProviderAdapter. Routes never talk
+// to an SDK or endpoint directly; they look the adapter up in the registry and
+// call complete()/stream(). Adapters that cannot do chat (image or design only)
+// simply leave complete() unimplemented and omit 'chat' from their capabilities.
+//
+// Models come from the llm_master catalog (modelCatalog.js): initialize() loads
+// the enabled rows for the adapter's id, and runs again after admin edits.
+
+class ProviderAdapter {
+    constructor({ id, name, capabilities = [] }) {
+        this.id = id;
+        this.name = name;
+        this.models = {}; // modelId -> catalog entry
+        this.capabilityList = capabilities;
+        this.client = null;
+    }
+
+    // Called at startup, before the server listens, and after catalog edits, with
+    // shared services ({ modelCatalog }). Adapters that discover their models override this.
+    async initialize({ modelCatalog } = {}) {
+        if (modelCatalog) {
+            this.setModels(await modelCatalog.listModels(this.id, { enabledOnly: true }));
+        }
+    }
+
+    // entries: [{ modelId, displayName, capabilities, contextWindow, maxOutputTokens }]
+    setModels(entries) {
+        this.models = {};
+        entries.forEach(entry => {
+            this.models[entry.modelId] = entry;
+        });
+    }
+
+    isAvailable() {
+        return !!this.client;
+    }
+
+    // { modelId: { name, capabilities, contextWindow, maxOutputTokens, generation? } }
+    // where chat models carry their generationLimits()
+    listModels() {
+        const models = {};
+        Object.keys(this.models).forEach(model => {
+            const info = this.modelInfo(model);
+            models[model] = info.capabilities.includes('chat')
+                ? { ...info, generation: this.generationLimits(model) }
+                : info;
+        });
+        return models;
+    }
+
+    hasModel(model) {
+        return Object.prototype.hasOwnProperty.call(this.models, model);
+    }
+
+    // Catalog capabilities are limited to what the adapter can actually do;
+    // a model without its own list gets all of them
+    modelInfo(model) {
+        const entry = this.models[model] || {};
+        const capabilities = entry.capabilities
+            ? entry.capabilities.filter(capability => this.supports(capability))
+            : this.capabilities();
+        return {
+            name: entry.displayName || model,
+            capabilities,
+            contextWindow: entry.contextWindow ?? null,
+            maxOutputTokens: entry.maxOutputTokens ?? null,
+        };
+    }
+
+    modelSupports(model, capability) {
+        return this.hasModel(model) && this.modelInfo(model).capabilities.includes(capability);
+    }
+
+    // Caps a requested output budget at the model's max_output_tokens
+    limitMaxTokens(model, maxTokens) {
+        const limit = this.modelInfo(model).maxOutputTokens;
+        return limit ? Math.min(maxTokens, limit) : maxTokens;
+    }
+
+    // Bounds for per-request generation parameters: { temperature: [min, max],
+    // maxTokens (output cap, null when unknown), maxStopSequences, seed (whether
+    // a seed is honored) }. top_p is always 0-1.
+    generationLimits(model) {
+        return {
+            temperature: [0, 2],
+            maxTokens: this.modelInfo(model).maxOutputTokens,
+            maxStopSequences: 4,
+            seed: true,
+        };
+    }
+
+    capabilities() {
+        return [...this.capabilityList];
+    }
+
+    supports(capability) {
+        return this.capabilityList.includes(capability);
+    }
+
+    // request: { model, messages, temperature, topP, maxTokens, stop, seed, signal }
+    // Only model and messages are always set; messages may start with a system
+    // turn. Parameters the provider cannot honor are dropped. A message's content is a string, or for 'vision' models a list of parts:
+    // { type: 'text', text } and { type: 'image', mimeType, data } (base64).
+    // resolves to: { text, usage } where usage is { promptTokens, completionTokens,
+    // cachedTokens } as reported by the provider, or null. Aborting `signal` must abort the upstream call.
+    // Models with built-in web search also return citations: [{ title, url, snippet }].
+    async complete(request) {
+        throw new Error(`${this.name} does not support text completion`);
+    }
+
+    // Same contract as complete(), but calls onDelta(text) for every chunk as it
+    // arrives. Adapters without native streaming emit the whole answer at once.
+    async stream(request, onDelta) {
+        const result = await this.complete(request);
+        if (result.text && onDelta) onDelta(result.text);
+        return result;
+    }
+
+    // { sizes, styles, maxCount } accepted by generateImage() for a model, or null
+    imageOptions(model) {
+        return null;
+    }
+
+    // request: { model, prompt, size, count, style, negativePrompt, signal }
+    // resolves to: { images: [{ data: Buffer, mimeType, revisedPrompt? }] }
+    async generateImage(request) {
+        throw new Error(`${this.name} does not support image generation`);
+    }
+
+    // { voices, formats } accepted by synthesizeSpeech() for a model, or null.
+    // The first entry of each list is the default.
+    speechOptions(model) {
+        return null;
+    }
+
+    // request: { model, text, voice, language, format, speed, signal }
+    // resolves to: { audio: Buffer, mimeType }
+    async synthesizeSpeech(request) {
+        throw new Error(`${this.name} does not support text-to-speech`);
+    }
+
+    // request: { model, audio: Buffer, mimeType, language, signal }
+    // resolves to: { text, language, durationSeconds } (null when not reported)
+    async transcribeSpeech(request) {
+        throw new Error(`${this.name} does not support speech-to-text`);
+    }
+
+    // request: { title, width, height, svg, signal } where svg is the first page
+    // resolves to: { designId, editUrl, viewUrl, thumbnailUrl }
+    async createDesign(request) {
+        throw new Error(`${this.name} does not support design creation`);
+    }
+
+    async health() {
+        return { available: this.isAvailable() };
+    }
+}
+
+module.exports = { ProviderAdapter };
@@ -0,0 +1,95 @@
+// canva.js - Canva adapter (design creation only)
+//
+// Uses the Canva Connect API with CANVA_API_KEY as the OAuth access token. The
+// first page of the design spec is uploaded as an SVG asset, then a design of
+// the spec's size is created around it. Without a key the adapter stays
+// available: /api/create-design serves the local HTML/SVG export instead.
+
+const { ProviderAdapter } = require('./base');
+const { fetch, throwIfFailed } = require('./openaiCompatible');
+const { sleep } = require('./retry');
+
+const CANVA_API_URL = 'https://api.canva.com/rest/v1';
+const UPLOAD_POLL_MS = 1000;
+const UPLOAD_TIMEOUT_MS = 30000;
+
+class CanvaProvider extends ProviderAdapter {
+    constructor(env = process.env) {
+        super({
+            id: 'canva',
+            name: 'Canva',
+            capabilities: ['design', 'template-generation'],
+        });
+        this.client = env.CANVA_API_KEY ? { apiKey: env.CANVA_API_KEY } : null;
+    }
+
+    // Designs can always be exported locally; `client` says whether Canva is used
+    isAvailable() {
+        return true;
+    }
+
+    async health() {
+        return { available: true, mode: this.client ? 'canva' : 'local-export' };
+    }
+
+    async request(path, { method = 'GET', headers = {}, body, signal } = {}) {
+        const response = await fetch(`${CANVA_API_URL}${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${this.client.apiKey}`, ...headers },
+            body,
+            signal,
+        });
+        await throwIfFailed(response, 'Canva');
+        return response.json();
+    }
+
+    // Asset uploads are asynchronous jobs; resolves to the asset id
+    async uploadAsset(name, svg, signal) {
+        let { job } = await this.request('/asset-uploads', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Asset-Upload-Metadata': JSON.stringify({ name_base64: Buffer.from(name).toString('base64') }),
+            },
+            body: Buffer.from(svg),
+            signal,
+        });
+
+        const deadline = Date.now() + UPLOAD_TIMEOUT_MS;
+        while (job.status === 'in_progress') {
+            if (Date.now() > deadline) throw new Error('Canva asset upload timed out');
+            await sleep(UPLOAD_POLL_MS, signal);
+            ({ job } = await this.request(`/asset-uploads/${job.id}`, { signal }));
+        }
+        if (job.status !== 'success') {
+            throw new Error(`Canva asset upload failed: ${job.error?.message || job.status}`);
+        }
+        return job.asset.id;
+    }
+
+    async createDesign({ title, width, height, svg, signal }) {
+        if (!this.client) throw new Error('Canva not configured');
+
+        const name = title.slice(0, 50);
+        const assetId = await this.uploadAsset(name, svg, signal);
+        const { design } = await this.request('/designs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                design_type: { type: 'custom', width, height },
+                asset_id: assetId,
+                title: title.slice(0, 255),
+            }),
+            signal,
+        });
+
+        return {
+            designId: design.id,
+            editUrl: design.urls.edit_url,
+            viewUrl: design.urls.view_url,
+            thumbnailUrl: design.thumbnail?.url || null,
+        };
+    }
+}
+
+module.exports = CanvaProvider;
@@ -0,0 +1,30 @@
+// deepseek.js - Deepseek adapter (OpenAI-compatible REST API)
+
+const { OpenAICompatibleProvider } = require('./openaiCompatible');
+
+class DeepseekProvider extends OpenAICompatibleProvider {
+    constructor(env = process.env) {
+        super({
+            id: 'deepseek',
+            name: 'Deepseek',
+            capabilities: ['chat', 'translation', 'language-detection'],
+        });
+        this.client = env.DEEPSEEK_API_KEY ? { apiKey: env.DEEPSEEK_API_KEY } : null;
+    }
+
+    endpoint() {
+        return 'https://api.deepseek.com/chat/completions';
+    }
+
+    // Deepseek accepts up to 16 stop sequences but no seed
+    generationLimits(model) {
+        return { ...super.generationLimits(model), maxStopSequences: 16, seed: false };
+    }
+
+    buildBody(request) {
+        const { seed, ...body } = super.buildBody(request);
+        return body;
+    }
+}
+
+module.exports = DeepseekProvider;
@@ -0,0 +1,59 @@
+// huggingface.js - Hugging Face text generation (Inference API or a self-hosted TGI server)
+//
+// Both speak the OpenAI chat completions format. With HUGGINGFACE_TGI_URL set,
+// every request goes to that server (TGI serves a single model); otherwise each
+// model is called on the Inference API by its repo id. The model list comes
+// from the HuggingFace rows of llm_master.
+
+const { OpenAICompatibleProvider } = require('./openaiCompatible');
+
+const INFERENCE_API_URL = 'https://router.huggingface.co/hf-inference/models';
+
+class HuggingFaceProvider extends OpenAICompatibleProvider {
+    constructor(env = process.env) {
+        super({
+            id: 'huggingface',
+            name: 'Hugging Face',
+            capabilities: ['chat', 'translation', 'language-detection'],
+        });
+        // Falcon/Mistral context windows are far below the 4000 tokens chat asks for
+        this.maxOutputTokens = parseInt(env.HUGGINGFACE_MAX_NEW_TOKENS, 10) || 1024;
+
+        const tgiUrl = env.HUGGINGFACE_TGI_URL ? env.HUGGINGFACE_TGI_URL.replace(/\/+$/, '') : null;
+        this.client = env.HUGGINGFACE_API_KEY || tgiUrl ? {
+            apiKey: env.HUGGINGFACE_API_KEY || '',
+            tgiUrl,
+        } : null;
+    }
+
+    endpoint(model) {
+        if (this.client.tgiUrl) return `${this.client.tgiUrl}/v1/chat/completions`;
+        return `${INFERENCE_API_URL}/${model}/v1/chat/completions`;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.client.apiKey) headers.Authorization = `Bearer ${this.client.apiKey}`;
+        return headers;
+    }
+
+    // Older TGI releases reject stream_options; usage then comes from the tokenizer
+    streamOptions() {
+        return { stream: true };
+    }
+
+    generationLimits(model) {
+        const limits = super.generationLimits(model);
+        return { ...limits, maxTokens: Math.min(limits.maxTokens || Infinity, this.maxOutputTokens) };
+    }
+
+    buildBody(request) {
+        const body = super.buildBody(request);
+        if (body.max_tokens !== undefined) {
+            body.max_tokens = Math.min(body.max_tokens, this.maxOutputTokens);
+        }
+        return body;
+    }
+}
+
+module.exports = HuggingFaceProvider;
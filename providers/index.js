@@ -0,0 +1,40 @@
+// index.js - Builds the provider registry from the built-in adapters
+//
+// Adding a provider: create providers/<name>.js exporting a ProviderAdapter
+// subclass whose constructor reads its own env vars, then list it below.
+
+const fs = require('fs');
+const path = require('path');
+const { ProviderAdapter } = require('./base');
+const { OpenAICompatibleProvider } = require('./openaiCompatible');
+const { ProviderRegistry } = require('./registry');
+
+const BUILT_IN_PROVIDERS = [
+    require('./openai'),
+    require('./anthropic'),
+    require('./deepseek'),
+    require('./perplexity'),
+    require('./microsoft'),
+    require('./local'),
+    require('./huggingface'),
+    require('./adobe'),
+    require('./canva'),
+    require('./azureSpeech'),
+    require('./speechStub'),
+];
+
+// Per-model fallback chains (fallbacks.json, or FALLBACK_CHAINS_PATH). Optional.
+function loadFallbacks(env) {
+    const file = env.FALLBACK_CHAINS_PATH || path.join(__dirname, '..', 'fallbacks.json');
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createRegistry(env = process.env) {
+    const registry = new ProviderRegistry();
+    BUILT_IN_PROVIDERS.forEach(Provider => registry.register(new Provider(env)));
+    registry.setFallbacks(loadFallbacks(env));
+    return registry;
+}
+
+module.exports = { ProviderAdapter, OpenAICompatibleProvider, ProviderRegistry, createRegistry };
@@ -0,0 +1,88 @@
+// local.js - Self-hosted OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio)
+//
+// LOCAL_LLM_BASE_URL points at the server's OpenAI-compatible API, e.g.
+// http://localhost:11434/v1 for Ollama or http://localhost:8000/v1 for vLLM.
+// Models are whatever the server lists at /v1/models when the app starts;
+// llm_master rows with provider 'local' can add metadata or disable one.
+
+const { OpenAICompatibleProvider, fetch } = require('./openaiCompatible');
+
+const DISCOVERY_TIMEOUT_MS = 5000;
+
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor(env = process.env) {
+        super({
+            id: 'local',
+            name: env.LOCAL_LLM_NAME || 'Local Models',
+            capabilities: ['chat', 'translation', 'language-detection'],
+        });
+        this.client = env.LOCAL_LLM_BASE_URL ? {
+            baseUrl: normalizeBaseUrl(env.LOCAL_LLM_BASE_URL),
+            // Most local servers ignore auth; vLLM and LM Studio can require a key
+            apiKey: env.LOCAL_LLM_API_KEY || '',
+        } : null;
+    }
+
+    async initialize({ modelCatalog } = {}) {
+        if (!this.client) return;
+
+        const ids = await this.fetchModelIds();
+        const entries = modelCatalog ? await modelCatalog.listModels(this.id) : [];
+        this.setModels(ids
+            .map(id => entries.find(entry => entry.modelId === id) || { modelId: id, displayName: id, enabled: true })
+            .filter(entry => entry.enabled));
+        console.log(`${this.name}: discovered ${ids.length} model(s) at ${this.client.baseUrl}`);
+    }
+
+    // Usable only once the server has listed at least one model
+    isAvailable() {
+        return !!this.client && Object.keys(this.models).length > 0;
+    }
+
+    endpoint() {
+        return `${this.client.baseUrl}/chat/completions`;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.client.apiKey) headers.Authorization = `Bearer ${this.client.apiKey}`;
+        return headers;
+    }
+
+    async fetchModelIds() {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), DISCOVERY_TIMEOUT_MS);
+        try {
+            const response = await fetch(`${this.client.baseUrl}/models`, {
+                headers: this.headers(),
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                throw new Error(`${this.name} model listing failed with status ${response.status}`);
+            }
+            const data = await response.json();
+            return (data.data || []).map(model => model.id);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Reachability of the server, not just whether it is configured
+    async health() {
+        if (!this.isAvailable()) return { available: false };
+        try {
+            await this.fetchModelIds();
+            return { available: true };
+        } catch (error) {
+            return { available: false };
+        }
+    }
+}
+
+// Accepts the server root or its /v1 API root
+function normalizeBaseUrl(url) {
+    const trimmed = url.replace(/\/+$/, '');
+    return trimmed.endsWith('/v1') ? trimmed : `${trimmed}/v1`;
+}
+
+module.exports = LocalProvider;
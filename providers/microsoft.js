@@ -0,0 +1,42 @@
+// microsoft.js - Azure OpenAI adapter
+
+const { OpenAICompatibleProvider } = require('./openaiCompatible');
+
+const AZURE_API_VERSION = '2024-02-15-preview';
+
+class MicrosoftProvider extends OpenAICompatibleProvider {
+    constructor(env = process.env) {
+        super({
+            id: 'microsoft',
+            name: 'Azure OpenAI',
+            capabilities: ['chat', 'translation', 'language-detection', 'vision'],
+        });
+        this.client = env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_ENDPOINT ? {
+            apiKey: env.AZURE_OPENAI_API_KEY,
+            endpoint: env.AZURE_OPENAI_ENDPOINT,
+            deployment: env.AZURE_OPENAI_DEPLOYMENT || '',
+        } : null;
+    }
+
+    endpoint() {
+        const { endpoint, deployment } = this.client;
+        return `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${AZURE_API_VERSION}`;
+    }
+
+    headers() {
+        return { 'Content-Type': 'application/json', 'api-key': this.client.apiKey };
+    }
+
+    // This API version rejects stream_options, so streamed answers carry no usage
+    streamOptions() {
+        return { stream: true };
+    }
+
+    // The deployment, not the model field, selects the model on Azure
+    buildBody(request) {
+        const { model, ...body } = super.buildBody(request);
+        return body;
+    }
+}
+
+module.exports = MicrosoftProvider;
@@ -0,0 +1,149 @@
+// openai.js - OpenAI adapter (official SDK)
+
+const { OpenAI, toFile } = require('openai');
+const { ProviderAdapter } = require('./base');
+const { fromOpenAIUsage, toOpenAIMessages } = require('./openaiCompatible');
+
+const IMAGE_OPTIONS = {
+    'dall-e-3': { sizes: ['1024x1024', '1792x1024', '1024x1792'], styles: ['vivid', 'natural'], maxCount: 4 },
+    'dall-e-2': { sizes: ['256x256', '512x512', '1024x1024'], styles: [], maxCount: 10 },
+};
+
+const TTS_OPTIONS = {
+    voices: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'],
+    formats: ['mp3', 'opus', 'aac', 'flac', 'wav'],
+};
+const TTS_MODELS = ['tts-1', 'tts-1-hd'];
+
+// response_format -> Content-Type of the returned audio
+const AUDIO_TYPES = { mp3: 'audio/mpeg', opus: 'audio/ogg', aac: 'audio/aac', flac: 'audio/flac', wav: 'audio/wav' };
+
+// Whisper detects the format from the file name, so uploads need a matching extension
+const UPLOAD_EXTENSIONS = {
+    'audio/webm': 'webm', 'video/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/flac': 'flac',
+};
+
+class OpenAIProvider extends ProviderAdapter {
+    constructor(env = process.env) {
+        super({
+            id: 'openai',
+            name: 'OpenAI',
+            capabilities: ['chat', 'translation', 'language-detection', 'vision', 'image', 'text-to-speech', 'speech-to-text'],
+        });
+        this.client = env.OPENAI_API_KEY ? new OpenAI({ apiKey: env.OPENAI_API_KEY, maxRetries: 0 }) : null;
+    }
+
+    async complete({ model, messages, temperature, topP, maxTokens, stop, seed, signal }) {
+        if (!this.client) throw new Error('OpenAI not configured');
+
+        const completion = await this.client.chat.completions.create({
+            model,
+            messages: toOpenAIMessages(messages),
+            temperature,
+            top_p: topP,
+            max_tokens: maxTokens,
+            stop,
+            seed,
+        }, { signal });
+        return {
+            text: completion.choices[0].message.content || '',
+            usage: fromOpenAIUsage(completion.usage),
+        };
+    }
+
+    async stream({ model, messages, temperature, topP, maxTokens, stop, seed, signal }, onDelta) {
+        if (!this.client) throw new Error('OpenAI not configured');
+
+        const stream = await this.client.chat.completions.create({
+            model,
+            messages: toOpenAIMessages(messages),
+            temperature,
+            top_p: topP,
+            max_tokens: maxTokens,
+            stop,
+            seed,
+            stream: true,
+            stream_options: { include_usage: true },
+        }, { signal });
+
+        let text = '';
+        let usage = null;
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                if (onDelta) onDelta(delta);
+            }
+            if (chunk.usage) usage = fromOpenAIUsage(chunk.usage);
+        }
+        return { text, usage };
+    }
+
+    imageOptions(model) {
+        return IMAGE_OPTIONS[model] || null;
+    }
+
+    async generateImage({ model, prompt, size, count, style, negativePrompt, signal }) {
+        if (!this.client) throw new Error('OpenAI not configured');
+
+        // The Images API has no negative prompt parameter
+        const fullPrompt = negativePrompt ? `${prompt}\n\nAvoid: ${negativePrompt}` : prompt;
+        // dall-e-3 only accepts n: 1, so larger batches are parallel calls
+        const batches = model === 'dall-e-3' ? Array(count).fill(1) : [count];
+
+        const responses = await Promise.all(batches.map(n => this.client.images.generate({
+            model,
+            prompt: fullPrompt,
+            n,
+            size,
+            ...(style ? { style } : {}),
+            response_format: 'b64_json',
+        }, { signal })));
+
+        return {
+            images: responses.flatMap(response => response.data).map(image => ({
+                data: Buffer.from(image.b64_json, 'base64'),
+                mimeType: 'image/png',
+                revisedPrompt: image.revised_prompt,
+            })),
+        };
+    }
+
+    speechOptions(model) {
+        return TTS_MODELS.includes(model) ? TTS_OPTIONS : null;
+    }
+
+    async synthesizeSpeech({ model, text, voice, format, speed, signal }) {
+        if (!this.client) throw new Error('OpenAI not configured');
+
+        const response = await this.client.audio.speech.create({
+            model,
+            input: text,
+            voice,
+            response_format: format,
+            ...(speed ? { speed } : {}),
+        }, { signal });
+        return { audio: Buffer.from(await response.arrayBuffer()), mimeType: AUDIO_TYPES[format] };
+    }
+
+    async transcribeSpeech({ model, audio, mimeType, language, signal }) {
+        if (!this.client) throw new Error('OpenAI not configured');
+
+        const file = await toFile(audio, `audio.${UPLOAD_EXTENSIONS[mimeType] || 'webm'}`, { type: mimeType });
+        const transcription = await this.client.audio.transcriptions.create({
+            model,
+            file,
+            response_format: 'verbose_json',
+            // Whisper takes ISO-639-1 codes ('zh', not 'zh-tw')
+            ...(language ? { language: language.split('-')[0] } : {}),
+        }, { signal });
+        return {
+            text: transcription.text.trim(),
+            language: transcription.language || language || null,
+            durationSeconds: transcription.duration ?? null,
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,146 @@
+// openaiCompatible.js - Base adapter for providers speaking the OpenAI chat completions wire format
+
+// Prefer the built-in fetch (Node 18+): node-fetch v3 crashes the process when a
+// request is aborted while its body is streaming. node-fetch is ESM-only, so the
+// Node 16 fallback loads it lazily from CommonJS.
+const fetch = globalThis.fetch
+    ? (...args) => globalThis.fetch(...args)
+    : (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const { ProviderAdapter } = require('./base');
+
+// Maps an OpenAI-style `usage` object to { promptTokens, completionTokens }
+function fromOpenAIUsage(usage) {
+    if (!usage) return null;
+    return {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        // OpenAI/Azure report cache hits under prompt_tokens_details, Deepseek at the top level
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? usage.prompt_cache_hit_tokens ?? 0,
+    };
+}
+
+// Image parts (see base.js) become data: URLs in image_url parts
+function toOpenAIMessages(messages) {
+    return messages.map(message => {
+        if (typeof message.content === 'string') return message;
+        return {
+            ...message,
+            content: message.content.map(part => part.type === 'image'
+                ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+                : part),
+        };
+    });
+}
+
+// Turns a non-2xx fetch response into an error carrying status and headers, so
+// the retry policy can classify it and honor Retry-After
+async function throwIfFailed(response, label) {
+    if (response.ok) return;
+    const error = new Error(`${label} API error: ${await response.text()}`);
+    error.status = response.status;
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+}
+
+// Yields the parsed JSON payload of every `data:` line in a server-sent event body
+async function* readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const payload = trimmed.slice(5).trim();
+            if (!payload || payload === '[DONE]') continue;
+            try {
+                yield JSON.parse(payload);
+            } catch (e) {
+                // Ignore keep-alive comments and partial frames
+            }
+        }
+    }
+}
+
+class OpenAICompatibleProvider extends ProviderAdapter {
+    // Subclasses return the full chat/completions URL for a model
+    endpoint(model) {
+        throw new Error(`${this.name} endpoint not configured`);
+    }
+
+    headers() {
+        return {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${this.client.apiKey}`,
+        };
+    }
+
+    buildBody({ model, messages, temperature, topP, maxTokens, stop, seed }) {
+        const body = { model, messages: toOpenAIMessages(messages) };
+        if (temperature !== undefined) body.temperature = temperature;
+        if (topP !== undefined) body.top_p = topP;
+        if (maxTokens !== undefined) body.max_tokens = maxTokens;
+        if (stop !== undefined) body.stop = stop;
+        if (seed !== undefined) body.seed = seed;
+        return body;
+    }
+
+    async post(request, extraBody = {}) {
+        if (!this.client) throw new Error(`${this.name} not configured`);
+
+        const response = await fetch(this.endpoint(request.model), {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({ ...this.buildBody(request), ...extraBody }),
+            signal: request.signal,
+        });
+
+        await throwIfFailed(response, this.name);
+        return response;
+    }
+
+    // Extra body fields for streaming requests; asks for a trailing usage chunk
+    streamOptions() {
+        return { stream: true, stream_options: { include_usage: true } };
+    }
+
+    // Sources reported by providers that search the web themselves, as
+    // [{ title, url, snippet }], or null
+    citationsFrom(data) {
+        return null;
+    }
+
+    async complete(request) {
+        const response = await this.post(request);
+        const data = await response.json();
+        const result = {
+            text: data.choices?.[0]?.message?.content || '',
+            usage: fromOpenAIUsage(data.usage),
+        };
+        const citations = this.citationsFrom(data);
+        return citations ? { ...result, citations } : result;
+    }
+
+    async stream(request, onDelta) {
+        const response = await this.post(request, this.streamOptions());
+        let text = '';
+        let usage = null;
+        let citations = null;
+
+        for await (const data of readEventStream(response.body)) {
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                if (onDelta) onDelta(delta);
+            }
+            if (data.usage) usage = fromOpenAIUsage(data.usage);
+            citations = this.citationsFrom(data) || citations;
+        }
+        return citations ? { text, usage, citations } : { text, usage };
+    }
+}
+
+module.exports = { OpenAICompatibleProvider, readEventStream, fromOpenAIUsage, toOpenAIMessages, throwIfFailed, fetch };
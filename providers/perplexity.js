@@ -0,0 +1,46 @@
+// perplexity.js - Perplexity adapter (OpenAI-compatible REST API)
+
+const { OpenAICompatibleProvider } = require('./openaiCompatible');
+
+class PerplexityProvider extends OpenAICompatibleProvider {
+    constructor(env = process.env) {
+        super({
+            id: 'perplexity',
+            name: 'Perplexity',
+            capabilities: ['chat', 'translation', 'language-detection', 'web-search'],
+        });
+        this.client = env.PERPLEXITY_API_KEY ? { apiKey: env.PERPLEXITY_API_KEY } : null;
+    }
+
+    endpoint() {
+        return 'https://api.perplexity.ai/chat/completions';
+    }
+
+    // The Sonar API takes no stop sequences or seed
+    generationLimits(model) {
+        return { ...super.generationLimits(model), maxStopSequences: 0, seed: false };
+    }
+
+    buildBody(request) {
+        const { stop, seed, ...body } = super.buildBody(request);
+        return body;
+    }
+
+    // Sonar answers cite [n] against search_results (older responses only list
+    // citation URLs)
+    citationsFrom(data) {
+        if (data.search_results?.length) {
+            return data.search_results.map(result => ({
+                title: result.title || result.url,
+                url: result.url,
+                snippet: result.snippet || '',
+            }));
+        }
+        if (data.citations?.length) {
+            return data.citations.map(url => ({ title: url, url, snippet: '' }));
+        }
+        return null;
+    }
+}
+
+module.exports = PerplexityProvider;
@@ -0,0 +1,100 @@
+// registry.js - Lookup table of provider adapters consulted by every route
+
+class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+        this.fallbacks = {};
+    }
+
+    register(adapter) {
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`Provider ${adapter.id} is already registered`);
+        }
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    // Runs every adapter's initialize hook (startup and catalog reloads); a failing
+    // adapter is logged and left unavailable
+    async initialize(context = {}) {
+        await Promise.all(this.list().map(async adapter => {
+            try {
+                await adapter.initialize(context);
+            } catch (error) {
+                console.warn(`${adapter.name} initialization failed: ${error.message}`);
+            }
+        }));
+    }
+
+    get(id) {
+        return this.adapters.get(id) || null;
+    }
+
+    list() {
+        return [...this.adapters.values()];
+    }
+
+    // Adapter for an llm_master provider name, matched case-insensitively like
+    // ModelCatalog.listModels() ('Microsoft' rows belong to 'microsoft')
+    forCatalogProvider(name) {
+        return this.list().find(adapter => adapter.id.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    isAvailable(id) {
+        const adapter = this.get(id);
+        return !!adapter && adapter.isAvailable();
+    }
+
+    // { provider: { modelId: { name, capabilities, contextWindow, maxOutputTokens } } }
+    // for every adapter that lists models
+    models() {
+        const models = {};
+        this.list().forEach(adapter => {
+            const list = adapter.listModels();
+            if (Object.keys(list).length > 0) {
+                models[adapter.id] = list;
+            }
+        });
+        return models;
+    }
+
+    // chains: { 'provider/model': ['provider/model', ...] }
+    setFallbacks(chains = {}) {
+        this.fallbacks = chains;
+    }
+
+    // [{ adapter, model }] to try in order for a chat: the requested model first,
+    // then its declared fallbacks that are configured and can chat
+    fallbackChain(provider, model) {
+        const chain = [{ adapter: this.get(provider), model }];
+        (this.fallbacks[`${provider}/${model}`] || []).forEach(target => {
+            const [id, ...rest] = target.split('/');
+            const fallbackModel = rest.join('/');
+            const adapter = this.get(id);
+            if (adapter && adapter.isAvailable() && adapter.modelSupports(fallbackModel, 'chat')) {
+                chain.push({ adapter, model: fallbackModel });
+            }
+        });
+        return chain;
+    }
+
+    async health() {
+        const adapters = this.list();
+        const results = await Promise.all(adapters.map(async adapter => {
+            try {
+                const status = await adapter.health();
+                return !!status.available;
+            } catch (e) {
+                return false;
+            }
+        }));
+
+        const health = {};
+        adapters.forEach((adapter, index) => {
+            health[adapter.id] = results[index];
+        });
+        return health;
+    }
+}
+
+module.exports = { ProviderRegistry };
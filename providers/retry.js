@@ -0,0 +1,93 @@
+// retry.js - Retry policy for upstream provider calls
+//
+// Rate limits (429), timeouts (408), 5xx answers and network failures are
+// retried with exponential backoff and full jitter; other 4xx answers are not. A Retry-After header from the provider takes
+// precedence over the computed delay (capped at maxDelay).
+
+const RETRYABLE_STATUS = new Set([408, 429]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+function createRetryPolicy(env = process.env) {
+    const number = (value, fallback) => {
+        const parsed = parseInt(value, 10);
+        return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+
+    return {
+        retries: number(env.PROVIDER_MAX_RETRIES, 2),
+        baseDelay: number(env.PROVIDER_RETRY_BASE_MS, 500),
+        maxDelay: number(env.PROVIDER_RETRY_MAX_MS, 10000),
+    };
+}
+
+function isRetryable(error) {
+    if (error.status) {
+        return RETRYABLE_STATUS.has(error.status) || error.status >= 500;
+    }
+    // Network failures: SDK connection errors and fetch's TypeError carry the code on `cause`
+    const code = error.code || error.cause?.code;
+    return RETRYABLE_CODES.has(code) || error.constructor?.name === 'APIConnectionError'
+        || error.constructor?.name === 'APIConnectionTimeoutError';
+}
+
+// Retry-After in milliseconds (delta-seconds or HTTP date), or null
+function retryAfterMs(error) {
+    const headers = error.headers || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(error, attempt, policy) {
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null) return Math.min(retryAfter, policy.maxDelay);
+
+    const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Calls fn(attempt) until it succeeds, the error is not retryable, canRetry()
+// says no, or the policy's retries are used up. Resolves to { result, attempts };
+// a final error carries the number of attempts made as `error.attempts`.
+async function withRetry(fn, policy, { signal, canRetry = () => true, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const result = await fn(attempt);
+            return { result, attempts: attempt };
+        } catch (error) {
+            const retry = attempt <= policy.retries && !signal?.aborted && isRetryable(error) && canRetry();
+            if (!retry) {
+                error.attempts = attempt;
+                throw error;
+            }
+
+            const delay = backoffDelay(error, attempt, policy);
+            if (onRetry) onRetry(error, attempt, delay);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+module.exports = { createRetryPolicy, isRetryable, retryAfterMs, sleep, withRetry };
@@ -0,0 +1,90 @@
+// retry.test.js - Which provider failures are retried, and the backoff between attempts
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRetryPolicy, isRetryable, retryAfterMs, withRetry } = require('./retry');
+
+const failure = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+test('isRetryable covers timeouts, rate limits, 5xx and network failures only', () => {
+    [408, 429, 500, 502, 503, 529].forEach(status => assert.equal(isRetryable(failure(status)), true, `${status}`));
+    [400, 401, 403, 404, 409, 422].forEach(status => assert.equal(isRetryable(failure(status)), false, `${status}`));
+
+    assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryable(new TypeError('fetch failed', { cause: { code: 'ETIMEDOUT' } })), true);
+    assert.equal(isRetryable(new Error('The model did not answer with a JSON object')), false);
+});
+
+test('createRetryPolicy reads the environment and falls back to defaults', () => {
+    assert.deepEqual(createRetryPolicy({}), { retries: 2, baseDelay: 500, maxDelay: 10000 });
+    assert.deepEqual(
+        createRetryPolicy({ PROVIDER_MAX_RETRIES: '5', PROVIDER_RETRY_BASE_MS: '100', PROVIDER_RETRY_MAX_MS: 'soon' }),
+        { retries: 5, baseDelay: 100, maxDelay: 10000 }
+    );
+});
+
+test('retryAfterMs reads delta-seconds and HTTP dates from plain or Headers objects', () => {
+    assert.equal(retryAfterMs(failure(429, { 'retry-after': '2' })), 2000);
+    assert.equal(retryAfterMs(failure(429, new Headers({ 'retry-after': '0.5' }))), 500);
+    const later = retryAfterMs(failure(503, { 'retry-after': new Date(Date.now() + 60000).toUTCString() }));
+    assert.ok(later > 55000 && later <= 60000);
+    assert.equal(retryAfterMs(failure(429, {})), null);
+    assert.equal(retryAfterMs(failure(429, { 'retry-after': 'later' })), null);
+});
+
+test('withRetry retries retryable failures with growing, capped backoff', async () => {
+    const delays = [];
+    let calls = 0;
+    const { result, attempts } = await withRetry(async () => {
+        calls++;
+        if (calls < 4) throw failure(503);
+        return 'ok';
+    }, { retries: 3, baseDelay: 4, maxDelay: 10 }, { onRetry: (error, attempt, delay) => delays.push({ attempt, delay }) });
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 4);
+    assert.deepEqual(delays.map(({ attempt }) => attempt), [1, 2, 3]);
+    // Full jitter: anywhere from 0 to base * 2^(attempt - 1), never above maxDelay
+    [4, 8, 10].forEach((ceiling, index) => assert.ok(delays[index].delay >= 0 && delays[index].delay <= ceiling));
+});
+
+test('withRetry waits what Retry-After asks, capped at maxDelay', async () => {
+    const delays = [];
+    let calls = 0;
+    await withRetry(async () => {
+        calls++;
+        if (calls === 1) throw failure(429, { 'retry-after': '0.003' });
+        if (calls === 2) throw failure(429, { 'retry-after': '60' });
+        return 'ok';
+    }, { retries: 2, baseDelay: 1000, maxDelay: 5 }, { onRetry: (error, attempt, delay) => delays.push(delay) });
+
+    assert.deepEqual(delays, [3, 5]);
+});
+
+test('withRetry gives up on other failures and reports the attempts made', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => { calls++; throw failure(401); }, { retries: 3, baseDelay: 0, maxDelay: 0 }),
+        error => error.status === 401 && error.attempts === 1
+    );
+    assert.equal(calls, 1);
+
+    await assert.rejects(
+        withRetry(async () => { throw failure(500); }, { retries: 2, baseDelay: 0, maxDelay: 0 }),
+        error => error.attempts === 3
+    );
+});
+
+test('withRetry stops when canRetry says no or the signal aborts', async () => {
+    await assert.rejects(
+        withRetry(async () => { throw failure(503); }, { retries: 3, baseDelay: 0, maxDelay: 0 }, { canRetry: () => false }),
+        error => error.attempts === 1
+    );
+
+    const controller = new AbortController();
+    const pending = withRetry(async () => { throw failure(503); }, { retries: 3, baseDelay: 60000, maxDelay: 60000 }, {
+        signal: controller.signal,
+        onRetry: () => setImmediate(() => controller.abort(new Error('cancelled'))),
+    });
+    await assert.rejects(pending, { message: 'cancelled' });
+});
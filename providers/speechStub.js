@@ -0,0 +1,110 @@
+// speechStub.js - Offline speech engine for development and tests
+//
+// Enabled with SPEECH_STUB=true. Synthesis returns a short WAV tone (length
+// grows with the text) that carries the text in its INFO comment chunk;
+// transcribing that WAV returns the text again, so the speech endpoints and UI
+// can be exercised end to end without any cloud credentials. Other recordings
+// transcribe to a fixed placeholder.
+
+const { ProviderAdapter } = require('./base');
+
+const MODEL_ID = 'stub';
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_CHARACTER = 0.05;
+const MAX_SECONDS = 30;
+
+function chunk(id, data) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(data.length, 4);
+    // Chunks are word aligned
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+// 16-bit mono PCM WAV: a quiet 440 Hz tone plus LIST/INFO/ICMT holding `text`
+function buildWav(text) {
+    const seconds = Math.min(MAX_SECONDS, Math.max(0.5, text.length * SECONDS_PER_CHARACTER));
+    const samples = Math.round(seconds * SAMPLE_RATE);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 3000), i * 2);
+    }
+
+    const format = Buffer.alloc(16);
+    format.writeUInt16LE(1, 0); // PCM
+    format.writeUInt16LE(1, 2); // mono
+    format.writeUInt32LE(SAMPLE_RATE, 4);
+    format.writeUInt32LE(SAMPLE_RATE * 2, 8); // byte rate
+    format.writeUInt16LE(2, 12); // block align
+    format.writeUInt16LE(16, 14); // bits per sample
+
+    const comment = chunk('ICMT', Buffer.from(`${text}\0`, 'utf8'));
+    const body = Buffer.concat([
+        Buffer.from('WAVE', 'ascii'),
+        chunk('fmt ', format),
+        chunk('LIST', Buffer.concat([Buffer.from('INFO', 'ascii'), comment])),
+        chunk('data', pcm),
+    ]);
+    return Buffer.concat([chunk('RIFF', body).subarray(0, 8), body]);
+}
+
+// { text, durationSeconds } from a WAV written by buildWav(), or null
+function readWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    let text = null;
+    let byteRate = 0;
+    let dataSize = 0;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const data = buffer.subarray(offset + 8, offset + 8 + size);
+        if (id === 'fmt ') byteRate = data.readUInt32LE(8);
+        if (id === 'data') dataSize = size;
+        if (id === 'LIST' && data.toString('ascii', 0, 4) === 'INFO') {
+            const info = data.subarray(4);
+            if (info.toString('ascii', 0, 4) === 'ICMT') {
+                text = info.subarray(8, 8 + info.readUInt32LE(4)).toString('utf8').replace(/\0+$/, '');
+            }
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return { text, durationSeconds: byteRate ? dataSize / byteRate : null };
+}
+
+class SpeechStubProvider extends ProviderAdapter {
+    constructor(env = process.env) {
+        super({
+            id: 'speechStub',
+            name: 'Speech Stub',
+            capabilities: ['text-to-speech', 'speech-to-text'],
+        });
+        this.client = env.SPEECH_STUB === 'true' ? {} : null;
+    }
+
+    // Not in llm_master: the single model exists whenever the stub is enabled
+    async initialize() {
+        this.setModels(this.client ? [{ modelId: MODEL_ID, displayName: 'Speech Stub' }] : []);
+    }
+
+    speechOptions(model) {
+        return model === MODEL_ID ? { voices: ['tone'], formats: ['wav'] } : null;
+    }
+
+    async synthesizeSpeech({ text }) {
+        return { audio: buildWav(text), mimeType: 'audio/wav' };
+    }
+
+    async transcribeSpeech({ audio, language }) {
+        const wav = readWav(audio);
+        return {
+            text: wav?.text ?? `[stub transcription of ${audio.length} bytes]`,
+            language: language || null,
+            durationSeconds: wav?.durationSeconds ?? null,
+        };
+    }
+}
+
+module.exports = SpeechStubProvider;
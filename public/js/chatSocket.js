@@ -0,0 +1,83 @@
+// chatSocket.js -- WebSocket client for the /ws chat channel
+
+class ChatSocketClient {
+  // clientId scopes stored threads like the X-Client-Id header does over HTTP
+  constructor(clientId, url = `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`) {
+    this.url = `${url}?clientId=${encodeURIComponent(clientId)}`;
+    this.socket = null;
+    this.generations = new Map(); // id -> { onDelta, resolve, reject }
+    this.reconnectDelay = 1000;
+  }
+
+  connect() {
+    this.socket = new WebSocket(this.url);
+
+    this.socket.addEventListener('open', () => {
+      this.reconnectDelay = 1000;
+    });
+
+    this.socket.addEventListener('message', (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (error) {
+        console.error('Invalid WebSocket message:', error);
+        return;
+      }
+      this.handleMessage(msg);
+    });
+
+    this.socket.addEventListener('close', () => {
+      // Anything still running on this connection is lost
+      this.generations.forEach(({ reject }) => reject(new Error('Connection to chat server lost')));
+      this.generations.clear();
+
+      setTimeout(() => this.connect(), this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+    });
+  }
+
+  isConnected() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  handleMessage(msg) {
+    if (msg.type === 'health') {
+      document.dispatchEvent(new CustomEvent('providerHealth', { detail: msg.providers }));
+      return;
+    }
+
+    const generation = this.generations.get(msg.id);
+    if (!generation) return;
+
+    if (msg.type === 'delta') {
+      if (generation.onDelta) generation.onDelta(msg.text);
+    } else if (msg.type === 'done') {
+      this.generations.delete(msg.id);
+      generation.resolve(msg);
+    } else if (msg.type === 'error') {
+      this.generations.delete(msg.id);
+      generation.reject(new Error(msg.error));
+    }
+  }
+
+  // Starts a generation and resolves with the final 'done' frame
+  startGeneration(id, request, onDelta) {
+    if (!this.isConnected()) {
+      return Promise.reject(new Error('Chat socket is not connected'));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.generations.set(id, { onDelta, resolve, reject });
+    });
+
+    this.socket.send(JSON.stringify({ type: 'start', id, ...request }));
+    return promise;
+  }
+
+  cancel(id) {
+    if (this.isConnected() && this.generations.has(id)) {
+      this.socket.send(JSON.stringify({ type: 'cancel', id }));
+    }
+  }
+}
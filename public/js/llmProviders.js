@@ -10,14 +10,29 @@ class LLMProvidersManager {
       adobe: { name: 'Adobe AI', models: {}, available: false },
       canva: { name: 'Canva AI', models: {}, available: false },
       perplexity: { name: 'Perplexity AI', models: {}, available: false },
+      local: { name: 'Local Models', models: {}, available: false },
+      huggingface: { name: 'Hugging Face', models: {}, available: false },
     };
     this.currentProvider = null;
     this.currentModel = null;
     this.conversationHistory = [];
+    this.conversationId = null; // stored thread the chat continues, once one exists
+    this.clientId = this.loadClientId();
+    this.chatSocket = null;
+    this.searchBackend = null; // server-side search for models without built-in web search
+    this.generationSettings = this.loadGenerationSettings();
+    this.activeRequest = null; // { requestId, transport } of the in-flight chat
+    this.nextRequestId = 1;
+  }
+
+  // Stream chat over the /ws channel when it is connected; SSE remains the fallback
+  useChatSocket(chatSocket) {
+    this.chatSocket = chatSocket;
   }
 
   async initialize() {
     await this.loadAvailableModels();
+    await this.loadSearchBackend();
     if (!this.currentProvider || !this.currentModel) {
       this.autoSelectModel();
     }
@@ -47,9 +62,21 @@ class LLMProvidersManager {
     }
   }
 
+  async loadSearchBackend() {
+    try {
+      const response = await fetch('/api/web-search');
+      if (!response.ok) throw new Error('Failed to fetch search backend');
+      this.searchBackend = (await response.json()).backend;
+    } catch (error) {
+      console.error('Error loading search backend:', error);
+      this.searchBackend = null;
+    }
+    return this.searchBackend;
+  }
+
   autoSelectModel() {
     // Priority order for auto-selection
-    const priorityOrder = ['openai', 'anthropic', 'perplexity', 'microsoft', 'deepseek', 'adobe', 'canva'];
+    const priorityOrder = ['openai', 'anthropic', 'perplexity', 'microsoft', 'deepseek', 'huggingface', 'local', 'adobe', 'canva'];
     
     for (const provider of priorityOrder) {
       if (this.providers[provider]?.available && Object.keys(this.providers[provider].models).length > 0) {
@@ -76,7 +103,7 @@ class LLMProvidersManager {
     return {
       provider: this.currentProvider,
       modelId: this.currentModel,
-      modelName: this.providers[this.currentProvider].models[this.currentModel],
+      modelName: this.providers[this.currentProvider].models[this.currentModel].name,
       available: this.providers[this.currentProvider].available,
     };
   }
@@ -91,15 +118,38 @@ class LLMProvidersManager {
     return result;
   }
 
+  // Settings panel values sent with every chat request:
+  // { systemPrompt, temperature, topP, maxTokens, stop, seed }, unset fields use server defaults
+  loadGenerationSettings() {
+    try {
+      return JSON.parse(localStorage.getItem('generationSettings')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  getGenerationSettings() {
+    return { ...this.generationSettings };
+  }
+
+  setGenerationSettings(settings) {
+    this.generationSettings = JSON.parse(JSON.stringify(settings || {}));
+    localStorage.setItem('generationSettings', JSON.stringify(this.generationSettings));
+  }
+
+  // Starts a new thread: the next chat message creates it on the server
   clearHistory() {
     this.conversationHistory = [];
+    this.conversationId = null;
   }
 
   getHistory() {
     return [...this.conversationHistory];
   }
 
-  async sendMessage(message, onProgress, onComplete, onError) {
+  // options are extra chat request fields, e.g. { webSearch: true }, { images: [url] },
+  // or in a stored thread { parentId } to branch (editing) and { regenerateId } to retry a reply
+  async sendMessage(message, onProgress, onComplete, onError, options = {}) {
     if (!this.currentProvider || !this.currentModel) {
       const error = new Error('Model not selected');
       if (onError) onError(error);
@@ -112,8 +162,15 @@ class LLMProvidersManager {
       throw error;
     }
 
-    // Add user message to history
-    this.conversationHistory.push({ role: 'user', content: message.trim() });
+    // Earlier turns only; the new message is sent separately
+    const history = [...this.conversationHistory];
+
+    // Add user message to history (attached images stay with it for later turns)
+    this.conversationHistory.push({
+      role: 'user',
+      content: message.trim(),
+      ...(options.images?.length ? { images: options.images } : {}),
+    });
 
     try {
       let endpoint = '/api/chat';
@@ -121,11 +178,14 @@ class LLMProvidersManager {
         provider: this.currentProvider,
         model: this.currentModel,
         message,
-        history: this.conversationHistory,
+        history,
+        ...this.generationSettings,
+        ...options,
       };
 
       // Special handling for different model types
-      if (this.currentModel.includes('image') || this.currentModel.includes('firefly')) {
+      const modelCapabilities = this.getModelInfo()?.capabilities || [];
+      if (modelCapabilities.includes('image') && !modelCapabilities.includes('chat')) {
         endpoint = '/api/generate-image';
         requestData = {
           provider: this.currentProvider,
@@ -135,11 +195,48 @@ class LLMProvidersManager {
       } else if (this.currentModel.includes('design') && this.currentProvider === 'canva') {
         endpoint = '/api/create-design';
         requestData = {
+          provider: this.currentProvider,
+          model: this.currentModel,
           type: 'presentation',
-          title: message.substring(0, 50),
+          prompt: message,
         };
       }
 
+      // Chat turns are stored server-side; the first one starts the thread
+      if (endpoint === '/api/chat') {
+        if (!this.conversationId) {
+          try {
+            this.conversationId = (await this.createConversation()).id;
+          } catch (error) {
+            console.warn('Could not start a stored conversation, sending history instead:', error);
+          }
+        }
+        if (this.conversationId) {
+          delete requestData.history;
+          requestData.conversationId = this.conversationId;
+        }
+      }
+
+      // Plain chat streams token deltas when the caller wants progress updates
+      if (endpoint === '/api/chat' && onProgress) {
+        const requestId = `chat-${Date.now()}-${this.nextRequestId++}`;
+        const transport = this.chatSocket?.isConnected() ? 'socket' : 'sse';
+        this.activeRequest = { requestId, transport };
+
+        let data;
+        try {
+          data = transport === 'socket'
+            ? await this.chatSocket.startGeneration(requestId, requestData, onProgress)
+            : await this.streamChat({ ...requestData, requestId }, onProgress);
+        } finally {
+          this.activeRequest = null;
+        }
+
+        this.conversationHistory.push({ role: 'assistant', content: data.response });
+        if (onComplete) onComplete(data.response, data);
+        return data.response;
+      }
+
       const response = await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -155,7 +252,9 @@ class LLMProvidersManager {
       let responseContent = data.response || data.imageUrl || data.designUrl || 'No response available';
 
       // Handle special response types
-      if (data.imageUrl) {
+      if (data.images?.length) {
+        responseContent = `Generated image: ${data.images.map(image => image.url).join(' ')}`;
+      } else if (data.imageUrl) {
         responseContent = `Generated image: ${data.imageUrl}`;
       } else if (data.designUrl) {
         responseContent = `Created design: ${data.designUrl}`;
@@ -172,6 +271,251 @@ class LLMProvidersManager {
     }
   }
 
+  // Browser id sent as X-Client-Id so the sidebar only lists this browser's threads
+  loadClientId() {
+    let clientId = localStorage.getItem('clientId');
+    if (!clientId) {
+      clientId = crypto.randomUUID();
+      localStorage.setItem('clientId', clientId);
+    }
+    return clientId;
+  }
+
+  // JSON request scoped to this browser's X-Client-Id; a contentType sends body as it is
+  async clientRequest(url, { method = 'GET', body, contentType } = {}) {
+    const headers = { 'X-Client-Id': this.clientId };
+    if (body) headers['Content-Type'] = contentType || 'application/json';
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body && !contentType ? JSON.stringify(body) : body,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return response.status === 204 ? null : await response.json();
+  }
+
+  conversationRequest(path, options) {
+    return this.clientRequest(`/api/conversations${path}`, options);
+  }
+
+  listConversations() {
+    return this.conversationRequest('');
+  }
+
+  createConversation(title) {
+    return this.conversationRequest('', { method: 'POST', body: title ? { title } : {} });
+  }
+
+  renameConversation(id, title) {
+    return this.conversationRequest(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: { title } });
+  }
+
+  async deleteConversation(id) {
+    await this.conversationRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (id === this.conversationId) this.clearHistory();
+  }
+
+  // Makes a stored thread the current one; resolves to { conversation, messages }
+  async openConversation(id) {
+    return this.useThread(await this.conversationRequest(`/${encodeURIComponent(id)}/messages`));
+  }
+
+  // Shows another version of a message in the current thread (branch navigation);
+  // resolves like openConversation() with the branch through that version
+  async selectBranch(messageId) {
+    const path = `/${encodeURIComponent(this.conversationId)}/branch`;
+    return this.useThread(await this.conversationRequest(path, { method: 'POST', body: { messageId } }));
+  }
+
+  // Translation glossaries, also per browser
+  listGlossaries() {
+    return this.clientRequest('/api/glossaries');
+  }
+
+  getGlossary(id) {
+    return this.clientRequest(`/api/glossaries/${encodeURIComponent(id)}`);
+  }
+
+  createGlossary(name, sourceLang = null) {
+    return this.clientRequest('/api/glossaries', { method: 'POST', body: { name, sourceLang } });
+  }
+
+  deleteGlossary(id) {
+    return this.clientRequest(`/api/glossaries/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
+  // term: { source, translations, caseSensitive, doNotTranslate }; resolves to { added, updated, glossary }
+  addGlossaryTerm(id, term) {
+    return this.clientRequest(`/api/glossaries/${encodeURIComponent(id)}/terms`, { method: 'POST', body: term });
+  }
+
+  deleteGlossaryTerm(id, termId) {
+    return this.clientRequest(`/api/glossaries/${encodeURIComponent(id)}/terms/${termId}`, { method: 'DELETE' });
+  }
+
+  // CSV or TBX file; resolves to { added, updated, skipped, glossary }
+  async importGlossary(id, file) {
+    const query = new URLSearchParams({ fileName: file.name });
+    return this.clientRequest(`/api/glossaries/${encodeURIComponent(id)}/import?${query}`, {
+      method: 'POST',
+      body: await file.text(),
+      contentType: 'text/plain',
+    });
+  }
+
+  useThread(data) {
+    this.conversationId = data.conversation.id;
+    this.conversationHistory = data.messages.map(({ role, content, images }) => ({
+      role,
+      content,
+      ...(images?.length ? { images } : {}),
+    }));
+    return data;
+  }
+
+  // Stores an image File/Blob on the server; resolves to { url, fileName, mimeType, size }
+  async uploadAttachment(file) {
+    const response = await fetch('/api/chat/attachments', {
+      method: 'POST',
+      headers: { 'Content-Type': file.type },
+      body: file,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return await response.json();
+  }
+
+  // POST to /api/chat/stream and feed each delta to onProgress; resolves with the final 'done' frame
+  async streamChat(requestData, onProgress) {
+    const response = await fetch('/api/chat/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestData),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    let result = null;
+    await this.readEventStream(response, (event, data) => {
+      if (event === 'delta') {
+        onProgress(data.text);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        throw new Error(data.error);
+      }
+    });
+
+    if (!result) throw new Error('Stream ended before the response completed');
+    return result;
+  }
+
+  // Calls onEvent(event, data) for each Server-Sent Event frame of a fetch response
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+
+      for (const frame of frames) {
+        const event = frame.match(/^event: (.*)$/m)?.[1];
+        const payload = frame.match(/^data: (.*)$/m)?.[1];
+        if (!event || !payload) continue;
+        onEvent(event, JSON.parse(payload));
+      }
+    }
+  }
+
+  // Sends one message to several models at once; models: [{ provider, model }].
+  // handlers: { onDelta(index, text), onDone(index, data), onError(index, message) }
+  // where index is the model's position. Resolves to the stored comparison's id
+  // (null when it could not be stored) once every model has finished.
+  async compareModels(message, models, handlers, options = {}) {
+    const requestId = `compare-${Date.now()}-${this.nextRequestId++}`;
+    this.activeRequest = { requestId, transport: 'sse' };
+
+    try {
+      const response = await fetch('/api/chat/compare', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+        body: JSON.stringify({ models, message, requestId, ...this.generationSettings, ...options }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      let comparisonId = null;
+      await this.readEventStream(response, (event, data) => {
+        if (event === 'delta') {
+          handlers.onDelta(data.index, data.text);
+        } else if (event === 'done') {
+          handlers.onDone(data.index, data);
+        } else if (event === 'error') {
+          handlers.onError(data.index, data.error);
+        } else if (event === 'end') {
+          comparisonId = data.comparisonId;
+        }
+      });
+      return comparisonId;
+    } finally {
+      this.activeRequest = null;
+    }
+  }
+
+  async voteComparison(comparisonId, index) {
+    const response = await fetch(`/api/chat/compare/${encodeURIComponent(comparisonId)}/vote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+      body: JSON.stringify({ index }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  // Stop the in-flight chat. The server aborts the provider call and still
+  // answers with the partial response marked `cancelled`.
+  cancelGeneration() {
+    if (!this.activeRequest) return;
+    const { requestId, transport } = this.activeRequest;
+
+    if (transport === 'socket') {
+      this.chatSocket.cancel(requestId);
+    } else {
+      fetch('/api/chat/cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ requestId }),
+      }).catch(error => console.error('Cancel request failed:', error));
+    }
+  }
+
+  isGenerating() {
+    return !!this.activeRequest;
+  }
+
   async generateImage(prompt, options = {}) {
     if (!this.currentProvider || !this.currentModel) {
       throw new Error('Model not selected');
@@ -206,7 +550,44 @@ class LLMProvidersManager {
     }
   }
 
-  async createDesign(type, title, elements = []) {
+  // options: { language, provider, model, voice, format }. Without provider/model
+  // the server picks the first available text-to-speech model.
+  async synthesizeSpeech(text, options = {}) {
+    const response = await fetch('/api/speech/synthesize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, ...options }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Speech synthesis failed');
+    }
+    return await response.json();
+  }
+
+  // audio: a recorded Blob. options: { language, provider, model }
+  async transcribeSpeech(audio, options = {}) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    const response = await fetch(`/api/speech/transcribe?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': audio.type || 'audio/webm' },
+      body: audio,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Transcription failed');
+    }
+    return await response.json();
+  }
+
+  // type: presentation | poster | social-post. options: { title, elements }
+  async createDesign(type, prompt, { title, elements = [] } = {}) {
     if (this.currentProvider !== 'canva') {
       throw new Error('Design creation only supported with Canva');
     }
@@ -216,8 +597,11 @@ class LLMProvidersManager {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
+          provider: this.currentProvider,
+          model: this.currentModel,
           type,
           title,
+          prompt,
           elements,
         }),
       });
@@ -275,6 +659,8 @@ class LLMProvidersManager {
       adobe: ['image-generation', 'image-editing'],
       canva: ['design-creation', 'template-generation'],
       perplexity: ['chat', 'translation', 'web-search', 'language-detection'],
+      local: ['chat', 'translation', 'language-detection'],
+      huggingface: ['chat', 'translation', 'language-detection'],
     };
 
     return capabilities[provider] || [];
@@ -287,6 +673,23 @@ class LLMProvidersManager {
     return capabilities.includes(capability);
   }
 
+  // Catalog capability check for the current model
+  modelSupports(capability) {
+    return (this.getModelInfo()?.capabilities || []).includes(capability);
+  }
+
+  // Built-in web search, or any chat model when the server has a search backend
+  canWebSearch(provider = this.currentProvider, modelId = this.currentModel) {
+    const capabilities = this.getModelInfo(provider, modelId)?.capabilities
+      || this.getProviderCapabilities(provider);
+    return capabilities.includes('web-search') || (!!this.searchBackend && capabilities.includes('chat'));
+  }
+
+  // Catalog metadata for a model: { name, capabilities, contextWindow, maxOutputTokens }
+  getModelInfo(provider = this.currentProvider, modelId = this.currentModel) {
+    return this.providers[provider]?.models[modelId] || null;
+  }
+
   // Get models filtered by capability
   getModelsByCapability(capability) {
     const result = {};
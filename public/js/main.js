@@ -6,7 +6,9 @@ class MultiLLMChatApp {
     this.llmManager = null;
     this.isInitialized = false;
     this.currentMessageId = null;
-    this.capabilities = ['chat', 'image', 'design', 'translation', 'web-search'];
+    this.recorder = null; // MediaRecorder while dictating
+    this.threadMessages = []; // stored messages on the branch shown
+    this.capabilities = ['chat', 'image', 'design', 'translation', 'web-search', 'compare'];
     this.init();
   }
 
@@ -21,6 +23,11 @@ class MultiLLMChatApp {
       // Initialize LLM Providers Manager
       this.llmManager = new LLMProvidersManager();
       console.log('LLM Manager initialized');
+
+      // Open the WebSocket chat channel (falls back to SSE while disconnected)
+      this.chatSocket = new ChatSocketClient(this.llmManager.clientId);
+      this.chatSocket.connect();
+      this.llmManager.useChatSocket(this.chatSocket);
       
       // Setup event listeners
       this.setupEventListeners();
@@ -30,6 +37,9 @@ class MultiLLMChatApp {
       
       // Setup capability tabs
       this.setupCapabilityTabs();
+
+      // Stored threads for the sidebar
+      await this.refreshConversations();
       
       this.isInitialized = true;
       console.log('Enhanced Multi-LLM Chat App initialized successfully');
@@ -43,6 +53,8 @@ class MultiLLMChatApp {
   async initializeProviders() {
     try {
       await this.llmManager.initialize();
+      this.ui.setWebSearchBackend(this.llmManager.searchBackend);
+      this.ui.renderComparePicker(this.getChatModels());
       
       // Populate model dropdown
       const availableModels = this.llmManager.getAvailableModels();
@@ -79,7 +91,8 @@ class MultiLLMChatApp {
       image: '🎨 Image',
       design: '🎯 Design',
       translation: '🌐 Translate',
-      'web-search': '🔍 Search'
+      'web-search': '🔍 Search',
+      compare: '⚖️ Compare'
     };
 
     let tabsHtml = '';
@@ -127,6 +140,75 @@ class MultiLLMChatApp {
       this.handleWebSearch(event.detail);
     });
 
+    // Compare mode: one prompt, several models
+    document.addEventListener('compareModels', (event) => {
+      this.handleCompareModels(event.detail);
+    });
+
+    document.addEventListener('voteComparison', (event) => {
+      this.handleVoteComparison(event.detail);
+    });
+
+    // Stop the in-flight generation
+    document.addEventListener('cancelGeneration', () => {
+      this.llmManager?.cancelGeneration();
+    });
+
+    // Generation settings panel
+    document.addEventListener('openSettings', () => {
+      const currentModel = this.llmManager?.getCurrentModel();
+      this.ui.showSettings(
+        this.llmManager?.getGenerationSettings() || {},
+        this.llmManager?.getModelInfo()?.generation || null,
+        currentModel?.modelName
+      );
+    });
+
+    document.addEventListener('saveSettings', (event) => {
+      this.llmManager.setGenerationSettings(event.detail.settings);
+      this.ui.showSuccess('Settings saved');
+    });
+
+    // Images attached in the composer (picked or pasted)
+    document.addEventListener('attachImages', (event) => {
+      this.handleAttachImages(event.detail.files);
+    });
+
+    // Conversation sidebar
+    document.addEventListener('newConversation', () => {
+      this.clearChat();
+    });
+
+    document.addEventListener('openConversation', (event) => {
+      this.handleOpenConversation(event.detail.id);
+    });
+
+    document.addEventListener('renameConversation', (event) => {
+      this.handleRenameConversation(event.detail.id);
+    });
+
+    document.addEventListener('deleteConversation', (event) => {
+      this.handleDeleteConversation(event.detail.id);
+    });
+
+    // Editing, regenerating and version navigation in a stored thread
+    document.addEventListener('editMessage', (event) => {
+      this.handleEditMessage(event.detail);
+    });
+
+    document.addEventListener('regenerateMessage', (event) => {
+      this.handleRegenerateMessage(event.detail.messageId);
+    });
+
+    document.addEventListener('switchBranch', (event) => {
+      this.handleSwitchBranch(event.detail.messageId);
+    });
+
+    // Microphone input in the composer
+    document.addEventListener('toggleVoiceInput', () => {
+      this.handleVoiceInput();
+    });
+
     // Handle window focus for potential reconnection
     window.addEventListener('focus', () => {
       this.checkConnectionStatus();
@@ -142,11 +224,11 @@ class MultiLLMChatApp {
       this.ui.showError('Connection lost. Some features may not work properly.');
     });
 
-    // Handle beforeunload for unsaved data warning
+    // Chat turns are stored server-side; only a reply still generating would be lost
     window.addEventListener('beforeunload', (event) => {
-      if (this.ui?.getMessageCount() > 0) {
+      if (this.llmManager?.isGenerating()) {
         event.preventDefault();
-        event.returnValue = 'You have unsaved conversation history. Are you sure you want to leave?';
+        event.returnValue = 'A response is still generating. Are you sure you want to leave?';
       }
     });
 
@@ -181,7 +263,8 @@ class MultiLLMChatApp {
     const tabs = document.querySelectorAll('.capability-tab');
     tabs.forEach(tab => {
       const capability = tab.dataset.capability;
-      if (capabilities.includes(capability)) {
+      // Compare picks its own models
+      if (capability === 'compare' || capabilities.includes(capability)) {
         tab.classList.remove('disabled');
         tab.disabled = false;
       } else {
@@ -209,8 +292,14 @@ class MultiLLMChatApp {
       return;
     }
 
+    const images = detail.images || [];
+    if (images.length && !this.llmManager.modelSupports('vision')) {
+      this.ui.showError(`${currentModel.modelName} does not accept images. Please select a vision model or remove the attachments.`);
+      return;
+    }
+
     try {
-      await this.executeAIRequest('chat', message, currentModel);
+      await this.executeAIRequest('chat', message, currentModel, { images });
     } catch (error) {
       console.error('Unexpected error in handleSendMessage:', error);
       this.ui.showError('An unexpected error occurred. Please try again.');
@@ -275,6 +364,65 @@ class MultiLLMChatApp {
     }
   }
 
+  // Records from the microphone until toggled again, then puts the
+  // transcription into the message input
+  // Uploads each image right away so the message only carries their URLs
+  async handleAttachImages(files) {
+    for (const file of files) {
+      try {
+        const attachment = await this.llmManager.uploadAttachment(file);
+        this.ui.addAttachment({ url: attachment.url, name: file.name });
+      } catch (error) {
+        console.error('Attachment upload failed:', error);
+        this.ui.showError(`Could not attach ${file.name || 'image'}: ${error.message}`);
+      }
+    }
+  }
+
+  async handleVoiceInput() {
+    if (this.recorder) {
+      this.recorder.stop();
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      this.ui.showError('Microphone access was denied');
+      return;
+    }
+
+    const chunks = [];
+    const recorder = new MediaRecorder(stream);
+    recorder.addEventListener('dataavailable', (event) => chunks.push(event.data));
+    recorder.addEventListener('stop', async () => {
+      stream.getTracks().forEach(track => track.stop());
+      this.recorder = null;
+      this.ui.setRecording(false);
+      this.ui.setTranscribing(true);
+
+      try {
+        const audio = new Blob(chunks, { type: recorder.mimeType });
+        const result = await this.llmManager.transcribeSpeech(audio);
+        if (result.text) {
+          this.ui.insertTranscript(result.text);
+        } else {
+          this.ui.showError('No speech was recognized');
+        }
+      } catch (error) {
+        console.error('Transcription failed:', error);
+        this.ui.showError(`Transcription failed: ${error.message}`);
+      } finally {
+        this.ui.setTranscribing(false);
+      }
+    });
+
+    this.recorder = recorder;
+    recorder.start();
+    this.ui.setRecording(true);
+  }
+
   async handleTranslateText(detail) {
     // Implementation for translation
     this.ui.showError('Translation feature coming soon! Use the translate page for now.');
@@ -288,26 +436,121 @@ class MultiLLMChatApp {
     }
 
     const currentModel = this.llmManager.getCurrentModel();
-    if (!currentModel || !this.llmManager.supportsCapability('web-search')) {
-      this.ui.showError('Please select Perplexity AI for web search capabilities');
+    if (!currentModel || !this.llmManager.canWebSearch()) {
+      this.ui.showError(this.llmManager.searchBackend
+        ? 'Please select a chat model for web search'
+        : 'Please select Perplexity AI for web search capabilities');
+      return;
+    }
+
+    const images = detail.images || [];
+    if (images.length && !this.llmManager.modelSupports('vision')) {
+      this.ui.showError(`${currentModel.modelName} does not accept images. Please select a vision model or remove the attachments.`);
       return;
     }
 
     try {
-      await this.executeAIRequest('web-search', query, currentModel);
+      await this.executeAIRequest('web-search', query, currentModel, { images });
     } catch (error) {
       console.error('Error performing web search:', error);
       this.ui.showError('Failed to perform web search. Please try again.');
     }
   }
 
-  async executeAIRequest(type, input, currentModel) {
-    // Disable input and show loading states
+  // In a stored thread, parentId branches off an earlier message (editing) and
+  // regenerateId answers that reply's question again without a new user message
+  // Chat models of available providers for the compare picker: [{ provider, model, name }]
+  getChatModels() {
+    const models = [];
+    Object.entries(this.llmManager.getModelsByCapability('chat')).forEach(([provider, providerModels]) => {
+      Object.entries(providerModels).forEach(([model, info]) => {
+        if (!info.capabilities || info.capabilities.includes('chat')) {
+          models.push({ provider, model, name: info.name || model });
+        }
+      });
+    });
+    return models;
+  }
+
+  async handleCompareModels(detail) {
+    const message = detail.message;
+    const models = this.ui.getCompareSelection();
+    if (models.length < 2) {
+      this.ui.showError('Select at least two models to compare');
+      return;
+    }
+    const images = detail.images || [];
+    const blind = images.length
+      ? models.filter(({ provider, model }) => !this.llmManager.getModelInfo(provider, model)?.capabilities?.includes('vision'))
+      : [];
+    if (blind.length) {
+      this.ui.showError(`${blind.map(m => m.name).join(', ')} cannot read images. Deselect them or remove the attachments.`);
+      return;
+    }
+
+    if (this.llmManager.isGenerating()) {
+      this.llmManager.cancelGeneration();
+    }
+
     this.ui.disableInput();
     this.ui.clearInput();
+    this.ui.clearAttachments();
+    const userMessage = this.ui.addMessage(message, 'user');
+    this.ui.addMessageImages(userMessage, images);
+    const comparison = this.ui.startComparison(models);
+    this.ui.showStopButton();
+
+    try {
+      const comparisonId = await this.llmManager.compareModels(
+        message,
+        models.map(({ provider, model }) => ({ provider, model })),
+        {
+          onDelta: (index, text) => this.ui.appendToComparison(comparison, index, text),
+          onDone: (index, data) => this.ui.finishComparisonColumn(comparison, index, data),
+          onError: (index, error) => this.ui.failComparisonColumn(comparison, index, error),
+        },
+        images.length ? { images } : {}
+      );
+      if (comparisonId) this.ui.enableComparisonVotes(comparison, comparisonId);
+    } catch (error) {
+      console.error('Failed to compare models:', error);
+      this.ui.removeMessage(comparison);
+      this.ui.showError(this.llmManager.handleAPIError(error));
+    } finally {
+      this.ui.hideStopButton();
+      this.ui.enableInput();
+    }
+  }
+
+  async handleVoteComparison({ comparison, comparisonId, index }) {
+    try {
+      await this.llmManager.voteComparison(comparisonId, index);
+      this.ui.markComparisonVote(comparison, index);
+      this.ui.showSuccess('Vote recorded');
+    } catch (error) {
+      console.error('Failed to record vote:', error);
+      this.ui.showError(this.llmManager.handleAPIError(error));
+    }
+  }
+
+  async executeAIRequest(type, input, currentModel, { images = [], parentId, regenerateId } = {}) {
+    // A new request supersedes whatever is still generating
+    if (this.llmManager.isGenerating()) {
+      this.llmManager.cancelGeneration();
+    }
+
+    // Disable input and show loading states; edits and retries leave the composer alone
+    this.ui.disableInput();
+    if (parentId === undefined && regenerateId === undefined) {
+      this.ui.clearInput();
+      this.ui.clearAttachments();
+    }
     
     // Add user message to chat
-    this.ui.addMessage(input, 'user');
+    if (regenerateId === undefined) {
+      const userMessage = this.ui.addMessage(input, 'user');
+      this.ui.addMessageImages(userMessage, images);
+    }
     
     // Show typing indicator
     this.ui.showTyping();
@@ -317,19 +560,63 @@ class MultiLLMChatApp {
       
       switch (type) {
         case 'chat':
-        case 'web-search':
-          result = await this.llmManager.sendMessage(
-            input,
-            null, // onProgress callback
-            null, // will handle in finally
-            null  // will handle errors here
-          );
-          break;
-          
+        case 'web-search': {
+          // Render tokens into a live message bubble as they arrive
+          let streamingMessage = null;
+          this.ui.showStopButton();
+          try {
+            await this.llmManager.sendMessage(
+              input,
+              (delta) => {
+                if (!streamingMessage) {
+                  this.ui.hideTyping();
+                  streamingMessage = this.ui.startStreamingMessage(currentModel.modelName);
+                }
+                this.ui.appendToStreamingMessage(streamingMessage, delta);
+              },
+              (response, data) => {
+                if (!streamingMessage) {
+                  streamingMessage = this.ui.startStreamingMessage(currentModel.modelName);
+                }
+                this.ui.finishStreamingMessage(streamingMessage, response, data?.cancelled);
+                if (data?.fallbackFrom) {
+                  this.ui.addMessageNote(streamingMessage, `Answered by ${data.provider}/${data.model} (${data.fallbackFrom} was unavailable)`);
+                }
+                if (data?.context?.droppedMessages) {
+                  this.ui.addMessageNote(streamingMessage, this.contextNote(data.context));
+                }
+                this.ui.addCitations(streamingMessage, data?.citations);
+              },
+              null, // will handle errors here
+              {
+                ...(type === 'web-search' ? { webSearch: true } : {}),
+                ...(images.length ? { images } : {}),
+                ...(parentId !== undefined ? { parentId } : {}),
+                ...(regenerateId !== undefined ? { regenerateId } : {}),
+              }
+            );
+          } catch (error) {
+            if (streamingMessage) this.ui.removeMessage(streamingMessage);
+            throw error;
+          } finally {
+            this.ui.hideStopButton();
+            // The turn was stored, or the thread was just created
+            this.refreshConversations();
+          }
+          console.log(`${type} request completed successfully`);
+
+          // Re-render from the store so the new messages get their ids and version
+          // navigation (unless a newer request has already taken over)
+          if (this.llmManager.conversationId && !this.llmManager.isGenerating()) {
+            await this.showThread(this.llmManager.openConversation(this.llmManager.conversationId));
+          }
+          return;
+        }
+
         case 'image':
           result = await this.llmManager.generateImage(input);
-          if (result.imageUrl) {
-            result = `Generated image: ${result.imageUrl}`;
+          if (result.images?.length) {
+            result = `Generated image: ${result.images.map(image => image.url).join(' ')}`;
           } else {
             result = 'Image generated successfully, but URL not available';
           }
@@ -365,6 +652,129 @@ class MultiLLMChatApp {
     }
   }
 
+  // Note for answers whose earlier turns did not fit the model's context window
+  contextNote({ droppedMessages, summarizedMessages }) {
+    const earlier = droppedMessages === 1 ? '1 earlier message' : `${droppedMessages} earlier messages`;
+    return summarizedMessages
+      ? `${earlier} did not fit the context window; ${summarizedMessages} went in as a summary`
+      : `${earlier} did not fit the context window and ${droppedMessages === 1 ? 'was' : 'were'} left out`;
+  }
+
+  // Re-renders the sidebar; failures only leave it stale
+  async refreshConversations() {
+    try {
+      const conversations = await this.llmManager.listConversations();
+      this.ui.renderConversations(conversations, this.llmManager.conversationId);
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    }
+  }
+
+  async handleOpenConversation(id) {
+    if (id === this.llmManager.conversationId) return;
+    this.llmManager.cancelGeneration();
+    await this.showThread(this.llmManager.openConversation(id));
+    await this.refreshConversations();
+  }
+
+  // Renders the branch a conversation request resolves to ({ conversation, messages })
+  async showThread(request) {
+    try {
+      const { messages } = await request;
+      this.threadMessages = messages;
+      this.ui.clearChat();
+
+      messages.forEach(message => {
+        if (message.role === 'user') {
+          const messageDiv = this.ui.addMessage(message.content, 'user');
+          this.ui.addMessageImages(messageDiv, message.images || []);
+          this.ui.addMessageControls(messageDiv, message);
+          return;
+        }
+
+        const modelName = this.llmManager.getModelInfo(message.provider, message.model)?.name || message.model;
+        const messageDiv = this.ui.addMessage(message.content, message.role, modelName);
+        const metadata = message.metadata || {};
+        if (metadata.cancelled) {
+          this.ui.addMessageNote(messageDiv, 'Generation stopped');
+        }
+        if (metadata.fallbackFrom) {
+          this.ui.addMessageNote(messageDiv, `Answered by ${message.provider}/${message.model} (${metadata.fallbackFrom} was unavailable)`);
+        }
+        if (metadata.context?.droppedMessages) {
+          this.ui.addMessageNote(messageDiv, this.contextNote(metadata.context));
+        }
+        this.ui.addCitations(messageDiv, metadata.citations);
+        this.ui.addMessageControls(messageDiv, message);
+      });
+    } catch (error) {
+      console.error('Failed to load conversation:', error);
+      this.ui.showError(this.llmManager.handleAPIError(error));
+    }
+  }
+
+  // Sends the edited text as a new version of the message, dropping what followed it from view
+  async handleEditMessage({ messageId, content }) {
+    const message = this.threadMessages.find(m => m.id === messageId);
+    const currentModel = this.llmManager.getCurrentModel();
+    if (!message || !currentModel) return;
+
+    this.ui.removeMessagesFrom(this.ui.findMessage(messageId));
+    await this.executeAIRequest('chat', content, currentModel, {
+      images: message.images || [],
+      parentId: message.parentId,
+    });
+  }
+
+  // Asks the current model for another version of a reply
+  async handleRegenerateMessage(messageId) {
+    const reply = this.threadMessages.find(m => m.id === messageId);
+    const question = reply && this.threadMessages.find(m => m.id === reply.parentId);
+    const currentModel = this.llmManager.getCurrentModel();
+    if (!question || !currentModel) return;
+
+    this.ui.removeMessagesFrom(this.ui.findMessage(messageId));
+    // Replies grounded in search results are regenerated with a fresh search
+    const type = reply.metadata?.citations ? 'web-search' : 'chat';
+    await this.executeAIRequest(type, question.content, currentModel, { regenerateId: messageId });
+  }
+
+  async handleSwitchBranch(messageId) {
+    if (messageId === undefined) return;
+    this.llmManager.cancelGeneration();
+    await this.showThread(this.llmManager.selectBranch(messageId));
+  }
+
+  async handleRenameConversation(id) {
+    const title = prompt('Conversation title');
+    if (!title?.trim()) return;
+
+    try {
+      await this.llmManager.renameConversation(id, title.trim());
+    } catch (error) {
+      console.error('Failed to rename conversation:', error);
+      this.ui.showError(this.llmManager.handleAPIError(error));
+    }
+    await this.refreshConversations();
+  }
+
+  async handleDeleteConversation(id) {
+    if (!confirm('Delete this conversation? This cannot be undone.')) return;
+
+    const wasOpen = id === this.llmManager.conversationId;
+    try {
+      await this.llmManager.deleteConversation(id);
+      if (wasOpen) {
+        this.ui.clearChat();
+        this.threadMessages = [];
+      }
+    } catch (error) {
+      console.error('Failed to delete conversation:', error);
+      this.ui.showError(this.llmManager.handleAPIError(error));
+    }
+    await this.refreshConversations();
+  }
+
   async checkConnectionStatus() {
     if (!this.llmManager) return;
     
@@ -380,6 +790,7 @@ class MultiLLMChatApp {
         currentModel?.provider,
         currentModel?.modelId
       );
+      this.ui.renderComparePicker(this.getChatModels());
 
       // Check if current model is still available
       if (currentModel && !currentModel.available) {
@@ -429,6 +840,10 @@ class MultiLLMChatApp {
           event.preventDefault();
           this.switchToCapability('web-search');
           break;
+        case '6':
+          event.preventDefault();
+          this.switchToCapability('compare');
+          break;
       }
     }
 
@@ -446,6 +861,7 @@ class MultiLLMChatApp {
 
   clearChat() {
     if (this.llmManager) {
+      this.llmManager.cancelGeneration();
       this.llmManager.clearHistory();
     }
 
@@ -453,6 +869,8 @@ class MultiLLMChatApp {
       this.ui.clearChat();
     }
 
+    this.threadMessages = [];
+    this.refreshConversations();
     this.ui.showSuccess('Chat cleared');
   }
 
@@ -489,11 +907,11 @@ class MultiLLMChatApp {
     return await this.llmManager.generateImage(prompt, options);
   }
 
-  async createDesign(type, title, elements = []) {
+  async createDesign(type, prompt, options = {}) {
     if (!this.llmManager) {
       throw new Error('LLM Manager not initialized');
     }
-    return await this.llmManager.createDesign(type, title, elements);
+    return await this.llmManager.createDesign(type, prompt, options);
   }
 
   getProviderCapabilities(provider) {
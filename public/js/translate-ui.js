@@ -1,5 +1,8 @@
 // translate-ui.js -- UI Manager for Language Translator
 
+// Text accepted in bulk mode (MAX_BATCH_CHARACTERS in server.js)
+const BULK_CHARACTER_LIMIT = 100000;
+
 class TranslateUIManager {
     constructor() {
         this.elements = {
@@ -14,10 +17,36 @@ class TranslateUIManager {
             swapBtn: document.getElementById('swapBtn'),
             detectedLang: document.getElementById('detectedLang'),
 
+            // Extra target languages
+            moreTargetsBtn: document.getElementById('moreTargetsBtn'),
+            targetPicker: document.getElementById('targetPicker'),
+            targetPickerList: document.getElementById('targetPickerList'),
+            clearTargetsBtn: document.getElementById('clearTargetsBtn'),
+
+            // Glossary
+            glossarySelect: document.getElementById('glossarySelect'),
+            manageGlossaryBtn: document.getElementById('manageGlossaryBtn'),
+            glossaryPanel: document.getElementById('glossaryPanel'),
+            glossaryNameInput: document.getElementById('glossaryNameInput'),
+            createGlossaryBtn: document.getElementById('createGlossaryBtn'),
+            importGlossaryBtn: document.getElementById('importGlossaryBtn'),
+            glossaryFileInput: document.getElementById('glossaryFileInput'),
+            deleteGlossaryBtn: document.getElementById('deleteGlossaryBtn'),
+            glossaryTermForm: document.getElementById('glossaryTermForm'),
+            termSourceInput: document.getElementById('termSourceInput'),
+            termTargetInput: document.getElementById('termTargetInput'),
+            termDoNotTranslate: document.getElementById('termDoNotTranslate'),
+            termCaseSensitive: document.getElementById('termCaseSensitive'),
+            glossaryTermList: document.getElementById('glossaryTermList'),
+            glossaryWarnings: document.getElementById('glossaryWarnings'),
+
             // Text areas
             sourceText: document.getElementById('sourceText'),
             targetText: document.getElementById('targetText'),
             sourceCharCount: document.getElementById('sourceCharCount'),
+            sourceCharLimit: document.getElementById('sourceCharLimit'),
+            bulkModeToggle: document.getElementById('bulkModeToggle'),
+            bulkErrors: document.getElementById('bulkErrors'),
             targetCharCount: document.getElementById('targetCharCount'),
 
             // Buttons
@@ -27,10 +56,20 @@ class TranslateUIManager {
             clearSourceBtn: document.getElementById('clearSourceBtn'),
             copyBtn: document.getElementById('copyBtn'),
             pasteBtn: document.getElementById('pasteBtn'),
+            fileBtn: document.getElementById('fileBtn'),
+            fileInput: document.getElementById('fileInput'),
+            speakerBtn: document.getElementById('speakerBtn'),
 
             // Info displays
             translationInfo: document.getElementById('translationInfo'),
             usedModel: document.getElementById('usedModel'),
+            memoryBadge: document.getElementById('memoryBadge'),
+
+            // Multi-target results
+            multiResults: document.getElementById('multiResults'),
+            multiResultsList: document.getElementById('multiResultsList'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
 
             // History
             translationHistory: document.getElementById('translationHistory'),
@@ -44,6 +83,8 @@ class TranslateUIManager {
         this.isDropdownOpen = false;
         this.isTranslating = false;
         this.languages = {};
+        this.multiResults = [];
+        this.singleLimit = this.elements.sourceText ? this.elements.sourceText.maxLength : 5000;
         this.setupEvents();
     }
 
@@ -130,6 +171,23 @@ class TranslateUIManager {
             });
         }
 
+        if (this.elements.fileBtn && this.elements.fileInput) {
+            this.elements.fileBtn.addEventListener('click', () => {
+                this.elements.fileInput.click();
+            });
+            this.elements.fileInput.addEventListener('change', () => {
+                const file = this.elements.fileInput.files[0];
+                this.elements.fileInput.value = '';
+                if (file) this.triggerDocumentTranslation(file);
+            });
+        }
+
+        if (this.elements.speakerBtn) {
+            this.elements.speakerBtn.addEventListener('click', () => {
+                this.dispatchListen(this.getTargetText(), this.getTargetLanguage());
+            });
+        }
+
         if (this.elements.clearHistoryBtn) {
             this.elements.clearHistoryBtn.addEventListener('click', () => {
                 document.dispatchEvent(new CustomEvent('clearHistory'));
@@ -146,6 +204,44 @@ class TranslateUIManager {
             }
         });
 
+        if (this.elements.moreTargetsBtn) {
+            this.elements.moreTargetsBtn.addEventListener('click', () => {
+                this.toggleTargetPicker();
+            });
+        }
+
+        if (this.elements.clearTargetsBtn) {
+            this.elements.clearTargetsBtn.addEventListener('click', () => {
+                this.clearExtraTargets();
+            });
+        }
+
+        if (this.elements.targetPickerList) {
+            this.elements.targetPickerList.addEventListener('change', () => {
+                this.updateMoreTargetsButton();
+            });
+        }
+
+        if (this.elements.exportCsvBtn) {
+            this.elements.exportCsvBtn.addEventListener('click', () => {
+                this.exportMultiResults('csv');
+            });
+        }
+
+        if (this.elements.exportJsonBtn) {
+            this.elements.exportJsonBtn.addEventListener('click', () => {
+                this.exportMultiResults('json');
+            });
+        }
+
+        if (this.elements.bulkModeToggle) {
+            this.elements.bulkModeToggle.addEventListener('change', () => {
+                this.setBulkMode(this.elements.bulkModeToggle.checked);
+            });
+        }
+
+        this.setupGlossaryEvents();
+
         // Language selection changes
         if (this.elements.sourceLangSelect) {
             this.elements.sourceLangSelect.addEventListener('change', () => {
@@ -156,6 +252,169 @@ class TranslateUIManager {
         }
     }
 
+    // Glossary changes go to TranslatorApp, which talks to /api/glossaries
+    setupGlossaryEvents() {
+        if (!this.elements.glossarySelect) return;
+
+        this.elements.glossarySelect.addEventListener('change', () => {
+            document.dispatchEvent(new CustomEvent('selectGlossary', {
+                detail: { id: this.getGlossaryId() }
+            }));
+        });
+
+        this.elements.manageGlossaryBtn.addEventListener('click', () => {
+            const open = this.elements.glossaryPanel.style.display === 'none';
+            this.elements.glossaryPanel.style.display = open ? 'flex' : 'none';
+        });
+
+        this.elements.createGlossaryBtn.addEventListener('click', () => {
+            const name = this.elements.glossaryNameInput.value.trim();
+            if (!name) {
+                this.showError('Please enter a name for the glossary');
+                return;
+            }
+            document.dispatchEvent(new CustomEvent('createGlossary', { detail: { name } }));
+        });
+
+        this.elements.importGlossaryBtn.addEventListener('click', () => {
+            if (this.requireGlossary()) this.elements.glossaryFileInput.click();
+        });
+
+        this.elements.glossaryFileInput.addEventListener('change', () => {
+            const file = this.elements.glossaryFileInput.files[0];
+            this.elements.glossaryFileInput.value = '';
+            if (file) document.dispatchEvent(new CustomEvent('importGlossary', { detail: { file } }));
+        });
+
+        this.elements.deleteGlossaryBtn.addEventListener('click', () => {
+            if (!this.requireGlossary()) return;
+            const name = this.elements.glossarySelect.selectedOptions[0].textContent;
+            if (confirm(`Delete the glossary "${name}" and all its terms?`)) {
+                document.dispatchEvent(new CustomEvent('deleteGlossary', { detail: { id: this.getGlossaryId() } }));
+            }
+        });
+
+        this.elements.glossaryTermForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.requireGlossary()) return;
+
+            const doNotTranslate = this.elements.termDoNotTranslate.checked;
+            const translation = this.elements.termTargetInput.value.trim();
+            if (!doNotTranslate && !translation) {
+                this.showError('Enter the translation, or mark the term as do not translate');
+                return;
+            }
+            document.dispatchEvent(new CustomEvent('addGlossaryTerm', {
+                detail: {
+                    source: this.elements.termSourceInput.value.trim(),
+                    translations: translation ? { [this.getTargetLanguage()]: translation } : {},
+                    doNotTranslate,
+                    caseSensitive: this.elements.termCaseSensitive.checked
+                }
+            }));
+        });
+
+        this.elements.glossaryTermList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-term-id]');
+            if (button) {
+                document.dispatchEvent(new CustomEvent('deleteGlossaryTerm', {
+                    detail: { termId: Number(button.dataset.termId) }
+                }));
+            }
+        });
+    }
+
+    requireGlossary() {
+        if (this.getGlossaryId()) return true;
+        this.showError('Create or select a glossary first');
+        return false;
+    }
+
+    getGlossaryId() {
+        return this.elements.glossarySelect?.value || null;
+    }
+
+    // glossaries: [{ id, name, termCount }] from /api/glossaries
+    populateGlossaries(glossaries, selectedId = null) {
+        if (!this.elements.glossarySelect) return;
+
+        this.elements.glossarySelect.innerHTML = '<option value="">None</option>';
+        glossaries.forEach(glossary => {
+            const option = document.createElement('option');
+            option.value = glossary.id;
+            option.textContent = `${glossary.name} (${glossary.termCount})`;
+            this.elements.glossarySelect.appendChild(option);
+        });
+        this.elements.glossarySelect.value = glossaries.some(glossary => glossary.id === selectedId) ? selectedId : '';
+    }
+
+    // The selected glossary's terms, or an empty list without one
+    showGlossaryTerms(glossary) {
+        if (!this.elements.glossaryTermList) return;
+
+        this.elements.glossaryTermList.innerHTML = '';
+        (glossary?.terms || []).forEach(term => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.className = 'glossary-term-text';
+            const translations = Object.entries(term.translations)
+                .map(([code, translation]) => `${this.languages[code] || code}: ${translation}`);
+            text.textContent = translations.length ? `${term.source} → ${translations.join(', ')}` : term.source;
+            item.appendChild(text);
+
+            const flags = [term.doNotTranslate && 'do not translate', term.caseSensitive && 'match case'].filter(Boolean);
+            if (flags.length) {
+                const flag = document.createElement('span');
+                flag.className = 'glossary-term-flag';
+                flag.textContent = flags.join(' · ');
+                item.appendChild(flag);
+            }
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn--secondary btn--sm';
+            deleteBtn.dataset.termId = term.id;
+            deleteBtn.title = 'Remove term';
+            deleteBtn.textContent = '×';
+            item.appendChild(deleteBtn);
+
+            this.elements.glossaryTermList.appendChild(item);
+        });
+    }
+
+    clearGlossaryNameInput() {
+        if (this.elements.glossaryNameInput) this.elements.glossaryNameInput.value = '';
+    }
+
+    clearGlossaryTermForm() {
+        if (!this.elements.glossaryTermForm) return;
+        this.elements.glossaryTermForm.reset();
+        this.elements.termSourceInput.focus();
+    }
+
+    // violations: [{ source, expected, issue, id?, targetLang? }]: id and label as in
+    // showBulkErrors, for bulk and file translations; targetLang is set when several
+    // languages were translated
+    showGlossaryWarnings(violations, label = 'Line ') {
+        if (!this.elements.glossaryWarnings) return;
+
+        this.elements.glossaryWarnings.innerHTML = '';
+        violations.forEach(({ source, expected, issue, id, targetLang }) => {
+            const item = document.createElement('li');
+            const where = [id !== undefined && `${label}${id}`, targetLang && (this.languages[targetLang] || targetLang)]
+                .filter(Boolean).join(', ');
+            const rule = issue === 'translated'
+                ? `"${source}" should not be translated`
+                : `"${source}" should be translated as "${expected}"`;
+            item.textContent = `Glossary: ${rule}${where ? ` (${where})` : ''}`;
+            this.elements.glossaryWarnings.appendChild(item);
+        });
+        this.elements.glossaryWarnings.style.display = violations.length ? 'block' : 'none';
+    }
+
+    clearGlossaryWarnings() {
+        this.showGlossaryWarnings([]);
+    }
+
     async toggleModelDropdown() {
         if (this.isDropdownOpen) {
             return this.closeModelDropdown();
@@ -202,8 +461,9 @@ class TranslateUIManager {
                         <div class="model-group-title">${providerName}</div>
                 `;
                 
-                Object.entries(providerModels).forEach(([modelId, modelName]) => {
+                Object.entries(providerModels).forEach(([modelId, model]) => {
                     const isActive = currentProvider === provider && currentModel === modelId;
+                    const modelName = model.name;
                     html += `
                         <button class="model-item ${isActive ? 'active' : ''}" 
                                 data-provider="${provider}" 
@@ -270,6 +530,15 @@ class TranslateUIManager {
             });
             this.elements.targetLangSelect.innerHTML = targetHtml;
         }
+
+        // Extra target languages for multi-target translation
+        if (this.elements.targetPickerList) {
+            let pickerHtml = '';
+            Object.entries(languages).forEach(([code, name]) => {
+                pickerHtml += `<label><input type="checkbox" value="${code}"> ${name}</label>`;
+            });
+            this.elements.targetPickerList.innerHTML = pickerHtml;
+        }
     }
 
     triggerTranslation() {
@@ -277,23 +546,228 @@ class TranslateUIManager {
 
         const text = this.getSourceText();
         const sourceLang = this.getSourceLanguage();
-        const targetLang = this.getTargetLanguage();
+        const targetLangs = this.getTargetLanguages();
+        // A list only when extra languages are picked, so single translations keep their shape
+        const targetLang = targetLangs.length > 1 ? targetLangs : targetLangs[0];
 
         if (!text.trim()) {
             this.showError('Please enter text to translate');
             return;
         }
 
-        if (sourceLang === targetLang && sourceLang !== 'auto') {
+        if (targetLangs.includes(sourceLang)) {
             this.showError('Source and target languages cannot be the same');
             return;
         }
 
+        if (this.isBulkMode()) {
+            // Line numbers are the segment ids, so blank lines keep their place too
+            const segments = text.split('\n').map((line, index) => ({ id: index + 1, text: line }));
+            document.dispatchEvent(new CustomEvent('translateRequest', {
+                detail: { text, sourceLang, targetLang, segments }
+            }));
+            return;
+        }
+
         document.dispatchEvent(new CustomEvent('translateRequest', {
             detail: { text, sourceLang, targetLang }
         }));
     }
 
+    toggleTargetPicker() {
+        if (!this.elements.targetPicker) return;
+        const open = this.elements.targetPicker.style.display === 'none';
+        this.elements.targetPicker.style.display = open ? 'block' : 'none';
+    }
+
+    clearExtraTargets() {
+        this.elements.targetPickerList?.querySelectorAll('input:checked').forEach(input => {
+            input.checked = false;
+        });
+        this.updateMoreTargetsButton();
+    }
+
+    // The button shows how many extra languages are picked
+    updateMoreTargetsButton() {
+        if (!this.elements.moreTargetsBtn) return;
+        const count = this.getExtraTargetLanguages().length;
+        this.elements.moreTargetsBtn.textContent = count ? `+ ${count} more` : '+ Languages';
+        this.elements.moreTargetsBtn.classList.toggle('active', count > 0);
+    }
+
+    getExtraTargetLanguages() {
+        if (!this.elements.targetPickerList) return [];
+        return [...this.elements.targetPickerList.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    // The selected target first, then the extra languages picked
+    getTargetLanguages() {
+        const primary = this.getTargetLanguage();
+        return [primary, ...this.getExtraTargetLanguages().filter(code => code !== primary)];
+    }
+
+    // translations: [{ targetLang, translatedText, cost, tokensUsed } or { targetLang, error }]
+    showMultiResults(translations) {
+        if (!this.elements.multiResults || !this.elements.multiResultsList) return;
+
+        this.multiResults = translations;
+        this.elements.multiResultsList.innerHTML = '';
+        translations.forEach(translation => {
+            const language = this.languages[translation.targetLang] || translation.targetLang;
+            const card = document.createElement('div');
+            card.className = `result-card ${translation.error ? 'error' : ''}`;
+
+            const header = document.createElement('div');
+            header.className = 'result-card-header';
+            const name = document.createElement('span');
+            name.className = 'result-language';
+            name.textContent = language;
+            header.appendChild(name);
+
+            if (!translation.error) {
+                const meta = document.createElement('span');
+                meta.className = 'result-meta';
+                const cost = translation.cost === null || translation.cost === undefined
+                    ? 'cost unknown'
+                    : `$${translation.cost.toFixed(6)}`;
+                meta.textContent = translation.memory?.match === 'exact'
+                    ? 'from memory · $0'
+                    : `${translation.tokensUsed} tokens · ${cost}`;
+                header.appendChild(meta);
+
+                const copyBtn = document.createElement('button');
+                copyBtn.className = 'btn btn--secondary btn--sm';
+                copyBtn.textContent = 'Copy';
+                copyBtn.addEventListener('click', async () => {
+                    try {
+                        await navigator.clipboard.writeText(translation.translatedText);
+                        this.showSuccess(`${language} translation copied to clipboard`);
+                    } catch (error) {
+                        this.showError('Failed to copy to clipboard');
+                    }
+                });
+                header.appendChild(copyBtn);
+
+                const downloadBtn = document.createElement('button');
+                downloadBtn.className = 'btn btn--secondary btn--sm';
+                downloadBtn.textContent = 'Download';
+                downloadBtn.addEventListener('click', () => {
+                    this.downloadFile(`translation-${translation.targetLang}.txt`, translation.translatedText, 'text/plain');
+                });
+                header.appendChild(downloadBtn);
+            }
+
+            const text = document.createElement('p');
+            text.className = 'result-text';
+            text.textContent = translation.error || translation.translatedText;
+
+            card.appendChild(header);
+            card.appendChild(text);
+            this.elements.multiResultsList.appendChild(card);
+        });
+        this.elements.multiResults.style.display = translations.length ? 'block' : 'none';
+    }
+
+    clearMultiResults() {
+        this.showMultiResults([]);
+    }
+
+    // All languages of the last multi-target translation in one file
+    exportMultiResults(format) {
+        const rows = this.multiResults.filter(translation => !translation.error);
+        if (!rows.length) {
+            this.showError('No translations to export');
+            return;
+        }
+
+        const source = this.getSourceText();
+        if (format === 'json') {
+            const data = {
+                source,
+                translations: Object.fromEntries(rows.map(translation => [translation.targetLang, translation.translatedText]))
+            };
+            this.downloadFile('translations.json', JSON.stringify(data, null, 2), 'application/json');
+            return;
+        }
+
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const lines = [['language', 'code', 'translation', 'cost'].join(',')];
+        rows.forEach(translation => {
+            lines.push([
+                quote(this.languages[translation.targetLang] || translation.targetLang),
+                quote(translation.targetLang),
+                quote(translation.translatedText),
+                translation.cost ?? ''
+            ].join(','));
+        });
+        this.downloadFile('translations.csv', lines.join('\n'), 'text/csv');
+    }
+
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Files go to /api/translate/document once per target language
+    triggerDocumentTranslation(file) {
+        if (this.isTranslating) return;
+
+        const sourceLang = this.getSourceLanguage();
+        const targetLangs = this.getTargetLanguages();
+        if (targetLangs.includes(sourceLang)) {
+            this.showError('Source and target languages cannot be the same');
+            return;
+        }
+
+        document.dispatchEvent(new CustomEvent('translateDocument', {
+            detail: { file, sourceLang, targetLangs }
+        }));
+    }
+
+    isBulkMode() {
+        return !!this.elements.bulkModeToggle?.checked;
+    }
+
+    // Bulk mode sends every line as its own segment to /api/translate/batch,
+    // which accepts much more text than a single translation
+    setBulkMode(enabled) {
+        const limit = enabled ? BULK_CHARACTER_LIMIT : this.singleLimit;
+        if (this.elements.sourceText) {
+            this.elements.sourceText.maxLength = limit;
+            this.elements.sourceText.placeholder = enabled
+                ? 'Enter one text per line...'
+                : 'Enter text to translate...';
+        }
+        if (this.elements.sourceCharLimit) {
+            this.elements.sourceCharLimit.textContent = limit;
+        }
+        this.clearBulkErrors();
+    }
+
+    // failures: [{ id, error, targetLang }] where id is the source line number
+    // (or a document's string id, with label ''); targetLang is only set when
+    // several languages were translated
+    showBulkErrors(failures, label = 'Line ') {
+        if (!this.elements.bulkErrors) return;
+
+        this.elements.bulkErrors.innerHTML = '';
+        failures.forEach(({ id, error, targetLang }) => {
+            const item = document.createElement('li');
+            const language = targetLang ? ` (${this.languages[targetLang] || targetLang})` : '';
+            item.textContent = `${label}${id}${language}: ${error}`;
+            this.elements.bulkErrors.appendChild(item);
+        });
+        this.elements.bulkErrors.style.display = failures.length ? 'block' : 'none';
+    }
+
+    clearBulkErrors() {
+        this.showBulkErrors([]);
+    }
+
     setTranslating(isTranslating) {
         this.isTranslating = isTranslating;
         
@@ -362,10 +836,37 @@ class TranslateUIManager {
         }
     }
 
+    dispatchListen(text, language) {
+        document.dispatchEvent(new CustomEvent('listenTranslation', { detail: { text, language } }));
+    }
+
+    // Marks the speaker button while a translation is being read aloud
+    setSpeaking(isSpeaking) {
+        if (!this.elements.speakerBtn) return;
+        this.elements.speakerBtn.classList.toggle('active', isSpeaking);
+        this.elements.speakerBtn.title = isSpeaking ? 'Stop listening' : 'Listen to translation';
+    }
+
     clearTranslationInfo() {
         if (this.elements.translationInfo) {
             this.elements.translationInfo.style.display = 'none';
         }
+        this.setMemoryBadge(null);
+    }
+
+    // memory: a translation's { match: 'exact' | 'fuzzy', similarity }, or null
+    setMemoryBadge(memory) {
+        if (!this.elements.memoryBadge) return;
+
+        const badge = this.elements.memoryBadge;
+        if (memory?.match === 'exact') {
+            badge.textContent = 'From memory';
+            badge.title = 'Reused from the translation memory at no cost';
+        } else if (memory?.match === 'fuzzy') {
+            badge.textContent = `${Math.round(memory.similarity * 100)}% memory match`;
+            badge.title = 'Similar earlier translations were given to the model as reference';
+        }
+        badge.style.display = memory ? 'inline' : 'none';
     }
 
     updateSourceCharCount(count) {
@@ -477,6 +978,12 @@ class TranslateUIManager {
                                 <path d="M3 21v-5h5"/>
                             </svg>
                         </button>
+                        <button class="history-btn listen-btn" title="Listen to translation">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/>
+                                <path d="M15.54 8.46A5 5 0 0 1 15.54 15.54"/>
+                            </svg>
+                        </button>
                         <button class="history-btn copy-btn" title="Copy translation">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
@@ -504,6 +1011,13 @@ class TranslateUIManager {
             });
         });
 
+        this.elements.historyList.querySelectorAll('.listen-btn').forEach((btn, index) => {
+            btn.addEventListener('click', () => {
+                const item = history[index];
+                this.dispatchListen(item.translatedText, item.targetLang);
+            });
+        });
+
         this.elements.historyList.querySelectorAll('.copy-btn').forEach((btn, index) => {
             btn.addEventListener('click', async () => {
                 const item = history[index];
@@ -568,7 +1082,9 @@ class TranslateUIManager {
         const names = {
             'openai': 'OpenAI',
             'anthropic': 'Anthropic',
-            'deepseek': 'Deepseek AI'
+            'deepseek': 'Deepseek AI',
+            'local': 'Local Models',
+            'huggingface': 'Hugging Face'
         };
         return names[provider] || provider;
     }
@@ -577,7 +1093,9 @@ class TranslateUIManager {
         const icons = {
             'openai': '🤖',
             'anthropic': '🧠',
-            'deepseek': '🌊'
+            'deepseek': '🌊',
+            'local': '🖥️',
+            'huggingface': '🤗'
         };
         return icons[provider] || '🤖';
     }
@@ -599,6 +1117,7 @@ class TranslateUIManager {
                 'deepseek-coder': 'Code-focused'
             }
         };
+        if (provider === 'local') return 'Self-hosted model';
         return descriptions[provider]?.[modelId] || 'AI language model';
     }
 
@@ -606,4 +1125,4 @@ class TranslateUIManager {
         if (text.length <= maxLength) return text;
         return text.substring(0, maxLength) + '...';
     }
-}
\ No newline at end of file
+}
@@ -7,6 +7,7 @@ class TranslatorApp {
         this.isInitialized = false;
         this.translationHistory = [];
         this.currentTranslation = null;
+        this.currentAudio = null;
         this.init();
     }
 
@@ -28,6 +29,7 @@ class TranslatorApp {
             // Initialize providers and languages
             await this.initializeProviders();
             await this.loadLanguages();
+            await this.loadGlossaries();
 
             // Load translation history from localStorage
             this.loadTranslationHistory();
@@ -92,6 +94,36 @@ class TranslatorApp {
             this.handleTranslateRequest(event.detail);
         });
 
+        // File translation
+        document.addEventListener('translateDocument', (event) => {
+            this.handleTranslateDocument(event.detail);
+        });
+
+        // Glossaries
+        document.addEventListener('selectGlossary', (event) => {
+            this.handleSelectGlossary(event.detail.id);
+        });
+
+        document.addEventListener('createGlossary', (event) => {
+            this.handleCreateGlossary(event.detail.name);
+        });
+
+        document.addEventListener('deleteGlossary', (event) => {
+            this.handleDeleteGlossary(event.detail.id);
+        });
+
+        document.addEventListener('importGlossary', (event) => {
+            this.handleImportGlossary(event.detail.file);
+        });
+
+        document.addEventListener('addGlossaryTerm', (event) => {
+            this.handleAddGlossaryTerm(event.detail);
+        });
+
+        document.addEventListener('deleteGlossaryTerm', (event) => {
+            this.handleDeleteGlossaryTerm(event.detail.termId);
+        });
+
         // Language swap
         document.addEventListener('swapLanguages', () => {
             this.handleLanguageSwap();
@@ -107,6 +139,11 @@ class TranslatorApp {
             this.handleCopyTranslation();
         });
 
+        // Read a translation aloud
+        document.addEventListener('listenTranslation', (event) => {
+            this.handleListen(event.detail);
+        });
+
         // Clear source text
         document.addEventListener('clearSource', () => {
             this.handleClearSource();
@@ -156,7 +193,7 @@ class TranslatorApp {
             return;
         }
 
-        const { text, sourceLang, targetLang } = requestData;
+        const { text, sourceLang, targetLang, segments } = requestData;
 
         if (!text || !text.trim()) {
             this.ui.showError('Please enter text to translate');
@@ -178,24 +215,43 @@ class TranslatorApp {
             // Show loading state
             this.ui.setTranslating(true);
             this.ui.clearTargetText();
+            this.ui.clearBulkErrors();
+            this.ui.clearGlossaryWarnings();
+            this.ui.clearMultiResults();
 
             // Perform translation
-            const result = await this.performTranslation(text, sourceLang, targetLang, currentModel);
-
-            // Update UI with result
-            this.ui.setTargetText(result.translatedText);
+            const result = segments
+                ? await this.performBatchTranslation(segments, sourceLang, targetLang, currentModel)
+                : await this.performTranslation(text, sourceLang, targetLang, currentModel);
+
+            // Several target languages: the first goes in the target box, all of them in result cards
+            const translations = result.translations || [result];
+            const primaryText = translations[0].translatedText || '';
+            this.ui.setTargetText(primaryText);
             this.ui.setTranslationInfo(currentModel.modelName);
-            this.ui.updateTargetCharCount(result.translatedText.length);
+            this.ui.setMemoryBadge(translations[0].memory || null);
+            this.ui.updateTargetCharCount(primaryText.length);
+            if (translations.length > 1) {
+                this.ui.showMultiResults(translations);
+            }
+
+            const failedTargets = translations.filter(translation => translation.error);
+            if (failedTargets.length) {
+                this.ui.showError(`${failedTargets.length} of ${translations.length} languages could not be translated`);
+            }
+            this.showGlossaryViolations(translations);
 
             // Save to history
-            this.addToHistory({
-                sourceText: text,
-                translatedText: result.translatedText,
-                sourceLang: result.sourceLang,
-                targetLang: result.targetLang,
-                model: currentModel.modelName,
-                provider: currentModel.provider,
-                timestamp: new Date().toISOString()
+            translations.filter(translation => !translation.error).forEach(translation => {
+                this.addToHistory({
+                    sourceText: text,
+                    translatedText: translation.translatedText,
+                    sourceLang: result.sourceLang,
+                    targetLang: translation.targetLang,
+                    model: currentModel.modelName,
+                    provider: currentModel.provider,
+                    timestamp: new Date().toISOString()
+                });
             });
 
             // Update detected language if auto-detect was used
@@ -219,13 +275,15 @@ class TranslatorApp {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'X-Client-Id': this.llmManager.clientId,
             },
             body: JSON.stringify({
                 provider: model.provider,
                 model: model.modelId,
                 text: text.trim(),
                 sourceLang,
-                targetLang
+                targetLang,
+                glossaryId: this.ui.getGlossaryId() || undefined
             })
         });
 
@@ -237,6 +295,211 @@ class TranslatorApp {
         return await response.json();
     }
 
+    // Bulk mode: one segment per source line. Answers `translations` like a
+    // multi-target performTranslation, each with the lines joined back into
+    // translatedText; failed lines are left empty there and listed below the
+    // target box.
+    async performBatchTranslation(segments, sourceLang, targetLang, model) {
+        const response = await fetch('/api/translate/batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Client-Id': this.llmManager.clientId,
+            },
+            body: JSON.stringify({
+                provider: model.provider,
+                model: model.modelId,
+                segments,
+                sourceLang,
+                targetLang,
+                glossaryId: this.ui.getGlossaryId() || undefined
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        const several = result.translations.length > 1;
+        const translations = result.translations.map(translation => ({
+            ...translation,
+            translatedText: translation.segments.map(segment => segment.translatedText ?? '').join('\n')
+        }));
+        const failures = result.translations.flatMap(translation => translation.segments
+            .filter(segment => segment.error)
+            .map(segment => ({ ...segment, targetLang: several ? translation.targetLang : undefined })));
+        if (failures.length) {
+            this.ui.showBulkErrors(failures);
+            this.ui.showError(`${failures.length} of ${segments.length * translations.length} lines could not be translated`);
+        }
+
+        return { ...result, translations };
+    }
+
+    // Translates a file into each target language in turn and downloads every
+    // result; strings that could not be translated are listed below the target box
+    async handleTranslateDocument({ file, sourceLang, targetLangs }) {
+        const currentModel = this.llmManager.getCurrentModel();
+        if (!currentModel) {
+            this.ui.showError('Please select an AI model before translating');
+            return;
+        }
+
+        try {
+            this.ui.setTranslating(true);
+            this.ui.clearBulkErrors();
+            this.ui.clearGlossaryWarnings();
+            const content = await file.text();
+            const failures = [];
+            const translations = [];
+
+            for (const targetLang of targetLangs) {
+                const params = new URLSearchParams({
+                    provider: currentModel.provider,
+                    model: currentModel.modelId,
+                    sourceLang,
+                    targetLang,
+                    fileName: file.name
+                });
+                if (this.ui.getGlossaryId()) params.set('glossaryId', this.ui.getGlossaryId());
+                const response = await fetch(`/api/translate/document?${params}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'text/plain',
+                        'X-Client-Id': this.llmManager.clientId,
+                    },
+                    body: content
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json();
+                    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                const result = await response.json();
+                this.ui.downloadFile(result.fileName, result.content, result.mimeType);
+                translations.push(result);
+                failures.push(...result.failedSegments.map(failure => ({
+                    ...failure,
+                    targetLang: targetLangs.length > 1 ? targetLang : undefined
+                })));
+            }
+
+            this.ui.setTranslationInfo(currentModel.modelName);
+            this.ui.setMemoryBadge(null);
+            this.showGlossaryViolations(translations, '');
+            if (failures.length) {
+                this.ui.showBulkErrors(failures, '');
+                this.ui.showError(`${failures.length} strings kept their source text`);
+            } else {
+                this.ui.showSuccess(`${file.name} translated`);
+            }
+        } catch (error) {
+            console.error('File translation failed:', error);
+            this.ui.showError(this.getTranslationErrorMessage(error));
+        } finally {
+            this.ui.setTranslating(false);
+        }
+    }
+
+    // Lists the glossary terms the translations did not follow, per language when there are several
+    showGlossaryViolations(translations, label = 'Line ') {
+        const several = translations.length > 1;
+        this.ui.showGlossaryWarnings(translations.flatMap(translation => (translation.glossaryViolations || [])
+            .map(violation => ({ ...violation, targetLang: several ? translation.targetLang : undefined }))), label);
+    }
+
+    // The glossary picked last is selected again on the next visit
+    async loadGlossaries() {
+        try {
+            const glossaries = await this.llmManager.listGlossaries();
+            const selectedId = localStorage.getItem('translatorGlossaryId');
+            this.ui.populateGlossaries(glossaries, selectedId);
+            if (this.ui.getGlossaryId()) {
+                this.ui.showGlossaryTerms(await this.llmManager.getGlossary(this.ui.getGlossaryId()));
+            }
+        } catch (error) {
+            console.error('Failed to load glossaries:', error);
+        }
+    }
+
+    async refreshGlossaries(selectedId) {
+        localStorage.setItem('translatorGlossaryId', selectedId || '');
+        this.ui.populateGlossaries(await this.llmManager.listGlossaries(), selectedId);
+        this.ui.showGlossaryTerms(selectedId ? await this.llmManager.getGlossary(selectedId) : null);
+    }
+
+    async handleSelectGlossary(id) {
+        try {
+            await this.refreshGlossaries(id);
+        } catch (error) {
+            console.error('Failed to load glossary:', error);
+            this.ui.showError(`Failed to load glossary: ${error.message}`);
+        }
+    }
+
+    async handleCreateGlossary(name) {
+        try {
+            const sourceLang = this.ui.getSourceLanguage();
+            const glossary = await this.llmManager.createGlossary(name, sourceLang === 'auto' ? null : sourceLang);
+            this.ui.clearGlossaryNameInput();
+            await this.refreshGlossaries(glossary.id);
+            this.ui.showSuccess(`Glossary "${glossary.name}" created`);
+        } catch (error) {
+            console.error('Failed to create glossary:', error);
+            this.ui.showError(`Failed to create glossary: ${error.message}`);
+        }
+    }
+
+    async handleDeleteGlossary(id) {
+        try {
+            await this.llmManager.deleteGlossary(id);
+            await this.refreshGlossaries(null);
+            this.ui.showSuccess('Glossary deleted');
+        } catch (error) {
+            console.error('Failed to delete glossary:', error);
+            this.ui.showError(`Failed to delete glossary: ${error.message}`);
+        }
+    }
+
+    async handleImportGlossary(file) {
+        const id = this.ui.getGlossaryId();
+        try {
+            const result = await this.llmManager.importGlossary(id, file);
+            await this.refreshGlossaries(id);
+            const skipped = result.skipped.length ? `, ${result.skipped.length} skipped` : '';
+            this.ui.showSuccess(`${result.added} terms added, ${result.updated} updated${skipped}`);
+        } catch (error) {
+            console.error('Failed to import glossary:', error);
+            this.ui.showError(`Failed to import ${file.name}: ${error.message}`);
+        }
+    }
+
+    async handleAddGlossaryTerm(term) {
+        const id = this.ui.getGlossaryId();
+        try {
+            await this.llmManager.addGlossaryTerm(id, term);
+            await this.refreshGlossaries(id);
+            this.ui.clearGlossaryTermForm();
+        } catch (error) {
+            console.error('Failed to add glossary term:', error);
+            this.ui.showError(`Failed to add term: ${error.message}`);
+        }
+    }
+
+    async handleDeleteGlossaryTerm(termId) {
+        const id = this.ui.getGlossaryId();
+        try {
+            await this.llmManager.deleteGlossaryTerm(id, termId);
+            await this.refreshGlossaries(id);
+        } catch (error) {
+            console.error('Failed to delete glossary term:', error);
+            this.ui.showError(`Failed to delete term: ${error.message}`);
+        }
+    }
+
     async handleSourceTextChange(text) {
         this.ui.updateSourceCharCount(text.length);
 
@@ -312,11 +575,46 @@ class TranslatorApp {
         }
     }
 
+    // Plays the text through /api/speech/synthesize; a second click while
+    // playing stops it
+    async handleListen({ text, language }) {
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            this.currentAudio = null;
+            this.ui.setSpeaking(false);
+            return;
+        }
+        if (!text || !text.trim()) {
+            this.ui.showError('No translation to listen to');
+            return;
+        }
+
+        try {
+            this.ui.setSpeaking(true);
+            const result = await this.llmManager.synthesizeSpeech(text, { language });
+            const audio = new Audio(result.audioUrl);
+            this.currentAudio = audio;
+            audio.addEventListener('ended', () => {
+                if (this.currentAudio === audio) this.currentAudio = null;
+                this.ui.setSpeaking(false);
+            });
+            await audio.play();
+        } catch (error) {
+            console.error('Speech synthesis failed:', error);
+            this.currentAudio = null;
+            this.ui.setSpeaking(false);
+            this.ui.showError(`Could not read the translation aloud: ${error.message}`);
+        }
+    }
+
     handleClearSource() {
         this.ui.clearSourceText();
         this.ui.clearTargetText();
         this.ui.clearDetectedLanguage();
         this.ui.clearTranslationInfo();
+        this.ui.clearBulkErrors();
+        this.ui.clearGlossaryWarnings();
+        this.ui.clearMultiResults();
         this.currentTranslation = null;
     }
 
@@ -9,6 +9,11 @@ class UIManager {
       currentProvider: document.getElementById('currentProvider'),
       messageInput: document.getElementById('messageInput'),
       sendButton: document.getElementById('sendButton'),
+      stopButton: document.getElementById('stopButton'),
+      micButton: document.getElementById('micButton'),
+      attachButton: document.getElementById('attachButton'),
+      attachInput: document.getElementById('attachInput'),
+      attachmentPreviews: document.getElementById('attachmentPreviews'),
       messagesContainer: document.getElementById('messagesContainer'),
       charCount: document.getElementById('charCount'),
       typingIndicator: document.getElementById('typingIndicator'),
@@ -17,12 +22,18 @@ class UIManager {
       imageGenBtn: document.getElementById('imageGenBtn'),
       designGenBtn: document.getElementById('designGenBtn'),
       capabilityTabs: document.getElementById('capabilityTabs'),
+      conversationList: document.getElementById('conversationList'),
+      newConversationBtn: document.getElementById('newConversationBtn'),
+      comparePicker: document.getElementById('comparePicker'),
     };
     this.currentProvider = null;
     this.currentModel = null;
     this.isDropdownOpen = false;
     this.messageCount = 0;
     this.currentCapability = 'chat';
+    this.webSearchBackend = null;
+    this.attachments = []; // { url, name } of uploaded images for the next message
+    this.maxCompareModels = 4;
     this.setupEvents();
   }
 
@@ -59,6 +70,26 @@ class UIManager {
           this.sendMessage();
         }
       });
+
+      // Pasted images become attachments; pasted text is left alone
+      this.elements.messageInput.addEventListener('paste', e => {
+        const files = [...(e.clipboardData?.files || [])].filter(file => file.type.startsWith('image/'));
+        if (files.length === 0) return;
+        e.preventDefault();
+        document.dispatchEvent(new CustomEvent('attachImages', { detail: { files } }));
+      });
+    }
+
+    // Image attachments picked from disk
+    if (this.elements.attachButton && this.elements.attachInput) {
+      this.elements.attachButton.addEventListener('click', () => this.elements.attachInput.click());
+      this.elements.attachInput.addEventListener('change', () => {
+        const files = [...this.elements.attachInput.files];
+        this.elements.attachInput.value = '';
+        if (files.length) {
+          document.dispatchEvent(new CustomEvent('attachImages', { detail: { files } }));
+        }
+      });
     }
 
     // Send button
@@ -66,6 +97,23 @@ class UIManager {
       this.elements.sendButton.addEventListener('click', () => this.sendMessage());
     }
 
+    // Stop button (visible while a reply is streaming)
+    if (this.elements.stopButton) {
+      this.elements.stopButton.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('cancelGeneration'));
+      });
+    }
+
+    // Microphone: first click starts recording, second click transcribes
+    if (this.elements.micButton) {
+      if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+        this.elements.micButton.style.display = 'none';
+      }
+      this.elements.micButton.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('toggleVoiceInput'));
+      });
+    }
+
     // Clear chat button
     if (this.elements.clearChatBtn) {
       this.elements.clearChatBtn.addEventListener('click', () => this.clearChat());
@@ -81,6 +129,25 @@ class UIManager {
       this.elements.designGenBtn.addEventListener('click', () => this.switchToCapability('design'));
     }
 
+    // Conversation sidebar
+    if (this.elements.newConversationBtn) {
+      this.elements.newConversationBtn.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('newConversation'));
+      });
+    }
+
+    if (this.elements.conversationList) {
+      this.elements.conversationList.addEventListener('click', (e) => {
+        const item = e.target.closest('.conversation-item');
+        if (!item) return;
+        const events = { open: 'openConversation', rename: 'renameConversation', delete: 'deleteConversation' };
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (events[action]) {
+          document.dispatchEvent(new CustomEvent(events[action], { detail: { id: item.dataset.id } }));
+        }
+      });
+    }
+
     // Capability tabs
     if (this.elements.capabilityTabs) {
       this.elements.capabilityTabs.addEventListener('click', (e) => {
@@ -94,21 +161,16 @@ class UIManager {
     // Settings button
     if (this.elements.settingsBtn) {
       this.elements.settingsBtn.addEventListener('click', () => {
-        this.showSettings();
+        document.dispatchEvent(new CustomEvent('openSettings'));
       });
     }
-
-    // Page leave warning
-    window.addEventListener('beforeunload', (e) => {
-      if (this.messageCount > 0) {
-        e.preventDefault();
-        e.returnValue = '';
-      }
-    });
   }
 
   switchToCapability(capability) {
     this.currentCapability = capability;
+    if (this.elements.comparePicker) {
+      this.elements.comparePicker.hidden = capability !== 'compare';
+    }
     this.updateCapabilityTabs();
     this.updateInputPlaceholder();
     this.updateAvailableModels();
@@ -135,7 +197,8 @@ class UIManager {
       image: 'Describe the image you want to generate...',
       design: 'Describe the design you want to create...',
       translation: 'Enter text to translate...',
-      'web-search': 'Ask a question to search the web...'
+      'web-search': 'Ask a question to search the web...',
+      compare: 'Ask something to compare the selected models...'
     };
 
     this.elements.messageInput.placeholder = placeholders[this.currentCapability] || placeholders.chat;
@@ -187,14 +250,17 @@ class UIManager {
       html += `<div class="dropdown-section">
         <div class="dropdown-section-header">${providerDisplayName}</div>`;
       
-      Object.entries(providerModels).forEach(([modelId, modelName]) => {
+      Object.entries(providerModels).forEach(([modelId, model]) => {
         const isSelected = provider === selectedProvider && modelId === selectedModel;
-        const capabilityBadge = this.getModelCapabilityBadge(provider, modelId);
+        const capabilityBadge = this.getModelCapabilityBadge(provider, model);
+        const contextSize = model.contextWindow
+          ? `<span class="model-context">${this.formatContextWindow(model.contextWindow)} context</span>`
+          : '';
         html += `
           <div class="dropdown-item ${isSelected ? 'selected' : ''}" 
-               onclick="window.app?.ui?.selectModel('${provider}', '${modelId}', '${modelName}')">
+               onclick="window.app?.ui?.selectModel('${provider}', '${modelId}', '${model.name}')">
             <div class="model-info">
-              <div class="model-name">${modelName}</div>
+              <div class="model-name">${model.name} ${contextSize}</div>
               <div class="model-capabilities">${capabilityBadge}</div>
             </div>
           </div>`;
@@ -209,8 +275,22 @@ class UIManager {
     this.elements.modelDropdown.innerHTML = html;
   }
 
+  // With a server-side search backend every chat model can answer web searches
+  setWebSearchBackend(backend) {
+    this.webSearchBackend = backend;
+  }
+
   filterModelsByCapability(models) {
-    if (this.currentCapability === 'chat') return models;
+    if (this.currentCapability === 'chat' || this.currentCapability === 'compare') return models;
+    if (this.currentCapability === 'web-search' && this.webSearchBackend) {
+      const filtered = {};
+      Object.entries(models).forEach(([provider, providerModels]) => {
+        const chatModels = Object.fromEntries(Object.entries(providerModels)
+          .filter(([modelId, model]) => this.modelSupportsCapability(provider, modelId, 'chat', model)));
+        if (Object.keys(chatModels).length > 0) filtered[provider] = chatModels;
+      });
+      return filtered;
+    }
 
     const filtered = {};
     Object.entries(models).forEach(([provider, providerModels]) => {
@@ -218,9 +298,9 @@ class UIManager {
       if (capabilities.includes(this.currentCapability)) {
         // Further filter models within provider if needed
         const filteredProviderModels = {};
-        Object.entries(providerModels).forEach(([modelId, modelName]) => {
-          if (this.modelSupportsCapability(provider, modelId, this.currentCapability)) {
-            filteredProviderModels[modelId] = modelName;
+        Object.entries(providerModels).forEach(([modelId, model]) => {
+          if (this.modelSupportsCapability(provider, modelId, this.currentCapability, model)) {
+            filteredProviderModels[modelId] = model;
           }
         });
         if (Object.keys(filteredProviderModels).length > 0) {
@@ -240,12 +320,17 @@ class UIManager {
       adobe: ['image', 'image-editing'],
       canva: ['design', 'template-generation'],
       perplexity: ['chat', 'translation', 'web-search', 'language-detection'],
+      local: ['chat', 'translation', 'language-detection'],
+      huggingface: ['chat', 'translation', 'language-detection'],
     };
     return capabilities[provider] || [];
   }
 
-  modelSupportsCapability(provider, modelId, capability) {
-    // Custom logic to determine if specific model supports capability
+  modelSupportsCapability(provider, modelId, capability, model = null) {
+    // The catalog lists capabilities per model; the rules below cover anything else
+    if (model?.capabilities) {
+      return model.capabilities.includes(capability);
+    }
     if (capability === 'image') {
       return modelId.includes('dall-e') || modelId.includes('firefly') || 
              modelId.includes('image') || provider === 'adobe';
@@ -271,12 +356,14 @@ class UIManager {
       adobe: 'Adobe AI',
       canva: 'Canva AI',
       perplexity: 'Perplexity AI',
+      local: 'Local Models',
+      huggingface: 'Hugging Face',
     };
     return names[provider] || provider.charAt(0).toUpperCase() + provider.slice(1);
   }
 
-  getModelCapabilityBadge(provider, modelId) {
-    const capabilities = this.getProviderCapabilities(provider);
+  getModelCapabilityBadge(provider, model = null) {
+    const capabilities = model?.capabilities || this.getProviderCapabilities(provider);
     let badges = capabilities.slice(0, 3).map(cap => {
       const badgeClass = cap === this.currentCapability ? 'capability-badge active' : 'capability-badge';
       return `<span class="${badgeClass}">${cap}</span>`;
@@ -289,6 +376,11 @@ class UIManager {
     return badges;
   }
 
+  // 128000 -> "128K", 2048 -> "2K"
+  formatContextWindow(tokens) {
+    return tokens >= 1000 ? `${Math.round(tokens / 1000)}K` : `${tokens}`;
+  }
+
   selectModel(provider, modelId, modelName) {
     this.currentProvider = provider;
     this.currentModel = modelId;
@@ -366,13 +458,73 @@ class UIManager {
       eventType = 'generateImage';
     } else if (this.currentCapability === 'design') {
       eventType = 'createDesign';
+    } else if (this.currentCapability === 'web-search') {
+      eventType = 'webSearch';
+    } else if (this.currentCapability === 'compare') {
+      eventType = 'compareModels';
     }
 
     document.dispatchEvent(new CustomEvent(eventType, {
-      detail: { message, capability: this.currentCapability }
+      detail: { message, capability: this.currentCapability, images: this.attachments.map(a => a.url) }
     }));
   }
 
+  addAttachment(attachment) {
+    this.attachments.push(attachment);
+    this.renderAttachments();
+  }
+
+  removeAttachment(url) {
+    this.attachments = this.attachments.filter(attachment => attachment.url !== url);
+    this.renderAttachments();
+  }
+
+  clearAttachments() {
+    this.attachments = [];
+    this.renderAttachments();
+  }
+
+  renderAttachments() {
+    const container = this.elements.attachmentPreviews;
+    if (!container) return;
+    container.innerHTML = '';
+    this.attachments.forEach(({ url, name }) => {
+      const preview = document.createElement('div');
+      preview.className = 'attachment-preview';
+      const image = document.createElement('img');
+      image.src = url;
+      image.alt = name || 'Attached image';
+      const remove = document.createElement('button');
+      remove.className = 'attachment-remove';
+      remove.title = 'Remove';
+      remove.textContent = '×';
+      remove.addEventListener('click', () => this.removeAttachment(url));
+      preview.append(image, remove);
+      container.appendChild(preview);
+    });
+  }
+
+  setRecording(isRecording) {
+    if (!this.elements.micButton) return;
+    this.elements.micButton.classList.toggle('recording', isRecording);
+    this.elements.micButton.title = isRecording ? 'Stop recording and transcribe' : 'Voice input';
+  }
+
+  setTranscribing(isTranscribing) {
+    if (this.elements.micButton) this.elements.micButton.disabled = isTranscribing;
+  }
+
+  // Appends dictated text to whatever is already typed
+  insertTranscript(text) {
+    if (!this.elements.messageInput || !text) return;
+    const input = this.elements.messageInput;
+    input.value = input.value.trim() ? `${input.value.trimEnd()} ${text}` : text;
+    this.updateCharCount();
+    this.autoResizeTextarea();
+    this.updateSendButton();
+    input.focus();
+  }
+
   clearInput() {
     if (this.elements.messageInput) {
       this.elements.messageInput.value = '';
@@ -392,6 +544,16 @@ class UIManager {
     this.updateSendButton();
   }
 
+  showStopButton() {
+    if (this.elements.stopButton) this.elements.stopButton.style.display = 'flex';
+    if (this.elements.sendButton) this.elements.sendButton.style.display = 'none';
+  }
+
+  hideStopButton() {
+    if (this.elements.stopButton) this.elements.stopButton.style.display = 'none';
+    if (this.elements.sendButton) this.elements.sendButton.style.display = '';
+  }
+
   addMessage(content, role, modelName = '') {
     if (!this.elements.messagesContainer) return;
 
@@ -403,9 +565,13 @@ class UIManager {
 
     // Handle special content types
     if (this.isImageUrl(content)) {
-      content = `<img src="${content}" alt="Generated image" class="generated-image" />`;
+      // "Generated image: <url> <url> ..." renders one image per URL
+      content = content.replace('Generated image:', '').trim().split(/\s+/)
+        .map(url => `<img src="${url}" alt="Generated image" class="generated-image" />`)
+        .join('');
     } else if (this.isDesignUrl(content)) {
-      content = `<a href="${content}" target="_blank" class="design-link">View Design</a>`;
+      const designUrl = content.trim().split(/\s+/).pop();
+      content = `<a href="${designUrl}" target="_blank" class="design-link">View Design</a>`;
     } else if (this.containsAudioReference(content)) {
       const audioMatch = content.match(/\[Audio available: (.*?)\]/);
       if (audioMatch) {
@@ -427,6 +593,325 @@ class UIManager {
     this.elements.messagesContainer.appendChild(messageDiv);
     this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
     this.messageCount++;
+    return messageDiv;
+  }
+
+  // Thumbnails of the images sent with a message
+  addMessageImages(messageDiv, urls) {
+    if (!messageDiv || !urls?.length) return;
+    const container = document.createElement('div');
+    container.className = 'message-images';
+    urls.forEach(url => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      const image = document.createElement('img');
+      image.src = url;
+      image.alt = 'Attached image';
+      link.appendChild(image);
+      container.appendChild(link);
+    });
+    messageDiv.querySelector('.message-content').appendChild(container);
+  }
+
+  // Streaming replies: create an empty assistant bubble, append deltas as plain text,
+  // then swap in the final content once the stream completes
+  startStreamingMessage(modelName = '') {
+    if (!this.elements.messagesContainer) return null;
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-assistant streaming';
+    messageDiv.innerHTML = `
+      <div class="message-header">
+        <span class="message-role">${modelName || 'Assistant'}</span>
+        <span class="message-time">${new Date().toLocaleTimeString()}</span>
+      </div>
+      <div class="message-content"></div>
+    `;
+
+    this.elements.messagesContainer.appendChild(messageDiv);
+    this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+    this.messageCount++;
+    return messageDiv;
+  }
+
+  appendToStreamingMessage(messageDiv, text) {
+    if (!messageDiv) return;
+    const contentDiv = messageDiv.querySelector('.message-content');
+    contentDiv.textContent += text;
+    this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+  }
+
+  finishStreamingMessage(messageDiv, content, cancelled = false) {
+    if (!messageDiv) return;
+    messageDiv.classList.remove('streaming');
+    messageDiv.querySelector('.message-content').textContent = content;
+
+    if (cancelled) {
+      this.addMessageNote(messageDiv, 'Generation stopped');
+    }
+  }
+
+  addMessageNote(messageDiv, text) {
+    if (!messageDiv) return;
+    const note = document.createElement('div');
+    note.className = 'message-note';
+    note.textContent = text;
+    messageDiv.appendChild(note);
+  }
+
+  // Numbered source list under a web-search answer; numbers match the [n] markers in the text.
+  // Citation URLs come from providers and search results, so only http(s) ones become links.
+  addCitations(messageDiv, citations) {
+    if (!messageDiv || !citations?.length) return;
+    const isWebUrl = (url) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+      } catch {
+        return false;
+      }
+    };
+    const list = document.createElement('ol');
+    list.className = 'message-citations';
+    citations.forEach((citation, i) => {
+      const item = document.createElement('li');
+      item.value = citation.index || i + 1;
+      const link = document.createElement(isWebUrl(citation.url) ? 'a' : 'span');
+      if (link.tagName === 'A') {
+        link.href = citation.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+      }
+      link.textContent = citation.title || citation.url;
+      item.appendChild(link);
+      if (citation.snippet) {
+        const snippet = document.createElement('div');
+        snippet.className = 'citation-snippet';
+        snippet.textContent = citation.snippet;
+        item.appendChild(snippet);
+      }
+      list.appendChild(item);
+    });
+    messageDiv.appendChild(list);
+  }
+
+  // Checkboxes for the models a comparison fans out to; models: [{ provider, model, name }].
+  // Keeps whatever was already ticked and allows up to maxCompareModels.
+  renderComparePicker(models) {
+    const picker = this.elements.comparePicker;
+    if (!picker) return;
+    const selected = new Set(this.getCompareSelection().map(({ provider, model }) => `${provider}/${model}`));
+
+    picker.innerHTML = '<span class="compare-picker-label">Compare:</span>';
+    models.forEach(({ provider, model, name }) => {
+      const label = document.createElement('label');
+      label.className = 'compare-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.provider = provider;
+      checkbox.dataset.model = model;
+      checkbox.dataset.name = name;
+      checkbox.checked = selected.has(`${provider}/${model}`);
+      checkbox.addEventListener('change', () => this.updateComparePicker());
+      label.append(checkbox, ` ${name}`);
+      picker.appendChild(label);
+    });
+    this.updateComparePicker();
+  }
+
+  updateComparePicker() {
+    const checkboxes = [...(this.elements.comparePicker?.querySelectorAll('input') || [])];
+    const full = checkboxes.filter(checkbox => checkbox.checked).length >= this.maxCompareModels;
+    checkboxes.forEach(checkbox => {
+      checkbox.disabled = full && !checkbox.checked;
+    });
+  }
+
+  getCompareSelection() {
+    const checked = this.elements.comparePicker?.querySelectorAll('input:checked') || [];
+    return [...checked].map(checkbox => ({
+      provider: checkbox.dataset.provider,
+      model: checkbox.dataset.model,
+      name: checkbox.dataset.name,
+    }));
+  }
+
+  // Side-by-side columns for a comparison, one per model ({ name }). Returns the
+  // container; columns are addressed by index like the server's frames.
+  startComparison(models) {
+    if (!this.elements.messagesContainer) return null;
+
+    const comparison = document.createElement('div');
+    comparison.className = 'comparison';
+    models.forEach(({ name }) => {
+      const column = document.createElement('div');
+      column.className = 'comparison-column streaming';
+      column.innerHTML = `
+        <div class="message-header">
+          <span class="message-role"></span>
+        </div>
+        <div class="message-content"></div>
+        <div class="comparison-stats"></div>
+        <button class="btn btn--outline btn--sm comparison-vote" disabled>👍 Best answer</button>
+      `;
+      column.querySelector('.message-role').textContent = name;
+      comparison.appendChild(column);
+    });
+
+    this.elements.messagesContainer.appendChild(comparison);
+    this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+    this.messageCount++;
+    return comparison;
+  }
+
+  comparisonColumn(comparison, index) {
+    return comparison?.children[index] || null;
+  }
+
+  appendToComparison(comparison, index, text) {
+    const column = this.comparisonColumn(comparison, index);
+    if (!column) return;
+    column.querySelector('.message-content').textContent += text;
+  }
+
+  // data: the column's done frame (latency, tokens, cost, cancelled)
+  finishComparisonColumn(comparison, index, data) {
+    const column = this.comparisonColumn(comparison, index);
+    if (!column) return;
+    column.classList.remove('streaming');
+    column.querySelector('.message-content').textContent = data.response;
+
+    const stats = [`${(data.executionTime / 1000).toFixed(1)}s`];
+    if (data.timeToFirstToken !== null && data.timeToFirstToken !== undefined) {
+      stats.push(`first token ${(data.timeToFirstToken / 1000).toFixed(1)}s`);
+    }
+    stats.push(`${data.tokensUsed} tokens`);
+    if (data.cost !== null && data.cost !== undefined) stats.push(`$${data.cost.toFixed(6)}`);
+    column.querySelector('.comparison-stats').textContent = stats.join(' · ');
+    if (data.cancelled) this.addMessageNote(column, 'Generation stopped');
+  }
+
+  failComparisonColumn(comparison, index, error) {
+    const column = this.comparisonColumn(comparison, index);
+    if (!column) return;
+    column.classList.remove('streaming');
+    column.classList.add('failed');
+    column.querySelector('.message-content').textContent = `❌ ${error}`;
+    column.querySelector('.comparison-vote').remove();
+  }
+
+  // Enables voting once the comparison is stored; a vote dispatches 'voteComparison'
+  enableComparisonVotes(comparison, comparisonId) {
+    comparison?.querySelectorAll('.comparison-column').forEach((column, index) => {
+      const vote = column.querySelector('.comparison-vote');
+      if (!vote) return;
+      vote.disabled = false;
+      vote.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('voteComparison', { detail: { comparison, comparisonId, index } }));
+      });
+    });
+  }
+
+  markComparisonVote(comparison, index) {
+    comparison?.querySelectorAll('.comparison-column').forEach((column, i) => {
+      column.classList.toggle('voted', i === index);
+    });
+  }
+
+  // Edit/regenerate buttons and "2 / 3" version navigation for a stored message
+  // ({ id, role, siblingIds } from the conversation API)
+  addMessageControls(messageDiv, message) {
+    if (!messageDiv) return;
+    messageDiv.dataset.messageId = message.id;
+
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    const button = (text, title, onClick) => {
+      const element = document.createElement('button');
+      element.className = 'message-action';
+      element.textContent = text;
+      element.title = title;
+      element.addEventListener('click', onClick);
+      actions.appendChild(element);
+      return element;
+    };
+    const dispatch = (name, detail) => document.dispatchEvent(new CustomEvent(name, { detail }));
+
+    const versions = message.siblingIds || [];
+    if (versions.length > 1) {
+      const index = versions.indexOf(message.id);
+      button('‹', 'Previous version', () => dispatch('switchBranch', { messageId: versions[index - 1] }))
+        .disabled = index === 0;
+      const counter = document.createElement('span');
+      counter.className = 'message-version';
+      counter.textContent = `${index + 1} / ${versions.length}`;
+      actions.appendChild(counter);
+      button('›', 'Next version', () => dispatch('switchBranch', { messageId: versions[index + 1] }))
+        .disabled = index === versions.length - 1;
+    }
+
+    if (message.role === 'user') {
+      button('✏️', 'Edit', () => this.startEditing(messageDiv, message));
+    } else if (message.role === 'assistant') {
+      button('🔄', 'Regenerate', () => dispatch('regenerateMessage', { messageId: message.id }));
+    }
+
+    messageDiv.querySelector('.message-header').appendChild(actions);
+  }
+
+  // Inline editor in place of a user message; saving dispatches 'editMessage'
+  startEditing(messageDiv, message) {
+    if (messageDiv.querySelector('.message-edit')) return;
+    const content = messageDiv.querySelector('.message-content');
+
+    const form = document.createElement('form');
+    form.className = 'message-edit';
+    form.innerHTML = `
+      <textarea class="form-control" rows="3"></textarea>
+      <div class="message-edit-actions">
+        <button type="button" class="btn btn--outline btn--sm">Cancel</button>
+        <button type="submit" class="btn btn--primary btn--sm">Save & send</button>
+      </div>
+    `;
+    const textarea = form.querySelector('textarea');
+    textarea.value = message.content;
+
+    const close = () => {
+      form.remove();
+      content.hidden = false;
+    };
+    form.querySelector('[type="button"]').addEventListener('click', close);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = textarea.value.trim();
+      if (!text) return;
+      close();
+      document.dispatchEvent(new CustomEvent('editMessage', { detail: { messageId: message.id, content: text } }));
+    });
+
+    content.hidden = true;
+    content.after(form);
+    textarea.focus();
+  }
+
+  findMessage(messageId) {
+    return this.elements.messagesContainer?.querySelector(`[data-message-id="${messageId}"]`) || null;
+  }
+
+  // Removes a message and everything after it (the part of a branch being replaced)
+  removeMessagesFrom(messageDiv) {
+    while (messageDiv?.nextElementSibling) {
+      this.removeMessage(messageDiv.nextElementSibling);
+    }
+    this.removeMessage(messageDiv);
+  }
+
+  removeMessage(messageDiv) {
+    if (messageDiv?.parentNode) {
+      messageDiv.parentNode.removeChild(messageDiv);
+      this.messageCount = Math.max(0, this.messageCount - 1);
+    }
   }
 
   isImageUrl(content) {
@@ -436,7 +921,7 @@ class UIManager {
   }
 
   isDesignUrl(content) {
-    return content.includes('canva.com') || content.includes('Created design:');
+    return content.includes('canva.com') || content.includes('Created design:') || content.includes('Design created:');
   }
 
   containsAudioReference(content) {
@@ -455,6 +940,48 @@ class UIManager {
     }
   }
 
+  // Sidebar list of stored threads, most recent first
+  renderConversations(conversations, activeId = null) {
+    const list = this.elements.conversationList;
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (conversations.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'conversation-empty';
+      empty.textContent = 'No conversations yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    conversations.forEach(conversation => {
+      const item = document.createElement('li');
+      item.className = `conversation-item${conversation.id === activeId ? ' active' : ''}`;
+      item.dataset.id = conversation.id;
+
+      const title = document.createElement('button');
+      title.className = 'conversation-title';
+      title.dataset.action = 'open';
+      title.textContent = conversation.title || 'New conversation';
+      title.title = `${conversation.title || 'New conversation'} · ${new Date(conversation.updatedAt).toLocaleString()}`;
+
+      const rename = document.createElement('button');
+      rename.className = 'conversation-action';
+      rename.dataset.action = 'rename';
+      rename.title = 'Rename';
+      rename.textContent = '✏️';
+
+      const remove = document.createElement('button');
+      remove.className = 'conversation-action';
+      remove.dataset.action = 'delete';
+      remove.title = 'Delete';
+      remove.textContent = '🗑️';
+
+      item.append(title, rename, remove);
+      list.appendChild(item);
+    });
+  }
+
   clearChat() {
     if (this.elements.messagesContainer) {
       this.elements.messagesContainer.innerHTML = '';
@@ -462,9 +989,97 @@ class UIManager {
     this.messageCount = 0;
   }
 
-  showSettings() {
-    // Show settings modal/panel
-    alert('Settings panel - Coming soon!');
+  // Generation settings for chat: { systemPrompt, temperature, topP, maxTokens, stop, seed }.
+  // `limits` are the current model's generation limits from /api/models. Saving
+  // dispatches 'saveSettings' with the fields that were filled in.
+  showSettings(settings = {}, limits = null, modelName = '') {
+    this.closeSettings();
+    const [minTemperature, maxTemperature] = limits?.temperature || [0, 2];
+
+    const overlay = document.createElement('div');
+    overlay.className = 'settings-overlay';
+    overlay.innerHTML = `
+      <form class="settings-panel" role="dialog" aria-label="Generation settings">
+        <h3>Generation settings</h3>
+        <p class="settings-hint"></p>
+        <label>System prompt
+          <textarea name="systemPrompt" class="form-control" rows="3" placeholder="Optional instructions for every reply"></textarea>
+        </label>
+        <div class="settings-row">
+          <label>Temperature (${minTemperature}–${maxTemperature})
+            <input name="temperature" class="form-control" type="number" step="0.1" min="${minTemperature}" max="${maxTemperature}" placeholder="0.7">
+          </label>
+          <label>Top P (0–1)
+            <input name="topP" class="form-control" type="number" step="0.05" min="0" max="1" placeholder="Default">
+          </label>
+        </div>
+        <div class="settings-row">
+          <label>Max tokens${limits?.maxTokens ? ` (up to ${limits.maxTokens})` : ''}
+            <input name="maxTokens" class="form-control" type="number" step="1" min="1" ${limits?.maxTokens ? `max="${limits.maxTokens}"` : ''} placeholder="4000">
+          </label>
+          <label>Seed
+            <input name="seed" class="form-control" type="number" step="1" placeholder="${limits && !limits.seed ? 'Not supported' : 'Random'}" ${limits && !limits.seed ? 'disabled' : ''}>
+          </label>
+        </div>
+        <label>Stop sequences (one per line${limits ? `, up to ${limits.maxStopSequences}` : ''})
+          <textarea name="stop" class="form-control" rows="2" ${limits && !limits.maxStopSequences ? 'disabled' : ''}></textarea>
+        </label>
+        <label class="settings-checkbox">
+          <input name="summarizeHistory" type="checkbox">
+          Summarize older messages that no longer fit the model's context window
+        </label>
+        <div class="settings-actions">
+          <button type="button" class="btn btn--outline" data-action="reset">Reset</button>
+          <button type="button" class="btn btn--outline" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn btn--primary">Save</button>
+        </div>
+      </form>
+    `;
+
+    const form = overlay.querySelector('form');
+    overlay.querySelector('.settings-hint').textContent = modelName ? `Limits shown are for ${modelName}.` : '';
+    form.systemPrompt.value = settings.systemPrompt || '';
+    form.temperature.value = settings.temperature ?? '';
+    form.topP.value = settings.topP ?? '';
+    form.maxTokens.value = settings.maxTokens ?? '';
+    form.seed.value = settings.seed ?? '';
+    form.stop.value = (settings.stop || []).join('\n');
+    form.summarizeHistory.checked = !!settings.summarizeHistory;
+
+    const save = (values) => {
+      document.dispatchEvent(new CustomEvent('saveSettings', { detail: { settings: values } }));
+      this.closeSettings();
+    };
+    const number = (input) => (input.value === '' || input.disabled ? undefined : Number(input.value));
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const stop = form.stop.disabled ? [] : form.stop.value.split('\n').filter(line => line !== '');
+      save({
+        systemPrompt: form.systemPrompt.value.trim() || undefined,
+        temperature: number(form.temperature),
+        topP: number(form.topP),
+        maxTokens: number(form.maxTokens),
+        stop: stop.length ? stop : undefined,
+        seed: number(form.seed),
+        summarizeHistory: form.summarizeHistory.checked || undefined,
+      });
+    });
+    form.querySelector('[data-action="reset"]').addEventListener('click', () => save({}));
+    form.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeSettings());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeSettings();
+    });
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeSettings();
+    });
+
+    document.body.appendChild(overlay);
+    form.systemPrompt.focus();
+  }
+
+  closeSettings() {
+    document.querySelector('.settings-overlay')?.remove();
   }
 
   focusInput() {
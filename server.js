@@ -3,10 +3,27 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { OpenAI } = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
-const fetch = require('node-fetch');
+const crypto = require('crypto');
 const mysql = require('mysql2/promise');
+const { createRegistry } = require('./providers');
+const { createRetryPolicy, withRetry } = require('./providers/retry');
+const { attachChatSocket } = require('./chatSocket');
+const { resolveUsage } = require('./tokenCounter');
+const { promptBudget, fitContext } = require('./contextWindow');
+const { PricingCatalog } = require('./pricingCatalog');
+const { AuthService } = require('./authMiddleware');
+const { ModelCatalog, parseModelFields } = require('./modelCatalog');
+const { ConversationStore } = require('./conversationStore');
+const { ComparisonStore } = require('./comparisonStore');
+const { GlossaryStore } = require('./glossaryStore');
+const { TranslationMemoryStore } = require('./translationMemoryStore');
+const { MediaStore } = require('./mediaStore');
+const { createSearchBackend, groundedPrompt, citationsFor } = require('./webSearch');
+const { CHUNK_MAX_TOKENS, mapLimit, translationMessages, translateSegments } = require('./translator');
+const { DOCUMENT_FORMATS, documentFormat, translatedFileName, readDocument } = require('./documentFormats');
+const { glossaryInstructions, checkGlossary, parseGlossaryCsv, parseGlossaryTbx } = require('./glossary');
+const { memoryInstructions, buildTmx, parseTmx } = require('./translationMemory');
+const { DESIGN_TYPES, outlineFromPrompt, outlinePrompt, parseOutline, layoutDesign, renderPageSvg, renderHtml } = require('./designSpec');
 
 require('dotenv').config();
 
@@ -17,80 +34,31 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Auth is not required for this build. Keep placeholder for potential future use.
-let authService = null;
-
-// Initialize AI clients
-const clients = {
-    openai: process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null,
-    anthropic: process.env.ANTHROPIC_API_KEY ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY }) : null,
-    deepseek: process.env.DEEPSEEK_API_KEY ? { apiKey: process.env.DEEPSEEK_API_KEY } : null,
-    perplexity: process.env.PERPLEXITY_API_KEY ? { apiKey: process.env.PERPLEXITY_API_KEY } : null,
-    microsoft: process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT ? {
-        apiKey: process.env.AZURE_OPENAI_API_KEY,
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-        deployment: process.env.AZURE_OPENAI_DEPLOYMENT || ''
-    } : null,
-    adobe: process.env.ADOBE_API_KEY ? { apiKey: process.env.ADOBE_API_KEY } : null,
-    canva: process.env.CANVA_API_KEY ? { apiKey: process.env.CANVA_API_KEY } : null,
-    azureSpeech: process.env.AZURE_SPEECH_KEY && process.env.AZURE_SPEECH_REGION ? {
-        key: process.env.AZURE_SPEECH_KEY,
-        region: process.env.AZURE_SPEECH_REGION
-    } : null,
-};
+// Auth routes are not mounted in this build; AuthService still provides the
+// MySQL pool (or in-memory fallback) that llm_master is read from.
+const authService = new AuthService();
+const modelCatalog = new ModelCatalog(authService);
+const conversations = new ConversationStore(authService);
+const comparisons = new ComparisonStore(authService);
+const glossaries = new GlossaryStore(authService);
+const translationMemory = new TranslationMemoryStore(authService);
 
-// Deepseek chat helper
-async function callDeepseekChat(model, message, history) {
-    const url = 'https://api.deepseek.com/chat/completions';
-    const headers = {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${clients.deepseek.apiKey}`,
-    };
-    const body = JSON.stringify({
-        model,
-        messages: [...history.slice(-10), { role: 'user', content: message }],
-    });
+// Provider adapters (see providers/index.js); everything below is derived from it.
+// Their model lists come from modelCatalog once providers.initialize() has run.
+const providers = createRegistry(process.env);
+const retryPolicy = createRetryPolicy(process.env);
 
-    const response = await fetch(url, { method: 'POST', headers, body });
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Deepseek API error: ${error}`);
-    }
-
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || 'Deepseek response unavailable';
-}
-
-// Available models
-const AVAILABLE_MODELS = {
-    openai: {
-        'gpt-4': 'GPT-4',
-        'gpt-4-turbo': 'GPT-4 Turbo',
-        'gpt-3.5-turbo': 'GPT-3.5 Turbo',
-    },
-    anthropic: {
-        'claude-3-5-sonnet-20241022': 'Claude-3.5 Sonnet',
-        'claude-3-haiku-20240307': 'Claude-3 Haiku',
-        'claude-3-sonnet-20240229': 'Claude-3 Sonnet',
-    },
-    deepseek: {
-        'deepseek-chat': 'Deepseek Chat',
-        'deepseek-coder': 'Deepseek Coder',
-    },
-    perplexity: {
-        'sonar': 'Perplexity Sonar',
-        'sonar-pro': 'Perplexity Sonar Pro'
-    },
-    microsoft: {
-        'gpt-4o-mini': 'Azure OpenAI GPT-4o Mini'
-    },
-    adobe: {
-        'firefly-image': 'Adobe Firefly Image'
-    },
-    canva: {
-        'design': 'Canva Design'
-    },
-};
+// Per-model input/output rates (pricing.json, or PRICING_CATALOG_PATH). Loaded once;
+// a malformed catalog stops startup rather than producing wrong cost figures.
+const pricing = PricingCatalog.load(process.env.PRICING_CATALOG_PATH || undefined);
+
+// Search backend for web-search chat with models that cannot search themselves (null when none is configured)
+const searchBackend = createSearchBackend(process.env);
+const MAX_SEARCH_RESULTS = 5;
+
+// Generated images (and other media) are written here and served under /generated
+const mediaStore = new MediaStore(process.env.MEDIA_STORAGE_DIR || path.join(__dirname, 'storage', 'generated'));
+app.use('/generated', express.static(mediaStore.dir));
 
 // Language codes
 const SUPPORTED_LANGUAGES = {
@@ -106,25 +74,60 @@ const SUPPORTED_LANGUAGES = {
 };
 
 function isProviderAvailable(provider) {
-    return clients[provider] !== null;
+    return providers.isAvailable(provider);
 }
 
-function estimateTokens(text) {
-    return Math.ceil(text.length / 4);
-}
+// Cost fields attached to every response. Models missing from the catalog report
+// cost: null instead of borrowing another model's rate.
+function calculateCost(usage, provider, model) {
+    const cost = pricing.calculateCost(provider, model, usage);
+    if (!cost) {
+        return { cost: null, costBreakdown: null };
+    }
 
-function calculateCost(tokens, model = 'gpt-3.5-turbo') {
-    const costPerToken = {
-        'gpt-4': 0.00003,
-        'gpt-4-turbo': 0.00001,
-        'gpt-3.5-turbo': 0.000002,
-        'claude-3-5-sonnet-20241022': 0.000015,
-        'claude-3-haiku-20240307': 0.00000025,
-        'claude-3-sonnet-20240229': 0.000003,
-        'deepseek-chat': 0.0000014,
-        'deepseek-coder': 0.0000014,
+    return {
+        cost: parseFloat(cost.total.toFixed(8)),
+        costBreakdown: {
+            input: parseFloat(cost.input.toFixed(8)),
+            output: parseFloat(cost.output.toFixed(8)),
+            cachedTokens: usage.cachedTokens || 0,
+            currency: cost.currency,
+            pricingVersion: cost.pricingVersion,
+            effectiveFrom: cost.effectiveFrom,
+        },
     };
-    return tokens * (costPerToken[model] || 0.000002);
+}
+
+// Shared request validation: returns the adapter or sends a 400 and returns null
+function resolveAdapter(res, provider, model, capability) {
+    if (!isProviderAvailable(provider)) {
+        res.status(400).json({ error: `Provider ${provider} is not available` });
+        return null;
+    }
+
+    const adapter = providers.get(provider);
+    if (!adapter.hasModel(model)) {
+        res.status(400).json({ error: `Model ${model} not available for ${provider}` });
+        return null;
+    }
+
+    if (!adapter.modelSupports(model, capability)) {
+        res.status(400).json({ error: `Model ${model} does not support ${capability}` });
+        return null;
+    }
+
+    return adapter;
+}
+
+// First available { provider, model } offering `capability`, optionally limited to
+// one provider. Lets clients omit the model for single-purpose endpoints.
+function defaultModel(capability, provider = null) {
+    for (const [id, models] of Object.entries(providers.models())) {
+        if ((provider && id !== provider) || !isProviderAvailable(id)) continue;
+        const model = Object.keys(models).find(modelId => models[modelId].capabilities.includes(capability));
+        if (model) return { provider: id, model };
+    }
+    return null;
 }
 
 // (Auth endpoints removed for this public build)
@@ -133,20 +136,13 @@ function calculateCost(tokens, model = 'gpt-3.5-turbo') {
 // ===== EXISTING ROUTES =====
 
 app.get('/api/health', async (req, res) => {
-    const health = {};
-    for (const provider of Object.keys(clients)) {
-        try {
-            health[provider] = !!clients[provider];
-        } catch (e) {
-            health[provider] = false;
-        }
-    }
-    res.json(health);
+    res.json(await providers.health());
 });
 
+// { provider: { modelId: { name, capabilities, contextWindow, maxOutputTokens } } }
 app.get('/api/models', (req, res) => {
     const models = {};
-    Object.entries(AVAILABLE_MODELS).forEach(([provider, modelsList]) => {
+    Object.entries(providers.models()).forEach(([provider, modelsList]) => {
         if (isProviderAvailable(provider)) {
             models[provider] = modelsList;
         }
@@ -158,282 +154,2123 @@ app.get('/api/languages', (req, res) => {
     res.json(SUPPORTED_LANGUAGES);
 });
 
+app.get('/api/pricing', (req, res) => {
+    res.json(pricing);
+});
+
+// Which search backend grounds web-search chat; models with built-in search need none
+app.get('/api/web-search', (req, res) => {
+    res.json({ backend: searchBackend ? searchBackend.id : null });
+});
+
+// Why `model` cannot answer with web search, or null when it can
+function webSearchError(adapter, model) {
+    if (adapter.modelSupports(model, 'web-search') || searchBackend) return null;
+    return `Model ${model} has no built-in web search and no search backend is configured`;
+}
+
+// Image attachments: uploaded to /api/chat/attachments, then referenced by URL
+// in a message's `images` (history turns may carry them too)
+const ATTACHMENT_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_ATTACHMENT_UPLOAD = '20mb';
+const MAX_IMAGES_PER_MESSAGE = 4;
+
+// Why the message's images cannot go to `model`, or null when they can
+function attachmentError(adapter, model, images) {
+    if (images == null) return null;
+    if (!Array.isArray(images) || images.some(url => typeof url !== 'string')) {
+        return 'images must be a list of attachment URLs';
+    }
+    if (images.length > MAX_IMAGES_PER_MESSAGE) {
+        return `At most ${MAX_IMAGES_PER_MESSAGE} images can be attached to a message`;
+    }
+    if (images.length && !adapter.modelSupports(model, 'vision')) {
+        return `Model ${model} does not support image input (vision)`;
+    }
+    return null;
+}
+
+// Turns `images` URLs into image parts (see providers/base.js); models without
+// vision get the text with a note of how many images it came with
+async function withImageParts(messages, vision) {
+    return Promise.all(messages.map(async ({ images, ...message }) => {
+        if (!images?.length) return message;
+        if (!vision) return { ...message, content: `${message.content} [${images.length} image(s)]` };
+        const parts = await Promise.all(images.map(async url => {
+            const file = await mediaStore.read(url);
+            if (!file || !ATTACHMENT_MIME_TYPES.includes(file.mimeType)) {
+                throw new Error(`Attachment ${url} not found`);
+            }
+            return { type: 'image', mimeType: file.mimeType, data: file.data.toString('base64') };
+        }));
+        return { ...message, content: [{ type: 'text', text: message.content }, ...parts] };
+    }));
+}
+
+// Chat defaults when the request leaves a parameter out
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 4000;
+
+// Validates temperature, topP, maxTokens, stop, seed and systemPrompt against
+// the model's generationLimits() (see providers/base.js), plus summarizeHistory
+// (condense turns that do not fit the context window, see contextWindow.js)
+function parseGenerationOptions(limits, input) {
+    const { temperature = DEFAULT_TEMPERATURE, topP, maxTokens, stop, seed, systemPrompt, summarizeHistory } = input;
+    const [minTemperature, maxTemperature] = limits.temperature;
+    const stopSequences = stop === undefined || stop === null ? [] : [].concat(stop);
+
+    if (typeof temperature !== 'number' || temperature < minTemperature || temperature > maxTemperature) {
+        return { error: `temperature must be a number from ${minTemperature} to ${maxTemperature}` };
+    }
+    if (topP !== undefined && (typeof topP !== 'number' || topP <= 0 || topP > 1)) {
+        return { error: 'topP must be a number above 0 and at most 1' };
+    }
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > (limits.maxTokens || Infinity))) {
+        return { error: limits.maxTokens ? `maxTokens must be an integer from 1 to ${limits.maxTokens}` : 'maxTokens must be a positive integer' };
+    }
+    if (stopSequences.some(sequence => typeof sequence !== 'string' || sequence === '')) {
+        return { error: 'stop must be a string or a list of strings' };
+    }
+    if (stopSequences.length > limits.maxStopSequences) {
+        return { error: limits.maxStopSequences ? `At most ${limits.maxStopSequences} stop sequences are allowed` : 'This model does not accept stop sequences' };
+    }
+    if (seed !== undefined && seed !== null && (!Number.isInteger(seed) || !limits.seed)) {
+        return { error: limits.seed ? 'seed must be an integer' : 'This model does not accept a seed' };
+    }
+    if (systemPrompt !== undefined && systemPrompt !== null && typeof systemPrompt !== 'string') {
+        return { error: 'systemPrompt must be a string' };
+    }
+    if (summarizeHistory !== undefined && typeof summarizeHistory !== 'boolean') {
+        return { error: 'summarizeHistory must be true or false' };
+    }
+    return {
+        options: {
+            temperature,
+            topP,
+            maxTokens: maxTokens ?? DEFAULT_MAX_TOKENS,
+            stop: stopSequences.length ? stopSequences : undefined,
+            seed: seed ?? undefined,
+            systemPrompt: systemPrompt?.trim() || undefined,
+            summarizeHistory: summarizeHistory === true,
+        },
+    };
+}
+
+// Validates body.history, the earlier turns sent with a chat message when it is
+// not part of a stored thread. Returns an error message or null.
+function chatHistoryError(history) {
+    if (history === undefined || history === null) return null;
+    if (!Array.isArray(history)) return 'history must be a list of { role, content } messages';
+    const { error } = parseConversationMessages({ messages: history });
+    return error ? `history: ${error}` : null;
+}
+
+// Status for a failed chat turn: 413 when the message cannot fit the model's
+// context window (see fitContext()); provider errors are reported as a 500
+const chatErrorStatus = error => (error.status === 413 ? 413 : 500);
+
+// Adapter request shared by /api/chat and /api/chat/stream; `options` comes
+// from parseGenerationOptions(). The full history goes in; runChatTurn() fits
+// it to the context window.
+function buildChatRequest({ model, message, images, history = [] }, { systemPrompt, summarizeHistory, ...options }) {
+    return {
+        model,
+        messages: [
+            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+            ...history,
+            { role: 'user', content: message, ...(images?.length ? { images } : {}) },
+        ],
+        ...options,
+    };
+}
+
+// Sum of two calculateCost() results; unpriced when either is
+function addCosts(a, b) {
+    if (a.cost === null || b.cost === null) return { cost: null, costBreakdown: null };
+    const round = value => parseFloat(value.toFixed(8));
+    return {
+        cost: round(a.cost + b.cost),
+        costBreakdown: {
+            ...a.costBreakdown,
+            input: round(a.costBreakdown.input + b.costBreakdown.input),
+            output: round(a.costBreakdown.output + b.costBreakdown.output),
+            cachedTokens: a.costBreakdown.cachedTokens + b.costBreakdown.cachedTokens,
+        },
+    };
+}
+
+// Usage and cost fields reported with every chat answer. For cancelled requests
+// this covers the prompt plus whatever part of the answer was generated.
+// provider/model are the ones that actually answered; fallbackFrom names the
+// requested 'provider/model' when a fallback took over.
+// context reports how the history was fitted (see contextWindow.js). In a stored
+// thread, messageIds are the ids the question and answer were stored under.
+// summaryUsage { provider, model, usage } is the history summary made for this
+// turn, if any; its tokens and cost are part of the totals.
+function buildChatSummary({ provider, model, usage, startTime, cancelled = false, attempts = 1, fallbackFrom = null, citations = null, context = null, conversationId = null, messageIds = null, summaryUsage = null }) {
+    let cost = calculateCost(usage, provider, model);
+    if (summaryUsage) {
+        cost = addCosts(cost, calculateCost(summaryUsage.usage, summaryUsage.provider, summaryUsage.model));
+        usage = {
+            ...usage,
+            promptTokens: usage.promptTokens + summaryUsage.usage.promptTokens,
+            completionTokens: usage.completionTokens + summaryUsage.usage.completionTokens,
+            totalTokens: usage.totalTokens + summaryUsage.usage.totalTokens,
+        };
+    }
+    return {
+        conversationId,
+        messageIds,
+        provider,
+        model,
+        cancelled,
+        attempts,
+        fallbackFrom,
+        citations,
+        context,
+        tokensUsed: usage.totalTokens,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        tokenSource: usage.source,
+        ...cost,
+        executionTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Runs a chat turn through the adapter's streaming call so that an abort keeps
+// the partial answer. Retryable failures are retried per retryPolicy, then the
+// model's fallback chain is tried in order. Nothing is retried once part of an
+// answer has been streamed to the client. Resolves to
+// { responseText, cancelled, usage, provider, model, attempts, fallbackFrom, citations, context };
+// a final error carries the total attempt count as `error.attempts`.
+//
+// With body.webSearch, models with built-in search get the question as is (and
+// only fall back to other such models); any other model gets the search
+// backend's results in its prompt. citations is null for plain chat.
+// With body.images only models with vision are tried. Generation parameters
+// are checked against the requested model; fallbacks drop what they cannot honor.
+// History is fitted to the smallest context window in the chain, less each
+// model's output budget; with summarizeHistory the requested model condenses
+// the turns left out, extending previousSummary (see fitContext()) when there
+// is one. The result then also has the `summary` used and, when one was made
+// for this turn, its `summaryUsage`. fallback: false keeps to the requested
+// model (comparisons).
+async function runChatTurn(adapter, body, { signal, onDelta, fallback = true, previousSummary = null } = {}) {
+    const { options, error: optionsError } = parseGenerationOptions(adapter.generationLimits(body.model), body);
+    const imageError = attachmentError(adapter, body.model, body.images);
+    const historyError = chatHistoryError(body.history);
+    if (optionsError || imageError || historyError) throw new Error(optionsError || imageError || historyError);
+    const hasImages = !!body.images?.length;
+
+    const nativeSearch = !!body.webSearch && adapter.modelSupports(body.model, 'web-search');
+    let sources = null;
+    if (body.webSearch && !nativeSearch) {
+        const searchError = webSearchError(adapter, body.model);
+        if (searchError) throw new Error(searchError);
+
+        ({ result: sources } = await withRetry(
+            () => searchBackend.search(body.message, { limit: MAX_SEARCH_RESULTS, signal }),
+            retryPolicy,
+            { signal }
+        ));
+        if (sources.length) body = { ...body, message: groundedPrompt(body.message, sources) };
+    }
+    const citationsOf = (result, text) => {
+        if (nativeSearch) return result?.citations || [];
+        return sources ? citationsFor(text, sources) : null;
+    };
+
+    const fullRequest = buildChatRequest(body, options);
+    const candidates = fallback ? providers.fallbackChain(adapter.id, fullRequest.model) : [{ adapter, model: fullRequest.model }];
+    const chain = candidates.filter(({ adapter: candidate, model }) =>
+        (!nativeSearch || candidate.modelSupports(model, 'web-search'))
+        && (!hasImages || candidate.modelSupports(model, 'vision')));
+
+    const budget = Math.min(...chain.map(({ adapter: candidate, model }) => promptBudget(
+        candidate.modelInfo(model).contextWindow,
+        candidate.limitMaxTokens(model, fullRequest.maxTokens)
+    )));
+    let summaryUsage = null;
+    const summarize = options.summarizeHistory
+        ? async (messages, maxTokens) => {
+            const result = await adapter.complete({ model: body.model, messages, maxTokens, temperature: 0.3, signal });
+            summaryUsage = {
+                provider: adapter.id,
+                model: body.model,
+                usage: resolveUsage({ usage: result.usage, model: body.model, messages, completionText: result.text }),
+            };
+            return result.text;
+        }
+        : null;
+    const { messages: fittedMessages, context, summary } = await fitContext(fullRequest.messages, {
+        model: body.model, budget, summarize, previousSummary,
+    });
+    const request = { ...fullRequest, messages: fittedMessages };
+
+    // Attachments are only read once a model that can see them is tried
+    const textMessages = await withImageParts(request.messages, false);
+    let visionMessages = null;
+    const requested = `${adapter.id}/${request.model}`;
+    let partialText = '';
+    let attempts = 0;
+
+    for (let index = 0; index < chain.length; index++) {
+        const { adapter: candidate, model } = chain[index];
+        const route = { provider: candidate.id, model, fallbackFrom: index > 0 ? requested : null };
+        let messages = textMessages;
+        if (candidate.modelSupports(model, 'vision')) {
+            visionMessages = visionMessages || await withImageParts(request.messages, true);
+            messages = visionMessages;
+        }
+
+        try {
+            const { result, attempts: used } = await withRetry(
+                () => candidate.stream({ ...request, messages, model, maxTokens: candidate.limitMaxTokens(model, request.maxTokens), signal }, text => {
+                    partialText += text;
+                    if (onDelta) onDelta(text);
+                }),
+                retryPolicy,
+                {
+                    signal,
+                    canRetry: () => partialText === '',
+                    onRetry: (error, attempt, delay) => console.warn(
+                        `${candidate.id}/${model} attempt ${attempt} failed (${error.status || error.message}), retrying in ${delay}ms`
+                    ),
+                }
+            );
+            attempts += used;
+            return {
+                ...route,
+                attempts,
+                responseText: result.text || `${candidate.name} response unavailable`,
+                cancelled: false,
+                usage: resolveUsage({ usage: result.usage, model, messages, completionText: result.text }),
+                citations: citationsOf(result, result.text),
+                context,
+                summary,
+                summaryUsage,
+            };
+        } catch (error) {
+            attempts += error.attempts || 1;
+            if (signal?.aborted) {
+                return {
+                    ...route,
+                    attempts,
+                    responseText: partialText,
+                    cancelled: true,
+                    usage: resolveUsage({ model, messages, completionText: partialText }),
+                    citations: citationsOf(null, partialText),
+                    context,
+                    summary,
+                    summaryUsage,
+                };
+            }
+            if (partialText || index === chain.length - 1) {
+                error.attempts = attempts;
+                throw error;
+            }
+            const next = chain[index + 1];
+            console.warn(`${candidate.id}/${model} failed (${error.message}), falling back to ${next.adapter.id}/${next.model}`);
+        }
+    }
+}
+
+// Checks the thread fields of a chat request before anything is generated:
+// conversationId, parentId and regenerateId (see runChat()). The thread must
+// belong to ownerId. Returns { status, error } or null.
+async function chatThreadError({ conversationId, parentId, regenerateId }, ownerId) {
+    if (!conversationId) {
+        return parentId !== undefined || regenerateId !== undefined
+            ? { status: 400, error: 'parentId and regenerateId need a conversationId' }
+            : null;
+    }
+    if (!await conversations.get(conversationId, ownerId)) {
+        return { status: 404, error: `Conversation ${conversationId} not found` };
+    }
+    if (parentId !== undefined && parentId !== null && !await conversations.message(conversationId, parentId)) {
+        return { status: 404, error: `Message ${parentId} not found in this conversation` };
+    }
+    if (regenerateId !== undefined) {
+        const reply = await conversations.message(conversationId, regenerateId);
+        if (reply?.role !== 'assistant') {
+            return { status: 404, error: `Assistant message ${regenerateId} not found in this conversation` };
+        }
+        const question = reply.parentId && await conversations.message(conversationId, reply.parentId);
+        if (question?.role !== 'user') {
+            return { status: 400, error: 'Only replies to a user message can be regenerated' };
+        }
+    }
+    return null;
+}
+
+// runChatTurn() for stored threads. With body.conversationId the history is the
+// thread's branch up to body.parentId (default: the end of the branch shown;
+// null: start over), body.history is ignored, and the question and answer are
+// stored under it, including a cancelled answer's partial text. Editing a
+// message is a new message with the edited one's parentId. body.regenerateId
+// answers that assistant message's question again as a sibling reply. Either
+// way the new messages become the branch shown. Only ownerId's threads can be
+// continued. The history summary is kept on the thread and extended on later
+// turns while they stay on its branch. Adds conversationId and messageIds
+// { user, assistant } to the result.
+async function runChat(adapter, body, { ownerId = null, ...options } = {}) {
+    const threadError = await chatThreadError(body, ownerId);
+    if (threadError) throw new Error(threadError.error);
+    if (!body.conversationId) return runChatTurn(adapter, body, options);
+
+    const conversation = await conversations.get(body.conversationId, ownerId);
+    let parentId = body.parentId === undefined ? conversation.leafId : body.parentId;
+    let question = null;
+    if (body.regenerateId !== undefined) {
+        const reply = await conversations.message(conversation.id, body.regenerateId);
+        question = await conversations.message(conversation.id, reply.parentId);
+        body = { ...body, message: question.content, images: question.images };
+        parentId = question.parentId;
+    }
+
+    const branch = await conversations.messages(conversation.id, parentId);
+    const history = branch.map(({ role, content, images }) => ({ role, content, ...(images ? { images } : {}) }));
+
+    const previousSummary = await conversations.branchSummary(conversation.id, branch);
+    const outcome = await runChatTurn(adapter, { ...body, history }, { ...options, previousSummary });
+    if (outcome.summary && outcome.summary.covered !== (previousSummary?.covered ?? 0)) {
+        await conversations.saveSummary(conversation.id, outcome.summary.text, branch[outcome.summary.covered - 1].id);
+    }
+
+    const turn = question ? [] : [{ role: 'user', content: body.message, images: body.images }];
+    if (outcome.responseText) {
+        turn.push({
+            role: 'assistant',
+            content: outcome.responseText,
+            provider: outcome.provider,
+            model: outcome.model,
+            metadata: {
+                cancelled: outcome.cancelled,
+                fallbackFrom: outcome.fallbackFrom,
+                citations: outcome.citations,
+                usage: outcome.usage,
+                context: outcome.context,
+            },
+        });
+    }
+    const stored = turn.length ? await conversations.append(conversation.id, turn, question ? question.id : parentId) : [];
+    if (question && !stored.length) await conversations.selectBranch(conversation.id, question.id);
+
+    return {
+        ...outcome,
+        conversationId: conversation.id,
+        messageIds: {
+            user: question ? question.id : stored[0].id,
+            assistant: stored.find(message => message.role === 'assistant')?.id ?? null,
+        },
+    };
+}
+
+// In-flight chat requests keyed by the client-supplied requestId
+const activeChatRequests = new Map();
+
+// Returns an AbortController that fires when the client disconnects early or
+// POSTs /api/chat/cancel with the same requestId
+function trackChatRequest(res, requestId) {
+    const controller = new AbortController();
+    if (requestId) activeChatRequests.set(requestId, controller);
+
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+        if (requestId && activeChatRequests.get(requestId) === controller) {
+            activeChatRequests.delete(requestId);
+        }
+    });
+    return controller;
+}
+
 // Enhanced chat endpoint with authentication and token tracking
 app.post('/api/chat', async (req, res) => {
-    const { provider, model, message, history = [] } = req.body;
+    const { provider, model, message, requestId, regenerateId } = req.body;
     
-    if (!provider || !model || !message) {
+    if (!provider || !model || (!message && regenerateId === undefined)) {
         return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    if (!isProviderAvailable(provider)) {
-        return res.status(400).json({ error: `Provider ${provider} is not available` });
-    }
+    const adapter = resolveAdapter(res, provider, model, 'chat');
+    if (!adapter) return;
 
-    if (!AVAILABLE_MODELS[provider]?.[model]) {
-        return res.status(400).json({ error: `Model ${model} not available for ${provider}` });
+    const requestError = parseGenerationOptions(adapter.generationLimits(model), req.body).error
+        || attachmentError(adapter, model, req.body.images)
+        || (req.body.webSearch && webSearchError(adapter, model))
+        || chatHistoryError(req.body.history);
+    if (requestError) {
+        return res.status(400).json({ error: requestError });
     }
 
-    try {
-        let responseText = '';
-        const startTime = Date.now();
+    const controller = trackChatRequest(res, requestId);
 
-        if (provider === 'openai') {
-            const completion = await clients.openai.chat.completions.create({
-                model,
-                messages: [...history.slice(-10), { role: 'user', content: message }],
-                temperature: 0.7,
-                max_tokens: 4000,
-            });
-            responseText = completion.choices[0].message.content;
-        } else if (provider === 'anthropic') {
-            const completion = await clients.anthropic.messages.create({
-                model,
-                max_tokens: 4000,
-                temperature: 0.7,
-                messages: [...history.slice(-10).filter(m => m.role !== 'system'), { role: 'user', content: message }],
-            });
-            responseText = completion.content[0].text;
-        } else if (provider === 'deepseek') {
-            responseText = await callDeepseekChat(model, message, history);
-        } else if (provider === 'perplexity') {
-            // Minimal Perplexity chat call (stub). Replace with real endpoint when key is present
-            if (!clients.perplexity) throw new Error('Perplexity not configured');
-            const resp = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${clients.perplexity.apiKey}`
-                },
-                body: JSON.stringify({
-                    model,
-                    messages: [...history.slice(-10), { role: 'user', content: message }]
-                })
-            });
-            if (!resp.ok) throw new Error('Perplexity API error');
-            const data = await resp.json();
-            responseText = data.choices?.[0]?.message?.content || 'Perplexity response unavailable';
-        } else if (provider === 'microsoft') {
-            if (!clients.microsoft) throw new Error('Azure OpenAI not configured');
-            const { endpoint, deployment, apiKey } = clients.microsoft;
-            const url = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=2024-02-15-preview`;
-            const resp = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'api-key': apiKey
-                },
-                body: JSON.stringify({
-                    messages: [...history.slice(-10), { role: 'user', content: message }],
-                    temperature: 0.7,
-                    max_tokens: 2000
-                })
-            });
-            if (!resp.ok) throw new Error('Azure OpenAI error');
-            const data = await resp.json();
-            responseText = data.choices?.[0]?.message?.content || 'Azure response unavailable';
-        } else {
-            throw new Error(`Unsupported provider: ${provider}`);
+    try {
+        const threadError = await chatThreadError(req.body, ownerOf(req));
+        if (threadError) {
+            return res.status(threadError.status).json({ error: threadError.error });
         }
 
-        const executionTime = Date.now() - startTime;
-        const tokensUsed = estimateTokens(message + responseText);
-        const cost = calculateCost(tokensUsed, model);
+        const startTime = Date.now();
+
+        const { responseText, ...outcome } = await runChat(adapter, req.body, { ownerId: ownerOf(req), signal: controller.signal });
+        if (res.destroyed) return;
 
         res.json({
             response: responseText,
-            provider,
-            model,
-            tokensUsed,
-            cost: parseFloat(cost.toFixed(6)),
-            executionTime,
-            timestamp: new Date().toISOString()
+            ...buildChatSummary({ ...outcome, startTime })
         });
 
     } catch (error) {
         console.error(`Chat error for ${provider}/${model}:`, error);
-        res.status(500).json({ error: error.message || 'An error occurred' });
+        res.status(chatErrorStatus(error)).json({ error: error.message || 'An error occurred', attempts: error.attempts });
     }
 });
 
-// Enhanced translation endpoint with authentication
-app.post('/api/translate', async (req, res) => {
-    const { provider, model, text, sourceLang, targetLang } = req.body;
-    
-    if (!provider || !model || !text || !targetLang) {
+// Streaming chat over Server-Sent Events. Frames:
+//   event: delta  data: { text }                      one per token chunk
+//   event: done   data: { response, tokensUsed, ... } final usage/cost frame
+//   event: error  data: { error }
+app.post('/api/chat/stream', async (req, res) => {
+    const { provider, model, message, requestId, regenerateId } = req.body;
+
+    if (!provider || !model || (!message && regenerateId === undefined)) {
         return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    if (!isProviderAvailable(provider)) {
-        return res.status(400).json({ error: `Provider ${provider} is not available` });
-    }
+    const adapter = resolveAdapter(res, provider, model, 'chat');
+    if (!adapter) return;
 
-    if (!AVAILABLE_MODELS[provider]?.[model]) {
-        return res.status(400).json({ error: `Model ${model} not available for ${provider}` });
+    const requestError = parseGenerationOptions(adapter.generationLimits(model), req.body).error
+        || attachmentError(adapter, model, req.body.images)
+        || (req.body.webSearch && webSearchError(adapter, model))
+        || chatHistoryError(req.body.history);
+    if (requestError) {
+        return res.status(400).json({ error: requestError });
     }
-
-    const sourceLanguage = SUPPORTED_LANGUAGES[sourceLang] || 'auto-detect';
-    const targetLanguage = SUPPORTED_LANGUAGES[targetLang] || targetLang;
-    const translationPrompt = sourceLang === 'auto'
-        ? `Translate the following text to ${targetLanguage}. Only provide the translation, no explanations:\n\n"${text}"`
-        : `Translate the following text from ${sourceLanguage} to ${targetLanguage}. Only provide the translation, no explanations:\n\n"${text}"`;
-
+    // Checked before the stream starts, while the status can still say what is wrong
     try {
-        let translatedText = '';
-        const startTime = Date.now();
+        const threadError = await chatThreadError(req.body, ownerOf(req));
+        if (threadError) {
+            return res.status(threadError.status).json({ error: threadError.error });
+        }
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        return res.status(500).json({ error: 'Failed to load conversation' });
+    }
 
-        if (provider === 'openai') {
-            const completion = await clients.openai.chat.completions.create({
-                model,
-                messages: [{ role: 'user', content: translationPrompt }],
-                temperature: 0.3,
-                max_tokens: 2000,
-            });
-            translatedText = completion.choices[0].message.content.trim();
-        } else if (provider === 'anthropic') {
-            const completion = await clients.anthropic.messages.create({
-                model,
-                max_tokens: 2000,
-                temperature: 0.3,
-                messages: [{ role: 'user', content: translationPrompt }],
-            });
-            translatedText = completion.content[0].text.trim();
-        } else if (provider === 'deepseek') {
-            translatedText = await callDeepseekChat(model, translationPrompt, []);
-        } else if (provider === 'perplexity') {
-            if (!clients.perplexity) throw new Error('Perplexity not configured');
-            const resp = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${clients.perplexity.apiKey}`
-                },
-                body: JSON.stringify({ model, messages: [{ role: 'user', content: translationPrompt }] })
-            });
-            if (!resp.ok) throw new Error('Perplexity API error');
-            const data = await resp.json();
-            translatedText = data.choices?.[0]?.message?.content?.trim() || '';
-        } else if (provider === 'microsoft') {
-            if (!clients.microsoft) throw new Error('Azure OpenAI not configured');
-            const { endpoint, deployment, apiKey } = clients.microsoft;
-            const url = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=2024-02-15-preview`;
-            const resp = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'api-key': apiKey },
-                body: JSON.stringify({ messages: [{ role: 'user', content: translationPrompt }], temperature: 0.3, max_tokens: 1000 })
+    const controller = trackChatRequest(res, requestId);
+
+    // The stream starts with its first frame, so a turn that fails before any
+    // output (such as a message too long for the model) still answers with a status
+    const send = (event, data) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
             });
-            if (!resp.ok) throw new Error('Azure OpenAI error');
-            const data = await resp.json();
-            translatedText = data.choices?.[0]?.message?.content?.trim() || '';
-        } else {
-            throw new Error(`Unsupported provider: ${provider}`);
         }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-        translatedText = translatedText.replace(/^["']|["']$/g, '');
+    try {
+        const startTime = Date.now();
 
-        const executionTime = Date.now() - startTime;
-        const tokensUsed = estimateTokens(text + translatedText);
-        const cost = calculateCost(tokensUsed, model);
+        const { responseText, ...outcome } = await runChat(adapter, req.body, {
+            ownerId: ownerOf(req),
+            signal: controller.signal,
+            onDelta: text => send('delta', { text }),
+        });
 
-        res.json({
-            translatedText,
-            sourceLang: sourceLang === 'auto' ? 'auto-detected' : sourceLang,
-            targetLang,
-            provider,
-            model,
-            tokensUsed,
-            cost: parseFloat(cost.toFixed(6)),
-            executionTime,
-            timestamp: new Date().toISOString()
+        send('done', {
+            response: responseText,
+            ...buildChatSummary({ ...outcome, startTime })
         });
+    } catch (error) {
+        console.error(`Streaming chat error for ${provider}/${model}:`, error);
+        if (!res.headersSent) {
+            return res.status(chatErrorStatus(error)).json({ error: error.message || 'An error occurred', attempts: error.attempts });
+        }
+        send('error', { error: error.message || 'An error occurred', attempts: error.attempts });
+    } finally {
+        if (!res.writableEnded) res.end();
+    }
+});
+
+// Stores an image for a later chat message; the request body is the image itself
+app.post('/api/chat/attachments', express.raw({ type: ATTACHMENT_MIME_TYPES, limit: MAX_ATTACHMENT_UPLOAD }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: `Missing image: send the file as the request body (${ATTACHMENT_MIME_TYPES.join(', ')})` });
+    }
 
+    try {
+        const mimeType = req.get('Content-Type').split(';')[0].trim();
+        const { url, fileName } = await mediaStore.save(req.body, mimeType);
+        res.json({ url, fileName, mimeType, size: req.body.length });
     } catch (error) {
-        console.error(`Translation error for ${provider}/${model}:`, error);
-        res.status(500).json({ error: error.message || 'Translation failed' });
+        console.error('Attachment upload error:', error);
+        res.status(500).json({ error: error.message || 'Upload failed' });
     }
 });
 
-app.post('/api/detect-language', async (req, res) => {
-    const { provider, model, text } = req.body;
-    
-    if (!provider || !model || !text) {
-        return res.status(400).json({ error: 'Missing required parameters' });
+// Explicit cancel for a running /api/chat or /api/chat/stream request
+app.post('/api/chat/cancel', (req, res) => {
+    const { requestId } = req.body;
+    if (!requestId) {
+        return res.status(400).json({ error: 'Missing requestId' });
     }
-    if (!isProviderAvailable(provider)) {
-        return res.status(400).json({ error: `Provider ${provider} is not available` });
+
+    const controller = activeChatRequests.get(requestId);
+    if (controller) controller.abort();
+    res.json({ requestId, cancelled: !!controller });
+});
+
+// Target languages translated at once by a multi-target request
+const MAX_PARALLEL_TARGETS = 4;
+
+// Translation memory: stored translations at least this similar (0-1) to the
+// text are shown to the model as reference, the closest few of them. With
+// TRANSLATION_MEMORY_PER_PROVIDER=true a provider only reuses its own translations.
+const MEMORY_FUZZY_THRESHOLD = Math.min(Math.max(parseFloat(process.env.TRANSLATION_MEMORY_FUZZY_THRESHOLD) || 0.75, 0.5), 0.99);
+const MEMORY_FUZZY_MATCHES = 3;
+const MEMORY_PER_PROVIDER = process.env.TRANSLATION_MEMORY_PER_PROVIDER === 'true';
+
+// { exact, similar } from the translation memory for one text; a memory that
+// cannot be read only means the model translates without it
+async function lookupMemory(lookup) {
+    try {
+        const exact = await translationMemory.findExact(lookup);
+        if (exact) return { exact, similar: [] };
+        return { exact: null, similar: await translationMemory.findSimilar(lookup, { threshold: MEMORY_FUZZY_THRESHOLD, limit: MEMORY_FUZZY_MATCHES }) };
+    } catch (error) {
+        console.warn('Translation memory lookup failed:', error.message);
+        return { exact: null, similar: [] };
     }
+}
 
-    const detectionPrompt = `Detect the language of the following text and respond with only the language name in English (e.g., "English", "Spanish", "French", etc.):\n\n"${text}"`;
+// Terms of the glossary a translation request names, [] without one, or null
+// once a 404 has been sent for a glossary the caller does not own
+async function requestGlossaryTerms(req, res, glossaryId) {
+    if (!glossaryId) return [];
 
     try {
-        let detectedLanguage = '';
-        
-        if (provider === 'openai') {
-            const completion = await clients.openai.chat.completions.create({
-                model,
-                messages: [{ role: 'user', content: detectionPrompt }],
-                temperature: 0.1,
-                max_tokens: 50,
-            });
-            detectedLanguage = completion.choices[0].message.content.trim();
-        } else if (provider === 'anthropic') {
-            const completion = await clients.anthropic.messages.create({
-                model,
-                max_tokens: 50,
-                temperature: 0.1,
-                messages: [{ role: 'user', content: detectionPrompt }],
-            });
-            detectedLanguage = completion.content[0].text.trim();
-        } else if (provider === 'deepseek') {
-            detectedLanguage = await callDeepseekChat(model, detectionPrompt, []);
-        } else if (provider === 'perplexity') {
-            if (!clients.perplexity) throw new Error('Perplexity not configured');
-            const resp = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${clients.perplexity.apiKey}` },
-                body: JSON.stringify({ model, messages: [{ role: 'user', content: detectionPrompt }] })
-            });
-            if (!resp.ok) throw new Error('Perplexity API error');
-            const data = await resp.json();
-            detectedLanguage = data.choices?.[0]?.message?.content?.trim() || '';
+        const glossary = await glossaries.get(String(glossaryId), ownerOf(req));
+        if (glossary) return glossary.terms;
+        res.status(404).json({ error: 'Glossary not found' });
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to load glossary' });
+    }
+    return null;
+}
+
+// One translation of `text` into targetLang, with its usage and cost. With
+// glossary terms, those found in the text go into the prompt and the answer
+// lists the ones the translation did not follow as glossaryViolations.
+// With useMemory, an exact translation memory match is answered at no cost
+// instead of calling the model, and fuzzy matches go into the prompt; the
+// answer's `memory` says which. New translations are added to ownerId's memory
+// unless they break the glossary.
+async function translateText(adapter, { provider, model, text, sourceLang, targetLang, terms = [], useMemory = false, ownerId = null, signal }) {
+    const sourceLanguage = SUPPORTED_LANGUAGES[sourceLang] || null;
+    const targetLanguage = SUPPORTED_LANGUAGES[targetLang] || targetLang;
+
+    const startTime = Date.now();
+    const lookup = { ownerId, source: text, sourceLang: sourceLang || 'auto', targetLang, provider: MEMORY_PER_PROVIDER ? provider : null };
+    const { exact, similar } = useMemory ? await lookupMemory(lookup) : { exact: null, similar: [] };
+    if (exact) {
+        await translationMemory.recordUse(exact.id).catch(error => console.warn('Translation memory update failed:', error.message));
+        return {
+            translatedText: exact.target,
+            targetLang,
+            glossaryViolations: terms.length ? checkGlossary(text, exact.target, terms, targetLang) : undefined,
+            memory: { match: 'exact', entryId: exact.id, similarity: 1, provider: exact.provider, model: exact.model },
+            tokensUsed: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            tokenSource: 'memory',
+            cost: 0,
+            costBreakdown: null,
+            executionTime: Date.now() - startTime,
+        };
+    }
+
+    const instructions = [glossaryInstructions(terms, [text], targetLang), memoryInstructions(similar)].filter(Boolean);
+    const messages = translationMessages(text, sourceLanguage, targetLanguage, instructions.join('\n\n') || null);
+    const result = await adapter.complete({
+        model,
+        messages,
+        temperature: 0.3,
+        maxTokens: adapter.limitMaxTokens(model, 2000),
+        signal,
+    });
+    const usage = resolveUsage({ usage: result.usage, model, messages, completionText: result.text });
+    const translatedText = result.text.trim();
+    const glossaryViolations = terms.length ? checkGlossary(text, translatedText, terms, targetLang) : undefined;
+
+    if (useMemory && translatedText && !glossaryViolations?.length) {
+        await translationMemory.save(ownerId, [{ ...lookup, target: translatedText, provider, model }])
+            .catch(error => console.warn('Translation memory save failed:', error.message));
+    }
+
+    return {
+        translatedText,
+        targetLang,
+        glossaryViolations,
+        memory: similar.length
+            ? { match: 'fuzzy', similarity: parseFloat(similar[0].similarity.toFixed(2)), references: similar.length }
+            : undefined,
+        tokensUsed: usage.totalTokens,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        tokenSource: usage.source,
+        ...calculateCost(usage, provider, model),
+        executionTime: Date.now() - startTime,
+    };
+}
+
+// Enhanced translation endpoint with authentication.
+// targetLang may be a list of language codes: the targets are translated
+// concurrently (MAX_PARALLEL_TARGETS at a time) and answered as `translations`,
+// one entry per target in request order, each with its own tokens and cost or
+// an error; totals for tokens and cost sit alongside. glossaryId applies one of
+// the caller's glossaries (see GLOSSARIES below). The translation memory is
+// consulted first unless useMemory is false (see TRANSLATION MEMORY below).
+app.post('/api/translate', async (req, res) => {
+    const { provider, model, text, sourceLang, targetLang, glossaryId } = req.body;
+    const useMemory = req.body.useMemory !== false;
+    
+    if (!provider || !model || !text || !targetLang) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const targetLangs = Array.isArray(targetLang) ? [...new Set(targetLang)] : null;
+    if (targetLangs) {
+        if (targetLangs.length === 0) {
+            return res.status(400).json({ error: 'targetLang must list at least one language' });
         }
+        // Checked like /api/translate/batch; a missing sourceLang is auto-detected
+        const languageError = translationLanguageError(sourceLang || 'auto', targetLangs);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+    }
 
-        const langCode = Object.keys(SUPPORTED_LANGUAGES).find(
-            code => SUPPORTED_LANGUAGES[code].toLowerCase() === detectedLanguage.toLowerCase()
-        );
+    const adapter = resolveAdapter(res, provider, model, 'translation');
+    if (!adapter) return;
+
+    const terms = await requestGlossaryTerms(req, res, glossaryId);
+    if (!terms) return;
+
+    const detectedSource = sourceLang === 'auto' ? 'auto-detected' : sourceLang;
+
+    if (targetLangs) {
+        const controller = trackChatRequest(res);
+        const startTime = Date.now();
+        const translations = await mapLimit(targetLangs, MAX_PARALLEL_TARGETS, async code => {
+            try {
+                return await translateText(adapter, {
+                    provider, model, text, sourceLang, targetLang: code, terms, useMemory, ownerId: ownerOf(req), signal: controller.signal,
+                });
+            } catch (error) {
+                console.error(`Translation error for ${provider}/${model} (${code}):`, error);
+                return { targetLang: code, error: error.message || 'Translation failed' };
+            }
+        });
+        if (controller.signal.aborted) return;
+
+        const succeeded = translations.filter(translation => !translation.error);
+        return res.json({
+            sourceLang: detectedSource,
+            provider,
+            model,
+            translations,
+            failedTargets: translations.length - succeeded.length,
+            tokensUsed: succeeded.reduce((total, translation) => total + translation.tokensUsed, 0),
+            cost: succeeded.some(translation => translation.cost === null)
+                ? null
+                : parseFloat(succeeded.reduce((total, translation) => total + translation.cost, 0).toFixed(8)),
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    }
 
+    try {
+        const translation = await translateText(adapter, { provider, model, text, sourceLang, targetLang, terms, useMemory, ownerId: ownerOf(req) });
         res.json({
-            detectedLanguage,
-            languageCode: langCode || 'unknown',
+            ...translation,
+            sourceLang: detectedSource,
             provider,
             model,
             timestamp: new Date().toISOString()
         });
+
     } catch (error) {
-        console.error(`Language detection error for ${provider}/${model}:`, error);
-        res.status(500).json({ error: error.message || 'Language detection failed' });
+        console.error(`Translation error for ${provider}/${model}:`, error);
+        res.status(500).json({ error: error.message || 'Translation failed' });
     }
 });
 
-// Content history endpoint removed in public build
+// Limits for /api/translate/batch
+const MAX_BATCH_SEGMENTS = 500;
+const MAX_BATCH_CHARACTERS = 100000;
 
-// Legacy redirects
-app.get('/login', (req, res) => res.redirect('/'));
-app.get('/dashboard', (req, res) => res.redirect('/'));
-app.get('/profile-setup', (req, res) => res.redirect('/'));
+// Segments of a batch request as [{ id, text }]; an omitted id is the segment's position.
+// Returns { segments } or { error }.
+function parseBatchSegments(input) {
+    if (!Array.isArray(input) || input.length === 0 || input.length > MAX_BATCH_SEGMENTS) {
+        return { error: `segments must list 1 to ${MAX_BATCH_SEGMENTS} { id, text } entries` };
+    }
 
-// Serve main chat interface (protected)
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+    const segments = [];
+    const ids = new Set();
+    for (const [index, segment] of input.entries()) {
+        if (typeof segment?.text !== 'string') {
+            return { error: `segments[${index}].text must be a string` };
+        }
+        const id = segment.id ?? index;
+        if (typeof id !== 'string' && typeof id !== 'number') {
+            return { error: `segments[${index}].id must be a string or number` };
+        }
+        if (ids.has(id)) {
+            return { error: `Duplicate segment id: ${id}` };
+        }
+        ids.add(id);
+        segments.push({ id, text: segment.text });
+    }
 
-// Serve translator page
-app.get('/translate', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'translate.html'));
-});
+    if (segments.reduce((total, segment) => total + segment.text.length, 0) > MAX_BATCH_CHARACTERS) {
+        return { error: `segments may hold at most ${MAX_BATCH_CHARACTERS} characters in total` };
+    }
+    return { segments };
+}
 
-// Error handling
-app.use((err, req, res, next) => {
+// 400 message for unsupported language codes or a target equal to the source, else null
+function translationLanguageError(sourceLang, targetLangs) {
+    const unsupported = [...(sourceLang === 'auto' ? [] : [sourceLang]), ...targetLangs]
+        .find(code => !Object.hasOwn(SUPPORTED_LANGUAGES, code));
+    if (unsupported !== undefined) return `Unsupported language: ${unsupported}`;
+    if (targetLangs.includes(sourceLang)) return 'Source and target languages cannot be the same';
+    return null;
+}
+
+// Segments [{ id, text }] translated into one language (translator.js), with the
+// tokens and cost of every call it took:
+// { targetLang, segments: [{ id, translatedText } | { id, error }], failedSegments, calls, tokens, cost }
+// With glossary terms, each call is told the ones its segments contain, and
+// glossaryViolations lists [{ id, source, expected, issue }] for the segments
+// whose translation did not follow them.
+async function translateBatch(adapter, { provider, model, segments, sourceLang, targetLang, terms = [], signal }) {
+    const usages = [];
+    const complete = async (messages, maxTokens) => {
+        const { result } = await withRetry(() => adapter.complete({
+            model,
+            messages,
+            temperature: 0.3,
+            maxTokens: adapter.limitMaxTokens(model, maxTokens),
+            signal,
+        }), retryPolicy, { signal });
+        usages.push(resolveUsage({ usage: result.usage, model, messages, completionText: result.text }));
+        return result.text;
+    };
+
+    // Chunks are sized for the model: its output cap and what is left of its context window for the prompt
+    const maxTokens = adapter.limitMaxTokens(model, CHUNK_MAX_TOKENS);
+    const results = await translateSegments(segments, {
+        model,
+        maxTokens,
+        promptTokens: promptBudget(adapter.modelInfo(model).contextWindow, maxTokens),
+        sourceLanguage: sourceLang === 'auto' ? null : SUPPORTED_LANGUAGES[sourceLang],
+        targetLanguage: SUPPORTED_LANGUAGES[targetLang],
+        complete,
+        instructions: texts => glossaryInstructions(terms, texts, targetLang),
+    });
+    const glossaryViolations = terms.length
+        ? results.flatMap((result, index) => (result.error ? [] : checkGlossary(segments[index].text, result.translatedText, terms, targetLang)
+            .map(violation => ({ id: result.id, ...violation }))))
+        : undefined;
+
+    // Each call is priced on its own; one unpriced call leaves the total unknown
+    const costs = usages.map(usage => calculateCost(usage, provider, model).cost);
+    return {
+        targetLang,
+        segments: results,
+        failedSegments: results.filter(result => result.error).length,
+        glossaryViolations,
+        calls: usages.length,
+        promptTokens: usages.reduce((total, usage) => total + usage.promptTokens, 0),
+        completionTokens: usages.reduce((total, usage) => total + usage.completionTokens, 0),
+        tokensUsed: usages.reduce((total, usage) => total + usage.totalTokens, 0),
+        cost: costs.includes(null) ? null : parseFloat(costs.reduce((total, cost) => total + cost, 0).toFixed(8)),
+    };
+}
+
+// Bulk translation: { provider, model, sourceLang, targetLang, segments: [{ id, text }] }
+// targetLang is one language code or a list of them. Segments are packed into as
+// few calls as fit (translator.js); a segment that cannot be translated carries
+// an error instead of failing the batch (a provider refusing access fails it
+// with 500). Answers one entry per target language:
+// { targetLang, segments: [{ id, translatedText } | { id, error }], failedSegments, tokens, cost },
+// with segments in request order. glossaryId applies one of the caller's glossaries.
+app.post('/api/translate/batch', async (req, res) => {
+    const { provider, model, sourceLang = 'auto', glossaryId } = req.body;
+
+    if (!provider || !model || !req.body.targetLang) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const { segments, error: segmentsError } = parseBatchSegments(req.body.segments);
+    if (segmentsError) {
+        return res.status(400).json({ error: segmentsError });
+    }
+
+    const targetLangs = [...new Set([].concat(req.body.targetLang))];
+    const languageError = translationLanguageError(sourceLang, targetLangs);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+
+    const adapter = resolveAdapter(res, provider, model, 'translation');
+    if (!adapter) return;
+
+    const terms = await requestGlossaryTerms(req, res, glossaryId);
+    if (!terms) return;
+
+    const controller = trackChatRequest(res);
+    const startTime = Date.now();
+
+    try {
+        // Target languages run side by side like multi-target /api/translate
+        const translations = await mapLimit(targetLangs, MAX_PARALLEL_TARGETS, targetLang => translateBatch(adapter, {
+            provider, model, segments, sourceLang, targetLang, terms, signal: controller.signal,
+        }));
+
+        if (controller.signal.aborted) return;
+
+        const sum = field => translations.reduce((total, translation) => total + translation[field], 0);
+        res.json({
+            sourceLang: sourceLang === 'auto' ? 'auto-detected' : sourceLang,
+            provider,
+            model,
+            translations,
+            segmentCount: segments.length,
+            failedSegments: sum('failedSegments'),
+            tokensUsed: sum('tokensUsed'),
+            cost: translations.some(translation => translation.cost === null) ? null : parseFloat(sum('cost').toFixed(8)),
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error(`Batch translation error for ${provider}/${model}:`, error);
+        res.status(500).json({ error: error.message || 'Translation failed' });
+    }
+});
+
+// Documents: the file is the request body (sent as text/plain or
+// application/octet-stream, so the JSON body parser leaves JSON files alone)
+const MAX_DOCUMENT_UPLOAD = 5 * 1024 * 1024;
+const MAX_DOCUMENT_SEGMENTS = 5000;
+
+// Translates a structured file and answers the same format with its translatable
+// text replaced (documentFormats.js): JSON i18n bundles, gettext .po/.pot, XLIFF,
+// SRT/VTT subtitles, Markdown and HTML. Query: provider, model, targetLang,
+// sourceLang, fileName and optionally format (else taken from fileName) and glossaryId.
+// Answers { fileName, format, mimeType, content, failedSegments: [{ id, error }], tokens, cost };
+// strings that could not be translated, or lost a placeholder, keep their source text.
+app.post('/api/translate/document', express.raw({ type: () => true, limit: MAX_DOCUMENT_UPLOAD }), async (req, res) => {
+    const { provider, model, targetLang, sourceLang = 'auto', fileName = '', glossaryId } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Missing file: send the document as the request body with a text/plain or application/octet-stream Content-Type' });
+    }
+    if (!provider || !model || !targetLang) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const format = documentFormat(req.query.format || fileName);
+    if (!format) {
+        return res.status(400).json({ error: `Unsupported document format; use one of ${Object.keys(DOCUMENT_FORMATS).join(', ')}` });
+    }
+    const languageError = translationLanguageError(sourceLang, [targetLang]);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+
+    const adapter = resolveAdapter(res, provider, model, 'translation');
+    if (!adapter) return;
+
+    let document;
+    try {
+        document = readDocument(format, req.body.toString('utf8'));
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read the ${format} file: ${error.message}` });
+    }
+    if (document.segments.length > MAX_DOCUMENT_SEGMENTS) {
+        return res.status(400).json({ error: `The document has ${document.segments.length} strings to translate; at most ${MAX_DOCUMENT_SEGMENTS} are supported` });
+    }
+
+    const terms = await requestGlossaryTerms(req, res, glossaryId);
+    if (!terms) return;
+
+    const controller = trackChatRequest(res, req.query.requestId);
+    const startTime = Date.now();
+    let segments, translation;
+    try {
+        ({ segments, ...translation } = await translateBatch(adapter, {
+            provider, model, segments: document.segments, sourceLang, targetLang, terms, signal: controller.signal,
+        }));
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error(`Document translation error for ${provider}/${model}:`, error);
+        return res.status(500).json({ error: error.message || 'Translation failed' });
+    }
+    if (controller.signal.aborted) return;
+
+    let written;
+    try {
+        written = document.write(segments, targetLang);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not write the translated ${format} file: ${error.message}` });
+    }
+    const { content, issues } = written;
+    res.json({
+        fileName: translatedFileName(fileName, format, targetLang),
+        format,
+        mimeType: DOCUMENT_FORMATS[format].mimeType,
+        content,
+        sourceLang: sourceLang === 'auto' ? 'auto-detected' : sourceLang,
+        provider,
+        model,
+        segmentCount: document.segments.length,
+        ...translation,
+        failedSegments: issues,
+        executionTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.post('/api/detect-language', async (req, res) => {
+    const { provider, model, text } = req.body;
+    
+    if (!provider || !model || !text) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const adapter = resolveAdapter(res, provider, model, 'language-detection');
+    if (!adapter) return;
+
+    const detectionPrompt = `Detect the language of the following text and respond with only the language name in English (e.g., "English", "Spanish", "French", etc.):\n\n"${text}"`;
+
+    try {
+        const result = await adapter.complete({
+            model,
+            messages: [{ role: 'user', content: detectionPrompt }],
+            temperature: 0.1,
+            maxTokens: adapter.limitMaxTokens(model, 50),
+        });
+        const detectedLanguage = result.text.trim();
+
+        const langCode = Object.keys(SUPPORTED_LANGUAGES).find(
+            code => SUPPORTED_LANGUAGES[code].toLowerCase() === detectedLanguage.toLowerCase()
+        );
+
+        res.json({
+            detectedLanguage,
+            languageCode: langCode || 'unknown',
+            provider,
+            model,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Language detection error for ${provider}/${model}:`, error);
+        res.status(500).json({ error: error.message || 'Language detection failed' });
+    }
+});
+
+// Checks size/count/style against what the model accepts. Returns { options } or { error }.
+function parseImageOptions(limits, input) {
+    const size = input.size || limits.sizes[0];
+    const count = input.count === undefined ? 1 : input.count;
+    const { style, negativePrompt } = input;
+
+    if (!limits.sizes.includes(size)) {
+        return { error: `size must be one of: ${limits.sizes.join(', ')}` };
+    }
+    if (!Number.isInteger(count) || count < 1 || count > limits.maxCount) {
+        return { error: `count must be an integer from 1 to ${limits.maxCount}` };
+    }
+    if (style !== undefined && !limits.styles.includes(style)) {
+        return { error: limits.styles.length ? `style must be one of: ${limits.styles.join(', ')}` : 'This model does not accept a style' };
+    }
+    if (negativePrompt !== undefined && typeof negativePrompt !== 'string') {
+        return { error: 'negativePrompt must be a string' };
+    }
+    return { options: { size, count, style, negativePrompt: negativePrompt?.trim() || undefined } };
+}
+
+// Images are saved under MEDIA_STORAGE_DIR and returned as /generated URLs.
+// Options may be sent at the top level or in an `options` object.
+app.post('/api/generate-image', async (req, res) => {
+    const { provider, model, prompt, requestId } = req.body;
+
+    if (!provider || !model || !prompt) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const adapter = resolveAdapter(res, provider, model, 'image');
+    if (!adapter) return;
+
+    const limits = adapter.imageOptions(model);
+    if (!limits) {
+        return res.status(400).json({ error: `Model ${model} does not support image` });
+    }
+
+    const { options, error } = parseImageOptions(limits, { ...req.body, ...req.body.options });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const controller = trackChatRequest(res, requestId);
+
+    try {
+        const startTime = Date.now();
+        const { result, attempts } = await withRetry(
+            () => adapter.generateImage({ model, prompt, ...options, signal: controller.signal }),
+            retryPolicy,
+            { signal: controller.signal }
+        );
+        if (res.destroyed) return;
+
+        const images = await Promise.all(result.images.map(async image => {
+            const { fileName, url } = await mediaStore.save(image.data, image.mimeType);
+            return { url, fileName, revisedPrompt: image.revisedPrompt || null };
+        }));
+
+        const cost = pricing.calculateImageCost(provider, model, { size: options.size, count: images.length });
+
+        res.json({
+            images,
+            imageUrl: images[0]?.url || null,
+            provider,
+            model,
+            prompt,
+            options,
+            attempts,
+            cost: cost ? parseFloat(cost.total.toFixed(8)) : null,
+            costBreakdown: cost ? {
+                perImage: cost.perImage,
+                count: images.length,
+                currency: cost.currency,
+                pricingVersion: cost.pricingVersion,
+                effectiveFrom: cost.effectiveFrom,
+            } : null,
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Image generation error for ${provider}/${model}:`, error);
+        if (res.destroyed) return;
+        res.status(500).json({ error: error.message || 'Image generation failed', attempts: error.attempts });
+    }
+});
+
+// Content outline for a design. A chat model drafts it when DESIGN_SPEC_MODEL
+// ('provider/model') is set and available; otherwise, or if the model's answer is
+// unusable, it is derived from the prompt. Resolves to { outline, outlineSource,
+// cost, costBreakdown } where cost covers the drafting call.
+async function draftDesignOutline({ type, title, prompt, elements }, signal) {
+    const fromPrompt = { outline: outlineFromPrompt({ type, title, prompt, elements }), outlineSource: 'prompt', cost: null, costBreakdown: null };
+
+    // Hugging Face model ids contain a '/' themselves
+    const [specProvider, ...rest] = (process.env.DESIGN_SPEC_MODEL || '').split('/');
+    const specModel = rest.join('/');
+    const adapter = isProviderAvailable(specProvider) ? providers.get(specProvider) : null;
+    if (!prompt || elements.length || !adapter?.modelSupports(specModel, 'chat')) {
+        return fromPrompt;
+    }
+
+    const messages = [{ role: 'user', content: outlinePrompt({ type, title, prompt }) }];
+    try {
+        const { result } = await withRetry(() => adapter.complete({
+            model: specModel,
+            messages,
+            temperature: 0.4,
+            maxTokens: adapter.limitMaxTokens(specModel, 1500),
+            signal,
+        }), retryPolicy, { signal });
+
+        const outline = parseOutline(result.text, type);
+        if (outline) {
+            const usage = resolveUsage({ usage: result.usage, model: specModel, messages, completionText: result.text });
+            return { outline, outlineSource: `${specProvider}/${specModel}`, ...calculateCost(usage, specProvider, specModel) };
+        }
+        console.warn(`Design outline from ${specProvider}/${specModel} was not valid JSON, using the prompt instead`);
+    } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn(`Design outline from ${specProvider}/${specModel} failed, using the prompt instead:`, error.message);
+    }
+    return fromPrompt;
+}
+
+// Turns a prompt into a design spec and exports it as HTML plus one SVG per page
+// under /generated. With CANVA_API_KEY set the design is also created in Canva and
+// designUrl points there; if that fails the local export is returned with
+// fallbackFrom set.
+app.post('/api/create-design', async (req, res) => {
+    const { provider = 'canva', type = 'presentation', title, prompt, elements = [], requestId } = req.body;
+
+    if (!prompt && !title && !(Array.isArray(elements) && elements.length)) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(DESIGN_TYPES, type)) {
+        return res.status(400).json({ error: `type must be one of: ${Object.keys(DESIGN_TYPES).join(', ')}` });
+    }
+    if (!Array.isArray(elements)) {
+        return res.status(400).json({ error: 'elements must be a list' });
+    }
+
+    // Older clients send no model; use the provider's first design model
+    const model = req.body.model || defaultModel('design', provider)?.model;
+    const adapter = resolveAdapter(res, provider, model, 'design');
+    if (!adapter) return;
+
+    const controller = trackChatRequest(res, requestId);
+    const { signal } = controller;
+
+    try {
+        const startTime = Date.now();
+
+        const { outline, outlineSource, ...cost } = await draftDesignOutline({ type, title, prompt, elements }, signal);
+        const spec = layoutDesign(type, outline);
+
+        const pages = await Promise.all(spec.pages.map((page, index) => mediaStore.save(renderPageSvg(spec, index), 'image/svg+xml')));
+        const html = await mediaStore.save(renderHtml(spec), 'text/html');
+
+        let design = {
+            designId: path.parse(html.fileName).name,
+            designUrl: html.url,
+            editUrl: null,
+            thumbnailUrl: pages[0].url,
+            source: 'local',
+            fallbackFrom: null,
+        };
+        if (adapter.client) {
+            try {
+                const { result } = await withRetry(() => adapter.createDesign({
+                    title: spec.title,
+                    width: spec.width,
+                    height: spec.height,
+                    svg: renderPageSvg(spec, 0),
+                    signal,
+                }), retryPolicy, { signal });
+                design = {
+                    designId: result.designId,
+                    designUrl: result.viewUrl || result.editUrl,
+                    editUrl: result.editUrl,
+                    thumbnailUrl: result.thumbnailUrl || pages[0].url,
+                    source: provider,
+                    fallbackFrom: null,
+                };
+            } catch (error) {
+                if (signal.aborted) throw error;
+                console.error(`Design creation failed for ${provider}/${model}, returning the local export:`, error);
+                design.fallbackFrom = `${provider}/${model}`;
+            }
+        }
+        if (res.destroyed) return;
+
+        res.json({
+            ...design,
+            type,
+            title: spec.title,
+            spec,
+            exports: { html: html.url, pages: pages.map(page => page.url) },
+            outlineSource,
+            provider,
+            model,
+            ...cost,
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Design error for ${provider}/${model}:`, error);
+        if (res.destroyed) return;
+        res.status(500).json({ error: error.message || 'Design creation failed' });
+    }
+});
+
+// ===== SPEECH =====
+// text -> audio and audio -> text, codes 2 and 7 in transformation_master
+
+const TRANSFORMATION_CODES = { textToAudio: 2, audioToText: 7 };
+const MAX_SPEECH_CHARACTERS = 5000;
+const MAX_SPEECH_UPLOAD = '25mb';
+
+// Like resolveAdapter(), but provider and model are optional: without them the
+// first available speech model is used
+function resolveSpeechAdapter(res, { provider, model }, capability) {
+    const target = model ? { provider, model } : defaultModel(capability, provider);
+    if (!target) {
+        res.status(400).json({ error: `No ${capability} model is available` });
+        return null;
+    }
+    const adapter = resolveAdapter(res, target.provider, target.model, capability);
+    return adapter && { adapter, provider: target.provider, model: target.model };
+}
+
+function speechCost(provider, model, amount) {
+    const cost = pricing.calculateSpeechCost(provider, model, amount);
+    if (!cost) {
+        return { cost: null, costBreakdown: null };
+    }
+    return {
+        cost: parseFloat(cost.total.toFixed(8)),
+        costBreakdown: {
+            rate: cost.rate,
+            unit: cost.unit,
+            currency: cost.currency,
+            pricingVersion: cost.pricingVersion,
+            effectiveFrom: cost.effectiveFrom,
+        },
+    };
+}
+
+// Saves the audio under /generated and returns its URL
+app.post('/api/speech/synthesize', async (req, res) => {
+    const { text, language, speed, requestId } = req.body;
+
+    if (!text || typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    if (text.length > MAX_SPEECH_CHARACTERS) {
+        return res.status(400).json({ error: `text must be at most ${MAX_SPEECH_CHARACTERS} characters` });
+    }
+
+    const resolved = resolveSpeechAdapter(res, req.body, 'text-to-speech');
+    if (!resolved) return;
+    const { adapter, provider, model } = resolved;
+
+    const limits = adapter.speechOptions(model);
+    if (!limits) {
+        return res.status(400).json({ error: `Model ${model} does not support text-to-speech` });
+    }
+    const voice = req.body.voice || limits.voices[0];
+    const format = req.body.format || limits.formats[0];
+    if (!limits.voices.includes(voice)) {
+        return res.status(400).json({ error: `voice must be one of: ${limits.voices.join(', ')}` });
+    }
+    if (!limits.formats.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${limits.formats.join(', ')}` });
+    }
+    if (speed !== undefined && (typeof speed !== 'number' || speed < 0.5 || speed > 2)) {
+        return res.status(400).json({ error: 'speed must be a number from 0.5 to 2' });
+    }
+
+    const controller = trackChatRequest(res, requestId);
+
+    try {
+        const startTime = Date.now();
+
+        const { result, attempts } = await withRetry(
+            () => adapter.synthesizeSpeech({ model, text, voice, language, format, speed, signal: controller.signal }),
+            retryPolicy,
+            { signal: controller.signal }
+        );
+        if (res.destroyed) return;
+
+        const { fileName, url } = await mediaStore.save(result.audio, result.mimeType);
+
+        res.json({
+            audioUrl: url,
+            fileName,
+            mimeType: result.mimeType,
+            provider,
+            model,
+            voice,
+            format,
+            language: language || null,
+            characters: text.length,
+            transformationCode: TRANSFORMATION_CODES.textToAudio,
+            attempts,
+            ...speechCost(provider, model, { characters: text.length }),
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Speech synthesis error for ${provider}/${model}:`, error);
+        if (res.destroyed) return;
+        res.status(500).json({ error: error.message || 'Speech synthesis failed', attempts: error.attempts });
+    }
+});
+
+// The recording is the raw request body with its audio/* Content-Type;
+// provider, model, language and requestId are query parameters
+app.post('/api/speech/transcribe', express.raw({ type: ['audio/*', 'video/webm'], limit: MAX_SPEECH_UPLOAD }), async (req, res) => {
+    const { language, requestId } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Missing audio: send the recording as the request body with an audio/* Content-Type' });
+    }
+
+    const resolved = resolveSpeechAdapter(res, req.query, 'speech-to-text');
+    if (!resolved) return;
+    const { adapter, provider, model } = resolved;
+
+    const mimeType = req.get('Content-Type').split(';')[0].trim();
+    const controller = trackChatRequest(res, requestId);
+
+    try {
+        const startTime = Date.now();
+
+        const { result, attempts } = await withRetry(
+            () => adapter.transcribeSpeech({ model, audio: req.body, mimeType, language, signal: controller.signal }),
+            retryPolicy,
+            { signal: controller.signal }
+        );
+        if (res.destroyed) return;
+
+        res.json({
+            text: result.text,
+            language: result.language,
+            durationSeconds: result.durationSeconds,
+            provider,
+            model,
+            transformationCode: TRANSFORMATION_CODES.audioToText,
+            attempts,
+            ...speechCost(provider, model, { seconds: result.durationSeconds }),
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Transcription error for ${provider}/${model}:`, error);
+        if (res.destroyed) return;
+        res.status(500).json({ error: error.message || 'Transcription failed', attempts: error.attempts });
+    }
+});
+
+// ===== CONVERSATIONS =====
+// Stored chat threads (conversationStore.js). X-Client-Id scopes them to one
+// browser: /api/chat only continues a thread whose owner sent the request.
+
+const ownerOf = req => req.get('x-client-id') || null;
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// Validates appended messages: { messages: [...] } or a single message. Returns { messages } or { error }.
+function parseConversationMessages(input) {
+    const messages = Array.isArray(input.messages) ? input.messages : [input];
+    for (const message of messages) {
+        if (!message || typeof message !== 'object') {
+            return { error: 'each message must be an object' };
+        }
+        if (!MESSAGE_ROLES.includes(message.role)) {
+            return { error: `role must be one of: ${MESSAGE_ROLES.join(', ')}` };
+        }
+        if (typeof message.content !== 'string' || !message.content) {
+            return { error: 'content must be a non-empty string' };
+        }
+        if (message.images !== undefined && (!Array.isArray(message.images) || message.images.some(url => typeof url !== 'string'))) {
+            return { error: 'images must be a list of attachment URLs' };
+        }
+    }
+    return { messages: messages.map(({ role, content, images }) => ({ role, content, images })) };
+}
+
+app.get('/api/conversations', async (req, res) => {
+    try {
+        res.json(await conversations.list(ownerOf(req)));
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to load conversations' });
+    }
+});
+
+app.post('/api/conversations', async (req, res) => {
+    const { title } = req.body;
+    if (title !== undefined && typeof title !== 'string') {
+        return res.status(400).json({ error: 'title must be a string' });
+    }
+
+    try {
+        res.status(201).json(await conversations.create(ownerOf(req), title));
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to create conversation' });
+    }
+});
+
+app.patch('/api/conversations/:id', async (req, res) => {
+    const { title } = req.body;
+    if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'title must be a non-empty string' });
+    }
+
+    try {
+        const conversation = await conversations.rename(req.params.id, ownerOf(req), title);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json(conversation);
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to rename conversation' });
+    }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+    try {
+        if (!await conversations.delete(req.params.id, ownerOf(req))) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+app.get('/api/conversations/:id/messages', async (req, res) => {
+    try {
+        const conversation = await conversations.get(req.params.id, ownerOf(req));
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json({ conversation, messages: await conversations.messages(conversation.id, conversation.leafId) });
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to load messages' });
+    }
+});
+
+// Appends messages without calling a model (imports, notes, client-side results),
+// after `parentId` when given (null: as a new first message), else at the end of
+// the branch shown
+app.post('/api/conversations/:id/messages', async (req, res) => {
+    try {
+        const { messages, error } = parseConversationMessages(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { parentId } = req.body;
+
+        const conversation = await conversations.get(req.params.id, ownerOf(req));
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        if (parentId !== undefined && parentId !== null && !await conversations.message(conversation.id, parentId)) {
+            return res.status(404).json({ error: `Message ${parentId} not found in this conversation` });
+        }
+        res.status(201).json(await conversations.append(conversation.id, messages, parentId === undefined ? conversation.leafId : parentId));
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to append messages' });
+    }
+});
+
+// Switches the branch shown to the one through { messageId } (a sibling picked in
+// the "2 of 3" navigation), following its newest replies. Answers like GET messages.
+app.post('/api/conversations/:id/branch', async (req, res) => {
+    const { messageId } = req.body;
+    if (!Number.isInteger(messageId)) {
+        return res.status(400).json({ error: 'messageId must be a message id' });
+    }
+
+    try {
+        const conversation = await conversations.get(req.params.id, ownerOf(req));
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        const leafId = await conversations.selectBranch(conversation.id, messageId);
+        if (leafId === null) {
+            return res.status(404).json({ error: `Message ${messageId} not found in this conversation` });
+        }
+        res.json({ conversation: { ...conversation, leafId }, messages: await conversations.messages(conversation.id, leafId) });
+    } catch (error) {
+        console.error('Conversation store error:', error);
+        res.status(500).json({ error: 'Failed to switch branch' });
+    }
+});
+
+// ===== COMPARE =====
+// One prompt answered by several models at once, each in its own column. No
+// fallbacks: a failing model shows its error in its column. The finished
+// comparison is stored (comparisonStore.js) so the user can vote for the best
+// answer; X-Client-Id scopes votes like conversations.
+
+const MAX_COMPARE_MODELS = 4;
+
+// Server-Sent Events, tagged with the column index (the position in `models`):
+//   event: delta  data: { index, text }
+//   event: done   data: { index, response, timeToFirstToken, tokensUsed, cost, executionTime, ... }
+//   event: error  data: { index, error, status }  status 413: the message is too long for that model
+//   event: end    data: { comparisonId }      after every column has finished
+// Body: { models: [{ provider, model }], message, history, images, webSearch, requestId }
+// plus the generation parameters of /api/chat, applied to every model.
+app.post('/api/chat/compare', async (req, res) => {
+    const { models, message, requestId } = req.body;
+
+    if (!Array.isArray(models) || models.length < 2 || models.length > MAX_COMPARE_MODELS) {
+        return res.status(400).json({ error: `models must list 2 to ${MAX_COMPARE_MODELS} { provider, model } entries` });
+    }
+    if (!message) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    const invalid = models.findIndex(entry => !entry || typeof entry !== 'object' || Array.isArray(entry)
+        || typeof entry.provider !== 'string' || typeof entry.model !== 'string');
+    if (invalid !== -1) {
+        return res.status(400).json({ error: `models[${invalid}] must be a { provider, model } object with string values` });
+    }
+    if (new Set(models.map(entry => `${entry.provider}/${entry.model}`)).size < models.length) {
+        return res.status(400).json({ error: 'Each model can only be compared once' });
+    }
+    const historyError = chatHistoryError(req.body.history);
+    if (historyError) {
+        return res.status(400).json({ error: historyError });
+    }
+
+    const adapters = [];
+    for (const { provider, model } of models) {
+        const adapter = resolveAdapter(res, provider, model, 'chat');
+        if (!adapter) return;
+
+        const requestError = parseGenerationOptions(adapter.generationLimits(model), req.body).error
+            || attachmentError(adapter, model, req.body.images)
+            || (req.body.webSearch && webSearchError(adapter, model));
+        if (requestError) {
+            return res.status(400).json({ error: `${provider}/${model}: ${requestError}` });
+        }
+        adapters.push(adapter);
+    }
+
+    const controller = trackChatRequest(res, requestId);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const body = { ...req.body, conversationId: undefined, parentId: undefined, regenerateId: undefined };
+
+    const results = await Promise.all(models.map(async ({ provider, model }, index) => {
+        const startTime = Date.now();
+        let timeToFirstToken = null;
+
+        try {
+            const { responseText, ...outcome } = await runChatTurn(adapters[index], { ...body, provider, model }, {
+                signal: controller.signal,
+                fallback: false,
+                onDelta: text => {
+                    if (timeToFirstToken === null) timeToFirstToken = Date.now() - startTime;
+                    send('delta', { index, text });
+                },
+            });
+            const summary = buildChatSummary({ ...outcome, startTime });
+            send('done', { index, response: responseText, timeToFirstToken, ...summary });
+            return {
+                provider,
+                model,
+                response: responseText,
+                latencyMs: summary.executionTime,
+                promptTokens: summary.promptTokens,
+                completionTokens: summary.completionTokens,
+                cost: summary.cost,
+            };
+        } catch (error) {
+            console.error(`Compare error for ${provider}/${model}:`, error);
+            send('error', { index, error: error.message || 'An error occurred', status: chatErrorStatus(error), attempts: error.attempts });
+            return { provider, model, error: error.message || 'An error occurred', latencyMs: Date.now() - startTime };
+        }
+    }));
+
+    let comparisonId = null;
+    try {
+        ({ id: comparisonId } = await comparisons.create(ownerOf(req), message, results));
+    } catch (error) {
+        console.error('Comparison store error:', error);
+    }
+    send('end', { comparisonId });
+    res.end();
+});
+
+// Vote for the best column of a comparison: { index }
+app.post('/api/chat/compare/:id/vote', async (req, res) => {
+    const { index } = req.body;
+
+    try {
+        const columns = await comparisons.columnCount(req.params.id);
+        if (!columns) {
+            return res.status(404).json({ error: 'Comparison not found' });
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= columns) {
+            return res.status(400).json({ error: `index must be a column from 0 to ${columns - 1}` });
+        }
+        if (!await comparisons.vote(req.params.id, ownerOf(req), index)) {
+            return res.status(404).json({ error: 'Comparison not found' });
+        }
+        res.json({ comparisonId: req.params.id, index });
+    } catch (error) {
+        console.error('Comparison store error:', error);
+        res.status(500).json({ error: 'Failed to record vote' });
+    }
+});
+
+// Wins and averages per model across all comparisons
+app.get('/api/chat/compare/stats', async (req, res) => {
+    try {
+        res.json(await comparisons.stats());
+    } catch (error) {
+        console.error('Comparison store error:', error);
+        res.status(500).json({ error: 'Failed to load comparison stats' });
+    }
+});
+
+// ===== GLOSSARIES =====
+// Per-browser translation glossaries (glossaryStore.js), scoped by X-Client-Id
+// like conversations. /api/translate, /api/translate/batch and
+// /api/translate/document apply one when given its glossaryId.
+
+const MAX_GLOSSARY_IMPORT = 2 * 1024 * 1024;
+const GLOSSARY_IMPORT_FORMATS = { csv: ['.csv', '.tsv', '.txt'], tbx: ['.tbx', '.xml'] };
+
+// Validates a glossary term. partial (PATCH) leaves out fields that are not sent.
+// Returns { term } or { error }.
+function parseGlossaryTerm(input, partial = false) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'each term must be an object' };
+    }
+    const term = {};
+    if (!partial || input.source !== undefined) {
+        if (typeof input.source !== 'string' || !input.source.trim()) {
+            return { error: 'source must be a non-empty string' };
+        }
+        term.source = input.source.trim();
+    }
+    if (!partial || input.translations !== undefined) {
+        const translations = input.translations ?? {};
+        if (typeof translations !== 'object' || Array.isArray(translations)
+            || Object.values(translations).some(value => typeof value !== 'string')) {
+            return { error: 'translations must map language codes to strings' };
+        }
+        const unsupported = Object.keys(translations).find(code => !Object.hasOwn(SUPPORTED_LANGUAGES, code));
+        if (unsupported !== undefined) {
+            return { error: `Unsupported language: ${unsupported}` };
+        }
+        term.translations = Object.fromEntries(Object.entries(translations)
+            .map(([code, value]) => [code, value.trim()])
+            .filter(([, value]) => value));
+    }
+    for (const flag of ['caseSensitive', 'doNotTranslate']) {
+        if (input[flag] !== undefined && typeof input[flag] !== 'boolean') {
+            return { error: `${flag} must be a boolean` };
+        }
+        if (!partial || input[flag] !== undefined) term[flag] = !!input[flag];
+    }
+    if (input.note !== undefined && input.note !== null && typeof input.note !== 'string') {
+        return { error: 'note must be a string' };
+    }
+    if (!partial || input.note !== undefined) term.note = input.note?.trim() || null;
+
+    if (!partial && !term.doNotTranslate && !Object.keys(term.translations).length) {
+        return { error: 'A term needs a translation for at least one language, or doNotTranslate' };
+    }
+    return { term };
+}
+
+// Validates a glossary's name and source language. Returns { fields } or { error }.
+function parseGlossaryFields(input, partial = false) {
+    const fields = {};
+    if (!partial || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            return { error: 'name must be a non-empty string' };
+        }
+        fields.name = input.name.trim().slice(0, 255);
+    }
+    if (input.sourceLang !== undefined && input.sourceLang !== null && !Object.hasOwn(SUPPORTED_LANGUAGES, input.sourceLang)) {
+        return { error: `Unsupported language: ${input.sourceLang}` };
+    }
+    if (!partial || input.sourceLang !== undefined) fields.sourceLang = input.sourceLang || null;
+    return { fields };
+}
+
+app.get('/api/glossaries', async (req, res) => {
+    try {
+        res.json(await glossaries.list(ownerOf(req)));
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to load glossaries' });
+    }
+});
+
+// { name, sourceLang?, terms?: [...] }
+app.post('/api/glossaries', async (req, res) => {
+    const { fields, error } = parseGlossaryFields(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const terms = [];
+    for (const input of [].concat(req.body.terms ?? [])) {
+        const { term, error: termError } = parseGlossaryTerm(input);
+        if (termError) {
+            return res.status(400).json({ error: `${input?.source || 'Term'}: ${termError}` });
+        }
+        terms.push(term);
+    }
+
+    try {
+        const glossary = await glossaries.create(ownerOf(req), fields);
+        if (terms.length) await glossaries.addTerms(glossary.id, terms);
+        res.status(201).json(await glossaries.get(glossary.id, ownerOf(req)));
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to create glossary' });
+    }
+});
+
+// The glossary with its terms
+app.get('/api/glossaries/:id', async (req, res) => {
+    try {
+        const glossary = await glossaries.get(req.params.id, ownerOf(req));
+        if (!glossary) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        res.json(glossary);
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to load glossary' });
+    }
+});
+
+app.patch('/api/glossaries/:id', async (req, res) => {
+    const { fields, error } = parseGlossaryFields(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const glossary = await glossaries.update(req.params.id, ownerOf(req), fields);
+        if (!glossary) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        res.json(glossary);
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to update glossary' });
+    }
+});
+
+app.delete('/api/glossaries/:id', async (req, res) => {
+    try {
+        if (!await glossaries.delete(req.params.id, ownerOf(req))) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to delete glossary' });
+    }
+});
+
+// One term, or { terms: [...] }; a source term already in the glossary is updated
+app.post('/api/glossaries/:id/terms', async (req, res) => {
+    const terms = [];
+    for (const input of Array.isArray(req.body.terms) ? req.body.terms : [req.body]) {
+        const { term, error } = parseGlossaryTerm(input);
+        if (error) {
+            return res.status(400).json({ error: Array.isArray(req.body.terms) ? `${input?.source || 'Term'}: ${error}` : error });
+        }
+        terms.push(term);
+    }
+
+    try {
+        if (!await glossaries.get(req.params.id, ownerOf(req))) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        const counts = await glossaries.addTerms(req.params.id, terms);
+        res.status(201).json({ ...counts, glossary: await glossaries.get(req.params.id, ownerOf(req)) });
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to add terms' });
+    }
+});
+
+app.patch('/api/glossaries/:id/terms/:termId', async (req, res) => {
+    const { term: fields, error } = parseGlossaryTerm(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        if (!await glossaries.get(req.params.id, ownerOf(req))) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        const term = await glossaries.updateTerm(req.params.id, Number(req.params.termId), fields);
+        if (!term) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+        res.json(term);
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to update term' });
+    }
+});
+
+app.delete('/api/glossaries/:id/terms/:termId', async (req, res) => {
+    try {
+        if (!await glossaries.get(req.params.id, ownerOf(req))) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        if (!await glossaries.deleteTerm(req.params.id, Number(req.params.termId))) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to delete term' });
+    }
+});
+
+// Adds the terms of a CSV or TBX file (the request body, as text/plain or
+// application/octet-stream) to the glossary. Query: format (csv or tbx), or
+// fileName to take it from the extension. CSV columns: source, one per language
+// code, and optionally case_sensitive, do_not_translate and note.
+// Answers { added, updated, skipped: [{ row | entry, error }], glossary }.
+app.post('/api/glossaries/:id/import', express.raw({ type: () => true, limit: MAX_GLOSSARY_IMPORT }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Missing file: send the CSV or TBX file as the request body with a text/plain or application/octet-stream Content-Type' });
+    }
+
+    const extension = path.extname(String(req.query.fileName || '')).toLowerCase();
+    const format = req.query.format
+        || Object.keys(GLOSSARY_IMPORT_FORMATS).find(id => GLOSSARY_IMPORT_FORMATS[id].includes(extension));
+    if (!Object.hasOwn(GLOSSARY_IMPORT_FORMATS, format || '')) {
+        return res.status(400).json({ error: 'Unsupported glossary format; use csv or tbx' });
+    }
+
+    try {
+        const glossary = await glossaries.get(req.params.id, ownerOf(req));
+        if (!glossary) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+
+        let parsed;
+        try {
+            const text = req.body.toString('utf8');
+            const codes = Object.keys(SUPPORTED_LANGUAGES);
+            parsed = format === 'csv' ? parseGlossaryCsv(text, codes) : parseGlossaryTbx(text, codes, glossary.sourceLang);
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read the ${format} file: ${error.message}` });
+        }
+
+        const skipped = [...parsed.skipped];
+        const terms = parsed.terms.filter(term => {
+            if (term.doNotTranslate || Object.keys(term.translations).length) return true;
+            skipped.push({ term: term.source, error: 'No translation in a supported language' });
+            return false;
+        });
+        const counts = await glossaries.addTerms(glossary.id, terms);
+        res.json({ ...counts, skipped, glossary: await glossaries.get(glossary.id, ownerOf(req)) });
+    } catch (error) {
+        console.error('Glossary store error:', error);
+        res.status(500).json({ error: 'Failed to import glossary' });
+    }
+});
+
+// ===== TRANSLATION MEMORY =====
+// Earlier /api/translate results (translationMemoryStore.js), scoped by
+// X-Client-Id like glossaries: exact matches are reused at no cost, close ones
+// guide the model.
+// TMX 1.4 export and import move memories to and from CAT tools.
+
+const MAX_TMX_IMPORT = 20 * 1024 * 1024;
+const MAX_MEMORY_PAGE = 200;
+
+// 400 message for sourceLang/targetLang filters that are not supported codes, else null
+function memoryFilterError({ sourceLang, targetLang }) {
+    const unsupported = [sourceLang, targetLang]
+        .find(code => code !== undefined && code !== 'auto' && !Object.hasOwn(SUPPORTED_LANGUAGES, code));
+    return unsupported === undefined ? null : `Unsupported language: ${unsupported}`;
+}
+
+// Entries, most recently used first. Query: sourceLang, targetLang, q (text in
+// the source or translation), limit (up to 200, default 50) and offset.
+app.get('/api/translation-memory', async (req, res) => {
+    const { sourceLang, targetLang, q } = req.query;
+    const languageError = memoryFilterError(req.query);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_MEMORY_PAGE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+        res.json(await translationMemory.list(ownerOf(req), { sourceLang, targetLang, query: q, limit, offset }));
+    } catch (error) {
+        console.error('Translation memory error:', error);
+        res.status(500).json({ error: 'Failed to load translation memory' });
+    }
+});
+
+// The whole memory, or one language pair (sourceLang/targetLang), as a TMX file
+app.get('/api/translation-memory/export', async (req, res) => {
+    const { sourceLang, targetLang } = req.query;
+    const languageError = memoryFilterError(req.query);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+
+    try {
+        const entries = await translationMemory.list(ownerOf(req), { sourceLang, targetLang });
+        const name = ['translation-memory', sourceLang, targetLang].filter(Boolean).join('-');
+        res.set('Content-Disposition', `attachment; filename="${name}.tmx"`);
+        res.type('application/x-tmx+xml').send(buildTmx(entries));
+    } catch (error) {
+        console.error('Translation memory error:', error);
+        res.status(500).json({ error: 'Failed to export translation memory' });
+    }
+});
+
+// Adds the translation units of a TMX file (the request body, as text/plain or
+// application/octet-stream); a source already in the memory for the same
+// language pair takes the imported translation. Answers { imported, skipped }.
+app.post('/api/translation-memory/import', express.raw({ type: () => true, limit: MAX_TMX_IMPORT }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Missing file: send the TMX file as the request body with a text/plain or application/octet-stream Content-Type' });
+    }
+
+    let parsed;
+    try {
+        parsed = parseTmx(req.body.toString('utf8'), Object.keys(SUPPORTED_LANGUAGES));
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read the TMX file: ${error.message}` });
+    }
+
+    try {
+        res.json({ imported: await translationMemory.save(ownerOf(req), parsed.entries), skipped: parsed.skipped });
+    } catch (error) {
+        console.error('Translation memory error:', error);
+        res.status(500).json({ error: 'Failed to import translation memory' });
+    }
+});
+
+app.delete('/api/translation-memory/:id', async (req, res) => {
+    try {
+        if (!await translationMemory.delete(Number(req.params.id), ownerOf(req))) {
+            return res.status(404).json({ error: 'Translation memory entry not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Translation memory error:', error);
+        res.status(500).json({ error: 'Failed to delete translation memory entry' });
+    }
+});
+
+// ===== MODEL CATALOG ADMIN =====
+// Edits llm_master and reloads the provider model lists, so changes apply without
+// a restart. Requires the X-Admin-Key header to match ADMIN_API_KEY.
+
+function requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_API_KEY;
+    if (!expected) {
+        return res.status(403).json({ error: 'Admin API is disabled (ADMIN_API_KEY not set)' });
+    }
+
+    const given = Buffer.from(req.get('x-admin-key') || '');
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+    next();
+}
+
+async function reloadModels() {
+    await providers.initialize({ modelCatalog });
+}
+
+app.get('/api/admin/models', requireAdmin, async (req, res) => {
+    try {
+        res.json(await modelCatalog.list());
+    } catch (error) {
+        console.error('Model catalog error:', error);
+        res.status(500).json({ error: 'Failed to load model catalog' });
+    }
+});
+
+app.post('/api/admin/models', requireAdmin, async (req, res) => {
+    const { fields, error } = parseModelFields(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!providers.forCatalogProvider(fields.provider)) {
+        return res.status(400).json({ error: `Unknown provider ${fields.provider}` });
+    }
+
+    try {
+        const model = await modelCatalog.addModel(fields);
+        await reloadModels();
+        res.status(201).json(model);
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: err.message });
+        }
+        console.error('Model catalog error:', err);
+        res.status(500).json({ error: 'Failed to add model' });
+    }
+});
+
+app.patch('/api/admin/models/:id', requireAdmin, async (req, res) => {
+    const { fields, error } = parseModelFields(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (fields.provider && !providers.forCatalogProvider(fields.provider)) {
+        return res.status(400).json({ error: `Unknown provider ${fields.provider}` });
+    }
+
+    await updateCatalogModel(req, res, fields);
+});
+
+app.post('/api/admin/models/:id/disable', requireAdmin, (req, res) => updateCatalogModel(req, res, { is_enabled: 0 }));
+app.post('/api/admin/models/:id/enable', requireAdmin, (req, res) => updateCatalogModel(req, res, { is_enabled: 1 }));
+
+async function updateCatalogModel(req, res, fields) {
+    try {
+        const model = await modelCatalog.updateModel(Number(req.params.id), fields);
+        if (!model) {
+            return res.status(404).json({ error: 'Model not found' });
+        }
+        await reloadModels();
+        res.json(model);
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: err.message });
+        }
+        console.error('Model catalog error:', err);
+        res.status(500).json({ error: 'Failed to update model' });
+    }
+}
+
+// Content history endpoint removed in public build
+
+// Legacy redirects
+app.get('/login', (req, res) => res.redirect('/'));
+app.get('/dashboard', (req, res) => res.redirect('/'));
+app.get('/profile-setup', (req, res) => res.redirect('/'));
+
+// Serve main chat interface (protected)
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Serve translator page
+app.get('/translate', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'translate.html'));
+});
+
+// Error handling
+app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
@@ -442,9 +2279,18 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Multi-LLM Platform server running on port ${PORT}`);
-    console.log(`📍 Access the application at: http://localhost:${PORT}`);
+// Adapters that discover their models (local server, llm_master) must finish before we serve
+Promise.all([modelCatalog.init().then(reloadModels), conversations.init(), comparisons.init(), glossaries.init(), translationMemory.init()]).then(() => {
+    const server = app.listen(PORT, () => {
+        console.log(`🚀 Multi-LLM Platform server running on port ${PORT}`);
+        console.log(`📍 Access the application at: http://localhost:${PORT}`);
+    });
+
+    attachChatSocket(server, { providers, runChat, buildChatSummary });
+}).catch(error => {
+    // Serving without a model catalog or stores would only fail request by request
+    console.error('Startup failed:', error);
+    process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
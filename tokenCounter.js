@@ -0,0 +1,84 @@
+// tokenCounter.js - Prompt/completion token accounting
+//
+// Providers' reported `usage` is authoritative. When a provider does not report
+// it (or the request was cancelled mid-stream) we count with the bundled BPE
+// tokenizer of the closest model family, which stays accurate for CJK, Indic and
+// Arabic scripts where a characters/4 estimate is off by several times.
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Model id pattern -> tokenizer encoding. First match wins.
+const MODEL_FAMILIES = [
+    { pattern: /^(gpt-4o|gpt-4\.1|o1|o3|o4)/, encoding: 'o200k_base' },
+    { pattern: /^(gpt-4|gpt-3\.5|text-embedding)/, encoding: 'cl100k_base' },
+    // Claude, Deepseek, Sonar and open-weight models publish no offline
+    // tokenizer; cl100k is the closest widely used BPE vocabulary.
+    { pattern: /.*/, encoding: 'cl100k_base' },
+];
+
+// Fixed framing cost per chat message (role markers, separators)
+const TOKENS_PER_MESSAGE = 4;
+
+// Image parts are billed by resolution, which we do not decode; this is
+// OpenAI's high-detail cost for a 1024x1024 image
+const TOKENS_PER_IMAGE = 765;
+
+const encoders = new Map();
+
+function getEncoder(model = '') {
+    const { encoding } = MODEL_FAMILIES.find(family => family.pattern.test(model));
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, new Tiktoken(require(`js-tiktoken/ranks/${encoding}`)));
+    }
+    return encoders.get(encoding);
+}
+
+function countTokens(text, model) {
+    if (!text) return 0;
+    return getEncoder(model).encode(String(text)).length;
+}
+
+// Messages may carry image parts, or `images` URLs not yet turned into parts
+function countMessageTokens(messages, model) {
+    return messages.reduce((total, message) => {
+        if (message.images?.length) {
+            const { images, ...text } = message;
+            return total + images.length * TOKENS_PER_IMAGE + countMessageTokens([text], model);
+        }
+        if (Array.isArray(message.content)) {
+            return total + TOKENS_PER_MESSAGE + message.content.reduce((sum, part) => sum + (part.type === 'image'
+                ? TOKENS_PER_IMAGE
+                : countTokens(part.text, model)), 0);
+        }
+        const content = typeof message.content === 'string'
+            ? message.content
+            : JSON.stringify(message.content);
+        return total + TOKENS_PER_MESSAGE + countTokens(content, model);
+    }, 0);
+}
+
+// Normalizes usage for a finished (or cancelled) call:
+// { promptTokens, completionTokens, cachedTokens, totalTokens, source: 'provider' | 'tokenizer' }
+function resolveUsage({ usage, model, messages, completionText }) {
+    if (usage && Number.isFinite(usage.promptTokens) && Number.isFinite(usage.completionTokens)) {
+        return {
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            cachedTokens: usage.cachedTokens || 0,
+            totalTokens: usage.promptTokens + usage.completionTokens,
+            source: 'provider',
+        };
+    }
+
+    const promptTokens = countMessageTokens(messages, model);
+    const completionTokens = countTokens(completionText, model);
+    return {
+        promptTokens,
+        completionTokens,
+        cachedTokens: 0,
+        totalTokens: promptTokens + completionTokens,
+        source: 'tokenizer',
+    };
+}
+
+module.exports = { countTokens, countMessageTokens, resolveUsage };
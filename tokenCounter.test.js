@@ -0,0 +1,59 @@
+// tokenCounter.test.js - Token counts for text and chat messages, and usage resolution
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { countTokens, countMessageTokens, resolveUsage } = require('./tokenCounter');
+
+test('countTokens is 0 for empty text and grows with the text', () => {
+    assert.equal(countTokens('', 'gpt-4'), 0);
+    assert.equal(countTokens(null, 'gpt-4'), 0);
+    const short = countTokens('Hello world', 'gpt-4');
+    assert.ok(short > 0);
+    assert.ok(countTokens('Hello world, and hello again to everyone here', 'gpt-4') > short);
+});
+
+test('countTokens picks the tokenizer of the model family', () => {
+    const text = '今日はいい天気ですね。散歩に行きましょう。';
+    // o200k_base encodes Japanese in fewer tokens than cl100k_base
+    assert.ok(countTokens(text, 'gpt-4o-mini') < countTokens(text, 'gpt-4'));
+    // Models without a tokenizer of their own are counted like cl100k models
+    assert.equal(countTokens(text, 'claude-3-haiku-20240307'), countTokens(text, 'gpt-4'));
+});
+
+test('countMessageTokens adds a framing cost per message', () => {
+    const messages = [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: 'Hi' }];
+    assert.equal(countMessageTokens(messages, 'gpt-4'), 8 + countTokens('Hello', 'gpt-4') + countTokens('Hi', 'gpt-4'));
+    assert.equal(countMessageTokens([], 'gpt-4'), 0);
+});
+
+test('countMessageTokens counts images as parts or as attachment URLs', () => {
+    const text = countMessageTokens([{ role: 'user', content: 'What is this?' }], 'gpt-4o');
+    const withUrls = countMessageTokens([{ role: 'user', content: 'What is this?', images: ['/a.png', '/b.png'] }], 'gpt-4o');
+    const withParts = countMessageTokens([{
+        role: 'user',
+        content: [{ type: 'text', text: 'What is this?' }, { type: 'image', mimeType: 'image/png', data: 'AAAA' }],
+    }], 'gpt-4o');
+
+    assert.equal(withUrls, text + 2 * 765);
+    assert.equal(withParts, text + 765);
+});
+
+test('resolveUsage prefers the provider usage', () => {
+    const usage = resolveUsage({
+        usage: { promptTokens: 10, completionTokens: 5, cachedTokens: 4 },
+        model: 'gpt-4',
+        messages: [{ role: 'user', content: 'ignored' }],
+        completionText: 'ignored',
+    });
+    assert.deepEqual(usage, { promptTokens: 10, completionTokens: 5, cachedTokens: 4, totalTokens: 15, source: 'provider' });
+});
+
+test('resolveUsage counts with the tokenizer when the provider reports nothing', () => {
+    const messages = [{ role: 'user', content: 'Translate this' }];
+    const usage = resolveUsage({ usage: { promptTokens: 10 }, model: 'gpt-4', messages, completionText: 'Traduce esto' });
+    assert.equal(usage.source, 'tokenizer');
+    assert.equal(usage.promptTokens, countMessageTokens(messages, 'gpt-4'));
+    assert.equal(usage.completionTokens, countTokens('Traduce esto', 'gpt-4'));
+    assert.equal(usage.totalTokens, usage.promptTokens + usage.completionTokens);
+    assert.equal(usage.cachedTokens, 0);
+});
@@ -0,0 +1,128 @@
+// translationMemory.js - Matching text against earlier translations, and TMX import/export
+//
+// Memory entries are whole source texts as sent to /api/translate. An exact
+// match is one whose source is the same once whitespace is collapsed; a fuzzy
+// match is scored by word-level edit distance, so "Save the file" and "Save the
+// files" are close while long texts with one shared word are not.
+
+const crypto = require('crypto');
+const { languageCode } = require('./glossary');
+
+const normalizeSource = text => String(text).trim().replace(/\s+/g, ' ');
+
+// Lookup key for exact matches
+const sourceHash = text => crypto.createHash('sha256').update(normalizeSource(text)).digest('hex');
+
+// Words and punctuation marks, case-folded
+const tokens = text => normalizeSource(text).toLowerCase().match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+
+const wordCount = text => tokens(text).length;
+
+// 1 for the same words, down to 0: one minus the edit distance over the longer length
+function similarity(a, b) {
+    const left = tokens(a);
+    const right = tokens(b);
+    if (!left.length || !right.length) return left.length === right.length ? 1 : 0;
+
+    let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= left.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= right.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[right.length] / Math.max(left.length, right.length);
+}
+
+// System prompt lines offering fuzzy matches [{ source, target }] as reference, or null without any
+function memoryInstructions(matches) {
+    if (!matches.length) return null;
+
+    const lines = matches.map(match => `- ${JSON.stringify(match.source)} was translated as ${JSON.stringify(match.target)}`);
+    return ['Earlier translations of similar texts; reuse their wording for the parts that are the same:', ...lines].join('\n');
+}
+
+const escapeXml = text => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Inline TMX markup (bpt, ept, ph, it, hi) is dropped and entities decoded
+const decodeXml = text => text
+    .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+// Entries stored from auto-detected text have no known source language; TMX calls it "und"
+const tmxLanguage = code => (code === 'auto' ? 'und' : code.replace(/-(\w+)$/, (match, region) => `-${region.toUpperCase()}`));
+
+// entries: [{ sourceLang, targetLang, source, target, provider?, model?, createdAt?, updatedAt? }]
+function buildTmx(entries) {
+    const date = value => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const units = entries.map(entry => [
+        `    <tu srclang="${tmxLanguage(entry.sourceLang)}"${entry.createdAt ? ` creationdate="${date(entry.createdAt)}"` : ''}${entry.updatedAt ? ` changedate="${date(entry.updatedAt)}"` : ''}>`,
+        ...(entry.provider ? [`      <prop type="x-provider">${escapeXml(entry.provider)}</prop>`] : []),
+        ...(entry.model ? [`      <prop type="x-model">${escapeXml(entry.model)}</prop>`] : []),
+        `      <tuv xml:lang="${tmxLanguage(entry.sourceLang)}"><seg>${escapeXml(entry.source)}</seg></tuv>`,
+        `      <tuv xml:lang="${tmxLanguage(entry.targetLang)}"><seg>${escapeXml(entry.target)}</seg></tuv>`,
+        '    </tu>',
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<tmx version="1.4">',
+        '  <header creationtool="Multi-LLM Platform" creationtoolversion="1.0" segtype="block" o-tmf="json" adminlang="en" srclang="*all*" datatype="plaintext"/>',
+        '  <body>',
+        ...units,
+        '  </body>',
+        '</tmx>',
+        '',
+    ].join('\n');
+}
+
+// TMX 1.4 translation units -> { entries: [{ sourceLang, targetLang, source, target }], skipped }.
+// The source variant is the unit's srclang (else the header's, else the first
+// variant); every other variant in a supported language becomes an entry.
+function parseTmx(text, codes) {
+    if (!/<tmx\b/.test(text)) throw new Error('Not a TMX file');
+
+    const headerLang = /<header\b[^>]*\bsrclang="([^"]+)"/.exec(text)?.[1];
+    const toCode = tag => (/^und$/i.test(tag) ? 'auto' : languageCode(tag, codes));
+    const entries = [];
+    const skipped = [];
+
+    [...text.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/g)].forEach(([, attributes, body], index) => {
+        const variants = [...body.matchAll(/<tuv\b[^>]*\blang="([^"]+)"[^>]*>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g)]
+            .map(([, tag, seg]) => ({ tag, code: toCode(tag), text: decodeXml(seg).trim() }))
+            .filter(variant => variant.text);
+
+        const sourceTag = /\bsrclang="([^"]+)"/.exec(attributes)?.[1] || headerLang;
+        const source = variants.find(variant => sourceTag && sourceTag !== '*all*' && variant.tag.toLowerCase() === sourceTag.toLowerCase())
+            || variants[0];
+        if (!source || !source.code) {
+            skipped.push({ unit: index + 1, error: 'No source text in a supported language' });
+            return;
+        }
+
+        const targets = variants.filter(variant => variant !== source && variant.code && variant.code !== 'auto');
+        if (!targets.length) {
+            skipped.push({ unit: index + 1, error: 'No translation in a supported language' });
+            return;
+        }
+        targets.forEach(target => entries.push({
+            sourceLang: source.code,
+            targetLang: target.code,
+            source: source.text,
+            target: target.text,
+        }));
+    });
+    return { entries, skipped };
+}
+
+module.exports = { normalizeSource, sourceHash, wordCount, similarity, memoryInstructions, buildTmx, parseTmx };
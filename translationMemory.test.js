@@ -0,0 +1,79 @@
+// translationMemory.test.js - Exact and fuzzy matching of earlier translations, and TMX round-trips
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSource, sourceHash, wordCount, similarity, memoryInstructions, buildTmx, parseTmx } = require('./translationMemory');
+
+const CODES = ['en', 'es', 'fr', 'de', 'zh-tw'];
+
+test('normalizeSource and sourceHash ignore differences in whitespace only', () => {
+    assert.equal(normalizeSource('  Save\tthe \n file  '), 'Save the file');
+    assert.equal(sourceHash('Save the file'), sourceHash(' Save  the\nfile '));
+    assert.notEqual(sourceHash('Save the file'), sourceHash('save the file'));
+    assert.match(sourceHash('x'), /^[0-9a-f]{64}$/);
+});
+
+test('wordCount counts words and punctuation marks', () => {
+    assert.equal(wordCount('Save the file, now!'), 6);
+    assert.equal(wordCount('  '), 0);
+});
+
+test('similarity scores word-level edit distance', () => {
+    assert.equal(similarity('Save the file', 'save  the FILE'), 1);
+    assert.equal(similarity('Save the file.', 'Save the files.'), 0.75);
+    assert.equal(similarity('Save the file', 'Open a window'), 0);
+    assert.equal(similarity('Delete', 'Delete this item now'), 0.25);
+    assert.equal(similarity('', ''), 1);
+    assert.equal(similarity('', 'Save'), 0);
+});
+
+test('memoryInstructions quotes the matches for the prompt', () => {
+    assert.equal(memoryInstructions([]), null);
+    assert.equal(
+        memoryInstructions([{ source: 'Save "all"', target: 'Guardar "todo"' }]),
+        'Earlier translations of similar texts; reuse their wording for the parts that are the same:\n'
+            + '- "Save \\"all\\"" was translated as "Guardar \\"todo\\""'
+    );
+});
+
+test('buildTmx output parses back into the same entries', () => {
+    const entries = [
+        { sourceLang: 'en', targetLang: 'es', source: 'Fish & <chips>', target: 'Pescado y "patatas"', provider: 'openai', model: 'gpt-4o', createdAt: '2024-03-01T10:20:30.456Z' },
+        { sourceLang: 'auto', targetLang: 'zh-tw', source: 'Hello', target: '你好' },
+    ];
+    const tmx = buildTmx(entries);
+
+    assert.match(tmx, /<tu srclang="en" creationdate="20240301T102030Z">/);
+    assert.match(tmx, /<prop type="x-provider">openai<\/prop>/);
+    assert.match(tmx, /<tuv xml:lang="zh-TW"><seg>你好<\/seg><\/tuv>/);
+    assert.match(tmx, /<tuv xml:lang="und"><seg>Hello<\/seg><\/tuv>/);
+    assert.deepEqual(parseTmx(tmx, CODES), {
+        entries: entries.map(({ sourceLang, targetLang, source, target }) => ({ sourceLang, targetLang, source, target })),
+        skipped: [],
+    });
+});
+
+test('parseTmx picks the source variant, drops inline markup and reports unusable units', () => {
+    const tmx = `<?xml version="1.0"?>
+<tmx version="1.4"><header srclang="en-US" datatype="plaintext"/><body>
+  <tu>
+    <tuv xml:lang="fr-FR"><seg>Ouvrir <bpt i="1">&lt;b&gt;</bpt>le fichier<ept i="1">&lt;/b&gt;</ept></seg></tuv>
+    <tuv xml:lang="en-US"><seg>Open <bpt i="1">&lt;b&gt;</bpt>the file<ept i="1">&lt;/b&gt;</ept></seg></tuv>
+    <tuv xml:lang="de"><seg>Datei &#246;ffnen</seg></tuv>
+  </tu>
+  <tu srclang="ja"><tuv xml:lang="ja"><seg>開く</seg></tuv><tuv xml:lang="en"><seg>Open</seg></tuv></tu>
+  <tu><tuv xml:lang="en"><seg>Lonely</seg></tuv><tuv xml:lang="ko"><seg>외로운</seg></tuv></tu>
+</body></tmx>`;
+
+    assert.deepEqual(parseTmx(tmx, CODES), {
+        entries: [
+            { sourceLang: 'en', targetLang: 'fr', source: 'Open the file', target: 'Ouvrir le fichier' },
+            { sourceLang: 'en', targetLang: 'de', source: 'Open the file', target: 'Datei öffnen' },
+        ],
+        skipped: [
+            { unit: 2, error: 'No source text in a supported language' },
+            { unit: 3, error: 'No translation in a supported language' },
+        ],
+    });
+    assert.throws(() => parseTmx('<xliff/>', CODES), /Not a TMX file/);
+});
@@ -0,0 +1,254 @@
+// translationMemoryStore.js - Earlier translations for reuse (MySQL, or in-memory when the DB is unavailable)
+//
+// One entry per owner, source text, language pair and provider; saving the
+// same source again replaces its translation. Like glossaries, entries belong
+// to the owner id the browser sends (X-Client-Id), so one caller's imports and
+// deletions never change what another is served. A source_lang of 'auto' marks
+// text whose language was left to the model: it matches lookups from any
+// source language.
+
+const { DbStore, addColumn } = require('./dbStore');
+const { normalizeSource, sourceHash, wordCount, similarity } = require('./translationMemory');
+
+// Fuzzy candidates compared per lookup, most recently used first
+const MAX_FUZZY_CANDIDATES = 500;
+
+// Owner ids are stored as '' when the caller sent none, so they can be part of the unique key
+const ownerKey = ownerId => ownerId || '';
+
+// In-memory counterpart of the unique key, so saving an entry does not scan all of them
+const uniqueKey = row => [row.owner_id, row.source_hash, row.source_lang, row.target_lang, row.provider].join('\u0000');
+
+// DB rows -> API objects
+function toEntry(row) {
+    return {
+        id: row.entry_id,
+        sourceLang: row.source_lang,
+        targetLang: row.target_lang,
+        source: row.source_text,
+        target: row.target_text,
+        provider: row.provider || null,
+        model: row.model || null,
+        useCount: Number(row.use_count || 0),
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString(),
+    };
+}
+
+class TranslationMemoryStore extends DbStore {
+    constructor(authService) {
+        super(authService, 'translation_memory table unavailable, keeping translation memory in memory');
+    }
+
+    useMemory() {
+        this.memory = { entries: [], byKey: new Map(), nextEntryId: 1 };
+    }
+
+    async migrate() {
+        const connection = await this.dbPool.getConnection();
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS translation_memory (
+                    entry_id INT AUTO_INCREMENT PRIMARY KEY,
+                    owner_id VARCHAR(64) NOT NULL DEFAULT '',
+                    source_hash CHAR(64) NOT NULL,
+                    source_lang VARCHAR(10) NOT NULL,
+                    target_lang VARCHAR(10) NOT NULL,
+                    provider VARCHAR(100) NOT NULL DEFAULT '',
+                    model VARCHAR(200) NULL,
+                    source_text MEDIUMTEXT NOT NULL,
+                    target_text MEDIUMTEXT NOT NULL,
+                    source_words INT NOT NULL,
+                    use_count INT NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_owner_source (owner_id, source_hash, source_lang, target_lang, provider),
+                    INDEX idx_owner_pair (owner_id, target_lang, source_lang, source_words)
+                ) ENGINE=InnoDB;
+            `);
+
+            // Tables created before entries were scoped by owner
+            if (await addColumn(connection, 'translation_memory', "owner_id VARCHAR(64) NOT NULL DEFAULT '' AFTER entry_id")) {
+                await connection.query(`
+                    ALTER TABLE translation_memory
+                        DROP INDEX unique_source, DROP INDEX idx_pair,
+                        ADD UNIQUE KEY unique_owner_source (owner_id, source_hash, source_lang, target_lang, provider),
+                        ADD INDEX idx_owner_pair (owner_id, target_lang, source_lang, source_words)
+                `);
+            }
+        } finally {
+            connection.release();
+        }
+    }
+
+    // The owner's entries for a lookup { ownerId, sourceLang, targetLang, provider }
+    // plus extra conditions, most recently updated first. provider null: any provider.
+    async candidates({ ownerId, sourceLang, targetLang, provider = null }, { hash, minWords, maxWords, limit }) {
+        if (this.memory) {
+            return this.memory.entries
+                .filter(row => row.owner_id === ownerKey(ownerId)
+                    && row.target_lang === targetLang
+                    && (sourceLang === 'auto' || row.source_lang === sourceLang || row.source_lang === 'auto')
+                    && (provider === null || row.provider === provider)
+                    && (hash === undefined || row.source_hash === hash)
+                    && (minWords === undefined || (row.source_words >= minWords && row.source_words <= maxWords)))
+                .sort((a, b) => b.updated_at - a.updated_at)
+                .slice(0, limit);
+        }
+
+        const conditions = ['owner_id = ?', 'target_lang = ?'];
+        const params = [ownerKey(ownerId), targetLang];
+        if (sourceLang !== 'auto') {
+            conditions.push("source_lang IN (?, 'auto')");
+            params.push(sourceLang);
+        }
+        if (provider !== null) {
+            conditions.push('provider = ?');
+            params.push(provider);
+        }
+        if (hash !== undefined) {
+            conditions.push('source_hash = ?');
+            params.push(hash);
+        }
+        if (minWords !== undefined) {
+            conditions.push('source_words BETWEEN ? AND ?');
+            params.push(minWords, maxWords);
+        }
+        const [rows] = await this.dbPool.execute(
+            `SELECT * FROM translation_memory WHERE ${conditions.join(' AND ')} ORDER BY updated_at DESC LIMIT ${Number(limit)}`,
+            params
+        );
+        return rows;
+    }
+
+    // The stored translation of exactly this source text, or null
+    async findExact(lookup) {
+        const normalized = normalizeSource(lookup.source);
+        const [row] = (await this.candidates(lookup, { hash: sourceHash(normalized), limit: 5 }))
+            .filter(candidate => normalizeSource(candidate.source_text) === normalized);
+        return row ? toEntry(row) : null;
+    }
+
+    // Entries whose source is at least `threshold` similar (0-1), best first:
+    // [{ ...entry, similarity }]. Only sources of comparable length can reach
+    // the threshold, so only those are compared.
+    async findSimilar(lookup, { threshold, limit }) {
+        const words = wordCount(lookup.source);
+        if (!words) return [];
+
+        const rows = await this.candidates(lookup, {
+            minWords: Math.ceil(words * threshold),
+            maxWords: Math.floor(words / threshold),
+            limit: MAX_FUZZY_CANDIDATES,
+        });
+        return rows
+            .map(row => ({ ...toEntry(row), similarity: similarity(lookup.source, row.source_text) }))
+            .filter(entry => entry.similarity >= threshold && entry.similarity < 1)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    // entries: [{ sourceLang, targetLang, source, target, provider?, model? }].
+    // An entry for a source the owner already stored (same languages and provider) replaces its translation.
+    async save(ownerId, entries) {
+        for (const entry of entries) {
+            const row = {
+                owner_id: ownerKey(ownerId),
+                source_hash: sourceHash(entry.source),
+                source_lang: entry.sourceLang,
+                target_lang: entry.targetLang,
+                provider: entry.provider || '',
+                model: entry.model || null,
+                source_text: normalizeSource(entry.source),
+                target_text: entry.target,
+                source_words: wordCount(entry.source),
+            };
+
+            if (this.memory) {
+                const existing = this.memory.byKey.get(uniqueKey(row));
+                if (existing) {
+                    Object.assign(existing, { target_text: row.target_text, model: row.model, updated_at: new Date() });
+                } else {
+                    const added = { ...row, entry_id: this.memory.nextEntryId++, use_count: 0, created_at: new Date(), updated_at: new Date() };
+                    this.memory.entries.push(added);
+                    this.memory.byKey.set(uniqueKey(added), added);
+                }
+                continue;
+            }
+
+            await this.dbPool.execute(
+                `INSERT INTO translation_memory (owner_id, source_hash, source_lang, target_lang, provider, model, source_text, target_text, source_words)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE target_text = VALUES(target_text), model = VALUES(model), updated_at = CURRENT_TIMESTAMP`,
+                [row.owner_id, row.source_hash, row.source_lang, row.target_lang, row.provider, row.model, row.source_text, row.target_text, row.source_words]
+            );
+        }
+        return entries.length;
+    }
+
+    // Counts a reuse; the entry also becomes the most recently used
+    async recordUse(id) {
+        if (this.memory) {
+            const row = this.memory.entries.find(entry => entry.entry_id === id);
+            if (row) Object.assign(row, { use_count: row.use_count + 1, updated_at: new Date() });
+            return;
+        }
+
+        await this.dbPool.execute(
+            'UPDATE translation_memory SET use_count = use_count + 1, updated_at = CURRENT_TIMESTAMP WHERE entry_id = ?',
+            [id]
+        );
+    }
+
+    // The owner's entries by language (either may be omitted) and source or translation text, newest first
+    async list(ownerId, { sourceLang, targetLang, query, limit, offset = 0 }) {
+        if (this.memory) {
+            const needle = query?.toLowerCase();
+            return this.memory.entries
+                .filter(row => row.owner_id === ownerKey(ownerId)
+                    && (!sourceLang || row.source_lang === sourceLang)
+                    && (!targetLang || row.target_lang === targetLang)
+                    && (!needle || row.source_text.toLowerCase().includes(needle) || row.target_text.toLowerCase().includes(needle)))
+                .sort((a, b) => b.updated_at - a.updated_at)
+                .slice(offset, limit === undefined ? undefined : offset + limit)
+                .map(toEntry);
+        }
+
+        const conditions = ['owner_id = ?'];
+        const params = [ownerKey(ownerId)];
+        if (sourceLang) {
+            conditions.push('source_lang = ?');
+            params.push(sourceLang);
+        }
+        if (targetLang) {
+            conditions.push('target_lang = ?');
+            params.push(targetLang);
+        }
+        if (query) {
+            conditions.push('(source_text LIKE ? OR target_text LIKE ?)');
+            params.push(`%${query}%`, `%${query}%`);
+        }
+        const [rows] = await this.dbPool.execute(
+            `SELECT * FROM translation_memory WHERE ${conditions.join(' AND ')}
+             ORDER BY updated_at DESC ${limit === undefined ? '' : `LIMIT ${Number(limit)} OFFSET ${Number(offset)}`}`,
+            params
+        );
+        return rows.map(toEntry);
+    }
+
+    // Resolves to false when the owner has no such entry
+    async delete(id, ownerId) {
+        if (this.memory) {
+            const row = this.memory.entries.find(entry => entry.entry_id === id && entry.owner_id === ownerKey(ownerId));
+            if (!row) return false;
+            this.memory.entries = this.memory.entries.filter(entry => entry !== row);
+            this.memory.byKey.delete(uniqueKey(row));
+            return true;
+        }
+
+        const [result] = await this.dbPool.execute('DELETE FROM translation_memory WHERE entry_id = ? AND owner_id = ?', [id, ownerKey(ownerId)]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = { TranslationMemoryStore };
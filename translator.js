@@ -0,0 +1,178 @@
+// translator.js - Batched translation of text segments
+//
+// Segments are packed into as few provider calls as their size allows: a chunk
+// goes out as a JSON object of numbered strings and must come back as the same
+// object translated. Segments the model leaves out of its answer, or whose
+// chunk it answered with something unreadable, are retried one call each. A
+// chunk whose call failed is not: the provider would most likely fail the
+// smaller calls too. Whatever fails is reported on the segment instead of
+// failing the batch, except rejected credentials or an exhausted quota, which
+// fail the batch as they would every call in it.
+
+const { countTokens } = require('./tokenCounter');
+
+// Upper bound on segments per call, however short they are
+const MAX_SEGMENTS_PER_CALL = 40;
+
+// Output budget per call; callers lower it for models with less (adapter.limitMaxTokens)
+const CHUNK_MAX_TOKENS = 4000;
+
+// Translations can take noticeably more tokens than their source (e.g. English
+// to Hindi or Thai), plus the JSON key and quoting around each value
+const OUTPUT_EXPANSION = 2.5;
+const TOKENS_PER_ENTRY = 8;
+
+// Prompt tokens set aside for a chunk's system prompt and extra instructions
+const PROMPT_OVERHEAD = 300;
+
+// Calls to the provider in flight at once for a single request
+const TRANSLATE_CONCURRENCY = 3;
+
+// Unauthorized, payment (quota) required, forbidden
+const ACCESS_STATUS = new Set([401, 402, 403]);
+const isAccessError = error => ACCESS_STATUS.has(error.status);
+
+// Runs fn(item, index) over items with at most `limit` in flight; results keep item order
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Splits segment indexes into chunks whose estimated answer fits maxTokens and
+// whose prompt fits promptTokens
+function packSegments(segments, { model, maxTokens, promptTokens }) {
+    const promptRoom = promptTokens - PROMPT_OVERHEAD;
+    const chunks = [];
+    let chunk = [];
+    let estimate = 0;
+    let promptEstimate = 0;
+    segments.forEach((segment, index) => {
+        const tokens = countTokens(segment.text, model);
+        const cost = Math.ceil(tokens * OUTPUT_EXPANSION) + TOKENS_PER_ENTRY;
+        const promptCost = tokens + TOKENS_PER_ENTRY;
+        if (chunk.length && (estimate + cost > maxTokens || promptEstimate + promptCost > promptRoom
+            || chunk.length >= MAX_SEGMENTS_PER_CALL)) {
+            chunks.push(chunk);
+            chunk = [];
+            estimate = 0;
+            promptEstimate = 0;
+        }
+        chunk.push(index);
+        estimate += cost;
+        promptEstimate += promptCost;
+    });
+    if (chunk.length) chunks.push(chunk);
+    return chunks;
+}
+
+const fromLanguage = sourceLanguage => (sourceLanguage ? ` from ${sourceLanguage}` : '');
+
+// Placeholders include the ⟦1⟧ markers documentFormats.js puts in place of tags and variables
+const KEEP_AS_IS = 'Keep line breaks, placeholders (such as {name}, %s or ⟦1⟧) and markup as they are.';
+
+// Extra rules (e.g. glossary terms) go after the instructions on their own lines
+const withInstructions = (content, instructions) => (instructions ? `${content}\n\n${instructions}` : content);
+
+// One text: it goes in as the whole user message, so quotes and markup need no escaping
+function translationMessages(text, sourceLanguage, targetLanguage, instructions = null) {
+    return [
+        {
+            role: 'system',
+            content: withInstructions(`Translate the user's text${fromLanguage(sourceLanguage)} to ${targetLanguage}. `
+                + `Reply with the translation only, no explanations. ${KEEP_AS_IS}`, instructions),
+        },
+        { role: 'user', content: text },
+    ];
+}
+
+// Several segments as a JSON object keyed "1", "2", ... in chunk order
+function chunkMessages(texts, sourceLanguage, targetLanguage, instructions = null) {
+    const entries = Object.fromEntries(texts.map((text, position) => [String(position + 1), text]));
+    return [
+        {
+            role: 'system',
+            content: withInstructions(`Translate each value of the user's JSON object${fromLanguage(sourceLanguage)} to ${targetLanguage}. `
+                + 'Reply with a JSON object with the same keys and the translations as values, and nothing else. '
+                + `Translate every value on its own. ${KEEP_AS_IS}`, instructions),
+        },
+        { role: 'user', content: JSON.stringify(entries, null, 1) },
+    ];
+}
+
+// Translations by chunk position from a chunk answer; positions missing from it are undefined
+function parseChunkReply(text, count) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error('The model did not answer with a JSON object');
+
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return Array.from({ length: count }, (_, position) => {
+        const value = parsed[String(position + 1)];
+        return typeof value === 'string' ? value.trim() : undefined;
+    });
+}
+
+// segments: [{ id, text }]. sourceLanguage is a language name, or null to let the model detect it.
+// maxTokens is the output budget of a call, already capped for the model (see
+// CHUNK_MAX_TOKENS); promptTokens bounds its prompt, from the model's context window.
+// complete(messages, maxTokens) resolves to the answer text; it is where callers retry and count usage.
+// instructions(texts), if given, returns extra system prompt rules for a call translating texts (or null).
+// Resolves to one entry per segment, in order: { id, translatedText } or { id, error }.
+// Rejects with the provider's error when it refuses access (401, 402, 403).
+async function translateSegments(segments, { model, sourceLanguage, targetLanguage, maxTokens = CHUNK_MAX_TOKENS, promptTokens = Infinity, complete, instructions = () => null }) {
+    const results = segments.map(({ id, text }) => (text.trim() ? null : { id, translatedText: '' }));
+    const pending = segments.map((segment, index) => ({ ...segment, index })).filter(({ index }) => !results[index]);
+
+    const translateOne = async ({ id, text, index }) => {
+        try {
+            const reply = await complete(translationMessages(text, sourceLanguage, targetLanguage, instructions([text])), maxTokens);
+            results[index] = { id, translatedText: reply.trim() };
+        } catch (error) {
+            if (isAccessError(error)) throw error;
+            results[index] = { id, error: error.message || 'Translation failed' };
+        }
+    };
+
+    const chunks = packSegments(pending, { model, maxTokens, promptTokens }).map(chunk => chunk.map(position => pending[position]));
+    await mapLimit(chunks, TRANSLATE_CONCURRENCY, async chunk => {
+        if (chunk.length === 1) return translateOne(chunk[0]);
+
+        let reply;
+        try {
+            const texts = chunk.map(segment => segment.text);
+            reply = await complete(chunkMessages(texts, sourceLanguage, targetLanguage, instructions(texts)), maxTokens);
+        } catch (error) {
+            if (isAccessError(error)) throw error;
+            chunk.forEach(({ id, index }) => { results[index] = { id, error: error.message || 'Translation failed' }; });
+            return;
+        }
+
+        // An answer that is not the expected object may be down to one of the segments
+        let translations;
+        try {
+            translations = parseChunkReply(reply, chunk.length);
+        } catch (error) {
+            console.warn(`Chunk of ${chunk.length} segments failed for ${model}, translating them one by one:`, error.message);
+            translations = [];
+        }
+
+        const missing = chunk.filter((segment, position) => {
+            if (translations[position] === undefined) return true;
+            results[segment.index] = { id: segment.id, translatedText: translations[position] };
+            return false;
+        });
+        for (const segment of missing) await translateOne(segment);
+    });
+
+    return results;
+}
+
+module.exports = { CHUNK_MAX_TOKENS, mapLimit, translationMessages, translateSegments };
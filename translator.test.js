@@ -0,0 +1,142 @@
+// translator.test.js - Chunked segment translation, its fallbacks, and bounded concurrency
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapLimit, translateSegments } = require('./translator');
+
+const model = 'gpt-4';
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// A provider that answers chunk calls with a JSON object and single calls with the text, prefixed
+function fakeProvider({ chunkReply } = {}) {
+    const calls = [];
+    const complete = async messages => {
+        const [system, user] = messages;
+        const chunk = system.content.includes('JSON object');
+        calls.push({ chunk, system: system.content, user: user.content });
+        if (!chunk) return `T:${user.content}`;
+        const entries = JSON.parse(user.content);
+        if (chunkReply) return chunkReply(entries);
+        return JSON.stringify(Object.fromEntries(Object.entries(entries).map(([key, text]) => [key, `T:${text}`])));
+    };
+    return { calls, complete };
+}
+
+const segments = texts => texts.map((text, i) => ({ id: `s${i}`, text }));
+
+test('mapLimit keeps item order and never exceeds the limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapLimit([30, 10, 20, 0, 5], 2, async (delay, index) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return index * 10;
+    });
+
+    assert.deepEqual(results, [0, 10, 20, 30, 40]);
+    assert.equal(peak, 2);
+    assert.deepEqual(await mapLimit([], 3, async () => assert.fail('not called')), []);
+});
+
+test('translateSegments sends short segments in one call and keeps their order', async () => {
+    const provider = fakeProvider();
+    const results = await translateSegments(segments(['Hello', 'Good bye', 'Thanks']), {
+        model, targetLanguage: 'Spanish', complete: provider.complete,
+    });
+
+    assert.equal(provider.calls.length, 1);
+    assert.match(provider.calls[0].system, /to Spanish\./);
+    assert.deepEqual(results, [
+        { id: 's0', translatedText: 'T:Hello' },
+        { id: 's1', translatedText: 'T:Good bye' },
+        { id: 's2', translatedText: 'T:Thanks' },
+    ]);
+});
+
+test('translateSegments splits chunks by output budget and segment count', async () => {
+    const long = 'word '.repeat(300).trim();
+    const bySize = fakeProvider();
+    await translateSegments(segments([long, long, long]), { model, targetLanguage: 'French', maxTokens: 1000, complete: bySize.complete });
+    assert.equal(bySize.calls.length, 3);
+    assert.ok(bySize.calls.every(call => !call.chunk));
+
+    const byCount = fakeProvider();
+    const results = await translateSegments(segments(Array.from({ length: 85 }, (_, i) => `Item ${i}`)), {
+        model, targetLanguage: 'French', complete: byCount.complete,
+    });
+    assert.deepEqual(byCount.calls.map(call => Object.keys(JSON.parse(call.user)).length), [40, 40, 5]);
+    assert.equal(results[84].translatedText, 'T:Item 84');
+});
+
+test('translateSegments keeps each chunk prompt within promptTokens', async () => {
+    const sentence = 'word '.repeat(50).trim();
+    const provider = fakeProvider();
+    await translateSegments(segments(Array.from({ length: 10 }, () => sentence)), {
+        model, targetLanguage: 'French', maxTokens: 100000, promptTokens: 500, complete: provider.complete,
+    });
+
+    // 300 tokens go to the system prompt, leaving room for three 58-token entries per call
+    assert.deepEqual(provider.calls.map(call => (call.chunk ? Object.keys(JSON.parse(call.user)).length : 1)), [3, 3, 3, 1]);
+});
+
+test('translateSegments skips blank segments', async () => {
+    const provider = fakeProvider();
+    const results = await translateSegments(segments(['  ', 'Hello']), { model, targetLanguage: 'German', complete: provider.complete });
+
+    assert.equal(provider.calls.length, 1);
+    assert.deepEqual(results, [{ id: 's0', translatedText: '' }, { id: 's1', translatedText: 'T:Hello' }]);
+});
+
+test('translateSegments retries segments the chunk answer left out, one call each', async () => {
+    const provider = fakeProvider({ chunkReply: entries => `Sure!\n\`\`\`json\n${JSON.stringify({ 1: `T:${entries[1]}` })}\n\`\`\`` });
+    const results = await translateSegments(segments(['One', 'Two', 'Three']), { model, targetLanguage: 'Italian', complete: provider.complete });
+
+    assert.deepEqual(provider.calls.map(call => call.chunk), [true, false, false]);
+    assert.deepEqual(results.map(result => result.translatedText), ['T:One', 'T:Two', 'T:Three']);
+});
+
+test('translateSegments retries one by one when the chunk answer cannot be parsed', async () => {
+    const provider = fakeProvider({ chunkReply: () => 'I cannot do that.' });
+    const results = await translateSegments(segments(['One', 'Two']), { model, targetLanguage: 'Italian', complete: provider.complete });
+
+    assert.deepEqual(provider.calls.map(call => call.chunk), [true, false, false]);
+    assert.deepEqual(results.map(result => result.translatedText), ['T:One', 'T:Two']);
+});
+
+test('translateSegments reports a failed chunk call on its segments without retrying them', async () => {
+    let calls = 0;
+    const complete = async () => { calls++; throw httpError(503); };
+    const results = await translateSegments(segments(['One', 'Two']), { model, targetLanguage: 'Dutch', complete });
+
+    assert.equal(calls, 1);
+    assert.deepEqual(results, [{ id: 's0', error: 'HTTP 503' }, { id: 's1', error: 'HTTP 503' }]);
+});
+
+test('translateSegments fails the batch when the provider refuses access', async () => {
+    for (const status of [401, 402, 403]) {
+        const complete = async () => { throw httpError(status); };
+        await assert.rejects(translateSegments(segments(['One', 'Two']), { model, targetLanguage: 'Dutch', complete }), { status });
+        await assert.rejects(translateSegments(segments(['One']), { model, targetLanguage: 'Dutch', complete }), { status });
+    }
+});
+
+test('translateSegments adds the instructions for the texts of each call', async () => {
+    const provider = fakeProvider();
+    const seen = [];
+    await translateSegments(segments(['Acme rocks', 'Hi']), {
+        model,
+        sourceLanguage: 'English',
+        targetLanguage: 'Spanish',
+        complete: provider.complete,
+        instructions: texts => {
+            seen.push(texts);
+            return 'Keep "Acme" as is.';
+        },
+    });
+
+    assert.deepEqual(seen, [['Acme rocks', 'Hi']]);
+    assert.match(provider.calls[0].system, /from English to Spanish/);
+    assert.match(provider.calls[0].system, /\n\nKeep "Acme" as is\.$/);
+});
@@ -0,0 +1,139 @@
+// webSearch.js - Search backends for search-augmented chat
+//
+// A backend turns a query into results { title, url, snippet }. Chat models
+// without built-in search get these results in their prompt and cite them by
+// number. SEARCH_BACKEND picks one explicitly; otherwise the first configured of
+// Brave Search (BRAVE_SEARCH_API_KEY), SearXNG (SEARXNG_URL) and a local JSON
+// index (SEARCH_INDEX_PATH) is used. The local index is a stand-in for tests and
+// offline work: a list of { title, url, content } documents.
+
+const fs = require('fs');
+const { fetch, throwIfFailed } = require('./providers/openaiCompatible');
+
+const MAX_SNIPPET_LENGTH = 400;
+
+const stripHtml = value => String(value || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+const snippet = value => stripHtml(value).slice(0, MAX_SNIPPET_LENGTH);
+
+class BraveSearchBackend {
+    constructor(apiKey) {
+        this.id = 'brave';
+        this.apiKey = apiKey;
+    }
+
+    async search(query, { limit, signal }) {
+        const params = new URLSearchParams({ q: query, count: String(limit) });
+        const response = await fetch(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+            headers: { Accept: 'application/json', 'X-Subscription-Token': this.apiKey },
+            signal,
+        });
+        await throwIfFailed(response, 'Brave Search');
+
+        const data = await response.json();
+        return (data.web?.results || []).slice(0, limit).map(result => ({
+            title: stripHtml(result.title),
+            url: result.url,
+            snippet: snippet(result.description),
+        }));
+    }
+}
+
+class SearxngBackend {
+    constructor(baseUrl) {
+        this.id = 'searxng';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async search(query, { limit, signal }) {
+        const params = new URLSearchParams({ q: query, format: 'json' });
+        const response = await fetch(`${this.baseUrl}/search?${params}`, { signal });
+        await throwIfFailed(response, 'SearXNG');
+
+        const data = await response.json();
+        return (data.results || []).slice(0, limit).map(result => ({
+            title: stripHtml(result.title),
+            url: result.url,
+            snippet: snippet(result.content),
+        }));
+    }
+}
+
+// Ranks documents by how often the query's words occur, title matches counting triple
+class LocalIndexBackend {
+    constructor(filePath) {
+        this.id = 'local';
+        this.documents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(this.documents)) {
+            throw new Error(`Search index ${filePath} must be a list of { title, url, content }`);
+        }
+    }
+
+    async search(query, { limit }) {
+        const terms = query.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+        const count = (text, term) => text.split(term).length - 1;
+
+        return this.documents
+            .map(doc => {
+                const title = String(doc.title || '').toLowerCase();
+                const content = String(doc.content || '').toLowerCase();
+                const score = terms.reduce((total, term) => total + 3 * count(title, term) + count(content, term), 0);
+                return { doc, score, content };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ doc, content }) => {
+                // Snippet starts shortly before the first matching word
+                const first = Math.min(...terms.map(term => content.indexOf(term)).filter(index => index >= 0), content.length);
+                const start = Math.max(0, first - 80);
+                return { title: doc.title || doc.url, url: doc.url, snippet: snippet(String(doc.content || '').slice(start)) };
+            });
+    }
+}
+
+// The configured backend, or null when web search has nothing to search with
+function createSearchBackend(env = process.env) {
+    const backends = {
+        brave: () => env.BRAVE_SEARCH_API_KEY && new BraveSearchBackend(env.BRAVE_SEARCH_API_KEY),
+        searxng: () => env.SEARXNG_URL && new SearxngBackend(env.SEARXNG_URL),
+        local: () => env.SEARCH_INDEX_PATH && new LocalIndexBackend(env.SEARCH_INDEX_PATH),
+    };
+
+    if (env.SEARCH_BACKEND) {
+        const create = backends[env.SEARCH_BACKEND];
+        if (!create) throw new Error(`Unknown SEARCH_BACKEND: ${env.SEARCH_BACKEND}`);
+        const backend = create();
+        if (!backend) throw new Error(`SEARCH_BACKEND ${env.SEARCH_BACKEND} is missing its settings`);
+        return backend;
+    }
+    for (const create of Object.values(backends)) {
+        const backend = create();
+        if (backend) return backend;
+    }
+    return null;
+}
+
+// User prompt carrying numbered results ahead of the question
+function groundedPrompt(question, results) {
+    const sources = results
+        .map((result, index) => `[${index + 1}] ${result.title}\n${result.url}\n${result.snippet}`)
+        .join('\n\n');
+    return [
+        'Answer the question using the search results below. Cite the results you rely on by their number in',
+        'square brackets, e.g. [1]. If the results do not answer the question, say so.',
+        '',
+        sources,
+        '',
+        `Question: ${question}`,
+    ].join('\n');
+}
+
+// Numbered citations for an answer: the results it cites, or all of them when
+// it cites none
+function citationsFor(text, results) {
+    const citations = results.map((result, index) => ({ index: index + 1, ...result }));
+    const cited = citations.filter(citation => text.includes(`[${citation.index}]`));
+    return cited.length ? cited : citations;
+}
+
+module.exports = { createSearchBackend, groundedPrompt, citationsFor };